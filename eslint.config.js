@@ -28,6 +28,19 @@ export default [
         exports: 'readonly',
         module: 'readonly',
         require: 'readonly',
+        fetch: 'readonly',
+        AbortSignal: 'readonly',
+        setTimeout: 'readonly',
+        clearTimeout: 'readonly',
+        URL: 'readonly',
+        structuredClone: 'readonly',
+        Response: 'readonly',
+        setInterval: 'readonly',
+        clearInterval: 'readonly',
+        TextDecoder: 'readonly',
+        URLSearchParams: 'readonly',
+        AbortController: 'readonly',
+        setImmediate: 'readonly',
       },
     },
   },
@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+
+/**
+ * API key management for the hosted server
+ *
+ *   pnpm keys create --name ci --repo acme/* --op review --op post --expires 90d
+ *   pnpm keys list
+ *   pnpm keys revoke <id or name>
+ *
+ * Keys are written to API_KEYS_FILE (or --file). The secret of a new key is
+ * printed once and cannot be recovered afterwards.
+ */
+
+import { parseArgs } from 'node:util';
+import { pathToFileURL } from 'node:url';
+import dotenv from 'dotenv';
+import { ConfigService } from '../services/config.js';
+import { ApiKeyService, OPERATIONS } from '../services/api_keys.js';
+
+const USAGE = `Usage:
+  pnpm keys create --name <name> [--repo <owner/repo|owner/*|*>]... [--op <${OPERATIONS.join('|')}>]... [--expires <days>d|<date>]
+  pnpm keys list
+  pnpm keys revoke <id or name>
+
+Options:
+  --file <path>  Key file (default: API_KEYS_FILE or data/api-keys.json)
+  --json         Print JSON instead of text`;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Turn `--expires` into a timestamp: a number of days (`90d`) or a date
+ */
+export function parseExpiry(value) {
+  if (!value) return null;
+  const days = /^(\d+)d$/.exec(value);
+  if (days) return new Date(Date.now() + Number(days[1]) * DAY).toISOString();
+  return value;
+}
+
+function formatKey(key) {
+  const expiry = key.expires_at ? `expires ${key.expires_at}` : 'no expiry';
+  return `${key.id}  ${key.name}  [${key.state}]  ops: ${key.operations.join(',')}  repos: ${key.repos.join(',')}  ${expiry}`;
+}
+
+/**
+ * Run a keys command
+ * @param {Array<string>} argv - Arguments after the script name
+ * @param {Object} output - `log` and `error` functions
+ * @returns {Promise<number>} Exit code
+ */
+export async function main(argv, output = console) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        name: { type: 'string' },
+        repo: { type: 'string', multiple: true },
+        op: { type: 'string', multiple: true },
+        expires: { type: 'string' },
+        file: { type: 'string' },
+        json: { type: 'boolean' },
+        help: { type: 'boolean', short: 'h' },
+      },
+    });
+  } catch (error) {
+    output.error(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  const { values, positionals } = parsed;
+  const [command, target] = positionals;
+  if (values.help || !command) {
+    output.log(USAGE);
+    return values.help ? 0 : 2;
+  }
+
+  const service = values.file
+    ? new ApiKeyService({ path: values.file })
+    : ApiKeyService.fromConfig(new ConfigService());
+
+  try {
+    if (command === 'create') {
+      const { key, record } = await service.create({
+        name: values.name,
+        repos: values.repo?.flatMap(repo => repo.split(',')) ?? ['*'],
+        operations: values.op?.flatMap(op => op.split(',')) ?? ['review'],
+        expires_at: parseExpiry(values.expires),
+      });
+      if (values.json) {
+        output.log(JSON.stringify({ key, ...record }, null, 2));
+      } else {
+        output.log(`✅ Created ${formatKey(record)}`);
+        output.log(`🔑 ${key}`);
+        output.log('⚠️  Store this key now; it is not shown again.');
+      }
+      return 0;
+    }
+
+    if (command === 'list') {
+      const keys = await service.list();
+      if (values.json) output.log(JSON.stringify(keys, null, 2));
+      else if (keys.length === 0) output.log(`No keys in ${service.path}`);
+      else keys.forEach(key => output.log(formatKey(key)));
+      return 0;
+    }
+
+    if (command === 'revoke') {
+      if (!target) {
+        output.error(`Missing key ID or name\n\n${USAGE}`);
+        return 2;
+      }
+      const key = await service.revoke(target);
+      output.log(
+        values.json
+          ? JSON.stringify(key, null, 2)
+          : `🗑️  Revoked ${key.id} (${key.name})`
+      );
+      return 0;
+    }
+
+    output.error(`Unknown command: ${command}\n\n${USAGE}`);
+    return 2;
+  } catch (error) {
+    output.error(`❌ ${error.message}`);
+    return 1;
+  }
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  dotenv.config();
+  process.exitCode = await main(process.argv.slice(2));
+}
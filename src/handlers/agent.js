@@ -0,0 +1,200 @@
+/**
+ * Agent Loop
+ * Bounded tool-calling loop: the model may request any number of tool calls
+ * per turn until it answers with text or a limit is reached.
+ */
+
+const FINAL_ANSWER_PROMPT =
+  'The tool budget for this review is exhausted. Provide your final answer now based on the information gathered so far, without calling any more tools.';
+
+/**
+ * Signal for work held to a deadline: it aborts with a timeout error at the
+ * deadline, or with a cancellation error when `signal` aborts. Provider
+ * requests and tool calls get it so they stop with the work that started
+ * them. Call `clear()` once the work is done.
+ * @param {number} deadline - Epoch milliseconds
+ * @param {number} timeout - Configured timeout, for the error message
+ * @param {AbortSignal} signal - Optional cancellation signal
+ * @returns {Object} `{ signal, clear }`
+ */
+export function deadlineSignal(deadline, timeout, signal) {
+  const controller = new AbortController();
+  const expire = () =>
+    controller.abort(new Error(`Agent timed out after ${timeout}ms`));
+  const cancel = () => controller.abort(new Error('Agent cancelled'));
+
+  if (signal?.aborted) cancel();
+  if (Date.now() >= deadline) expire();
+  const timer = setTimeout(expire, Math.max(0, deadline - Date.now()));
+  signal?.addEventListener('abort', cancel);
+
+  return {
+    signal: controller.signal,
+    clear: () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', cancel);
+    },
+  };
+}
+
+/**
+ * Reject with the signal's reason when it aborts before the promise
+ * settles, for work that may not stop by itself
+ * @param {Promise} promise - Work to wait for
+ * @param {AbortSignal} signal - Signal from deadlineSignal
+ * @returns {Promise} The promise result
+ */
+export async function beforeAbort(promise, signal) {
+  let onAbort;
+  const aborted = new Promise((_, reject) => {
+    onAbort = () => reject(signal.reason);
+    if (signal.aborted) onAbort();
+    signal.addEventListener('abort', onAbort);
+  });
+
+  try {
+    // Work that settled after the abort still loses
+    return await Promise.race([aborted, promise]);
+  } finally {
+    signal.removeEventListener('abort', onAbort);
+  }
+}
+
+/**
+ * Run the tool-calling loop until the model produces a final answer
+ * @param {Object} params
+ * @param {Object} params.provider - LLM provider (see src/providers)
+ * @param {Array<Object>} params.messages - Conversation, appended to in place
+ * @param {Function} params.executeTool - `(name, args, { signal }) =>
+ *   Promise<result>`; the signal aborts when the loop times out or is
+ *   cancelled
+ * @param {number} params.maxIterations - Maximum tool-calling turns
+ * @param {number} params.maxToolCalls - Maximum tool calls across all turns
+ * @param {number} params.timeout - Wall-clock limit for the whole loop (ms)
+ * @param {number} params.deadline - Epoch milliseconds the loop must end by,
+ *   when it shares a time limit with other work (defaults to now + timeout)
+ * @param {AbortSignal} params.signal - Optional signal that cancels the loop
+ * @param {string} params.finalPrompt - Sent when a limit forces the answer
+ * @param {Function} params.onTurn - Optional callback for each model turn
+ * @returns {Promise<Object>} `{ message, stop_reason, iterations, tool_calls,
+ *   transcript, usage, duration_ms, deadline }`
+ */
+export async function runAgentLoop({
+  provider,
+  messages,
+  executeTool,
+  maxIterations = 10,
+  maxToolCalls = 30,
+  timeout = 300000,
+  deadline = Date.now() + timeout,
+  signal,
+  finalPrompt = FINAL_ANSWER_PROMPT,
+  onTurn = () => {},
+}) {
+  const startedAt = Date.now();
+  // Stops the requests still running when the loop gives up on them
+  const limit = deadlineSignal(deadline, timeout, signal);
+  const transcript = [];
+  const usage = { input_tokens: 0, output_tokens: 0 };
+  let iterations = 0;
+  let toolCallCount = 0;
+  let stopReason = 'completed';
+
+  const chat = async (options = {}) => {
+    const response = await beforeAbort(
+      provider.chat(messages, { ...options, signal: limit.signal }),
+      limit.signal
+    );
+    usage.input_tokens += response.usage?.input_tokens || 0;
+    usage.output_tokens += response.usage?.output_tokens || 0;
+    onTurn(response);
+    return response;
+  };
+
+  const runTool = async (call, iteration) => {
+    // Recorded up front so the transcript follows call order, and a timeout
+    // leaves the calls that were still running marked as pending
+    const entry = {
+      iteration,
+      id: call.id,
+      name: call.name,
+      args: call.args,
+      status: 'pending',
+    };
+    transcript.push(entry);
+    const toolStartedAt = Date.now();
+    let content;
+
+    if (toolCallCount >= maxToolCalls) {
+      // Every requested call still needs a result for the conversation to stay valid
+      content = { error: `Tool call budget of ${maxToolCalls} exhausted` };
+      Object.assign(entry, { status: 'skipped', error: content.error });
+    } else {
+      toolCallCount++;
+      try {
+        content = await executeTool(call.name, call.args || {}, {
+          signal: limit.signal,
+        });
+        entry.status = 'ok';
+      } catch (error) {
+        content = { error: error.message };
+        Object.assign(entry, { status: 'error', error: error.message });
+      }
+    }
+
+    entry.duration_ms = Date.now() - toolStartedAt;
+    return { role: 'tool', tool_call_id: call.id, name: call.name, content };
+  };
+
+  try {
+    let response = await chat();
+
+    while (response.tool_calls.length > 0) {
+      iterations++;
+      messages.push({
+        role: 'assistant',
+        content: response.text,
+        tool_calls: response.tool_calls,
+      });
+
+      // Calls within one turn are independent, so run them in parallel
+      const results = await beforeAbort(
+        Promise.all(response.tool_calls.map(call => runTool(call, iterations))),
+        limit.signal
+      );
+      messages.push(...results);
+
+      if (toolCallCount >= maxToolCalls) {
+        stopReason = 'max_tool_calls';
+      } else if (iterations >= maxIterations) {
+        stopReason = 'max_iterations';
+      }
+
+      if (stopReason !== 'completed') {
+        messages.push({ role: 'user', content: finalPrompt });
+        response = await chat({ tools: false });
+        break;
+      }
+
+      response = await chat();
+    }
+
+    return {
+      message: response.text,
+      stop_reason: stopReason,
+      iterations,
+      tool_calls: toolCallCount,
+      transcript,
+      usage,
+      duration_ms: Date.now() - startedAt,
+      deadline,
+    };
+  } catch (error) {
+    // Keep what was done so far for callers that report partial progress
+    error.transcript = transcript;
+    error.usage = usage;
+    throw error;
+  } finally {
+    limit.clear();
+  }
+}
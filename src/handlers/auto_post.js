@@ -0,0 +1,230 @@
+/**
+ * Automatic Review Posting
+ * Posts a structured review to GitHub while enforcing the comment budget
+ * from the review guidelines and skipping findings already discussed.
+ */
+
+import { SEVERITIES, toPostPRReviewArgs } from './review_output.js';
+import {
+  validateReviewComments,
+  appendRejectedComments,
+} from '../utils/review_comments.js';
+import { upsertSummaryComment } from './summary_comment.js';
+
+/**
+ * Line range covered by a finding or an existing comment
+ */
+function lineRange(item) {
+  return { start: item.start_line ?? item.line, end: item.line };
+}
+
+function overlaps(a, b) {
+  return a.start <= b.end && b.start <= a.end;
+}
+
+/**
+ * Choose which findings become inline comments
+ * @param {Array<Object>} findings - Structured review findings
+ * @param {Array<Object>} existingComments - Review comments already on the PR
+ * @param {Object} options - `{ maxComments }` inline comment budget
+ * @returns {{comments: Array<Object>, general: Array<Object>, skipped: Array<Object>}}
+ *   Findings to comment on, findings for the review body, and skipped
+ *   findings with the reason
+ */
+export function planReviewComments(
+  findings,
+  existingComments,
+  { maxComments = 3 } = {}
+) {
+  // Most severe first; sort is stable so the model's order breaks ties
+  const ranked = [...findings].sort(
+    (a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity)
+  );
+  const comments = [];
+  const general = [];
+  const skipped = [];
+
+  for (const finding of ranked) {
+    if (!finding.path || !finding.line) {
+      general.push(finding);
+      continue;
+    }
+
+    const range = lineRange(finding);
+
+    // Outdated comments (line null) point at code that has since changed
+    const existing = existingComments.find(
+      comment =>
+        comment.path === finding.path &&
+        comment.line !== null &&
+        overlaps(range, lineRange(comment))
+    );
+    if (existing) {
+      skipped.push({
+        finding,
+        reason: 'existing_comment',
+        comment_id: existing.id,
+      });
+      continue;
+    }
+
+    if (
+      comments.some(
+        other =>
+          other.path === finding.path && overlaps(range, lineRange(other))
+      )
+    ) {
+      skipped.push({ finding, reason: 'duplicate_finding' });
+      continue;
+    }
+
+    if (comments.length >= maxComments) {
+      skipped.push({ finding, reason: 'comment_limit' });
+      continue;
+    }
+
+    comments.push(finding);
+  }
+
+  return { comments, general, skipped };
+}
+
+/**
+ * Post a structured review through GitHubService.createReview
+ *
+ * In sticky mode the summary, verdict and every finding go to a single PR
+ * comment that is edited on later runs, and a review is only created to
+ * carry new inline comments.
+ * @param {Object} github - GitHubService instance
+ * @param {string} prUrl - The PR URL
+ * @param {Object} review - Validated structured review
+ * @param {Object} options - `{ maxComments, sticky }`
+ * @returns {Promise<Object>} `{ review_id, review_url, event, posted, skipped }`
+ *   plus `summary` in sticky mode. Findings whose lines are outside the diff
+ *   are skipped as `outside_diff` and listed in the review body
+ */
+export async function postStructuredReview(
+  github,
+  prUrl,
+  review,
+  { maxComments = 3, sticky = false } = {}
+) {
+  const { owner, repo, pull_number } = github.parsePRUrl(prUrl);
+  const existingComments = await github.listReviewComments(
+    owner,
+    repo,
+    pull_number
+  );
+
+  const plan = planReviewComments(review.findings, existingComments, {
+    maxComments,
+  });
+  const args = toPostPRReviewArgs(prUrl, {
+    ...review,
+    findings: [...plan.comments, ...plan.general],
+  });
+
+  // Findings on lines outside the diff go to the body instead
+  const prDetails = await github.getPRDetails(prUrl);
+  const checked = validateReviewComments(args.comments, prDetails.files, {
+    truncated: prDetails.truncated,
+  });
+  const rejected = new Map(checked.rejected.map(item => [item.index, item]));
+  const relocated = new Map(
+    checked.relocated.map(item => [item.index, item.to])
+  );
+
+  // What happened to each finding, most severe first
+  const outcomes = [
+    ...plan.comments.map((finding, index) =>
+      rejected.has(index)
+        ? {
+            finding,
+            status: 'outside_diff',
+            line: finding.line,
+            error: rejected.get(index).error,
+          }
+        : {
+            finding,
+            status: 'inline',
+            line: relocated.get(index)?.line ?? finding.line,
+          }
+    ),
+    ...plan.skipped.map(({ finding, reason, ...rest }) => ({
+      finding,
+      status: reason,
+      line: finding.line,
+      ...rest,
+    })),
+    ...plan.general.map(finding => ({
+      finding,
+      status: 'general',
+      line: finding.line,
+    })),
+  ].sort(
+    (a, b) =>
+      SEVERITIES.indexOf(a.finding.severity) -
+      SEVERITIES.indexOf(b.finding.severity)
+  );
+  const describe = ({ finding, status, line, ...rest }) => ({
+    path: finding.path,
+    line,
+    severity: finding.severity,
+    title: finding.title,
+    ...(status === 'inline' ? {} : { reason: status, ...rest }),
+  });
+  const posted = outcomes
+    .filter(outcome => outcome.status === 'inline')
+    .map(describe);
+  const skipped = outcomes
+    .filter(
+      outcome => outcome.status !== 'inline' && outcome.status !== 'general'
+    )
+    .map(describe);
+
+  console.log(
+    `📮 Posting review: ${checked.comments.length} inline comment(s), ${skipped.length} finding(s) skipped`
+  );
+
+  if (!sticky) {
+    const result = await github.createReview(owner, repo, pull_number, {
+      body: appendRejectedComments(args.body, checked.rejected),
+      event: args.event,
+      comments: checked.comments,
+    });
+
+    return {
+      review_id: result.id,
+      review_url: result.html_url,
+      event: args.event,
+      posted,
+      skipped,
+    };
+  }
+
+  const summary = await upsertSummaryComment(
+    github,
+    { owner, repo, pull_number, head_sha: prDetails.pr.head_sha },
+    review,
+    outcomes
+  );
+  console.log(`📌 Summary comment ${summary.action}: ${summary.comment_url}`);
+
+  let result = null;
+  if (checked.comments.length > 0) {
+    result = await github.createReview(owner, repo, pull_number, {
+      body: `Inline findings for \`${prDetails.pr.head_sha.slice(0, 7)}\`. See the [review summary](${summary.comment_url}) for the verdict and all findings.`,
+      event: 'COMMENT',
+      comments: checked.comments,
+    });
+  }
+
+  return {
+    review_id: result?.id ?? null,
+    review_url: result?.html_url ?? null,
+    event: result ? 'COMMENT' : null,
+    posted,
+    skipped,
+    summary,
+  };
+}
@@ -0,0 +1,136 @@
+/**
+ * Review History API
+ * GET /history lists past review runs, newest first, filtered by repository,
+ * PR, verdict, status and date; GET /history/:id returns one run with its
+ * findings and tool transcript. Both need the `admin` operation on the
+ * repositories read.
+ */
+
+import express from 'express';
+import { VERDICTS } from './review_output.js';
+import { parsePRReference } from '../utils/pr_reference.js';
+
+const STATUSES = ['succeeded', 'failed', 'cancelled'];
+const MAX_LIMIT = 200;
+
+function queryError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+function parseDate(name, value) {
+  if (value === undefined) return undefined;
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw queryError(`${name} must be an ISO 8601 date or timestamp`);
+  }
+  return new Date(time).toISOString();
+}
+
+function parseCount(name, value, { fallback, min, max = Infinity }) {
+  if (value === undefined) return fallback;
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < min) {
+    throw queryError(`${name} must be an integer of at least ${min}`);
+  }
+  return Math.min(count, max);
+}
+
+/**
+ * Turn the query string into store filters
+ * @param {Object} query - `repo` (owner/repo), `pr` (number in `repo` or any
+ *   PR reference), `verdict`, `status`, `since`, `until`, `limit`, `offset`
+ * @returns {Object} Filters for the history store
+ */
+export function parseHistoryQuery(query) {
+  const { repo, pr, verdict, status } = query;
+  const filters = {};
+
+  if (repo !== undefined) {
+    const match = /^([\w.-]+)\/([\w.-]+)$/.exec(repo);
+    if (!match) throw queryError('repo must be in the form owner/repo');
+    [, filters.owner, filters.repo] = match;
+  }
+
+  if (pr !== undefined) {
+    const reference = parsePRReference(pr, { defaultRepo: repo });
+    filters.owner = reference.owner;
+    filters.repo = reference.repo;
+    filters.pull_number = reference.pull_number;
+  }
+
+  if (verdict !== undefined) {
+    filters.verdict = verdict.toUpperCase();
+    if (!VERDICTS.includes(filters.verdict)) {
+      throw queryError(`verdict must be one of ${VERDICTS.join(', ')}`);
+    }
+  }
+
+  if (status !== undefined) {
+    if (!STATUSES.includes(status)) {
+      throw queryError(`status must be one of ${STATUSES.join(', ')}`);
+    }
+    filters.status = status;
+  }
+
+  filters.since = parseDate('since', query.since);
+  filters.until = parseDate('until', query.until);
+  filters.limit = parseCount('limit', query.limit, {
+    fallback: 50,
+    min: 1,
+    max: MAX_LIMIT,
+  });
+  filters.offset = parseCount('offset', query.offset, { fallback: 0, min: 0 });
+  return filters;
+}
+
+/**
+ * Create the router for the review history endpoints
+ * @param {Object} options - History `store`, the `authenticate` middleware
+ *   and `allows(req, operation, repository)` checking the caller's key
+ * @returns {Object} Express router
+ */
+export function createHistoryRouter({
+  store,
+  authenticate,
+  allows = () => true,
+}) {
+  const router = express.Router();
+
+  router.get('/history', authenticate, async (req, res) => {
+    let filters;
+    try {
+      filters = parseHistoryQuery(req.query);
+    } catch (error) {
+      if (error.status === 400) {
+        return res.status(400).json({ error: error.message });
+      }
+      throw error;
+    }
+
+    // Without a repository filter the listing spans every repository
+    const repository = filters.owner ? `${filters.owner}/${filters.repo}` : '*';
+    if (!allows(req, 'admin', repository)) {
+      return res.status(403).json({
+        error:
+          repository === '*'
+            ? 'API key may only read the review history of some repositories; filter by repo or pr'
+            : `API key may not read the review history of ${repository}`,
+      });
+    }
+
+    const { total, runs } = await store.list(filters);
+    res.json({ total, limit: filters.limit, offset: filters.offset, runs });
+  });
+
+  router.get('/history/:id', authenticate, async (req, res) => {
+    const record = await store.get(req.params.id);
+    if (!record || !allows(req, 'admin', `${record.owner}/${record.repo}`)) {
+      return res.status(404).json({ error: 'Review run not found' });
+    }
+    res.json(record);
+  });
+
+  return router;
+}
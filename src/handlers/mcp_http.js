@@ -0,0 +1,196 @@
+/**
+ * MCP over HTTP
+ * Serves the shared tool registry to remote MCP clients: Streamable HTTP on
+ * /mcp, plus the older HTTP+SSE transport (GET /sse, POST /messages) for
+ * clients that do not support it yet. Every session gets its own MCP server
+ * on top of the same GitHub and analysis services.
+ */
+
+import express from 'express';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { ErrorCode } from '@modelcontextprotocol/sdk/types.js';
+import { createMcpServer } from '../server.js';
+import { postingTools } from '../tools/index.js';
+import {
+  StreamableHTTPServerTransport,
+  SESSION_HEADER,
+  jsonRpcError,
+} from '../transports/streamable_http.js';
+
+/**
+ * The operation a tool call needs and the repository it touches: a PR URL
+ * or reference, `owner/repo`, or null for tools without one
+ */
+function toolAccess(name, args) {
+  const operation = postingTools.includes(name) ? 'post' : 'review';
+  if (args.pr_url) return { operation, target: args.pr_url };
+  if (args.owner && args.repo) {
+    return { operation, target: `${args.owner}/${args.repo}` };
+  }
+  return { operation, target: null };
+}
+
+function isInitializeRequest(body) {
+  const messages = Array.isArray(body) ? body : [body];
+  return messages.some(message => message?.method === 'initialize');
+}
+
+/**
+ * Create the router for the MCP endpoints
+ * @param {Object} options - `getServices()` returning `{ github, analysis }`,
+ *   the `authenticate` middleware (sets `req.apiKey`), `allows(req,
+ *   operation, target)` checking the caller's key (sessions need `review`,
+ *   tools that write to GitHub need `post` on the repository), `sessionTtl`
+ *   idle time before a session is dropped (ms) and `maxSessions` open at once
+ * @returns {Object} `{ router, sessions, close }`
+ */
+export function createMcpRouter({
+  getServices,
+  authenticate,
+  allows = () => true,
+  sessionTtl = 30 * 60 * 1000,
+  maxSessions = 100,
+}) {
+  const router = express.Router();
+  const sessions = new Map();
+
+  const sweep = setInterval(
+    () => {
+      const cutoff = Date.now() - sessionTtl;
+      for (const [id, session] of sessions) {
+        // Legacy SSE sessions last as long as their stream
+        if (session.kind === 'streamable' && session.lastSeen < cutoff) {
+          console.log(`🧹 MCP session ${id} expired`);
+          session.server.close();
+        }
+      }
+    },
+    Math.min(sessionTtl, 60 * 1000)
+  );
+  sweep.unref();
+
+  async function openSession(kind, transport, req) {
+    const server = createMcpServer({
+      ...getServices(),
+      authorize: (name, args) => {
+        const { operation, target } = toolAccess(name, args);
+        return allows(req, operation, target);
+      },
+    });
+    const session = {
+      kind,
+      transport,
+      server,
+      apiKey: req.apiKey,
+      lastSeen: Date.now(),
+    };
+    sessions.set(transport.sessionId, session);
+    server.onclose = () => sessions.delete(transport.sessionId);
+    await server.connect(transport);
+    console.log(`🔌 MCP session ${transport.sessionId} opened (${kind})`);
+    return session;
+  }
+
+  /**
+   * Find a session of the calling API key; other keys cannot see it
+   */
+  function findSession(id, req) {
+    const session = id && sessions.get(id);
+    if (!session || session.apiKey !== req.apiKey) return null;
+    session.lastSeen = Date.now();
+    return session;
+  }
+
+  // Sessions need the review operation; tools are checked per call
+  function requireReview(req, res, next) {
+    if (allows(req, 'review', null)) return next();
+    res
+      .status(403)
+      .json(
+        jsonRpcError(ErrorCode.InvalidRequest, 'API key may not use MCP tools')
+      );
+  }
+
+  function rejectFull(res) {
+    return res
+      .status(503)
+      .json(
+        jsonRpcError(
+          ErrorCode.InternalError,
+          `Too many open MCP sessions (limit ${maxSessions})`
+        )
+      );
+  }
+
+  // Streamable HTTP
+  router.all('/mcp', authenticate, requireReview, async (req, res) => {
+    const id = req.headers[SESSION_HEADER];
+
+    if (!id) {
+      if (req.method !== 'POST' || !isInitializeRequest(req.body)) {
+        return res
+          .status(400)
+          .json(
+            jsonRpcError(
+              ErrorCode.InvalidRequest,
+              `Missing ${SESSION_HEADER} header; start a session with an initialize request`
+            )
+          );
+      }
+      if (sessions.size >= maxSessions) return rejectFull(res);
+
+      const session = await openSession(
+        'streamable',
+        new StreamableHTTPServerTransport(),
+        req
+      );
+      return session.transport.handleRequest(req, res, req.body);
+    }
+
+    const session = findSession(id, req);
+    if (!session || session.kind !== 'streamable') {
+      return res
+        .status(404)
+        .json(jsonRpcError(ErrorCode.InvalidRequest, 'Unknown MCP session'));
+    }
+    return session.transport.handleRequest(req, res, req.body);
+  });
+
+  // HTTP+SSE (protocol version 2024-11-05)
+  router.get('/sse', authenticate, requireReview, async (req, res) => {
+    if (sessions.size >= maxSessions) return rejectFull(res);
+    await openSession('sse', new SSEServerTransport('/messages', res), req);
+  });
+
+  router.post('/messages', authenticate, async (req, res) => {
+    const session = findSession(req.query.sessionId, req);
+    if (!session || session.kind !== 'sse') {
+      return res
+        .status(404)
+        .json(jsonRpcError(ErrorCode.InvalidRequest, 'Unknown MCP session'));
+    }
+
+    try {
+      await session.transport.handleMessage(req.body);
+    } catch {
+      return res
+        .status(400)
+        .json(
+          jsonRpcError(ErrorCode.InvalidRequest, 'Invalid JSON-RPC message')
+        );
+    }
+    res.status(202).end();
+  });
+
+  return {
+    router,
+    sessions,
+    // Close every session and stop the expiry sweep
+    async close() {
+      clearInterval(sweep);
+      await Promise.all(
+        [...sessions.values()].map(session => session.server.close())
+      );
+    },
+  };
+}
@@ -0,0 +1,152 @@
+/**
+ * Rate limit responses
+ * Every limit answers with the draft-6 `RateLimit-*` headers of the limit
+ * closest to being reached, and a 429 that names the limit that was hit.
+ */
+
+import rateLimit from 'express-rate-limit';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function describePeriod(period) {
+  if (period === DAY) return 'day';
+  const [count, unit] =
+    period % 3600000 === 0
+      ? [period / 3600000, 'hour']
+      : period % 60000 === 0
+        ? [period / 60000, 'minute']
+        : [Math.ceil(period / 1000), 'second'];
+  return count === 1 ? unit : `${count} ${unit}s`;
+}
+
+function describeSubject(state) {
+  if (state.scope === 'key') return `API key ${state.subject}`;
+  if (state.scope === 'repo') return `repository ${state.subject}`;
+  return 'this client IP';
+}
+
+/**
+ * Set the `RateLimit-*` headers for a limit, unless a tighter limit already
+ * set them
+ * @param {Object} state - `{ limit, remaining, reset, period }` (reset in ms)
+ */
+export function setRateLimitHeaders(res, state) {
+  const current = res.getHeader('RateLimit-Remaining');
+  if (current !== undefined && Number(current) < state.remaining) return;
+
+  const seconds = Math.max(0, Math.ceil((state.reset - Date.now()) / 1000));
+  res.setHeader(
+    'RateLimit-Policy',
+    `${state.limit};w=${Math.ceil(state.period / 1000)}`
+  );
+  res.setHeader('RateLimit-Limit', String(state.limit));
+  res.setHeader('RateLimit-Remaining', String(state.remaining));
+  res.setHeader('RateLimit-Reset', String(seconds));
+}
+
+/**
+ * Answer 429 for a limit that was reached
+ * @param {Object} state - Limit state from UsageLimiter, or the IP limit
+ * @param {Object} extra - More fields for the body
+ */
+export function sendLimitExceeded(res, state, extra = {}) {
+  res.removeHeader('RateLimit-Remaining');
+  setRateLimitHeaders(res, state);
+  const retryAfter = Math.max(1, Math.ceil((state.reset - Date.now()) / 1000));
+  const kind = state.period === DAY ? 'Daily quota' : 'Rate limit';
+
+  res
+    .status(429)
+    .setHeader('Retry-After', String(retryAfter))
+    .json({
+      error: `${kind} exceeded: ${state.limit} ${state.unit} per ${describePeriod(state.period)} for ${describeSubject(state)}`,
+      limit: {
+        name: state.name,
+        scope: state.scope,
+        subject: state.subject,
+        unit: state.unit,
+        limit: state.limit,
+        used: state.used,
+        period: describePeriod(state.period),
+        reset: new Date(state.reset).toISOString(),
+      },
+      retry_after: retryAfter,
+      ...extra,
+    });
+}
+
+/**
+ * Apply the outcome of UsageLimiter.consume() to a response
+ * @returns {boolean} Whether the request may go on; when not, the 429 has
+ *   been sent
+ */
+export function applyLimit(res, result) {
+  if (!result.ok) {
+    sendLimitExceeded(res, result.exceeded);
+    return false;
+  }
+  if (result.tightest) setRateLimitHeaders(res, result.tightest);
+  return true;
+}
+
+/**
+ * Middleware counting every request of the authenticated key (`req.apiKey`)
+ * @param {Object} limiter - UsageLimiter
+ * @param {string} unit - `requests`, or `reads` for polling endpoints
+ */
+export function limitKeyRequests(limiter, unit = 'requests') {
+  return (req, res, next) => {
+    if (applyLimit(res, limiter.consume(unit, { key: req.apiKey }))) {
+      next();
+    }
+  };
+}
+
+/**
+ * Per-IP limit in front of authentication. Only failed requests count, so it
+ * stops key guessing without throttling busy keys behind a shared address;
+ * `req.ip` is the client's address when `trust proxy` is set for the proxies
+ * in front of the server.
+ * @param {Object} options - `windowMs` and `limit` failed requests; a limit
+ *   of 0 turns it off
+ */
+export function createIpLimiter({ windowMs, limit }) {
+  // express-rate-limit would refuse every request with a limit of 0
+  if (limit === 0) return (req, res, next) => next();
+
+  return rateLimit({
+    windowMs,
+    limit,
+    skipSuccessfulRequests: true,
+    standardHeaders: 'draft-6',
+    legacyHeaders: false,
+    handler: (req, res) => {
+      const { used, resetTime } = req.rateLimit;
+      sendLimitExceeded(res, {
+        name: 'ip_rate_limit',
+        scope: 'ip',
+        subject: req.ip,
+        unit: 'failed requests',
+        limit,
+        used,
+        remaining: 0,
+        period: windowMs,
+        reset: resetTime?.getTime() ?? Date.now() + windowMs,
+      });
+    },
+  });
+}
+
+/**
+ * Turn TRUST_PROXY into Express's `trust proxy` setting: a number of proxy
+ * hops, `true`/`false`, or a list of proxy addresses and subnets
+ */
+export function parseTrustProxy(value) {
+  if (value === undefined || value === null || value === '') return false;
+  if (/^\d+$/.test(value)) return Number(value);
+  if (value === 'true' || value === 'false') return value === 'true';
+  return value
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean);
+}
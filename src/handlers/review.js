@@ -3,398 +3,415 @@
  * Handles the logic for reviewing GitHub Pull Requests
  */
 
-import { GoogleGenerativeAI } from '@google/generative-ai';
-import { toolDefinitions, toolHandlers } from '../tools/index.js';
+import { callTool, toolDefinitions, toolHandlers } from '../tools/index.js';
 import { GitHubService } from '../services/github.js';
 import { AnalysisService } from '../services/analysis.js';
+import { ConfigService } from '../services/config.js';
+import { AdvisoryService } from '../services/advisories.js';
+import { createProvider } from '../providers/index.js';
+import { runAgentLoop } from './agent.js';
+import { requestStructuredReview } from './review_output.js';
+import { postStructuredReview } from './auto_post.js';
 
 /**
- * Convert MCP tool definitions to Gemini function calling format
- * @param {Array} mcpToolDefinitions - Array of MCP tool definitions
- * @returns {Array} Array of Gemini function declarations
+ * Initialize services
+ * @param {Object} config - ConfigService instance
+ * @returns {Object} Initialized GitHub and Analysis services
  */
-function convertMCPToolsToGeminiFunctions(mcpToolDefinitions) {
-  const converted = mcpToolDefinitions.map(tool => ({
-    name: tool.name,
-    description: tool.description,
-    parameters: tool.inputSchema
-  }));
-  
-  // Debug: Log the first converted function to verify format
-  if (converted.length > 0) {
-    console.log('🔍 Sample converted function:', JSON.stringify(converted[0], null, 2));
-  }
-  
-  return converted;
+function initServices(config) {
+  const github = GitHubService.fromConfig(config);
+  const analysis = new AnalysisService({
+    advisories: AdvisoryService.fromConfig(config),
+  });
+  return { github, analysis };
 }
 
 /**
- * Initialize services
- * @returns {Object} Initialized GitHub and Analysis services
+ * Initialize the LLM provider with the MCP tools available for function calling
+ * @param {Object} config - ConfigService instance
+ * @param {Object} options - Optional `provider` (name or instance) and `model`
+ * @param {Array<Object>} tools - Tool definitions offered to the model
+ * @returns {Object} Provider instance
  */
-function initServices() {
-  const github = new GitHubService(process.env.GITHUB_TOKEN);
-  const analysis = new AnalysisService();
-  return { github, analysis };
+function initProvider(config, options, tools) {
+  // An already constructed provider is used as is (e.g. a scripted test double)
+  const provider =
+    typeof options.provider === 'object'
+      ? options.provider
+      : createProvider(config, {
+          provider: options.provider,
+          model: options.model,
+          tools,
+        });
+  console.log(
+    `🔧 Using ${provider.name} (${provider.model}) with ${tools.length} tools:`,
+    tools.map(tool => tool.name).join(', ')
+  );
+  return provider;
 }
 
 /**
- * Initialize Gemini AI client with function calling
- * @returns {Object} Initialized Gemini client and model with tools
+ * Run the agent loop with the limits from configuration
+ * @param {Object} provider - LLM provider instance
+ * @param {Array<Object>} messages - Conversation to start from
+ * @param {Object} services - GitHub and Analysis services
+ * @param {Object} config - ConfigService instance
+ * @param {Array<Object>} tools - Tool definitions the model may call
+ * @param {Object} limits - The review's `deadline` (epoch ms) and optional
+ *   `signal` that cancels it
+ * @returns {Promise<Object>} Agent loop result
  */
-function initGeminiClient() {
-  const apiKey = process.env.GEMINI_API_KEY;
-  
-  if (!apiKey) {
-    throw new Error('GEMINI_API_KEY environment variable is required');
-  }
-  
-  const genAI = new GoogleGenerativeAI(apiKey);
-  
-  // Convert MCP tools to Gemini function format
-  const geminiFunctions = convertMCPToolsToGeminiFunctions(toolDefinitions);
-  console.log(`🔧 Converted ${geminiFunctions.length} tools for Gemini:`, geminiFunctions.map(f => f.name).join(', '));
-  
-  // Initialize model with function calling capabilities
-  const model = genAI.getGenerativeModel({ 
-    model: 'gemini-2.5-flash',
-    tools: [{ functionDeclarations: geminiFunctions }]
-    // Note: Removing toolConfig for now as it might be causing issues
+async function runReviewAgent(
+  provider,
+  messages,
+  services,
+  config,
+  tools,
+  { deadline, signal }
+) {
+  return runAgentLoop({
+    provider,
+    messages,
+    maxIterations: config.getInt('AGENT_MAX_ITERATIONS', 10),
+    maxToolCalls: config.getInt('AGENT_MAX_TOOL_CALLS', 30),
+    timeout: config.getInt('REVIEW_TIMEOUT', 300000),
+    deadline,
+    signal,
+    executeTool: (name, args, { signal: toolSignal }) => {
+      if (toolHandlers[name] && !tools.some(tool => tool.name === name)) {
+        throw new Error(`Tool not available in this review: ${name}`);
+      }
+      return callTool(services, name, args, { signal: toolSignal });
+    },
+    onTurn: response => {
+      if (response.tool_calls.length > 0) {
+        console.log(
+          `🔧 Model wants to use ${response.tool_calls.length} tool(s): ${response.tool_calls.map(call => call.name).join(', ')}`
+        );
+      } else {
+        console.log(
+          `📥 Model answered with ${response.text.length} characters of text`
+        );
+      }
+    },
   });
-  
-  return { genAI, model };
 }
 
 /**
- * Execute tool function call
- * @param {string} functionName - Name of the function to call
- * @param {Object} args - Arguments for the function
- * @param {Object} services - GitHub and Analysis services
- * @returns {Promise<Object>} Function execution result
+ * Prompt addition for a reference that points at a commit or file
  */
-async function executeToolFunction(functionName, args, services) {
-  console.log(`🛠️  Looking up handler for function: ${functionName}`);
-  const handler = toolHandlers[functionName];
-  
-  if (!handler) {
-    console.error(`❌ Unknown function: ${functionName}`);
-    throw new Error(`Unknown function: ${functionName}`);
+function describeScope(scope) {
+  if (!scope) return '';
+
+  const focus = [];
+  if (scope.base_sha) {
+    focus.push(
+      `the changes from commit ${scope.base_sha} to ${scope.commit_sha}`
+    );
+  } else if (scope.commit_sha) {
+    focus.push(`commit ${scope.commit_sha}`);
   }
-  
-  console.log(`⚡ Executing ${functionName} with handler found`);
-  
-  // Call the handler with appropriate services based on the function
-  if (functionName === 'get_pr_details' || functionName === 'get_pr_files' || 
-      functionName === 'get_pr_commits' || functionName === 'get_file_content' || 
-      functionName === 'post_pr_review' || functionName === 'get_repo_info' ||
-      functionName === 'get_review_prompts') {
-    console.log(`🔗 Calling ${functionName} with GitHub service`);
-    return await handler(services.github, args);
-  } else {
-    // Analysis tools need both services
-    console.log(`🔍 Calling ${functionName} with both GitHub and Analysis services`);
-    return await handler(services.github, services.analysis, args);
+  if (scope.file_anchor) {
+    const lines = scope.start_line
+      ? ` lines ${scope.start_line}-${scope.line}`
+      : scope.line
+        ? ` line ${scope.line}`
+        : '';
+    focus.push(
+      `the file${lines} that get_pr_details reports under "scope.file"`
+    );
   }
+
+  return `\n\n  The user linked ${focus.join(' and ')}. Focus the review there, but still consider the rest of the PR.`;
 }
 
 /**
- * Handle function calls and continue conversation until final response
- * @param {Object} response - Initial response with function calls
- * @param {Object} model - Gemini model instance
- * @param {string} initialPrompt - The initial prompt sent
- * @param {Object} services - GitHub and Analysis services
- * @param {string} prUrl - The PR URL being reviewed
- * @returns {Promise<{message: string}>} Final review result
+ * Save a review run to the history store. The head SHA comes from the PR
+ * snapshot the review just loaded (normally a cache hit). A failing store
+ * never fails the review.
+ * @param {Object} history - History store (see services/review_history.js)
+ * @param {Object} github - GitHub service for the PR's host
+ * @param {Object} run - The record without `id`, `created_at` and `head_sha`
  */
-async function handleFunctionCalls(response, model, initialPrompt, services, prUrl) {
-  console.log(`🔧 Model wants to use ${response.functionCalls.length} tool(s): ${response.functionCalls.map(fc => fc.name).join(', ')}`);
-  
-  let conversationHistory = [
-    { role: 'user', parts: [{ text: initialPrompt }] },
-    { role: 'model', parts: [{ functionCall: response.functionCalls[0] }] }
-  ];
-  
-  // Execute function calls iteratively
-  console.log('⚙️ Starting initial function call execution...');
-  for (const functionCall of response.functionCalls) {
-    try {
-      console.log(`🔄 Executing tool: ${functionCall.name} with args:`, JSON.stringify(functionCall.args, null, 2));
-      const functionResult = await executeToolFunction(
-        functionCall.name,
-        functionCall.args,
-        services
-      );
-      console.log(`✅ Tool ${functionCall.name} completed successfully`);
-      
-      // Add function response to conversation
-      conversationHistory.push({
-        role: 'function',
-        parts: [{ functionResponse: { name: functionCall.name, response: functionResult } }]
-      });
-    } catch (error) {
-      console.error(`❌ Error executing function ${functionCall.name}:`, error);
-      conversationHistory.push({
-        role: 'function',
-        parts: [{ functionResponse: { name: functionCall.name, response: { error: error.message } } }]
-      });
-    }
-  }
-  
-  // Continue conversation with function results until we get a text response
-  console.log('💬 Starting chat session with function results...');
-  const chat = model.startChat({ history: conversationHistory });
-  console.log('📝 Continuing analysis - asking model to use more tools...');
-  let finalResult = await chat.sendMessage(`Now call get_pr_details to get information about this PR: ${prUrl}`);
-  let finalResponse = await finalResult.response;
-  
-  // Debug the continuation response
-  console.log('🔍 Continuation response structure:');
-  console.log('  - functionCalls:', finalResponse.functionCalls ? finalResponse.functionCalls.length : 'undefined');
-  console.log('  - text length:', finalResponse.text() ? finalResponse.text().length : 'no text');
-  console.log('  - candidates:', finalResponse.candidates ? finalResponse.candidates.length : 'undefined');
-  
-  // Debug candidate structure
-  if (finalResponse.candidates && finalResponse.candidates.length > 0) {
-    const candidate = finalResponse.candidates[0];
-    console.log('🔍 Continuation candidate structure:');
-    console.log('  - content parts:', candidate.content?.parts ? candidate.content.parts.length : 'undefined');
-    if (candidate.content?.parts) {
-      candidate.content.parts.forEach((part, idx) => {
-        console.log(`  - part ${idx}:`, Object.keys(part));
-        if (part.functionCall) {
-          console.log(`    - functionCall: ${part.functionCall.name}`);
-        }
-      });
-    }
-  }
-  
-  // Check for function calls in candidates for continuation
-  if ((!finalResponse.functionCalls || finalResponse.functionCalls.length === 0) && finalResponse.candidates && finalResponse.candidates.length > 0) {
-    const candidate = finalResponse.candidates[0];
-    if (candidate.content?.parts) {
-      const candidateFunctionCalls = candidate.content.parts
-        .filter(part => part.functionCall)
-        .map(part => part.functionCall);
-      if (candidateFunctionCalls.length > 0) {
-        console.log(`🔍 Found ${candidateFunctionCalls.length} function calls in continuation candidates`);
-        finalResponse.functionCalls = candidateFunctionCalls;
-      }
-    }
-  }
-  
-  let iterationCount = 0;
-  let toolsUsed = new Set(['get_review_prompts']); // Track which tools have been used
-  
-  // Keep handling function calls until we get a final text response
-  while (finalResponse.functionCalls && finalResponse.functionCalls.length > 0) {
-    iterationCount++;
-    console.log(`🔄 Model wants to make additional function calls (iteration ${iterationCount}): ${finalResponse.functionCalls.map(fc => fc.name).join(', ')}`);
-    
-    // Execute any additional function calls
-    for (const functionCall of finalResponse.functionCalls) {
-      toolsUsed.add(functionCall.name);
-      try {
-        console.log(`🔄 Executing additional tool: ${functionCall.name} with args:`, JSON.stringify(functionCall.args, null, 2));
-        const functionResult = await executeToolFunction(
-          functionCall.name,
-          functionCall.args,
-          services
-        );
-        console.log(`✅ Additional tool ${functionCall.name} completed successfully`);
-        
-        // Send function response back to the chat
-        console.log(`📤 Sending ${functionCall.name} result back to chat...`);
-        finalResult = await chat.sendMessage([{
-          functionResponse: {
-            name: functionCall.name,
-            response: functionResult
-          }
-        }]);
-        finalResponse = await finalResult.response;
-        console.log('📥 Received response from chat');
-        
-        // Check if function calls are in candidates for the next iteration
-        if (!finalResponse.functionCalls || finalResponse.functionCalls.length === 0) {
-          if (finalResponse.candidates && finalResponse.candidates.length > 0) {
-            const candidate = finalResponse.candidates[0];
-            if (candidate.content?.parts) {
-              const candidateFunctionCalls = candidate.content.parts
-                .filter(part => part.functionCall)
-                .map(part => part.functionCall);
-              if (candidateFunctionCalls.length > 0) {
-                finalResponse.functionCalls = candidateFunctionCalls;
-              }
-            }
-          }
-        }
-      } catch (error) {
-        console.error(`❌ Error executing additional function ${functionCall.name}:`, error);
-        // Send error response back to the chat
-        console.log(`📤 Sending error response for ${functionCall.name} back to chat...`);
-        finalResult = await chat.sendMessage([{
-          functionResponse: {
-            name: functionCall.name,
-            response: { error: error.message }
-          }
-        }]);
-        finalResponse = await finalResult.response;
-        console.log('📥 Received error response from chat');
-        
-        // Check if function calls are in candidates for the next iteration
-        if (!finalResponse.functionCalls || finalResponse.functionCalls.length === 0) {
-          if (finalResponse.candidates && finalResponse.candidates.length > 0) {
-            const candidate = finalResponse.candidates[0];
-            if (candidate.content?.parts) {
-              const candidateFunctionCalls = candidate.content.parts
-                .filter(part => part.functionCall)
-                .map(part => part.functionCall);
-              if (candidateFunctionCalls.length > 0) {
-                finalResponse.functionCalls = candidateFunctionCalls;
-              }
-            }
-          }
-        }
-      }
-    }
-    
-    // If no more function calls but we haven't used enough tools, request final review
-    if ((!finalResponse.functionCalls || finalResponse.functionCalls.length === 0) && toolsUsed.size >= 3) {
-      console.log(`📊 Used ${toolsUsed.size} tools: ${Array.from(toolsUsed).join(', ')}`);
-      console.log('🎯 Requesting final comprehensive review...');
-      finalResult = await chat.sendMessage('Now provide your comprehensive PR review based on all the analysis above. Include specific findings, recommendations, and any issues discovered.');
-      finalResponse = await finalResult.response;
-    }
+async function recordReview(history, github, run) {
+  if (!history) return;
+  try {
+    const details = await github.getPRDetails(run.pr_url).catch(() => null);
+    await history.add({ ...run, head_sha: details?.pr.head_sha ?? null });
+  } catch (error) {
+    console.error('❌ Failed to record review history:', error.message);
   }
-  
-  console.log('🎯 Model provided final text response, completing review...');
-  const finalMessage = finalResponse.text();
-  console.log(`📋 Final review length: ${finalMessage.length} characters`);
-  console.log('🏁 PR review completed successfully!');
-  
-  return {
-    message: finalMessage
-  };
 }
 
 /**
  * Review a GitHub Pull Request
- * @param {string} prUrl - The GitHub PR URL to review
- * @returns {Promise<{message: string}>} Review result
+ * @param {string} prReference - The PR to review: a PR URL (sub-pages like
+ *   /files or /commits/<sha> narrow the focus), an API URL, `owner/repo#123`
+ *   or a number in DEFAULT_REPO
+ * @param {Object} options - Optional overrides:
+ *   - provider: provider name (see listProviders) or a provider instance
+ *   - model: model name for the provider
+ *   - services: `{ github, analysis }` to use instead of building them from config
+ *   - config: ConfigService instance
+ *   - post: post the structured review to GitHub (defaults to AUTO_POST_REVIEW)
+ *   - sticky: post the summary as one PR comment that is updated on every run
+ *     (defaults to STICKY_REVIEW_SUMMARY)
+ *   - signal: AbortSignal that cancels the review; nothing is posted after it
+ *     aborts
+ *   - history: store every run is recorded in, succeeded or not
+ *   - trigger, job_id: what started the run, kept in its history record
+ * @returns {Promise<Object>} Markdown review message, structured review, tool
+ *   transcript and usage
  */
-export async function reviewPullRequest(prUrl) {
-  console.log(`🚀 Starting PR review for: ${prUrl}`);
-  
-  // Initialize services and Gemini AI client
-  console.log('📦 Initializing services and Gemini AI client...');
-  const services = initServices();
-  const { model } = initGeminiClient();
+export async function reviewPullRequest(prReference, options = {}) {
+  console.log(`🚀 Starting PR review for: ${prReference}`);
+
+  // Initialize services and LLM provider
+  console.log('📦 Initializing services and LLM provider...');
+  const config = options.config || new ConfigService();
+  const baseServices = options.services || initServices(config);
+  // The model and every tool get the canonical URL, whatever form was passed
+  const reference = baseServices.github.resolvePRReference(prReference);
+  const prUrl = reference.url;
+  // Every GitHub call of this review goes to the host of the PR
+  const services = {
+    ...baseServices,
+    github: baseServices.github.forHost(reference.host),
+  };
+  const autoPost = options.post ?? config.getBool('AUTO_POST_REVIEW', false);
+  // In auto-post mode the handler posts, so the model must not post itself
+  const tools = autoPost
+    ? toolDefinitions.filter(tool => tool.name !== 'post_pr_review')
+    : toolDefinitions;
+  const provider = initProvider(config, options, tools);
   console.log('✅ Services initialized successfully');
-  
+
+  const startedAt = Date.now();
+  // REVIEW_TIMEOUT covers the whole review: every fallback strategy and the
+  // structured output share one deadline
+  const timeout = config.getInt('REVIEW_TIMEOUT', 300000);
+  const limits = { deadline: startedAt + timeout, signal: options.signal };
+  const run = {
+    pr_url: prUrl,
+    owner: reference.owner,
+    repo: reference.repo,
+    pull_number: reference.pull_number,
+    trigger: options.trigger ?? null,
+    job_id: options.job_id ?? null,
+    provider: provider.name,
+    model: provider.model,
+  };
+
   // Initial prompt for PR review
   const prompt = `You are an expert code reviewer analyzing PR: ${prUrl}
 
   Final response is in markdown format used for telegram response, please adjust to it.
 
-  You must start by calling the get_review_prompts function immediately. Do not explain what you will do - just call the function now.`;
+  You must start by calling the get_review_prompts function and the get_pr_details function with pr_url "${prUrl}" immediately. You may call several tools in one turn. Do not explain what you will do - just call the functions now.${describeScope(reference.scope)}`;
 
-  try {
-    console.log('🤖 Sending initial prompt to Gemini...');
-    const result = await model.generateContent({
-      contents: [{ parts: [{ text: prompt }] }]
-    });
-    const response = await result.response;
-    console.log('📥 Received initial response from Gemini');
-    
-    // Debug: Log response structure to understand what we're getting
-    console.log('🔍 Response structure:');
-    console.log('  - functionCalls:', response.functionCalls ? response.functionCalls.length : 'undefined');
-    console.log('  - text length:', response.text() ? response.text().length : 'no text');
-    console.log('  - candidates:', response.candidates ? response.candidates.length : 'undefined');
-    
-    // Check if function calls are in candidates
-    if (response.candidates && response.candidates.length > 0) {
-      const candidate = response.candidates[0];
-      console.log('🔍 First candidate structure:');
-      console.log('  - content parts:', candidate.content?.parts ? candidate.content.parts.length : 'undefined');
-      if (candidate.content?.parts) {
-        candidate.content.parts.forEach((part, idx) => {
-          console.log(`  - part ${idx}:`, Object.keys(part));
-          if (part.functionCall) {
-            console.log(`    - functionCall: ${part.functionCall.name}`);
-          }
+  const usage = { input_tokens: 0, output_tokens: 0 };
+  const finish = async (result, messages) => {
+    usage.input_tokens += result.usage.input_tokens;
+    usage.output_tokens += result.usage.output_tokens;
+
+    // Restate the review as validated JSON; the markdown review is still
+    // returned when this fails
+    let structured = { review: null, errors: [] };
+    if (messages && result.message) {
+      console.log('🧾 Requesting structured review output...');
+      messages.push({ role: 'assistant', content: result.message });
+      try {
+        // Retries get whatever is left of the review's time limit
+        structured = await requestStructuredReview(provider, messages, {
+          retries: config.getInt('REVIEW_OUTPUT_RETRIES', 2),
+          timeout,
+          ...limits,
         });
+        usage.input_tokens += structured.usage.input_tokens;
+        usage.output_tokens += structured.usage.output_tokens;
+      } catch (error) {
+        console.error('❌ Structured review failed:', error.message);
+        structured.errors = [error.message];
+        usage.input_tokens += error.usage?.input_tokens || 0;
+        usage.output_tokens += error.usage?.output_tokens || 0;
       }
     }
-    
-    // Handle function calls if the model wants to use tools
-    // Check both response.functionCalls and in candidates
-    let functionCalls = response.functionCalls;
-    
-    if ((!functionCalls || functionCalls.length === 0) && response.candidates && response.candidates.length > 0) {
-      const candidate = response.candidates[0];
-      if (candidate.content?.parts) {
-        functionCalls = candidate.content.parts
-          .filter(part => part.functionCall)
-          .map(part => part.functionCall);
-        console.log(`🔍 Found ${functionCalls.length} function calls in candidates`);
+
+    // A cancelled review must not show up on the PR
+    options.signal?.throwIfAborted();
+
+    // Auto-post mode: publish the structured review within the comment budget
+    let posting = null;
+    if (autoPost) {
+      if (!structured.review) {
+        posting = { error: 'No valid structured review to post' };
+      } else {
+        try {
+          posting = await postStructuredReview(
+            services.github,
+            prUrl,
+            structured.review,
+            {
+              maxComments: config.getInt('MAX_REVIEW_COMMENTS', 3),
+              sticky:
+                options.sticky ??
+                config.getBool('STICKY_REVIEW_SUMMARY', false),
+            }
+          );
+          console.log(
+            `✅ Review posted: ${posting.summary?.comment_url ?? posting.review_url}`
+          );
+        } catch (error) {
+          console.error('❌ Failed to post review:', error.message);
+          posting = { error: error.message };
+        }
       }
     }
-    
-    if (functionCalls && functionCalls.length > 0) {
-      console.log('🎯 Found function calls, processing...');
-      // Create a response-like object for handleFunctionCalls
-      const responseWithCalls = { ...response, functionCalls };
-      return await handleFunctionCalls(responseWithCalls, model, prompt, services, prUrl);
-    } else {
-      // No function calls, return direct response
-      console.log('📝 Model provided direct text response without function calls');
-      const directMessage = response.text();
-      console.log(`📋 Direct response length: ${directMessage.length} characters`);
-      console.log('📄 Direct response content:', directMessage);
-      
-      // If we get an empty or very short response, there might be an issue
-      if (!directMessage || directMessage.length < 50) {
-        console.log('⚠️  Response too short or empty - this might indicate a configuration issue');
-        console.log('🔄 Attempting to force function calling by being more explicit...');
-        
-        // Try multiple strategies to trigger function calls
-        const strategies = [
-          `Please call the get_review_prompts function now.`,
-          `Start by calling get_pr_details function with pr_url: "${prUrl}"`,
-          `Use the available tools to analyze PR: ${prUrl}. Call get_pr_details first.`
-        ];
-        
-        for (let i = 0; i < strategies.length; i++) {
-          console.log(`🎯 Trying strategy ${i + 1}: ${strategies[i]}`);
-          try {
-            const forceResult = await model.generateContent(strategies[i]);
-            const forceResponse = await forceResult.response;
-            
-            if (forceResponse.functionCalls && forceResponse.functionCalls.length > 0) {
-              console.log(`✅ Strategy ${i + 1} successfully triggered function calls!`);
-              return await handleFunctionCalls(forceResponse, model, strategies[i], services, prUrl);
-            } else {
-              console.log(`❌ Strategy ${i + 1} failed - no function calls generated`);
-            }
-          } catch (error) {
-            console.error(`❌ Strategy ${i + 1} error:`, error.message);
-          }
+
+    const cacheStats = services.github.getCacheStats();
+    console.log(
+      `📊 ${result.iterations} turn(s), ${result.tool_calls} tool call(s), stopped: ${result.stop_reason}`
+    );
+    console.log(
+      `🗃️  PR cache: ${cacheStats.hits} hits, ${cacheStats.misses} misses, ${cacheStats.revalidated} revalidated, ${cacheStats.deduped} deduped`
+    );
+    console.log('🏁 PR review completed successfully!');
+
+    await recordReview(options.history, services.github, {
+      ...run,
+      status: 'succeeded',
+      error: null,
+      verdict: structured.review?.verdict ?? null,
+      summary: structured.review?.summary ?? null,
+      findings: structured.review?.findings ?? [],
+      message: result.message,
+      posting,
+      transcript: result.transcript,
+      usage,
+      stop_reason: result.stop_reason,
+      duration_ms: Date.now() - startedAt,
+    });
+
+    return {
+      pr_url: prUrl,
+      scope: reference.scope,
+      message: result.message,
+      review: structured.review,
+      review_errors: structured.errors,
+      posting,
+      provider: provider.name,
+      model: provider.model,
+      stop_reason: result.stop_reason,
+      iterations: result.iterations,
+      tool_calls: result.tool_calls,
+      transcript: result.transcript,
+      usage,
+      duration_ms: result.duration_ms,
+      cache_stats: cacheStats,
+    };
+  };
+
+  try {
+    console.log(`🤖 Sending initial prompt to ${provider.name}...`);
+    const messages = [{ role: 'user', content: prompt }];
+    const result = await runReviewAgent(
+      provider,
+      messages,
+      services,
+      config,
+      tools,
+      limits
+    );
+
+    // An empty or very short answer without any tool call usually means the
+    // model ignored the tools, so retry with more explicit instructions
+    if (result.tool_calls > 0 || result.message.length >= 50) {
+      return await finish(result, messages);
+    }
+
+    console.log(
+      '⚠️  Response too short or empty - this might indicate a configuration issue'
+    );
+    console.log(
+      '🔄 Attempting to force function calling by being more explicit...'
+    );
+    usage.input_tokens += result.usage.input_tokens;
+    usage.output_tokens += result.usage.output_tokens;
+
+    const strategies = [
+      `Please call the get_review_prompts function now.`,
+      `Start by calling get_pr_details function with pr_url: "${prUrl}"`,
+      `Use the available tools to analyze PR: ${prUrl}. Call get_pr_details first.`,
+    ];
+
+    for (let i = 0; i < strategies.length; i++) {
+      console.log(`🎯 Trying strategy ${i + 1}: ${strategies[i]}`);
+      try {
+        const strategyMessages = [{ role: 'user', content: strategies[i] }];
+        const strategyResult = await runReviewAgent(
+          provider,
+          strategyMessages,
+          services,
+          config,
+          tools,
+          limits
+        );
+
+        if (strategyResult.tool_calls > 0) {
+          console.log(
+            `✅ Strategy ${i + 1} successfully triggered function calls!`
+          );
+          return await finish(strategyResult, strategyMessages);
         }
-        
-        console.log('⚠️  All fallback strategies failed - returning empty response');
-        return {
-          message: "Unable to analyze PR - function calling not working properly. Please check configuration."
-        };
+
+        console.log(
+          `❌ Strategy ${i + 1} failed - no function calls generated`
+        );
+        usage.input_tokens += strategyResult.usage.input_tokens;
+        usage.output_tokens += strategyResult.usage.output_tokens;
+      } catch (error) {
+        // A rethrown error's partial usage is added by the outer catch.
+        // Once the deadline passed, the other strategies cannot run either.
+        if (options.signal?.aborted || Date.now() >= limits.deadline) {
+          throw error;
+        }
+        console.error(`❌ Strategy ${i + 1} error:`, error.message);
+        usage.input_tokens += error.usage?.input_tokens || 0;
+        usage.output_tokens += error.usage?.output_tokens || 0;
       }
-      
-      console.log('🏁 PR review completed with direct response');
-      return {
-        message: directMessage
-      };
     }
+
+    console.log(
+      '⚠️  All fallback strategies failed - returning empty response'
+    );
+    return await finish({
+      ...result,
+      message:
+        'Unable to analyze PR - function calling not working properly. Please check configuration.',
+      usage: { input_tokens: 0, output_tokens: 0 },
+    });
   } catch (error) {
     console.error('💥 Error during PR review:', error);
     console.error('Stack trace:', error.stack);
+    // Tokens the failed agent loop spent before the error
+    usage.input_tokens += error.usage?.input_tokens || 0;
+    usage.output_tokens += error.usage?.output_tokens || 0;
+    await recordReview(options.history, services.github, {
+      ...run,
+      status: options.signal?.aborted ? 'cancelled' : 'failed',
+      error: error.message,
+      verdict: null,
+      summary: null,
+      findings: [],
+      message: null,
+      posting: null,
+      transcript: error.transcript ?? [],
+      usage,
+      stop_reason: null,
+      duration_ms: Date.now() - startedAt,
+    });
+    // Tokens spent before the failure still count against quotas
+    error.usage = usage;
     throw error;
   }
 }
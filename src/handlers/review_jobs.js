@@ -0,0 +1,181 @@
+/**
+ * Review Jobs API
+ * POST /review queues a background review and answers 202 with the job;
+ * GET /review/:id reports its state and result, DELETE /review/:id cancels
+ * it. `"wait": true` keeps the old blocking behaviour.
+ *
+ * Callers need the `review` operation on the PR's repository, and `post` when
+ * the review is posted. Jobs of other callers need `admin`, except webhook
+ * jobs, which anyone who may review the repository can read. Reviews over a
+ * repository's rate limit or quota, or while the queue is full, are refused
+ * with 429. A review only counts against the limits once it is queued, not
+ * when the request joins a queued review.
+ */
+
+import express from 'express';
+import { serializeJob } from '../services/review_queue.js';
+import { checkCallbackUrl } from '../utils/callback_url.js';
+import { applyLimit, setRateLimitHeaders } from './rate_limit.js';
+
+/**
+ * Create the router for the review job endpoints
+ * @param {Object} options - `queue` (ReviewQueue), `authenticate` middleware
+ *   (sets `req.apiKey`) and `authenticateRead` for polling a job (defaults
+ *   to `authenticate`), `allows(req, operation, prReference)` checking the
+ *   caller's key, `checkReview(req, prReference)` checking the review
+ *   against rate limits and `admitReview(req, prReference)` counting it
+ *   (return the UsageLimiter.check() and consume() outcomes),
+ *   `checkCallback(url)` rejecting callback URLs that may not be requested,
+ *   the `providers` that may be requested and whether reviews are posted by
+ *   default (`autoPost`)
+ * @returns {Object} Express router
+ */
+export function createReviewJobRouter({
+  queue,
+  authenticate,
+  authenticateRead = authenticate,
+  allows = () => true,
+  checkReview = () => ({ ok: true }),
+  admitReview = () => ({ ok: true }),
+  checkCallback = url => checkCallbackUrl(url),
+  providers,
+  autoPost = false,
+}) {
+  const router = express.Router();
+
+  /**
+   * Find a job the caller may see: its own, any with `admin`, and webhook
+   * jobs of repositories it may review
+   */
+  function findJob(req) {
+    const job = queue.get(req.params.id);
+    if (!job) return null;
+    if (job.owner === req.apiKey || allows(req, 'admin', job.pr_url)) {
+      return job;
+    }
+    return !job.owner && allows(req, 'review', job.pr_url) ? job : null;
+  }
+
+  router.post('/review', authenticate, async (req, res) => {
+    const { pr, provider, model, post, sticky, callback_url, wait } =
+      req.body || {};
+
+    if (!pr) {
+      return res.status(400).json({ error: 'PR URL is required' });
+    }
+
+    if (provider && !providers.includes(provider)) {
+      return res.status(400).json({
+        error: `Unknown provider: ${provider}`,
+        available_providers: providers,
+      });
+    }
+
+    if (callback_url !== undefined) {
+      try {
+        await checkCallback(callback_url);
+      } catch (error) {
+        if (error.status === 400) {
+          return res.status(400).json({ error: error.message });
+        }
+        throw error;
+      }
+    }
+
+    // Only options that were set, so equivalent requests coalesce
+    const options = Object.fromEntries(
+      Object.entries({
+        provider,
+        model,
+        post: typeof post === 'boolean' ? post : undefined,
+        sticky: typeof sticky === 'boolean' ? sticky : undefined,
+      }).filter(([, value]) => value !== undefined)
+    );
+
+    let queued;
+    try {
+      if (!allows(req, 'review', pr)) {
+        return res
+          .status(403)
+          .json({ error: 'API key may not review this repository' });
+      }
+      if ((options.post ?? autoPost) && !allows(req, 'post', pr)) {
+        return res
+          .status(403)
+          .json({ error: 'API key may not post reviews to this repository' });
+      }
+      if (!applyLimit(res, checkReview(req, pr))) return;
+
+      queued = queue.enqueue(pr, {
+        options,
+        callback_url: callback_url ?? null,
+        owner: req.apiKey,
+      });
+      // Counted once queued: a refused request or one joining a queued
+      // review does not use up the limits. Nothing ran in between, so the
+      // check above still holds.
+      if (!queued.coalesced) {
+        const admitted = admitReview(req, pr);
+        if (admitted.tightest) setRateLimitHeaders(res, admitted.tightest);
+      }
+    } catch (error) {
+      // Malformed PR references, refused callbacks and a full queue are
+      // reported back to the caller
+      if (error.status === 400 || error.status === 429) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      throw error;
+    }
+    const { job, coalesced } = queued;
+
+    if (wait === true) {
+      await queue.wait(job.id);
+      if (job.state === 'succeeded') return res.json(job.result);
+      return res.status(job.state === 'cancelled' ? 409 : 500).json({
+        error:
+          job.state === 'cancelled'
+            ? 'Review was cancelled'
+            : 'Failed to review PR',
+        job_id: job.id,
+      });
+    }
+
+    res
+      .status(202)
+      .location(`/review/${job.id}`)
+      .json({
+        ...serializeJob(job),
+        coalesced,
+        status_url: `/review/${job.id}`,
+      });
+  });
+
+  router.get('/review/:id', authenticateRead, (req, res) => {
+    const job = findJob(req);
+    if (!job) return res.status(404).json({ error: 'Review job not found' });
+    res.json(serializeJob(job));
+  });
+
+  router.delete('/review/:id', authenticate, (req, res) => {
+    const job = findJob(req);
+    if (!job) return res.status(404).json({ error: 'Review job not found' });
+    // Webhook jobs can be read by reviewers but only cancelled by admins
+    if (job.owner !== req.apiKey && !allows(req, 'admin', job.pr_url)) {
+      return res
+        .status(403)
+        .json({ error: 'API key may not cancel this review job' });
+    }
+
+    if (['succeeded', 'failed', 'cancelled'].includes(job.state)) {
+      return res.status(409).json({
+        error: `Review job already ${job.state}`,
+        job: serializeJob(job),
+      });
+    }
+
+    queue.cancel(job.id);
+    res.json(serializeJob(job));
+  });
+
+  return router;
+}
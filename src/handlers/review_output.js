@@ -0,0 +1,232 @@
+/**
+ * Structured Review Output
+ * Turns the agent's review into a validated JSON result (summary, verdict,
+ * findings) that tooling can post, gate on or store without parsing prose.
+ */
+
+import { validateSchema } from '../utils/schema.js';
+import { beforeAbort, deadlineSignal } from './agent.js';
+
+export const SEVERITIES = ['critical', 'high', 'medium', 'low', 'info'];
+
+export const VERDICTS = ['APPROVE', 'REQUEST_CHANGES', 'COMMENT'];
+
+export const reviewOutputSchema = {
+  type: 'object',
+  properties: {
+    summary: {
+      type: 'string',
+      minLength: 1,
+      description: 'Short overall assessment of the pull request',
+    },
+    verdict: {
+      type: 'string',
+      enum: VERDICTS,
+      description: 'Review decision',
+    },
+    findings: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          path: {
+            type: ['string', 'null'],
+            description: 'File path, or null for PR-wide findings',
+          },
+          line: {
+            type: ['integer', 'null'],
+            minimum: 1,
+            description: 'Line in the new version of the file, or null',
+          },
+          severity: { type: 'string', enum: SEVERITIES },
+          category: {
+            type: 'string',
+            minLength: 1,
+            description: 'e.g. security, bug, performance, testing, style',
+          },
+          title: { type: 'string', minLength: 1 },
+          description: { type: 'string', minLength: 1 },
+          suggested_fix: {
+            type: ['string', 'null'],
+            description: 'Concrete change that resolves the finding, or null',
+          },
+        },
+        required: [
+          'path',
+          'line',
+          'severity',
+          'category',
+          'title',
+          'description',
+          'suggested_fix',
+        ],
+        additionalProperties: false,
+      },
+    },
+  },
+  required: ['summary', 'verdict', 'findings'],
+  additionalProperties: false,
+};
+
+/**
+ * Prompt asking the model to restate its review as JSON
+ * @returns {string} Prompt text
+ */
+export function buildOutputPrompt() {
+  return `Now return the same review as a single JSON object matching this JSON schema:
+
+${JSON.stringify(reviewOutputSchema, null, 2)}
+
+Use REQUEST_CHANGES only for critical or high severity problems. Reply with the JSON object only, without markdown or commentary.`;
+}
+
+/**
+ * Extract the JSON object from a model answer, tolerating code fences and
+ * text around it
+ * @param {string} text - Model answer
+ * @returns {string|null} JSON text
+ */
+function extractJson(text) {
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+  const candidate = fenced ? fenced[1] : text;
+  const start = candidate.indexOf('{');
+  const end = candidate.lastIndexOf('}');
+
+  return start !== -1 && end > start ? candidate.slice(start, end + 1) : null;
+}
+
+/**
+ * Parse and validate a structured review answer
+ * @param {string} text - Model answer
+ * @returns {{value: Object|null, errors: string[]}} Parsed review and errors
+ */
+export function parseReviewOutput(text) {
+  const json = extractJson(text || '');
+  if (!json) {
+    return { value: null, errors: ['No JSON object found in the answer'] };
+  }
+
+  let value;
+  try {
+    value = JSON.parse(json);
+  } catch (error) {
+    return { value: null, errors: [`Invalid JSON: ${error.message}`] };
+  }
+
+  const errors = validateSchema(value, reviewOutputSchema);
+  return { value: errors.length ? null : value, errors };
+}
+
+/**
+ * Ask the model for the structured review, feeding validation errors back
+ * until it produces valid output or the retries run out
+ * @param {Object} provider - LLM provider instance
+ * @param {Array<Object>} messages - Review conversation, appended to in place
+ * @param {Object} options - `{ retries, timeout, deadline, signal }`: extra
+ *   attempts after the first, and the review's time limit and cancellation
+ *   signal, which every attempt is held to
+ * @returns {Promise<Object>} `{ review, errors, attempts, usage }`
+ */
+export async function requestStructuredReview(
+  provider,
+  messages,
+  {
+    retries = 2,
+    timeout = 300000,
+    deadline = Date.now() + timeout,
+    signal,
+  } = {}
+) {
+  const usage = { input_tokens: 0, output_tokens: 0 };
+  let errors = [];
+  const limit = deadlineSignal(deadline, timeout, signal);
+
+  messages.push({ role: 'user', content: buildOutputPrompt() });
+
+  try {
+    for (let attempt = 1; attempt <= retries + 1; attempt++) {
+      let response;
+      try {
+        response = await beforeAbort(
+          provider.chat(messages, { tools: false, signal: limit.signal }),
+          limit.signal
+        );
+      } catch (error) {
+        // Tokens of the earlier attempts were spent all the same
+        error.usage = usage;
+        throw error;
+      }
+      usage.input_tokens += response.usage?.input_tokens || 0;
+      usage.output_tokens += response.usage?.output_tokens || 0;
+
+      const parsed = parseReviewOutput(response.text);
+      if (parsed.value) {
+        return { review: parsed.value, errors: [], attempts: attempt, usage };
+      }
+
+      errors = parsed.errors;
+      console.log(
+        `⚠️  Structured review attempt ${attempt} invalid: ${errors.join('; ')}`
+      );
+      messages.push({ role: 'assistant', content: response.text });
+      messages.push({
+        role: 'user',
+        content: `That answer is not valid:\n- ${errors.join('\n- ')}\n\nReply again with only the corrected JSON object.`,
+      });
+    }
+
+    return { review: null, errors, attempts: retries + 1, usage };
+  } finally {
+    limit.clear();
+  }
+}
+
+/**
+ * Format a finding as a review comment body
+ */
+export function formatFinding(finding) {
+  const parts = [
+    `**[${finding.severity.toUpperCase()}] ${finding.title}** (${finding.category})`,
+    finding.description,
+  ];
+  if (finding.suggested_fix) {
+    parts.push(`**Suggested fix:** ${finding.suggested_fix}`);
+  }
+  return parts.join('\n\n');
+}
+
+/**
+ * Build post_pr_review arguments from a structured review
+ * Findings without a path and line are listed in the review body instead.
+ * @param {string} prUrl - The PR URL
+ * @param {Object} review - Validated structured review
+ * @returns {Object} `{ pr_url, body, event, comments }`
+ */
+export function toPostPRReviewArgs(prUrl, review) {
+  const inline = review.findings.filter(
+    finding => finding.path && finding.line
+  );
+  const general = review.findings.filter(
+    finding => !(finding.path && finding.line)
+  );
+
+  const body = [
+    review.summary,
+    ...general.map(finding =>
+      finding.path
+        ? `\`${finding.path}\`: ${formatFinding(finding)}`
+        : formatFinding(finding)
+    ),
+  ].join('\n\n');
+
+  return {
+    pr_url: prUrl,
+    body,
+    event: review.verdict,
+    comments: inline.map(finding => ({
+      path: finding.path,
+      line: finding.line,
+      body: formatFinding(finding),
+    })),
+  };
+}
@@ -0,0 +1,197 @@
+/**
+ * Sticky Review Summary
+ * Keeps a single summary comment per PR up to date instead of adding a new
+ * review on every run. A hidden marker identifies the comment and carries the
+ * verdict history from one run to the next.
+ */
+
+import { formatFinding } from './review_output.js';
+import {
+  SUMMARY_MARKER,
+  parseSummaryState,
+  renderSummaryState,
+} from '../utils/summary_state.js';
+
+// Earlier verdicts kept in the comment
+const MAX_HISTORY = 20;
+
+const VERDICT_LABELS = {
+  APPROVE: '✅ Approved',
+  REQUEST_CHANGES: '❌ Changes requested',
+  COMMENT: '💬 Commented',
+};
+
+const STATUS_LABELS = {
+  inline: 'inline comment',
+  existing_comment: 'already discussed',
+  duplicate_finding: 'overlaps another finding',
+  comment_limit: 'over the inline comment limit',
+  outside_diff: 'outside the diff',
+  general: 'general',
+};
+
+function shortSha(sha) {
+  return sha ? sha.slice(0, 7) : 'unknown';
+}
+
+/**
+ * Describe what changed between the last reviewed commit and this one
+ */
+function renderDelta(delta) {
+  if (!delta) return null;
+
+  const from = `\`${shortSha(delta.from)}\``;
+  if (delta.status === 'identical') {
+    return `No new commits since the last review (${from}).`;
+  }
+  if (delta.status === 'unavailable') {
+    return `The last reviewed commit ${from} no longer exists (force-push), so this review covers the whole pull request again.`;
+  }
+  if (delta.status === 'diverged' || delta.status === 'behind') {
+    return `History was rewritten since the last review at ${from} (force-push), so this review covers the whole pull request again.`;
+  }
+
+  const files = delta.files
+    .map(
+      file => `- \`${file.filename}\` (+${file.additions} −${file.deletions})`
+    )
+    .join('\n');
+  return [
+    `**Since the last review** (${from}…\`${shortSha(delta.to)}\`): ${delta.commits} new commit(s), ${delta.files.length} file(s) changed`,
+    files,
+  ]
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+function renderOutcome({ finding, status, line }) {
+  const location = finding.path
+    ? ` — \`${finding.path}${line ? `:${line}` : ''}\``
+    : '';
+  const title = `**[${finding.severity.toUpperCase()}] ${finding.title}**${location} · ${STATUS_LABELS[status] || status}`;
+
+  // Findings without an inline comment are only visible here
+  if (status === 'inline' || status === 'existing_comment') {
+    return `- ${title}`;
+  }
+  const details = formatFinding(finding).split('\n\n').slice(1).join('\n\n');
+  return `- ${title}\n\n${details.replace(/^/gm, '  ')}`;
+}
+
+function renderHistory(history) {
+  if (history.length === 0) return null;
+
+  const rows = history.map(
+    entry =>
+      `| \`${shortSha(entry.sha)}\` | ${VERDICT_LABELS[entry.verdict] || entry.verdict} | ${entry.findings} | ${entry.reviewed_at} |`
+  );
+  return [
+    `<details>`,
+    `<summary>Review history (${history.length})</summary>`,
+    '',
+    '| Commit | Verdict | Findings | Reviewed at |',
+    '| --- | --- | --- | --- |',
+    ...rows,
+    '',
+    '</details>',
+  ].join('\n');
+}
+
+/**
+ * Render the summary comment body
+ * @param {Object} summary - `review`, `head_sha`, `outcomes` (finding with its
+ *   posting status), `delta` since the last review and the `history` of
+ *   reviews with the current one first
+ * @returns {string} Comment body, including the hidden marker and state
+ */
+export function renderSummaryComment({
+  review,
+  head_sha,
+  outcomes,
+  delta,
+  history,
+}) {
+  return [
+    SUMMARY_MARKER,
+    '## Review summary',
+    `**Verdict:** ${VERDICT_LABELS[review.verdict] || review.verdict} at \`${shortSha(head_sha)}\``,
+    review.summary,
+    renderDelta(delta),
+    outcomes.length > 0
+      ? `### Findings (${outcomes.length})\n\n${outcomes.map(renderOutcome).join('\n')}`
+      : '### Findings\n\nNo findings.',
+    renderHistory(history.slice(1)),
+    renderSummaryState({ history }),
+  ]
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+/**
+ * Create or update the sticky summary comment of a PR
+ * @param {Object} github - GitHubService instance
+ * @param {Object} pr - `{ owner, repo, pull_number, head_sha }`
+ * @param {Object} review - Validated structured review
+ * @param {Array<Object>} outcomes - `{ finding, status, line }` per finding
+ * @returns {Promise<Object>} `{ comment_id, comment_url, action, previous_sha,
+ *   delta }`
+ */
+export async function upsertSummaryComment(github, pr, review, outcomes) {
+  const { owner, repo, pull_number, head_sha } = pr;
+  const existing = await github.findSummaryComment(owner, repo, pull_number);
+  const previous = existing ? parseSummaryState(existing.body) : null;
+  const history = previous?.history || [];
+  const previousSha = history[0]?.sha ?? null;
+
+  let delta = null;
+  if (previousSha && previousSha === head_sha) {
+    delta = { from: previousSha, to: head_sha, status: 'identical' };
+  } else if (previousSha) {
+    const comparison = await github.compareCommits(
+      owner,
+      repo,
+      previousSha,
+      head_sha
+    );
+    delta = comparison
+      ? {
+          from: previousSha,
+          to: head_sha,
+          status: comparison.status,
+          commits: comparison.ahead_by,
+          files: comparison.files,
+        }
+      : { from: previousSha, to: head_sha, status: 'unavailable' };
+  }
+
+  const body = renderSummaryComment({
+    review,
+    head_sha,
+    outcomes,
+    delta,
+    history: [
+      {
+        sha: head_sha,
+        verdict: review.verdict,
+        findings: review.findings.length,
+        reviewed_at: new Date().toISOString(),
+      },
+      ...history,
+    ].slice(0, MAX_HISTORY + 1),
+  });
+
+  const comment = existing
+    ? await github.updateIssueComment(owner, repo, existing.id, body)
+    : await github.createIssueComment(owner, repo, pull_number, body);
+
+  return {
+    comment_id: comment.id,
+    comment_url: comment.html_url,
+    action: existing ? 'updated' : 'created',
+    previous_sha: previousSha,
+    delta: delta && {
+      ...delta,
+      files: delta.files?.map(file => file.filename),
+    },
+  };
+}
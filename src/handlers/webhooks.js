@@ -0,0 +1,205 @@
+/**
+ * GitHub Webhooks
+ * Queues a review when a pull request is opened, updated, marked ready or
+ * labeled for review, or when a collaborator comments `/review` on it.
+ * Deliveries are authenticated with X-Hub-Signature-256 and redeliveries are
+ * ignored by their X-GitHub-Delivery ID.
+ */
+
+import express from 'express';
+import { createHmac, timingSafeEqual } from 'node:crypto';
+import { sendLimitExceeded } from './rate_limit.js';
+
+// GitHub caps webhook payloads at 25 MB
+const MAX_PAYLOAD_SIZE = '25mb';
+
+const PULL_REQUEST_ACTIONS = [
+  'opened',
+  'synchronize',
+  'ready_for_review',
+  'labeled',
+];
+
+// Commenters allowed to trigger a review on a PR they did not open
+const TRUSTED_ASSOCIATIONS = ['OWNER', 'MEMBER', 'COLLABORATOR'];
+
+/**
+ * Check an X-Hub-Signature-256 header against the raw payload
+ * @param {string} secret - Webhook secret
+ * @param {Buffer} payload - Raw request body
+ * @param {string} signature - Header value, "sha256=<hex>"
+ * @returns {boolean}
+ */
+export function verifySignature(secret, payload, signature) {
+  if (!signature?.startsWith('sha256=')) return false;
+
+  const expected = Buffer.from(
+    `sha256=${createHmac('sha256', secret).update(payload).digest('hex')}`
+  );
+  const actual = Buffer.from(signature);
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+}
+
+function isBot(user) {
+  return user?.type === 'Bot' || /\[bot\]$/.test(user?.login || '');
+}
+
+/**
+ * Decide whether a delivery should trigger a review
+ * @param {string} event - X-GitHub-Event
+ * @param {Object} payload - Parsed payload
+ * @param {Object} options - `reviewLabel` and slash `command`
+ * @returns {Object} `{ pr_url, head_sha, trigger }` to review, or `{ ignored }` with
+ *   the reason
+ */
+export function routeEvent(event, payload, { reviewLabel, command }) {
+  if (event === 'pull_request') {
+    const pr = payload.pull_request;
+    if (!PULL_REQUEST_ACTIONS.includes(payload.action)) {
+      return { ignored: `pull_request action ${payload.action}` };
+    }
+    if (
+      payload.action === 'labeled' &&
+      payload.label?.name?.toLowerCase() !== reviewLabel?.toLowerCase()
+    ) {
+      return { ignored: `label ${payload.label?.name}` };
+    }
+    if (pr.state !== 'open') return { ignored: 'pull request is closed' };
+    if (pr.draft) return { ignored: 'draft pull request' };
+    if (isBot(pr.user)) return { ignored: `bot author ${pr.user.login}` };
+
+    return {
+      pr_url: pr.html_url,
+      head_sha: pr.head?.sha ?? null,
+      trigger: `pull_request.${payload.action}`,
+    };
+  }
+
+  if (event === 'issue_comment') {
+    const { issue, comment } = payload;
+    if (payload.action !== 'created') {
+      return { ignored: `issue_comment action ${payload.action}` };
+    }
+    if (!issue.pull_request) return { ignored: 'comment on an issue' };
+
+    const firstLine = comment.body.trim().split('\n')[0].trim();
+    if (firstLine !== command && !firstLine.startsWith(`${command} `)) {
+      return { ignored: 'no review command' };
+    }
+    if (isBot(comment.user)) {
+      return { ignored: `bot author ${comment.user.login}` };
+    }
+    if (issue.state !== 'open') return { ignored: 'pull request is closed' };
+    if (
+      comment.user.login !== issue.user?.login &&
+      !TRUSTED_ASSOCIATIONS.includes(comment.author_association)
+    ) {
+      return {
+        ignored: `${comment.user.login} is not a collaborator (${comment.author_association})`,
+      };
+    }
+
+    // Comments don't carry the head SHA; the review uses the current head
+    return {
+      pr_url: issue.pull_request.html_url,
+      head_sha: null,
+      trigger: 'issue_comment',
+    };
+  }
+
+  return { ignored: `event ${event}` };
+}
+
+/**
+ * Create the router for POST /webhooks/github
+ *
+ * Mount it before any JSON body parser: the signature is computed over the
+ * raw body.
+ * @param {Object} options - Webhook `secret`, `enqueueReview(prUrl, meta)`
+ *   called for every accepted delivery (throwing an error with status 429,
+ *   and the `limit` state when the repository is over its limits rather than
+ *   the queue being full), `reviewLabel` whose addition
+ *   triggers a review, slash `command`, and `maxDeliveries` IDs remembered
+ *   for deduplication
+ * @returns {Object} Express router
+ */
+export function createWebhookRouter({
+  secret,
+  enqueueReview,
+  reviewLabel = 'ai-review',
+  command = '/review',
+  maxDeliveries = 1000,
+}) {
+  const router = express.Router();
+  // Delivery IDs seen, oldest first
+  const deliveries = new Set();
+
+  router.post(
+    '/webhooks/github',
+    express.raw({ type: () => true, limit: MAX_PAYLOAD_SIZE }),
+    async (req, res) => {
+      const payload = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+      if (
+        !verifySignature(secret, payload, req.headers['x-hub-signature-256'])
+      ) {
+        return res.status(401).json({ error: 'Invalid webhook signature' });
+      }
+
+      const event = req.headers['x-github-event'];
+      const delivery = req.headers['x-github-delivery'];
+      if (event === 'ping') return res.json({ status: 'pong' });
+
+      if (delivery && deliveries.has(delivery)) {
+        return res.json({ status: 'duplicate', delivery });
+      }
+
+      let body;
+      try {
+        body = JSON.parse(payload.toString('utf8'));
+      } catch {
+        return res.status(400).json({ error: 'Invalid JSON payload' });
+      }
+
+      if (delivery) {
+        deliveries.add(delivery);
+        if (deliveries.size > maxDeliveries) {
+          deliveries.delete(deliveries.values().next().value);
+        }
+      }
+
+      const route = routeEvent(event, body, { reviewLabel, command });
+      if (route.ignored) {
+        return res.json({ status: 'ignored', reason: route.ignored, delivery });
+      }
+
+      console.log(
+        `🪝 ${route.trigger} on ${route.pr_url} (delivery ${delivery})`
+      );
+      let queued;
+      try {
+        queued = await enqueueReview(route.pr_url, {
+          trigger: route.trigger,
+          head_sha: route.head_sha,
+          delivery,
+          sender: body.sender?.login,
+        });
+      } catch (error) {
+        // Let GitHub's redelivery try again
+        deliveries.delete(delivery);
+        if (error.status === 429 && error.limit) {
+          return sendLimitExceeded(res, error.limit, { delivery });
+        }
+        // The review queue is full
+        if (error.status === 429) {
+          return res.status(429).json({ error: error.message, delivery });
+        }
+        throw error;
+      }
+      res
+        .status(202)
+        .json({ status: 'queued', pr_url: route.pr_url, delivery, ...queued });
+    }
+  );
+
+  return router;
+}
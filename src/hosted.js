@@ -1,37 +1,185 @@
 import express from 'express';
-import rateLimit from 'express-rate-limit';
 import { reviewPullRequest } from './handlers/review.js';
+import { createMcpRouter } from './handlers/mcp_http.js';
+import { createWebhookRouter } from './handlers/webhooks.js';
+import { createReviewJobRouter } from './handlers/review_jobs.js';
+import { createHistoryRouter } from './handlers/history.js';
+import {
+  createIpLimiter,
+  limitKeyRequests,
+  parseTrustProxy,
+} from './handlers/rate_limit.js';
+import { listProviders } from './providers/index.js';
+import { ConfigService } from './services/config.js';
+import { GitHubService } from './services/github.js';
+import { AnalysisService } from './services/analysis.js';
+import { AdvisoryService } from './services/advisories.js';
+import { ReviewQueue } from './services/review_queue.js';
+import { createHistoryStore } from './services/review_history.js';
+import { ApiKeyService } from './services/api_keys.js';
+import { UsageLimiter } from './services/usage_limits.js';
+import { checkCallbackUrl } from './utils/callback_url.js';
 
-// This is a basic hosted server setup
-// For a full MCP implementation, you would need to implement the MCP protocol over HTTP/SSE
-// This example shows the basic structure for hosting
+// Hosted server: the review endpoint plus the MCP tools over HTTP
 
-const validApiKeys = process.env.VALID_API_KEYS?.split(',') || [];
+const config = new ConfigService();
+const apiKeys = ApiKeyService.fromConfig(config);
+
+// Services shared by every MCP session, created on first use
+let services = null;
+function getServices() {
+  if (!services) {
+    services = {
+      github: GitHubService.fromConfig(config),
+      analysis: new AnalysisService({
+        advisories: AdvisoryService.fromConfig(config),
+      }),
+    };
+  }
+  return services;
+}
+
+// Every review run is recorded, unless REVIEW_HISTORY_STORE is none
+const history = createHistoryStore(config);
+// Opened up front so a missing SQLite driver stops the server here
+await history?.open();
+
+// Rate limits and daily quotas per API key and per repository
+const usageLimits = UsageLimiter.fromConfig(config);
+
+// Limits are counted per `owner/repo`, which GitHub treats case-insensitively
+function repositoryOf(prReference) {
+  const { owner, repo } = getServices().github.resolvePRReference(prReference);
+  return `${owner}/${repo}`.toLowerCase();
+}
+
+/**
+ * Run a review and charge its LLM tokens to the job's key and repository,
+ * including those spent by a review that failed
+ */
+function runReview(prUrl, options) {
+  const subjects = {
+    key: reviewQueue.get(options.job_id)?.owner,
+    repo: repositoryOf(prUrl),
+  };
+  return usageLimits.chargeReview(subjects, () =>
+    reviewPullRequest(prUrl, { ...options, history })
+  );
+}
+
+// Reviews from /review and webhooks run as background jobs
+const callbackHosts = config
+  .get('REVIEW_CALLBACK_ALLOWED_HOSTS', '')
+  .split(',')
+  .map(host => host.trim().toLowerCase())
+  .filter(Boolean);
+const checkCallback = url =>
+  checkCallbackUrl(url, { allowedHosts: callbackHosts });
+const reviewQueue = new ReviewQueue({
+  runReview,
+  resolvePR: reference =>
+    getServices().github.resolvePRReference(reference).url,
+  concurrency: config.getInt('REVIEW_CONCURRENCY', 2),
+  maxQueued: config.getInt('REVIEW_QUEUE_LIMIT', 100),
+  retention: config.getInt('REVIEW_JOB_RETENTION', 500),
+  callbackSecret: config.get('REVIEW_CALLBACK_SECRET'),
+  checkCallback,
+  callbackTimeout: config.getInt('REVIEW_CALLBACK_TIMEOUT', 10000),
+});
+
+// Webhook reviews are always posted to the PR, within the repository's
+// limits. A redelivery joining a queued review is not counted again.
+function enqueueReview(prUrl, meta) {
+  const subjects = { repo: repositoryOf(prUrl) };
+  const admitted = usageLimits.check('reviews', subjects);
+  if (!admitted.ok) {
+    const error = new Error(
+      `Review limit reached for ${admitted.exceeded.subject}`
+    );
+    error.status = 429;
+    error.limit = admitted.exceeded;
+    throw error;
+  }
+  const { job, coalesced } = reviewQueue.enqueue(prUrl, {
+    options: { post: true },
+    head_sha: meta.head_sha,
+    trigger: meta.trigger,
+  });
+  if (!coalesced) usageLimits.consume('reviews', subjects);
+  return { job_id: job.id, coalesced };
+}
 
 const app = express();
 const port = process.env.PORT || 3000;
 
+// Behind a reverse proxy, req.ip (and so the IP rate limit) is the client's
+// address only when TRUST_PROXY names the proxies: a hop count, or their
+// addresses and subnets
+app.set('trust proxy', parseTrustProxy(config.get('TRUST_PROXY')));
+
+// GitHub webhooks verify their signature over the raw body, so they are
+// mounted before the JSON parser
+const webhookSecret = config.get('GITHUB_WEBHOOK_SECRET');
+if (webhookSecret) {
+  app.use(
+    createWebhookRouter({
+      secret: webhookSecret,
+      enqueueReview,
+      reviewLabel: config.get('WEBHOOK_REVIEW_LABEL'),
+      command: config.get('WEBHOOK_REVIEW_COMMAND'),
+    })
+  );
+}
+
 // Middleware
 app.use(express.json());
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // limit each IP to 100 requests per windowMs
-  message: 'Too many requests from this IP',
+const ipLimiter = createIpLimiter({
+  windowMs: config.getInt('RATE_LIMIT_WINDOW', 900000),
+  limit: config.getInt('IP_RATE_LIMIT', 100),
 });
 
-function authenticateApiKey(req, res, next) {
+async function authenticateApiKey(req, res, next) {
   const authHeader = req.headers.authorization;
-  const apiKey = authHeader?.startsWith('Bearer ') ? authHeader.slice(7) : null;
+  const token = authHeader?.startsWith('Bearer ') ? authHeader.slice(7) : null;
+  const key = await apiKeys.authenticate(token);
 
-  if (!apiKey || !validApiKeys.includes(apiKey)) {
+  if (!key) {
     return res.status(401).json({ error: 'Invalid or missing API key' });
   }
 
+  // Jobs and sessions are owned by the key ID, never by the secret
+  req.key = key;
+  req.apiKey = key.id;
   next();
 }
 
-// Apply rate limiting to review endpoint
-app.use('/review', limiter);
+// Every authenticated endpoint: failed attempts are limited per IP, then
+// requests per key. Polling review jobs and the history has its own limit,
+// so it does not use up the key's requests.
+const authenticate = [
+  ipLimiter,
+  authenticateApiKey,
+  limitKeyRequests(usageLimits),
+];
+const authenticateRead = [
+  ipLimiter,
+  authenticateApiKey,
+  limitKeyRequests(usageLimits, 'reads'),
+];
+
+/**
+ * Whether the caller's key may perform an operation on a repository
+ * @param {string} target - PR reference, `owner/repo`, `*` for every
+ *   repository, or null when no repository is involved
+ */
+function allows(req, operation, target) {
+  let repository = target;
+  if (target && target !== '*' && !/^[\w.-]+\/[\w.-]+$/.test(target)) {
+    const { owner, repo } = getServices().github.resolvePRReference(target);
+    repository = `${owner}/${repo}`;
+  }
+  return apiKeys.allows(req.key, operation, repository);
+}
 
 // Health check endpoint
 app.get('/health', (_, res) => {
@@ -39,28 +187,59 @@ app.get('/health', (_, res) => {
     status: 'healthy',
     timestamp: new Date().toISOString(),
     service: 'MCP GitHub Server (Hosted Mode)',
+    review_jobs: reviewQueue.getStats(),
   });
 });
 
-// Review endpoint
-app.post('/review', authenticateApiKey, async (req, res) => {
-  const { pr } = req.body;
-  
-  if (!pr) {
-    return res.status(400).json({ error: 'PR URL is required' });
-  }
-  
-  try {
-    const result = await reviewPullRequest(pr);
-    res.json(result);
-  } catch (error) {
-    console.error('Review error:', error);
-    res.status(500).json({ error: 'Failed to review PR' });
-  }
+// Review jobs: POST /review, GET and DELETE /review/:id
+app.use(
+  createReviewJobRouter({
+    queue: reviewQueue,
+    authenticate,
+    authenticateRead,
+    allows,
+    checkReview: (req, pr) =>
+      usageLimits.check('reviews', {
+        key: req.apiKey,
+        repo: repositoryOf(pr),
+      }),
+    admitReview: (req, pr) =>
+      usageLimits.consume('reviews', {
+        key: req.apiKey,
+        repo: repositoryOf(pr),
+      }),
+    checkCallback,
+    providers: listProviders(),
+    autoPost: config.getBool('AUTO_POST_REVIEW', false),
+  })
+);
+
+// Review history: GET /history and GET /history/:id
+if (history) {
+  app.use(
+    createHistoryRouter({
+      store: history,
+      authenticate: authenticateRead,
+      allows,
+    })
+  );
+}
+
+// MCP endpoints: Streamable HTTP on /mcp, HTTP+SSE on /sse and /messages
+const mcp = createMcpRouter({
+  getServices,
+  authenticate,
+  allows,
+  sessionTtl: config.getInt('MCP_SESSION_TTL', 1800000),
+  maxSessions: config.getInt('MCP_MAX_SESSIONS', 100),
 });
+app.use(mcp.router);
 
 // Error handling middleware
 app.use((error, req, res, _next) => {
+  if (error.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: 'Invalid JSON body' });
+  }
   console.error('Server error:', error);
   res.status(500).json({ error: 'Internal server error' });
 });
@@ -71,12 +250,37 @@ app.use((req, res) => {
 });
 
 // Start server
-app.listen(port, () => {
+app.listen(port, async () => {
   console.log(
     `✅ MCP Server (Hosted Mode) running on http://localhost:${port}`
   );
   console.log(`📍 Health check: http://localhost:${port}/health`);
-  console.log(`🔍 Review endpoint: POST http://localhost:${port}/review`);
-  console.log(`🔑 Valid API keys: ${validApiKeys.join(', ')}`);
+  console.log(
+    `🔍 Review endpoint: POST http://localhost:${port}/review (status: GET /review/:id)`
+  );
+  console.log(
+    history
+      ? `📚 Review history: GET http://localhost:${port}/history (${config.get('REVIEW_HISTORY_STORE')})`
+      : '📚 Review history disabled (REVIEW_HISTORY_STORE=none)'
+  );
+  console.log(`🧰 MCP endpoint: http://localhost:${port}/mcp (SSE: /sse)`);
+  console.log(
+    webhookSecret
+      ? `🪝 GitHub webhooks: POST http://localhost:${port}/webhooks/github`
+      : '🪝 GitHub webhooks disabled (GITHUB_WEBHOOK_SECRET not set)'
+  );
+  const keyStats = await apiKeys.getStats();
+  console.log(
+    `🔑 ${keyStats.active} active API key(s) in ${apiKeys.path} (manage with: pnpm keys)`
+  );
+  if (keyStats.legacy > 0) {
+    console.warn(
+      `⚠️  ${keyStats.legacy} plaintext key(s) from VALID_API_KEYS may review any repository; replace them with pnpm keys create`
+    );
+  } else if (config.get('VALID_API_KEYS')) {
+    console.warn(
+      '⚠️  VALID_API_KEYS is ignored unless ALLOW_LEGACY_API_KEYS=true; replace the keys with pnpm keys create'
+    );
+  }
   console.log(`📝 Use Bearer token authentication for /review endpoint`);
 });
@@ -0,0 +1,147 @@
+/**
+ * Google Gemini provider
+ * Uses the @google/generative-ai SDK and Gemini function calling.
+ */
+
+import { GoogleGenerativeAI } from '@google/generative-ai';
+
+/**
+ * Keep only the JSON schema keywords Gemini function declarations accept
+ * @param {Object} schema - MCP tool input schema
+ * @returns {Object} Gemini-compatible schema
+ */
+function toGeminiSchema(schema) {
+  const result = {};
+  for (const key of ['type', 'description', 'enum', 'format']) {
+    if (schema[key] !== undefined) result[key] = schema[key];
+  }
+  if (schema.items) result.items = toGeminiSchema(schema.items);
+  if (schema.properties) {
+    result.properties = Object.fromEntries(
+      Object.entries(schema.properties).map(([name, value]) => [
+        name,
+        toGeminiSchema(value),
+      ])
+    );
+  }
+  if (schema.required?.length) result.required = schema.required;
+  return result;
+}
+
+/**
+ * Convert provider-neutral messages to Gemini contents
+ * Consecutive tool results are grouped into a single function turn.
+ */
+function toGeminiContents(messages) {
+  const contents = [];
+
+  for (const message of messages) {
+    if (message.role === 'tool') {
+      const part = {
+        functionResponse: {
+          name: message.name,
+          response:
+            message.content && typeof message.content === 'object'
+              ? message.content
+              : { result: message.content },
+        },
+      };
+      const previous = contents[contents.length - 1];
+      if (previous?.role === 'function') {
+        previous.parts.push(part);
+      } else {
+        contents.push({ role: 'function', parts: [part] });
+      }
+      continue;
+    }
+
+    if (message.role === 'assistant') {
+      const parts = [];
+      if (message.content) parts.push({ text: message.content });
+      for (const call of message.tool_calls || []) {
+        parts.push({ functionCall: { name: call.name, args: call.args } });
+      }
+      contents.push({ role: 'model', parts });
+      continue;
+    }
+
+    contents.push({ role: 'user', parts: [{ text: message.content }] });
+  }
+
+  return contents;
+}
+
+export class GeminiProvider {
+  constructor({ apiKey, model = 'gemini-2.5-flash', tools = [] }) {
+    if (!apiKey) {
+      throw new Error('GEMINI_API_KEY environment variable is required');
+    }
+
+    this.name = 'gemini';
+    this.model = model;
+    this.client = new GoogleGenerativeAI(apiKey).getGenerativeModel({
+      model,
+      tools: tools.length
+        ? [
+            {
+              functionDeclarations: tools.map(tool => ({
+                name: tool.name,
+                description: tool.description,
+                parameters: toGeminiSchema(tool.inputSchema),
+              })),
+            },
+          ]
+        : undefined,
+    });
+  }
+
+  /**
+   * Create a provider from a ConfigService
+   */
+  static fromConfig(config, { model, tools }) {
+    return new GeminiProvider({
+      apiKey: config.get('GEMINI_API_KEY'),
+      model: model || config.get('GEMINI_DEFAULT_MODEL', 'gemini-2.5-flash'),
+      tools,
+    });
+  }
+
+  /**
+   * Send the conversation and return the model turn
+   * @param {Array<Object>} messages - Provider-neutral conversation
+   * @param {Object} options - `{ tools: false }` forbids function calls;
+   *   `signal` aborts the request
+   * @returns {Promise<Object>} `{ text, tool_calls, usage }`
+   */
+  async chat(messages, { tools = true, signal } = {}) {
+    const result = await this.client.generateContent(
+      {
+        contents: toGeminiContents(messages),
+        ...(tools
+          ? {}
+          : { toolConfig: { functionCallingConfig: { mode: 'NONE' } } }),
+      },
+      { signal }
+    );
+    const response = result.response;
+    const parts = response.candidates?.[0]?.content?.parts || [];
+
+    return {
+      text: parts
+        .filter(part => part.text)
+        .map(part => part.text)
+        .join(''),
+      tool_calls: parts
+        .filter(part => part.functionCall)
+        .map((part, index) => ({
+          id: `call_${index}`,
+          name: part.functionCall.name,
+          args: part.functionCall.args || {},
+        })),
+      usage: {
+        input_tokens: response.usageMetadata?.promptTokenCount || 0,
+        output_tokens: response.usageMetadata?.candidatesTokenCount || 0,
+      },
+    };
+  }
+}
@@ -0,0 +1,56 @@
+/**
+ * LLM Providers Index
+ *
+ * Every provider exposes the same interface so the review handler does not
+ * depend on any vendor's function-calling format:
+ *
+ *   provider.name, provider.model
+ *   await provider.chat(messages, { tools, signal }) -> { text, tool_calls, usage }
+ *
+ * Messages are provider-neutral:
+ *   { role: 'user', content }
+ *   { role: 'assistant', content, tool_calls: [{ id, name, args }] }
+ *   { role: 'tool', tool_call_id, name, content }
+ */
+
+import { GeminiProvider } from './gemini.js';
+import { OllamaProvider } from './ollama.js';
+import { OpenAICompatibleProvider } from './openai.js';
+
+export const providers = {
+  gemini: GeminiProvider,
+  ollama: OllamaProvider,
+  openai: OpenAICompatibleProvider,
+};
+
+/**
+ * List the names of the available providers
+ */
+export function listProviders() {
+  return Object.keys(providers);
+}
+
+/**
+ * Create a provider instance
+ * @param {Object} config - ConfigService instance
+ * @param {Object} options - `{ provider, model, tools }`; provider and model
+ *   fall back to LLM_PROVIDER/LLM_MODEL and then to each provider's default
+ * @returns {Object} Provider instance
+ */
+export function createProvider(config, { provider, model, tools = [] } = {}) {
+  const configured = config.get('LLM_PROVIDER', 'gemini').toLowerCase();
+  const name = (provider || configured).toLowerCase();
+  const Provider = providers[name];
+
+  if (!Provider) {
+    throw new Error(
+      `Unknown LLM provider: ${name}. Available providers: ${listProviders().join(', ')}`
+    );
+  }
+
+  // LLM_MODEL belongs to LLM_PROVIDER, not to a provider picked per request
+  return Provider.fromConfig(config, {
+    model: model || (name === configured ? config.get('LLM_MODEL') : null),
+    tools,
+  });
+}
@@ -0,0 +1,118 @@
+/**
+ * Ollama provider
+ * Talks to a self-hosted Ollama server through /api/chat tool calling.
+ */
+
+/**
+ * Convert provider-neutral messages to Ollama chat messages
+ */
+function toOllamaMessages(messages) {
+  return messages.map(message => {
+    if (message.role === 'tool') {
+      return {
+        role: 'tool',
+        tool_name: message.name,
+        content:
+          typeof message.content === 'string'
+            ? message.content
+            : JSON.stringify(message.content),
+      };
+    }
+
+    if (message.role === 'assistant') {
+      return {
+        role: 'assistant',
+        content: message.content || '',
+        ...(message.tool_calls?.length
+          ? {
+              tool_calls: message.tool_calls.map(call => ({
+                function: { name: call.name, arguments: call.args },
+              })),
+            }
+          : {}),
+      };
+    }
+
+    return { role: 'user', content: message.content };
+  });
+}
+
+export class OllamaProvider {
+  constructor({
+    host = 'http://localhost:11434',
+    model = 'llama3.1',
+    tools = [],
+    timeout = 120000,
+  }) {
+    this.name = 'ollama';
+    this.model = model;
+    this.host = host.replace(/\/+$/, '');
+    this.timeout = timeout;
+    this.tools = tools.map(tool => ({
+      type: 'function',
+      function: {
+        name: tool.name,
+        description: tool.description,
+        parameters: tool.inputSchema,
+      },
+    }));
+  }
+
+  /**
+   * Create a provider from a ConfigService
+   */
+  static fromConfig(config, { model, tools }) {
+    return new OllamaProvider({
+      host: config.get('OLLAMA_HOST', 'http://localhost:11434'),
+      model: model || config.get('DEFAULT_MODEL', 'llama3.1'),
+      timeout: config.getInt('LLM_REQUEST_TIMEOUT', 120000),
+      tools,
+    });
+  }
+
+  /**
+   * Send the conversation and return the model turn
+   * @param {Array<Object>} messages - Provider-neutral conversation
+   * @param {Object} options - `{ tools: false }` forbids function calls;
+   *   `signal` aborts the request
+   * @returns {Promise<Object>} `{ text, tool_calls, usage }`
+   */
+  async chat(messages, { tools = true, signal } = {}) {
+    const response = await fetch(`${this.host}/api/chat`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        model: this.model,
+        messages: toOllamaMessages(messages),
+        ...(tools && this.tools.length ? { tools: this.tools } : {}),
+        stream: false,
+      }),
+      signal: signal
+        ? AbortSignal.any([signal, AbortSignal.timeout(this.timeout)])
+        : AbortSignal.timeout(this.timeout),
+    });
+
+    if (!response.ok) {
+      throw new Error(
+        `Ollama request failed (${response.status}): ${await response.text()}`
+      );
+    }
+
+    const data = await response.json();
+    return {
+      text: data.message?.content || '',
+      tool_calls: (data.message?.tool_calls || []).map((call, index) => ({
+        id: `call_${index}`,
+        name: call.function.name,
+        args:
+          typeof call.function.arguments === 'string'
+            ? JSON.parse(call.function.arguments || '{}')
+            : call.function.arguments || {},
+      })),
+      usage: {
+        input_tokens: data.prompt_eval_count || 0,
+        output_tokens: data.eval_count || 0,
+      },
+    };
+  }
+}
@@ -0,0 +1,142 @@
+/**
+ * OpenAI-compatible provider
+ * Works with any server implementing /chat/completions tool calling
+ * (OpenAI, Azure-style gateways, vLLM, LM Studio, LiteLLM, ...).
+ */
+
+/**
+ * Convert provider-neutral messages to chat completion messages
+ */
+function toOpenAIMessages(messages) {
+  return messages.map(message => {
+    if (message.role === 'tool') {
+      return {
+        role: 'tool',
+        tool_call_id: message.tool_call_id,
+        content:
+          typeof message.content === 'string'
+            ? message.content
+            : JSON.stringify(message.content),
+      };
+    }
+
+    if (message.role === 'assistant') {
+      return {
+        role: 'assistant',
+        content: message.content || null,
+        ...(message.tool_calls?.length
+          ? {
+              tool_calls: message.tool_calls.map(call => ({
+                id: call.id,
+                type: 'function',
+                function: {
+                  name: call.name,
+                  arguments: JSON.stringify(call.args || {}),
+                },
+              })),
+            }
+          : {}),
+      };
+    }
+
+    return { role: 'user', content: message.content };
+  });
+}
+
+/**
+ * Parse tool call arguments, which arrive as a JSON string
+ */
+function parseArguments(raw) {
+  if (!raw) return {};
+  try {
+    return JSON.parse(raw);
+  } catch {
+    throw new Error(`Model returned invalid tool arguments: ${raw}`);
+  }
+}
+
+export class OpenAICompatibleProvider {
+  constructor({
+    baseUrl = 'https://api.openai.com/v1',
+    apiKey,
+    model = 'gpt-4o-mini',
+    tools = [],
+    timeout = 120000,
+  }) {
+    this.name = 'openai';
+    this.model = model;
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.apiKey = apiKey;
+    this.timeout = timeout;
+    this.tools = tools.map(tool => ({
+      type: 'function',
+      function: {
+        name: tool.name,
+        description: tool.description,
+        parameters: tool.inputSchema,
+      },
+    }));
+  }
+
+  /**
+   * Create a provider from a ConfigService
+   */
+  static fromConfig(config, { model, tools }) {
+    return new OpenAICompatibleProvider({
+      baseUrl: config.get('OPENAI_BASE_URL', 'https://api.openai.com/v1'),
+      apiKey: config.get('OPENAI_API_KEY'),
+      model: model || config.get('OPENAI_MODEL', 'gpt-4o-mini'),
+      timeout: config.getInt('LLM_REQUEST_TIMEOUT', 120000),
+      tools,
+    });
+  }
+
+  /**
+   * Send the conversation and return the model turn
+   * @param {Array<Object>} messages - Provider-neutral conversation
+   * @param {Object} options - `{ tools: false }` forbids function calls;
+   *   `signal` aborts the request
+   * @returns {Promise<Object>} `{ text, tool_calls, usage }`
+   */
+  async chat(messages, { tools = true, signal } = {}) {
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {}),
+      },
+      body: JSON.stringify({
+        model: this.model,
+        messages: toOpenAIMessages(messages),
+        ...(this.tools.length
+          ? { tools: this.tools, tool_choice: tools ? 'auto' : 'none' }
+          : {}),
+      }),
+      signal: signal
+        ? AbortSignal.any([signal, AbortSignal.timeout(this.timeout)])
+        : AbortSignal.timeout(this.timeout),
+    });
+
+    if (!response.ok) {
+      throw new Error(
+        `Chat completion request failed (${response.status}): ${await response.text()}`
+      );
+    }
+
+    const data = await response.json();
+    const message = data.choices?.[0]?.message || {};
+
+    return {
+      text: message.content || '',
+      tool_calls: (message.tool_calls || []).map((call, index) => ({
+        id: call.id || `call_${index}`,
+        name: call.function.name,
+        args: parseArguments(call.function.arguments),
+      })),
+      usage: {
+        input_tokens: data.usage?.prompt_tokens || 0,
+        output_tokens: data.usage?.completion_tokens || 0,
+      },
+    };
+  }
+}
@@ -0,0 +1,69 @@
+/**
+ * MCP Server
+ * Builds an MCP server exposing the shared tool registry. Used by the stdio
+ * entry point and by every HTTP session of the hosted server.
+ */
+
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import {
+  CallToolRequestSchema,
+  ListToolsRequestSchema,
+  McpError,
+  ErrorCode,
+} from '@modelcontextprotocol/sdk/types.js';
+import { callTool, toolDefinitions, toolHandlers } from './tools/index.js';
+
+/**
+ * Create an MCP server with every tool registered
+ * A Server can only be connected to one transport, so create one per session.
+ * @param {Object} services - `{ github, analysis }` the tools run against,
+ *   and an optional `authorize(name, args)` returning whether a tool call is
+ *   allowed
+ * @returns {Server} Unconnected MCP server
+ */
+export function createMcpServer({ github, analysis, authorize }) {
+  const server = new Server(
+    {
+      name: 'github-mcp-server',
+      version: '1.0.0',
+    },
+    {
+      capabilities: {
+        tools: {},
+      },
+    }
+  );
+
+  // Register dynamic list tools handler based on shared tool definitions
+  server.setRequestHandler(ListToolsRequestSchema, async () => ({
+    tools: toolDefinitions,
+  }));
+
+  // Register dynamic call-tool handler which delegates to shared handlers
+  server.setRequestHandler(CallToolRequestSchema, async request => {
+    const { name, arguments: args } = request.params;
+    const handler = toolHandlers[name];
+
+    if (!handler) {
+      throw new McpError(ErrorCode.MethodNotFound, `Unknown tool: ${name}`);
+    }
+
+    if (authorize && !authorize(name, args || {})) {
+      throw new McpError(
+        ErrorCode.InvalidRequest,
+        `API key may not call ${name} on this repository`
+      );
+    }
+
+    try {
+      return await callTool({ github, analysis }, name, args || {});
+    } catch (error) {
+      throw new McpError(
+        ErrorCode.InternalError,
+        `Tool execution failed: ${error.message}`
+      );
+    }
+  });
+
+  return server;
+}
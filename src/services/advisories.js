@@ -0,0 +1,328 @@
+import { readdir, readFile, stat } from 'fs/promises';
+import { join } from 'path';
+import {
+  formatRange,
+  parseRange,
+  rangesOverlap,
+  satisfies,
+} from '../utils/versions.js';
+
+/**
+ * Offline vulnerability advisories loaded from an OSV-format JSON dump
+ *
+ * The database directory is scanned recursively for `*.json` files, each
+ * holding one OSV advisory or an array of them (the layout of the per-ecosystem
+ * exports at https://osv-vulnerabilities.storage.googleapis.com). Nothing is
+ * fetched over the network; refreshing the snapshot on disk is enough, it is
+ * picked up after ADVISORY_DB_RELOAD_INTERVAL.
+ */
+export class AdvisoryService {
+  constructor(options = {}) {
+    this.databasePath = options.databasePath || null;
+    this.reloadInterval = options.reloadInterval || 60 * 60 * 1000;
+    this.index = new Map();
+    this.loadedAt = null;
+    this.loading = null;
+    this.stats = { files: 0, advisories: 0, latest_modified: null };
+  }
+
+  /**
+   * Create a service instance from a ConfigService
+   */
+  static fromConfig(config) {
+    return new AdvisoryService({
+      databasePath: config.get('ADVISORY_DB_PATH'),
+      reloadInterval: config.getInt('ADVISORY_DB_RELOAD_INTERVAL', 3600000),
+    });
+  }
+
+  /**
+   * Whether an advisory database has been configured
+   */
+  isEnabled() {
+    return Boolean(this.databasePath);
+  }
+
+  /**
+   * Load the database, reusing the loaded index until it is stale
+   */
+  async load() {
+    if (!this.isEnabled()) return;
+
+    const fresh =
+      this.loadedAt && Date.now() - this.loadedAt < this.reloadInterval;
+    if (fresh) return;
+
+    if (!this.loading) {
+      this.loading = this.readDatabase()
+        .catch(error => {
+          // Keep serving the previous snapshot rather than failing analyses
+          console.error('Failed to load advisory database:', error.message);
+          this.loadedAt = Date.now();
+        })
+        .finally(() => {
+          this.loading = null;
+        });
+    }
+    await this.loading;
+  }
+
+  /**
+   * Read every advisory file and rebuild the package index
+   */
+  async readDatabase() {
+    const index = new Map();
+    const stats = { files: 0, advisories: 0, latest_modified: null };
+
+    for (const path of await this.listFiles(this.databasePath)) {
+      let parsed;
+      try {
+        parsed = JSON.parse(await readFile(path, 'utf8'));
+      } catch (error) {
+        console.error(
+          `Skipping unreadable advisory file ${path}:`,
+          error.message
+        );
+        continue;
+      }
+
+      stats.files++;
+      for (const advisory of Array.isArray(parsed) ? parsed : [parsed]) {
+        if (!advisory?.id || !Array.isArray(advisory.affected)) continue;
+
+        stats.advisories++;
+        if (
+          advisory.modified &&
+          advisory.modified > (stats.latest_modified || '')
+        ) {
+          stats.latest_modified = advisory.modified;
+        }
+
+        for (const affected of advisory.affected) {
+          const { ecosystem, name } = affected.package || {};
+          if (!ecosystem || !name) continue;
+
+          const key = this.packageKey(ecosystem, name);
+          if (!index.has(key)) index.set(key, []);
+          index.get(key).push({ advisory, affected });
+        }
+      }
+    }
+
+    this.index = index;
+    this.stats = stats;
+    this.loadedAt = Date.now();
+  }
+
+  /**
+   * Recursively list JSON files under a directory
+   */
+  async listFiles(directory) {
+    const info = await stat(directory);
+    if (info.isFile()) return [directory];
+
+    const entries = await readdir(directory, { withFileTypes: true });
+    const nested = await Promise.all(
+      entries.map(entry => {
+        const path = join(directory, entry.name);
+        if (entry.isDirectory()) return this.listFiles(path);
+        return entry.name.endsWith('.json') ? [path] : [];
+      })
+    );
+    return nested.flat();
+  }
+
+  /**
+   * Normalize package names the way each ecosystem compares them
+   */
+  packageKey(ecosystem, name) {
+    // "Debian:11" style ecosystems are versioned, only the base name matters
+    const base = ecosystem.split(':')[0];
+    if (base === 'PyPI') {
+      return `${base}:${name.toLowerCase().replace(/[-_.]+/g, '-')}`;
+    }
+    if (base === 'Packagist' || base === 'NuGet') {
+      return `${base}:${name.toLowerCase()}`;
+    }
+    return `${base}:${name}`;
+  }
+
+  /**
+   * Find advisories affecting a dependency requirement
+   * @param {Object} dependency - `{ ecosystem, name, version }`, where version
+   *   may be an exact version or a requirement range from a manifest
+   * @returns {Promise<Array<Object>>} Matching advisories
+   */
+  async findVulnerabilities({ ecosystem, name, version }) {
+    if (!this.isEnabled()) return [];
+    await this.load();
+
+    const candidates = this.index.get(this.packageKey(ecosystem, name)) || [];
+    if (candidates.length === 0) return [];
+
+    const requested = parseRange(version, ecosystem);
+    if (!requested) return [];
+
+    const matches = [];
+    for (const { advisory, affected } of candidates) {
+      if (advisory.withdrawn) continue;
+
+      const affectedRange = this.affectedRange(affected);
+      const listed = (affected.versions || []).some(listedVersion =>
+        satisfies(listedVersion, requested)
+      );
+      const overlaps = rangesOverlap(requested, affectedRange);
+      if (!listed && !overlaps) continue;
+
+      matches.push({
+        advisory_id: advisory.id,
+        aliases: advisory.aliases || [],
+        summary: advisory.summary || advisory.details?.split('\n')[0] || '',
+        severity: this.severityOf(advisory, affected),
+        affected_ranges: affectedRange.length
+          ? formatRange(affectedRange).split(' || ')
+          : [],
+        fixed_versions: this.fixedVersions(affected),
+        references: (advisory.references || []).map(ref => ref.url),
+      });
+    }
+
+    return matches;
+  }
+
+  /**
+   * Turn OSV range events into intervals
+   *
+   * Events are read in order: `introduced` opens an interval, `fixed` closes
+   * it exclusively and `last_affected` closes it inclusively. GIT ranges are
+   * commit based and are skipped.
+   */
+  affectedRange(affected) {
+    const intervals = [];
+
+    for (const range of affected.ranges || []) {
+      if (range.type === 'GIT') continue;
+
+      for (const event of range.events || []) {
+        if (event.introduced !== undefined) {
+          intervals.push({
+            min: event.introduced === '0' ? null : event.introduced,
+            minInclusive: true,
+            max: null,
+            maxInclusive: true,
+          });
+        } else if (event.fixed !== undefined && intervals.length) {
+          Object.assign(intervals[intervals.length - 1], {
+            max: event.fixed,
+            maxInclusive: false,
+          });
+        } else if (event.last_affected !== undefined && intervals.length) {
+          Object.assign(intervals[intervals.length - 1], {
+            max: event.last_affected,
+            maxInclusive: true,
+          });
+        }
+      }
+    }
+
+    return intervals;
+  }
+
+  fixedVersions(affected) {
+    return (affected.ranges || []).flatMap(range =>
+      (range.events || [])
+        .filter(event => event.fixed !== undefined && range.type !== 'GIT')
+        .map(event => event.fixed)
+    );
+  }
+
+  /**
+   * Resolve a severity label from database-specific data or a CVSS vector
+   */
+  severityOf(advisory, affected) {
+    const label =
+      affected.ecosystem_specific?.severity ||
+      affected.database_specific?.severity ||
+      advisory.database_specific?.severity;
+    if (typeof label === 'string') {
+      const normalized = label.toUpperCase();
+      return normalized === 'MODERATE' ? 'MEDIUM' : normalized;
+    }
+
+    const cvss = (advisory.severity || []).find(entry =>
+      entry.type?.startsWith('CVSS_V3')
+    );
+    const score = cvss ? cvssV3BaseScore(cvss.score) : null;
+    if (score === null) return 'UNKNOWN';
+    if (score >= 9) return 'CRITICAL';
+    if (score >= 7) return 'HIGH';
+    if (score >= 4) return 'MEDIUM';
+    return score > 0 ? 'LOW' : 'NONE';
+  }
+
+  /**
+   * Describe the loaded database, for status output
+   */
+  getStatus() {
+    return {
+      enabled: this.isEnabled(),
+      path: this.databasePath,
+      loaded_at: this.loadedAt ? new Date(this.loadedAt).toISOString() : null,
+      packages: this.index.size,
+      ...this.stats,
+    };
+  }
+}
+
+/**
+ * Compute a CVSS v3.x base score from its vector string
+ * @param {string} vector - e.g. "CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:H/I:H/A:H"
+ * @returns {number|null} Base score, or null if the vector is incomplete
+ */
+export function cvssV3BaseScore(vector) {
+  const metrics = Object.fromEntries(
+    String(vector)
+      .split('/')
+      .map(part => part.split(':'))
+  );
+
+  const weights = {
+    AV: { N: 0.85, A: 0.62, L: 0.55, P: 0.2 },
+    AC: { L: 0.77, H: 0.44 },
+    UI: { N: 0.85, R: 0.62 },
+    CIA: { H: 0.56, L: 0.22, N: 0 },
+  };
+  const changed = metrics.S === 'C';
+  const privileges = changed
+    ? { N: 0.85, L: 0.68, H: 0.5 }
+    : { N: 0.85, L: 0.62, H: 0.27 };
+
+  const values = [
+    weights.AV[metrics.AV],
+    weights.AC[metrics.AC],
+    privileges[metrics.PR],
+    weights.UI[metrics.UI],
+    weights.CIA[metrics.C],
+    weights.CIA[metrics.I],
+    weights.CIA[metrics.A],
+  ];
+  if (values.some(value => value === undefined)) return null;
+
+  const [av, ac, pr, ui, c, i, a] = values;
+  const iss = 1 - (1 - c) * (1 - i) * (1 - a);
+  const impact = changed
+    ? 7.52 * (iss - 0.029) - 3.25 * Math.pow(iss - 0.02, 15)
+    : 6.42 * iss;
+  const exploitability = 8.22 * av * ac * pr * ui;
+  if (impact <= 0) return 0;
+
+  const raw = changed
+    ? Math.min(1.08 * (impact + exploitability), 10)
+    : Math.min(impact + exploitability, 10);
+
+  // CVSS "round up" to one decimal, done on integers to avoid float drift
+  const scaled = Math.round(raw * 100000);
+  return scaled % 10000 === 0
+    ? scaled / 100000
+    : (Math.floor(scaled / 10000) + 1) / 10;
+}
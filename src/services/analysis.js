@@ -1,7 +1,13 @@
 // import crypto from 'crypto'; // Commented out as unused
+import { getAddedLines } from '../utils/diff.js';
+import { getManifest, parseManifest } from '../utils/manifests.js';
+import { isMajorBump } from '../utils/versions.js';
 
 export class AnalysisService {
-  constructor() {
+  constructor(options = {}) {
+    // Optional offline advisory database used by analyzeDependencies
+    this.advisories = options.advisories || null;
+
     // Initialize analysis patterns and rules
     this.securityPatterns = this.initializeSecurityPatterns();
     this.codePatterns = this.initializeCodePatterns();
@@ -59,9 +65,9 @@ export class AnalysisService {
 
     if (!file.patch) return analysis;
 
-    // Analyze patch content
-    const lines = file.patch.split('\n');
-    const addedLines = lines.filter(line => line.startsWith('+')).slice(1); // Remove first line which is file info
+    // Analyze added code, keeping line numbers for the findings
+    const added = getAddedLines(file.patch);
+    const addedLines = added.map(line => line.content);
 
     // Calculate metrics
     analysis.metrics.lines_of_code = addedLines.length;
@@ -79,7 +85,11 @@ export class AnalysisService {
     );
 
     // Detect issues
-    analysis.issues = this.detectCodeIssues(addedLines, analysis.language);
+    analysis.issues = this.detectCodeIssues(
+      added,
+      analysis.language,
+      file.filename
+    );
     analysis.suggestions = this.generateCodeSuggestions(
       addedLines,
       analysis.language
@@ -180,8 +190,14 @@ export class AnalysisService {
 
   /**
    * Analyze dependency changes
+   *
+   * Manifests and lockfiles are fetched at the merge base, or at the last
+   * reviewed commit for incremental PR details, and at the PR head and diffed
+   * package by package. Advisories are matched against the versions the
+   * lockfiles next to a manifest pin at the head, and against the manifest's
+   * ranges only where there is no lockfile.
    */
-  async analyzeDependencies(prDetails) {
+  async analyzeDependencies(prDetails, github) {
     const analysis = {
       dependency_changes: {
         added: [],
@@ -201,12 +217,51 @@ export class AnalysisService {
     const dependencyFiles = prDetails.files.filter(file =>
       this.isDependencyFile(file.filename)
     );
+    if (dependencyFiles.length === 0) {
+      analysis.recommendations =
+        this.generateDependencyRecommendations(analysis);
+      return analysis;
+    }
+
+    const { owner, repo } = prDetails.repository;
+    // An incremental review only covers the commits since the last review
+    const baseRef =
+      prDetails.incremental?.mode === 'incremental'
+        ? prDetails.incremental.base_sha
+        : await github.getMergeBase(
+            owner,
+            repo,
+            prDetails.pr.base_sha,
+            prDetails.pr.head_sha
+          );
+    const refs = { base: baseRef, head: prDetails.pr.head_sha };
+    const locked = this.advisories?.isEnabled()
+      ? await this.loadLockedVersions(
+          dependencyFiles,
+          github,
+          { owner, repo },
+          refs.head
+        )
+      : new Map();
 
     for (const file of dependencyFiles) {
-      const depAnalysis = this.analyzeDependencyFile(file);
-      this.mergeDependencyAnalysis(analysis, depAnalysis);
+      try {
+        const depAnalysis = await this.analyzeDependencyFile(
+          file,
+          github,
+          { owner, repo },
+          refs,
+          locked.get(file.filename)
+        );
+        this.mergeDependencyAnalysis(analysis, depAnalysis);
+      } catch (error) {
+        analysis.impact_assessment.compatibility_issues.push(
+          `Could not parse ${file.filename}: ${error.message}`
+        );
+      }
     }
 
+    analysis.impact_assessment = this.assessDependencyImpact(analysis);
     analysis.recommendations = this.generateDependencyRecommendations(analysis);
 
     return analysis;
@@ -596,6 +651,7 @@ export class AnalysisService {
         'Gemfile.lock',
         'Cargo.lock',
         'go.sum',
+        'composer.lock',
       ],
     };
   }
@@ -603,30 +659,60 @@ export class AnalysisService {
   // Additional helper methods would continue here...
   // Due to length constraints, I'm showing the structure and key methods
 
-  detectCodeIssues(lines, _language) {
+  detectCodeIssues(lines, _language, path) {
     const issues = [];
-    const codeText = lines.join('\n');
 
     // Common code issues
-    if (codeText.match(/console\.log|print\(/gi)) {
-      issues.push({
+    const checks = [
+      {
         type: 'debug_code',
         severity: 'medium',
         description: 'Debug statements found in code',
-      });
-    }
-
-    if (codeText.match(/TODO|FIXME/gi)) {
-      issues.push({
+        pattern: /console\.log|print\(/i,
+      },
+      {
         type: 'incomplete_code',
         severity: 'low',
         description: 'TODO or FIXME comments found',
-      });
+        pattern: /TODO|FIXME/i,
+      },
+    ];
+
+    for (const { pattern, ...check } of checks) {
+      const matches = this.findMatchingLines(lines, pattern);
+      if (matches.length > 0) {
+        issues.push({
+          ...check,
+          path,
+          line: matches[0].line,
+          lines: matches.map(match => match.line),
+        });
+      }
     }
 
     return issues;
   }
 
+  /**
+   * Find added lines matching a pattern, ignoring any global flag state
+   */
+  findMatchingLines(lines, pattern) {
+    const regex = new RegExp(pattern.source, pattern.flags.replace('g', ''));
+    return lines.filter(line => regex.test(line.content));
+  }
+
+  /**
+   * Map a character offset in the joined added lines back to a file line
+   */
+  lineAtOffset(lines, offset) {
+    let position = 0;
+    for (const line of lines) {
+      position += line.content.length + 1;
+      if (offset < position) return line.line;
+    }
+    return lines[lines.length - 1]?.line ?? null;
+  }
+
   generateCodeSuggestions(lines, language) {
     const suggestions = [];
     const codeText = lines.join('\n');
@@ -731,23 +817,28 @@ export class AnalysisService {
 
     if (!file.patch) return issues;
 
-    const addedLines = file.patch
-      .split('\n')
-      .filter(line => line.startsWith('+'));
-    const codeText = addedLines.join('\n');
+    const addedLines = getAddedLines(file.patch);
 
-    // Check for security patterns
+    // Check for security patterns, reporting each flagged line once per category
     for (const [category, patterns] of Object.entries(this.securityPatterns)) {
+      const flagged = new Map();
       for (const pattern of patterns) {
-        if (pattern.test(codeText)) {
-          issues.vulnerabilities.push({
-            type: category,
-            file: file.filename,
-            severity: this.getSecuritySeverity(category),
-            description: this.getSecurityDescription(category),
-          });
+        for (const match of this.findMatchingLines(addedLines, pattern)) {
+          flagged.set(match.line, match);
         }
       }
+
+      for (const match of flagged.values()) {
+        issues.vulnerabilities.push({
+          type: category,
+          file: file.filename,
+          path: file.filename,
+          line: match.line,
+          severity: this.getSecuritySeverity(category),
+          description: this.getSecurityDescription(category),
+          code: match.content.trim(),
+        });
+      }
     }
 
     return issues;
@@ -808,14 +899,22 @@ export class AnalysisService {
 
     if (!file.patch) return patterns;
 
-    const codeText = file.patch;
+    const addedLines = getAddedLines(file.patch);
+    const codeText = addedLines.map(line => line.content).join('\n');
+
+    // Patterns may span several lines, so match on the joined added code
+    const findFirst = ({ pattern }) =>
+      new RegExp(pattern.source, pattern.flags.replace('g', '')).exec(codeText);
 
     // Check for anti-patterns
     for (const antiPattern of this.codePatterns.anti_patterns) {
-      if (antiPattern.pattern.test(codeText)) {
+      const match = findFirst(antiPattern);
+      if (match) {
         patterns.anti_patterns.push({
           name: antiPattern.name,
           file: file.filename,
+          path: file.filename,
+          line: this.lineAtOffset(addedLines, match.index),
           description: antiPattern.description,
         });
       }
@@ -823,10 +922,13 @@ export class AnalysisService {
 
     // Check for good patterns
     for (const goodPattern of this.codePatterns.good_patterns) {
-      if (goodPattern.pattern.test(codeText)) {
+      const match = findFirst(goodPattern);
+      if (match) {
         patterns.good_patterns.push({
           name: goodPattern.name,
           file: file.filename,
+          path: file.filename,
+          line: this.lineAtOffset(addedLines, match.index),
           description: goodPattern.description,
         });
       }
@@ -865,20 +967,148 @@ export class AnalysisService {
   }
 
   isDependencyFile(filename) {
+    // Manifests count in any subdirectory, e.g. services/api/package.json
+    const basename = filename.split('/').pop();
     return (
-      this.dependencyPatterns.package_files.includes(filename) ||
-      this.dependencyPatterns.lock_files.includes(filename)
+      this.dependencyPatterns.package_files.includes(basename) ||
+      this.dependencyPatterns.lock_files.includes(basename) ||
+      getManifest(filename) !== null
     );
   }
 
-  analyzeDependencyFile(_file) {
-    // Implementation for dependency analysis
-    return {
+  /**
+   * Versions pinned at `ref` by the lockfiles next to each changed manifest
+   * @returns {Promise<Map>} Manifest path to a Map of package key (see
+   *   AdvisoryService.packageKey) to version, for manifests with a lockfile
+   */
+  async loadLockedVersions(files, github, { owner, repo }, ref) {
+    const locked = new Map();
+
+    for (const file of files) {
+      const manifest = getManifest(file.filename);
+      if (!manifest?.lockfiles || file.status === 'removed') continue;
+
+      const slash = file.filename.lastIndexOf('/');
+      const directory = slash >= 0 ? file.filename.slice(0, slash + 1) : '';
+      const versions = new Map();
+      for (const lockfile of manifest.lockfiles) {
+        const path = `${directory}${lockfile}`;
+        try {
+          const content = await github.getFileContent(owner, repo, path, ref);
+          for (const entry of parseManifest(path, content)) {
+            versions.set(
+              this.advisories.packageKey(manifest.ecosystem, entry.name),
+              entry.version
+            );
+          }
+        } catch {
+          // An unreadable lockfile leaves the manifest's ranges to check
+        }
+      }
+      if (versions.size > 0) locked.set(file.filename, versions);
+    }
+
+    return locked;
+  }
+
+  /**
+   * Diff one manifest or lockfile and look up advisories for what it adds
+   * or updates
+   * @param {Map} locked - Versions its lockfiles pin, from loadLockedVersions
+   */
+  async analyzeDependencyFile(file, github, { owner, repo }, refs, locked) {
+    const result = {
       added: [],
       removed: [],
       updated: [],
       security_issues: [],
     };
+
+    const manifest = getManifest(file.filename);
+    if (!manifest) return result;
+
+    const basePath = file.previous_filename || file.filename;
+    const [baseContent, headContent] = await Promise.all([
+      file.status === 'added'
+        ? null
+        : github.getFileContent(owner, repo, basePath, refs.base),
+      file.status === 'removed'
+        ? null
+        : github.getFileContent(owner, repo, file.filename, refs.head),
+    ]);
+
+    const before = parseManifest(basePath, baseContent);
+    const after = parseManifest(file.filename, headContent);
+
+    const key = dep => `${dep.scope}:${dep.name}`;
+    const beforeMap = new Map(before.map(dep => [key(dep), dep]));
+    const afterMap = new Map(after.map(dep => [key(dep), dep]));
+    const describe = dep => ({
+      name: dep.name,
+      ecosystem: manifest.ecosystem,
+      file: file.filename,
+      scope: dep.scope,
+    });
+
+    for (const [depKey, dep] of afterMap) {
+      const previous = beforeMap.get(depKey);
+      if (!previous) {
+        result.added.push({ ...describe(dep), version: dep.version });
+      } else if (previous.version !== dep.version) {
+        result.updated.push({
+          ...describe(dep),
+          from: previous.version,
+          to: dep.version,
+          major_bump: isMajorBump(previous.version, dep.version),
+        });
+      }
+    }
+
+    for (const [depKey, dep] of beforeMap) {
+      if (!afterMap.has(depKey)) {
+        result.removed.push({ ...describe(dep), version: dep.version });
+      }
+    }
+
+    // A locked version is what gets installed; a range may also allow
+    // versions that are not vulnerable
+    const installed = dep => {
+      const version = locked?.get(
+        this.advisories.packageKey(manifest.ecosystem, dep.name)
+      );
+      return version ? { ...dep, version, requirement: dep.version } : dep;
+    };
+    result.security_issues = await this.findDependencyVulnerabilities(
+      [
+        ...result.added,
+        ...result.updated.map(dep => ({ ...dep, version: dep.to })),
+      ].map(installed)
+    );
+
+    return result;
+  }
+
+  async findDependencyVulnerabilities(dependencies) {
+    if (!this.advisories?.isEnabled()) return [];
+
+    const issues = [];
+    for (const dep of dependencies) {
+      const matches = await this.advisories.findVulnerabilities(dep);
+      for (const match of matches) {
+        issues.push({
+          package: dep.name,
+          ecosystem: dep.ecosystem,
+          file: dep.file,
+          scope: dep.scope,
+          version: dep.version,
+          // The manifest range, when `version` is the one its lockfile pins
+          ...(dep.requirement ? { requirement: dep.requirement } : {}),
+          ...match,
+        });
+      }
+    }
+
+    return issues;
   }
 
   mergeDependencyAnalysis(analysis, depAnalysis) {
@@ -890,6 +1120,43 @@ export class AnalysisService {
     );
   }
 
+  assessDependencyImpact(analysis) {
+    const { added, removed, updated, security_issues } =
+      analysis.dependency_changes;
+    const impact = analysis.impact_assessment;
+    const majorBumps = updated.filter(dep => dep.major_bump);
+
+    for (const dep of majorBumps) {
+      impact.compatibility_issues.push(
+        `${dep.name} (${dep.file}) has a major version bump: ${dep.from} -> ${dep.to}`
+      );
+    }
+
+    for (const issue of security_issues) {
+      impact.security_implications.push(
+        `${issue.package}@${issue.version}: ${issue.advisory_id} (${issue.severity})`
+      );
+    }
+
+    const runtimeAdded = added.filter(dep => dep.scope === 'runtime');
+    if (runtimeAdded.length > 0) {
+      impact.performance_impact.push(
+        `${runtimeAdded.length} new runtime dependencies may increase install and bundle size`
+      );
+    }
+
+    if (security_issues.length > 0) {
+      impact.risk_level = 'HIGH';
+    } else if (
+      majorBumps.length > 0 ||
+      removed.some(dep => dep.scope === 'runtime')
+    ) {
+      impact.risk_level = 'MEDIUM';
+    }
+
+    return impact;
+  }
+
   generateDependencyRecommendations(analysis) {
     const recommendations = [];
 
@@ -899,6 +1166,24 @@ export class AnalysisService {
       );
     }
 
+    if (analysis.dependency_changes.updated.some(dep => dep.major_bump)) {
+      recommendations.push(
+        'Check changelogs and migration guides for major version bumps'
+      );
+    }
+
+    if (analysis.dependency_changes.security_issues.length > 0) {
+      recommendations.push(
+        'Upgrade vulnerable dependencies to a fixed version before merging'
+      );
+    }
+
+    if (analysis.dependency_changes.removed.length > 0) {
+      recommendations.push(
+        'Confirm removed dependencies are no longer imported anywhere'
+      );
+    }
+
     return recommendations;
   }
 
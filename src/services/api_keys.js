@@ -0,0 +1,298 @@
+import {
+  createHash,
+  randomBytes,
+  randomUUID,
+  timingSafeEqual,
+} from 'node:crypto';
+import { mkdir, readFile, rename, stat, writeFile } from 'node:fs/promises';
+import { dirname } from 'node:path';
+
+/**
+ * What a key may do:
+ *   review - queue reviews and read their jobs, open MCP sessions and call
+ *            the read-only tools
+ *   post   - reviews that post to GitHub, and the MCP tools that write
+ *   admin  - read and cancel every job, and read the review history
+ */
+export const OPERATIONS = ['review', 'post', 'admin'];
+
+const TOKEN_PREFIX = 'grm';
+const TOKEN_PATTERN = /^grm_([0-9a-f]{12})_([\w-]{43})$/;
+const REPOSITORY_PATTERN = /^(\*|[\w.-]+\/\*|[\w.-]+\/[\w.-]+)$/;
+const NAME_PATTERN = /^[\w.-]{1,64}$/;
+
+function keyError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Salted SHA-256 of a key secret. The secrets are 256 random bits, so a slow
+ * password hash would add nothing but latency to every request.
+ */
+function hashSecret(salt, secret) {
+  return createHash('sha256').update(salt).update(secret).digest('hex');
+}
+
+function sameDigest(a, b) {
+  const left = Buffer.from(a, 'hex');
+  const right = Buffer.from(b, 'hex');
+  return left.length === right.length && timingSafeEqual(left, right);
+}
+
+/**
+ * Whether a repository pattern (`*`, `owner/*` or `owner/repo`) covers a
+ * repository. `*` as the repository means "every repository" and is only
+ * covered by `*`.
+ */
+function coversRepository(pattern, repository) {
+  if (pattern === '*') return true;
+  if (repository === '*') return false;
+
+  const [owner, repo] = pattern.toLowerCase().split('/');
+  const [targetOwner, targetRepo] = repository.toLowerCase().split('/');
+  return owner === targetOwner && (repo === '*' || repo === targetRepo);
+}
+
+/**
+ * Public view of a stored key: everything but the salt and hash
+ */
+function describeKey(record, now = Date.now()) {
+  let state = 'active';
+  if (record.revoked_at) state = 'revoked';
+  else if (record.expires_at && Date.parse(record.expires_at) <= now) {
+    state = 'expired';
+  }
+  return {
+    id: record.id,
+    name: record.name,
+    repos: record.repos,
+    operations: record.operations,
+    created_at: record.created_at,
+    expires_at: record.expires_at,
+    revoked_at: record.revoked_at,
+    state,
+  };
+}
+
+/**
+ * API Keys of the hosted server
+ *
+ * Keys look like `grm_<id>_<secret>`. The key file (API_KEYS_FILE) holds a
+ * salted hash of each secret with the key's name, the repositories it may be
+ * used on, its operations and its expiry; the secret itself is shown once,
+ * when the key is created. The file is re-read when it changes on disk, so
+ * keys created or revoked with `pnpm keys` apply without a restart.
+ *
+ * Plaintext keys from VALID_API_KEYS are only accepted when
+ * ALLOW_LEGACY_API_KEYS opts in, and then only for `review` on every
+ * repository, until they are migrated.
+ */
+export class ApiKeyService {
+  constructor(options = {}) {
+    this.path = options.path;
+    this.legacyKeys = (options.legacyKeys || []).filter(Boolean);
+    this.keys = [];
+    this.loadedMtime = null;
+  }
+
+  /**
+   * Create a service instance from a ConfigService
+   */
+  static fromConfig(config) {
+    return new ApiKeyService({
+      path: config.get('API_KEYS_FILE', 'data/api-keys.json'),
+      legacyKeys: config.getBool('ALLOW_LEGACY_API_KEYS', false)
+        ? config.get('VALID_API_KEYS', '').split(',')
+        : [],
+    });
+  }
+
+  /**
+   * Read the key file if it changed since it was last read
+   */
+  async load() {
+    let info;
+    try {
+      info = await stat(this.path);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      this.keys = [];
+      this.loadedMtime = null;
+      return;
+    }
+    if (this.loadedMtime === info.mtimeMs) return;
+
+    const parsed = JSON.parse(await readFile(this.path, 'utf8'));
+    this.keys = parsed.keys || [];
+    this.loadedMtime = info.mtimeMs;
+  }
+
+  /**
+   * Write the key file, readable by its owner only
+   */
+  async save() {
+    await mkdir(dirname(this.path), { recursive: true });
+    const temporary = `${this.path}.${process.pid}.tmp`;
+    await writeFile(
+      temporary,
+      `${JSON.stringify({ keys: this.keys }, null, 2)}\n`,
+      { mode: 0o600 }
+    );
+    await rename(temporary, this.path);
+    this.loadedMtime = (await stat(this.path)).mtimeMs;
+  }
+
+  /**
+   * Create a key
+   * @param {Object} options - Unique `name`, `repos` patterns (`*`,
+   *   `owner/*` or `owner/repo`), `operations` and an optional `expires_at`
+   * @returns {Promise<Object>} `{ key, record }`: the secret key, shown only
+   *   now, and its public description
+   */
+  async create({ name, repos = ['*'], operations = ['review'], expires_at }) {
+    await this.load();
+
+    if (!NAME_PATTERN.test(name || '')) {
+      throw keyError(
+        'Key name must be 1-64 letters, digits, dots, dashes or underscores'
+      );
+    }
+    if (this.keys.some(key => key.name === name && !key.revoked_at)) {
+      throw keyError(`A key named ${name} already exists`);
+    }
+    const invalidRepo = repos.find(repo => !REPOSITORY_PATTERN.test(repo));
+    if (repos.length === 0 || invalidRepo !== undefined) {
+      throw keyError(
+        `Invalid repository ${invalidRepo ?? '(none)'}; use *, owner/* or owner/repo`
+      );
+    }
+    const invalidOperation = operations.find(op => !OPERATIONS.includes(op));
+    if (operations.length === 0 || invalidOperation !== undefined) {
+      throw keyError(
+        `Invalid operation ${invalidOperation ?? '(none)'}; use ${OPERATIONS.join(', ')}`
+      );
+    }
+    let expiresAt = null;
+    if (expires_at) {
+      const time = Date.parse(expires_at);
+      if (Number.isNaN(time) || time <= Date.now()) {
+        throw keyError('Expiry must be a date in the future');
+      }
+      expiresAt = new Date(time).toISOString();
+    }
+
+    const id = randomBytes(6).toString('hex');
+    const secret = randomBytes(32).toString('base64url');
+    const salt = randomUUID();
+    const record = {
+      id,
+      name,
+      salt,
+      hash: hashSecret(salt, secret),
+      repos: [...new Set(repos)],
+      operations: OPERATIONS.filter(op => operations.includes(op)),
+      created_at: new Date().toISOString(),
+      expires_at: expiresAt,
+      revoked_at: null,
+    };
+    this.keys.push(record);
+    await this.save();
+
+    return {
+      key: `${TOKEN_PREFIX}_${id}_${secret}`,
+      record: describeKey(record),
+    };
+  }
+
+  /**
+   * Revoke a key by ID or name
+   * @returns {Promise<Object>} The revoked key's description
+   */
+  async revoke(idOrName) {
+    await this.load();
+    const record = this.keys.find(
+      key => !key.revoked_at && (key.id === idOrName || key.name === idOrName)
+    );
+    if (!record) throw keyError(`No active key ${idOrName}`, 404);
+
+    record.revoked_at = new Date().toISOString();
+    await this.save();
+    return describeKey(record);
+  }
+
+  /**
+   * Describe every key in the file, without secrets
+   */
+  async list() {
+    await this.load();
+    return this.keys.map(key => describeKey(key));
+  }
+
+  /**
+   * Look up the key a caller presented
+   * @param {string} token - Bearer token
+   * @returns {Promise<Object|null>} The key's description, or null when it
+   *   is unknown, revoked or expired
+   */
+  async authenticate(token) {
+    if (!token) return null;
+
+    const match = TOKEN_PATTERN.exec(token);
+    if (match) {
+      await this.load();
+      const [, id, secret] = match;
+      const record = this.keys.find(key => key.id === id);
+      if (
+        !record ||
+        !sameDigest(record.hash, hashSecret(record.salt, secret))
+      ) {
+        return null;
+      }
+      const key = describeKey(record);
+      return key.state === 'active' ? key : null;
+    }
+
+    // Compare digests so the check takes the same time for every key length
+    const digest = createHash('sha256').update(token).digest('hex');
+    const legacy = this.legacyKeys.some(candidate =>
+      sameDigest(createHash('sha256').update(candidate).digest('hex'), digest)
+    );
+    if (!legacy) return null;
+    return {
+      id: `legacy-${digest.slice(0, 12)}`,
+      name: 'VALID_API_KEYS',
+      repos: ['*'],
+      operations: ['review'],
+      legacy: true,
+      state: 'active',
+    };
+  }
+
+  /**
+   * Whether a key may perform an operation
+   * @param {Object} key - Key description from authenticate()
+   * @param {string} operation - One of OPERATIONS
+   * @param {string} repository - `owner/repo` the operation touches, `*` for
+   *   every repository, or null when it touches none
+   * @returns {boolean}
+   */
+  allows(key, operation, repository = null) {
+    if (!key?.operations.includes(operation)) return false;
+    if (!repository) return true;
+    return key.repos.some(pattern => coversRepository(pattern, repository));
+  }
+
+  /**
+   * Key counts for the startup log; never the keys themselves
+   */
+  async getStats() {
+    await this.load();
+    const states = this.keys.map(key => describeKey(key).state);
+    return {
+      active: states.filter(state => state === 'active').length,
+      legacy: this.legacyKeys.length,
+    };
+  }
+}
@@ -1,3 +1,13 @@
+/**
+ * Parse a rate limit or quota. Unlike `parseInt(value) || default`, an
+ * explicit 0 is kept: it turns the limit off. Values that are not a
+ * non-negative integer fall back to the default.
+ */
+function parseLimit(value, defaultValue) {
+  const limit = parseInt(value);
+  return Number.isNaN(limit) || limit < 0 ? defaultValue : limit;
+}
+
 export class ConfigService {
   constructor() {
     this.config = new Map();
@@ -10,6 +20,37 @@ export class ConfigService {
   loadConfig() {
     // GitHub Configuration
     this.set('GITHUB_TOKEN', process.env.GITHUB_TOKEN);
+    this.set(
+      'GITHUB_API_URL',
+      process.env.GITHUB_API_URL || 'https://api.github.com'
+    );
+    this.set('GITHUB_WEB_HOST', process.env.GITHUB_WEB_HOST || 'github.com');
+
+    // GitHub App authentication, used instead of GITHUB_TOKEN when set
+    this.set('GITHUB_APP_ID', process.env.GITHUB_APP_ID);
+    this.set(
+      'GITHUB_APP_PRIVATE_KEY_PATH',
+      process.env.GITHUB_APP_PRIVATE_KEY_PATH
+    );
+    // Looked up per repository owner when not set
+    this.set(
+      'GITHUB_APP_INSTALLATION_ID',
+      parseInt(process.env.GITHUB_APP_INSTALLATION_ID) || undefined
+    );
+
+    // GitHub Enterprise Server, served alongside the host above
+    this.set('GITHUB_ENTERPRISE_HOST', process.env.GITHUB_ENTERPRISE_HOST);
+    this.set(
+      'GITHUB_ENTERPRISE_API_URL',
+      process.env.GITHUB_ENTERPRISE_API_URL ||
+        (process.env.GITHUB_ENTERPRISE_HOST
+          ? `https://${process.env.GITHUB_ENTERPRISE_HOST}/api/v3`
+          : undefined)
+    );
+    this.set('GITHUB_ENTERPRISE_TOKEN', process.env.GITHUB_ENTERPRISE_TOKEN);
+
+    // Repository ("owner/repo") of PR references given as a bare number
+    this.set('DEFAULT_REPO', process.env.DEFAULT_REPO);
 
     // General Settings
     this.set('MAX_PATCH_SIZE', parseInt(process.env.MAX_PATCH_SIZE) || 2000);
@@ -18,6 +59,176 @@ export class ConfigService {
       parseInt(process.env.MAX_FILES_TO_REVIEW) || 50
     );
     this.set('REQUEST_TIMEOUT', parseInt(process.env.REQUEST_TIMEOUT) || 30000); // 30 seconds
+    this.set(
+      'GITHUB_MAX_RETRIES',
+      parseInt(process.env.GITHUB_MAX_RETRIES) || 3
+    );
+    this.set(
+      'GITHUB_RATE_LIMIT_MAX_WAIT',
+      parseInt(process.env.GITHUB_RATE_LIMIT_MAX_WAIT) || 60000
+    ); // 1 minute
+
+    // API keys of the hosted server (managed with `pnpm keys`)
+    this.set(
+      'API_KEYS_FILE',
+      process.env.API_KEYS_FILE || 'data/api-keys.json'
+    );
+    // Deprecated: plaintext keys, limited to `review` and ignored unless
+    // ALLOW_LEGACY_API_KEYS is true
+    this.set('VALID_API_KEYS', process.env.VALID_API_KEYS);
+    this.set(
+      'ALLOW_LEGACY_API_KEYS',
+      process.env.ALLOW_LEGACY_API_KEYS === 'true'
+    );
+
+    // Rate limits and daily quotas of the hosted server; 0 turns any of them
+    // off
+    this.set('TRUST_PROXY', process.env.TRUST_PROXY);
+    this.set(
+      'RATE_LIMIT_WINDOW',
+      parseInt(process.env.RATE_LIMIT_WINDOW) || 900000
+    );
+    this.set('IP_RATE_LIMIT', parseLimit(process.env.IP_RATE_LIMIT, 100));
+    this.set('KEY_RATE_LIMIT', parseLimit(process.env.KEY_RATE_LIMIT, 100));
+    // Polling GET /review/:id and /history, counted apart from KEY_RATE_LIMIT
+    this.set(
+      'KEY_READ_RATE_LIMIT',
+      parseLimit(process.env.KEY_READ_RATE_LIMIT, 300)
+    );
+    this.set(
+      'KEY_DAILY_REQUEST_QUOTA',
+      parseLimit(process.env.KEY_DAILY_REQUEST_QUOTA, 1000)
+    );
+    this.set(
+      'KEY_DAILY_TOKEN_QUOTA',
+      parseLimit(process.env.KEY_DAILY_TOKEN_QUOTA, 0)
+    );
+    this.set('REPO_RATE_LIMIT', parseLimit(process.env.REPO_RATE_LIMIT, 20));
+    this.set(
+      'REPO_DAILY_REVIEW_QUOTA',
+      parseLimit(process.env.REPO_DAILY_REVIEW_QUOTA, 200)
+    );
+    this.set(
+      'REPO_DAILY_TOKEN_QUOTA',
+      parseLimit(process.env.REPO_DAILY_TOKEN_QUOTA, 0)
+    );
+
+    // Background review jobs (hosted server)
+    this.set(
+      'REVIEW_CONCURRENCY',
+      parseInt(process.env.REVIEW_CONCURRENCY) || 2
+    );
+    this.set(
+      'REVIEW_QUEUE_LIMIT',
+      parseInt(process.env.REVIEW_QUEUE_LIMIT) || 100
+    );
+    this.set(
+      'REVIEW_JOB_RETENTION',
+      parseInt(process.env.REVIEW_JOB_RETENTION) || 500
+    );
+    this.set(
+      'REVIEW_CALLBACK_TIMEOUT',
+      parseInt(process.env.REVIEW_CALLBACK_TIMEOUT) || 10000
+    ); // 10 seconds
+    // Callbacks are signed with this secret and refused without it
+    this.set('REVIEW_CALLBACK_SECRET', process.env.REVIEW_CALLBACK_SECRET);
+    // Comma-separated hosts callbacks may go to; any public host when unset
+    this.set(
+      'REVIEW_CALLBACK_ALLOWED_HOSTS',
+      process.env.REVIEW_CALLBACK_ALLOWED_HOSTS
+    );
+
+    // Review history: json (default), sqlite or none
+    this.set(
+      'REVIEW_HISTORY_STORE',
+      process.env.REVIEW_HISTORY_STORE || 'json'
+    );
+    this.set('REVIEW_HISTORY_PATH', process.env.REVIEW_HISTORY_PATH);
+    // Runs the json store keeps; 0 keeps them all
+    this.set(
+      'REVIEW_HISTORY_MAX_RUNS',
+      parseLimit(process.env.REVIEW_HISTORY_MAX_RUNS, 1000)
+    );
+
+    // GitHub webhooks (hosted server)
+    this.set('GITHUB_WEBHOOK_SECRET', process.env.GITHUB_WEBHOOK_SECRET);
+    this.set(
+      'WEBHOOK_REVIEW_LABEL',
+      process.env.WEBHOOK_REVIEW_LABEL || 'ai-review'
+    );
+    this.set(
+      'WEBHOOK_REVIEW_COMMAND',
+      process.env.WEBHOOK_REVIEW_COMMAND || '/review'
+    );
+
+    // Hosted MCP sessions
+    this.set(
+      'MCP_SESSION_TTL',
+      parseInt(process.env.MCP_SESSION_TTL) || 1800000
+    ); // 30 minutes
+    this.set('MCP_MAX_SESSIONS', parseInt(process.env.MCP_MAX_SESSIONS) || 100);
+
+    // PR Snapshot Cache
+    this.set('PR_CACHE_TTL', parseInt(process.env.PR_CACHE_TTL) || 60000); // 1 minute
+    this.set(
+      'PR_CACHE_MAX_ENTRIES',
+      parseInt(process.env.PR_CACHE_MAX_ENTRIES) || 100
+    );
+
+    // LLM Provider Configuration
+    this.set('LLM_PROVIDER', process.env.LLM_PROVIDER || 'gemini');
+    this.set('LLM_MODEL', process.env.LLM_MODEL);
+    this.set(
+      'LLM_REQUEST_TIMEOUT',
+      parseInt(process.env.LLM_REQUEST_TIMEOUT) || 120000
+    ); // 2 minutes
+    this.set('GEMINI_API_KEY', process.env.GEMINI_API_KEY);
+    this.set(
+      'GEMINI_DEFAULT_MODEL',
+      process.env.GEMINI_DEFAULT_MODEL || 'gemini-2.5-flash'
+    );
+    this.set(
+      'OLLAMA_HOST',
+      process.env.OLLAMA_HOST || 'http://localhost:11434'
+    );
+    this.set('DEFAULT_MODEL', process.env.DEFAULT_MODEL || 'llama3.1');
+    this.set(
+      'OPENAI_BASE_URL',
+      process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1'
+    );
+    this.set('OPENAI_API_KEY', process.env.OPENAI_API_KEY);
+    this.set('OPENAI_MODEL', process.env.OPENAI_MODEL || 'gpt-4o-mini');
+
+    // Review Agent Limits
+    this.set(
+      'AGENT_MAX_ITERATIONS',
+      parseInt(process.env.AGENT_MAX_ITERATIONS) || 10
+    );
+    this.set(
+      'AGENT_MAX_TOOL_CALLS',
+      parseInt(process.env.AGENT_MAX_TOOL_CALLS) || 30
+    );
+    this.set(
+      'REVIEW_OUTPUT_RETRIES',
+      parseInt(process.env.REVIEW_OUTPUT_RETRIES) || 2
+    );
+    this.set('AUTO_POST_REVIEW', process.env.AUTO_POST_REVIEW === 'true');
+    this.set(
+      'MAX_REVIEW_COMMENTS',
+      parseInt(process.env.MAX_REVIEW_COMMENTS) || 3
+    );
+    this.set(
+      'STICKY_REVIEW_SUMMARY',
+      process.env.STICKY_REVIEW_SUMMARY === 'true'
+    );
+    this.set('REVIEW_TIMEOUT', parseInt(process.env.REVIEW_TIMEOUT) || 300000); // 5 minutes
+
+    // Vulnerability Advisories (offline OSV dump)
+    this.set('ADVISORY_DB_PATH', process.env.ADVISORY_DB_PATH);
+    this.set(
+      'ADVISORY_DB_RELOAD_INTERVAL',
+      parseInt(process.env.ADVISORY_DB_RELOAD_INTERVAL) || 3600000
+    ); // 1 hour
 
     // Logging Configuration
     this.set('LOG_LEVEL', process.env.LOG_LEVEL || 'info');
@@ -53,8 +264,9 @@ export class ConfigService {
    * Get configuration value as integer
    */
   getInt(key, defaultValue = 0) {
-    const value = this.get(key, defaultValue);
-    return parseInt(value) || defaultValue;
+    // get() would turn a configured 0 into the default
+    const value = parseInt(this.has(key) ? this.config.get(key) : defaultValue);
+    return Number.isNaN(value) ? defaultValue : value;
   }
 
   /**
@@ -72,22 +284,37 @@ export class ConfigService {
    * Validate required configuration
    */
   validate() {
-    const required = ['GITHUB_TOKEN'];
+    // A GitHub App replaces the token
+    const required = this.has('GITHUB_APP_ID')
+      ? ['GITHUB_APP_PRIVATE_KEY_PATH']
+      : ['GITHUB_TOKEN'];
     const missing = required.filter(key => !this.has(key));
 
     if (missing.length > 0) {
       throw new Error(`Missing required configuration: ${missing.join(', ')}`);
     }
 
-    // Validate GitHub token format
-    const githubToken = this.get('GITHUB_TOKEN');
     if (
-      githubToken &&
-      !githubToken.startsWith('ghp_') &&
-      !githubToken.startsWith('github_pat_')
+      this.has('GITHUB_ENTERPRISE_HOST') &&
+      !this.has('GITHUB_ENTERPRISE_TOKEN')
     ) {
+      throw new Error(
+        'GITHUB_ENTERPRISE_TOKEN is required when GITHUB_ENTERPRISE_HOST is set'
+      );
+    }
+
+    const defaultRepo = this.get('DEFAULT_REPO');
+    if (defaultRepo && !/^[\w.-]+\/[\w.-]+$/.test(defaultRepo)) {
+      throw new Error(
+        `DEFAULT_REPO must be in the form owner/repo, got: ${defaultRepo}`
+      );
+    }
+
+    // Validate GitHub token format
+    const githubToken = this.get('GITHUB_TOKEN');
+    if (githubToken && !/^(ghp|gho|ghu|ghs|github_pat)_/.test(githubToken)) {
       console.warn(
-        'Warning: GitHub token may not be in the expected format (should start with ghp_ or github_pat_)'
+        'Warning: GitHub token may not be in the expected format (should start with ghp_, github_pat_, gho_, ghu_ or ghs_)'
       );
     }
   }
@@ -99,7 +326,11 @@ export class ConfigService {
     const obj = {};
     for (const [key, value] of this.config.entries()) {
       // Don't expose sensitive values
-      if (key.includes('TOKEN') || key.includes('KEY')) {
+      if (
+        key.includes('TOKEN') ||
+        key.includes('KEY') ||
+        key.includes('SECRET')
+      ) {
         obj[key] = value ? '[SET]' : '[NOT SET]';
       } else {
         obj[key] = value;
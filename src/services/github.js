@@ -1,66 +1,544 @@
 import { Octokit } from '@octokit/rest';
+import { renderCommentBody } from '../utils/review_comments.js';
+import { SUMMARY_MARKER, parseSummaryState } from '../utils/summary_state.js';
+import { GitHubAppAuth } from './github_app.js';
+import {
+  installRequestPolicy,
+  withoutRequestSignal,
+} from './github_requests.js';
+import { parsePRReference, withScope } from '../utils/pr_reference.js';
+
+const PER_PAGE = 100;
+
+const REVIEW_THREAD_COMMENT_FIELDS = `
+  pageInfo { hasNextPage endCursor }
+  nodes {
+    id
+    databaseId
+    body
+    createdAt
+    url
+    diffHunk
+    author { login }
+  }
+`;
+
+const REVIEW_THREADS_QUERY = `
+  query ($owner: String!, $repo: String!, $number: Int!, $after: String) {
+    repository(owner: $owner, name: $repo) {
+      pullRequest(number: $number) {
+        reviewThreads(first: 100, after: $after) {
+          pageInfo { hasNextPage endCursor }
+          nodes {
+            id
+            path
+            line
+            startLine
+            originalLine
+            diffSide
+            isResolved
+            isOutdated
+            resolvedBy { login }
+            comments(first: 100) { ${REVIEW_THREAD_COMMENT_FIELDS} }
+          }
+        }
+      }
+    }
+  }
+`;
+
+const THREAD_COMMENTS_QUERY = `
+  query ($id: ID!, $after: String) {
+    node(id: $id) {
+      ... on PullRequestReviewThread {
+        comments(first: 100, after: $after) { ${REVIEW_THREAD_COMMENT_FIELDS} }
+      }
+    }
+  }
+`;
+
+const PULL_REQUEST_REF_FIELDS = 'number repository { nameWithOwner }';
+
+const THREAD_OWNER_QUERY = `
+  query ($id: ID!) {
+    node(id: $id) {
+      ... on PullRequestReviewThread {
+        pullRequest { ${PULL_REQUEST_REF_FIELDS} }
+      }
+    }
+  }
+`;
+
+const COMMENT_OWNER_QUERY = `
+  query ($id: ID!) {
+    node(id: $id) {
+      ... on PullRequestReviewComment {
+        author { login }
+        pullRequest { ${PULL_REQUEST_REF_FIELDS} }
+      }
+      ... on IssueComment {
+        author { login }
+        pullRequest { ${PULL_REQUEST_REF_FIELDS} }
+      }
+    }
+  }
+`;
+
+const RESOLVE_THREAD_MUTATION = `
+  mutation ($threadId: ID!) {
+    resolveReviewThread(input: { threadId: $threadId }) {
+      thread { id isResolved }
+    }
+  }
+`;
+
+const UNRESOLVE_THREAD_MUTATION = `
+  mutation ($threadId: ID!) {
+    unresolveReviewThread(input: { threadId: $threadId }) {
+      thread { id isResolved }
+    }
+  }
+`;
+
+const MINIMIZE_COMMENT_MUTATION = `
+  mutation ($subjectId: ID!, $classifier: ReportedContentClassifiers!) {
+    minimizeComment(input: { subjectId: $subjectId, classifier: $classifier }) {
+      minimizedComment { isMinimized minimizedReason }
+    }
+  }
+`;
+
+const VIEWER_QUERY = `
+  query {
+    viewer { login }
+  }
+`;
+
+/**
+ * Normalize a web host name, e.g. "https://GitHub.com/" -> "github.com"
+ */
+function normalizeHost(host) {
+  return host
+    .trim()
+    .replace(/^https?:\/\//i, '')
+    .replace(/^www\./i, '')
+    .replace(/\/+$/, '')
+    .toLowerCase();
+}
 
 export class GitHubService {
-  constructor(token) {
-    if (!token) {
+  /**
+   * @param {string} token - Token for the API at `baseUrl`
+   * @param {Object} options - `baseUrl` of the REST API and the `webHost`
+   *   its PR URLs use (github.com by default). `hosts` maps other web hosts
+   *   to `{ token, baseUrl, app }` so PR URLs on them can be served as well.
+   *   With `app` (a GitHubAppAuth) requests use installation tokens instead
+   *   of `token`.
+   */
+  constructor(token, options = {}) {
+    if (!token && !options.app) {
       throw new Error('GitHub token is required');
     }
 
     this.octokit = new Octokit({
-      auth: token,
+      ...(options.app ? {} : { auth: token }),
+      ...(options.baseUrl ? { baseUrl: options.baseUrl } : {}),
+    });
+    this.app = options.app || null;
+    if (this.app) {
+      // Authenticate every request as the installation of the repository owner
+      this.octokit.hook.before('request', async request => {
+        const owner =
+          request.owner ?? request.variables?.owner ?? request.request?.owner;
+        const repo =
+          request.repo ?? request.variables?.repo ?? request.request?.repo;
+        const token = await this.app.getToken(owner, repo);
+        request.headers.authorization = `token ${token}`;
+      });
+    }
+    // Retries, timeouts and rate limit tracking, around auth so every retry
+    // is authenticated again
+    this.requestStats = installRequestPolicy(this.octokit, {
+      retries: options.maxRetries,
+      timeout: options.requestTimeout,
+      maxWait: options.rateLimitMaxWait,
+      // Installations have separate quotas, so one exhausted quota says
+      // nothing about the next request
+      preemptive: !this.app,
+    });
+    this.options = options;
+    this.webHost = normalizeHost(options.webHost || 'github.com');
+    this.hosts = options.hosts || {};
+    // Repository of PR references that are just a number
+    this.defaultRepo = options.defaultRepo || null;
+    // One service per host, shared by every service handed out by forHost
+    this.hostClients = options.hostClients || new Map();
+    if (!this.hostClients.has(this.webHost)) {
+      this.hostClients.set(this.webHost, this);
+    }
+    this.maxFiles = options.maxFiles || 50;
+
+    // PR snapshot cache shared by every tool call made through this instance
+    this.cacheTtl = options.cacheTtl ?? 60000;
+    this.cacheMaxEntries = options.cacheMaxEntries || 100;
+    this.prCache = new Map();
+    this.inflight = new Map();
+    this.cacheStats = { hits: 0, misses: 0, revalidated: 0, deduped: 0 };
+  }
+
+  /**
+   * Create a service instance from a ConfigService
+   */
+  static fromConfig(config) {
+    const webHost = config.get('GITHUB_WEB_HOST') || 'github.com';
+    const app = GitHubAppAuth.fromConfig(config);
+    const hosts = {
+      [normalizeHost(webHost)]: {
+        token: config.get('GITHUB_TOKEN'),
+        baseUrl: config.get('GITHUB_API_URL'),
+        app,
+      },
+    };
+
+    // Optional second host, e.g. GitHub Enterprise Server next to github.com
+    const enterpriseHost = config.get('GITHUB_ENTERPRISE_HOST');
+    if (enterpriseHost) {
+      hosts[normalizeHost(enterpriseHost)] = {
+        token: config.get('GITHUB_ENTERPRISE_TOKEN'),
+        baseUrl: config.get('GITHUB_ENTERPRISE_API_URL'),
+      };
+    }
+
+    return new GitHubService(config.get('GITHUB_TOKEN'), {
+      baseUrl: config.get('GITHUB_API_URL'),
+      app,
+      webHost,
+      hosts,
+      maxFiles: config.getInt('MAX_FILES_TO_REVIEW', 50),
+      cacheTtl: config.getInt('PR_CACHE_TTL', 60000),
+      cacheMaxEntries: config.getInt('PR_CACHE_MAX_ENTRIES', 100),
+      requestTimeout: config.getInt('REQUEST_TIMEOUT', 30000),
+      maxRetries: config.getInt('GITHUB_MAX_RETRIES', 3),
+      rateLimitMaxWait: config.getInt('GITHUB_RATE_LIMIT_MAX_WAIT', 60000),
+      defaultRepo: config.get('DEFAULT_REPO'),
+    });
+  }
+
+  /**
+   * Get the service for a web host, with that host's API URL and token
+   * @param {string} host - Web host of a PR URL, e.g. "github.example.com"
+   * @returns {GitHubService}
+   */
+  forHost(host) {
+    const name = normalizeHost(host);
+    if (name === this.webHost) return this;
+    if (this.hostClients.has(name)) return this.hostClients.get(name);
+
+    const settings = this.hosts[name];
+    if (!settings) {
+      throw new Error(
+        `Unsupported GitHub host: ${name} (configured: ${this.knownHosts().join(', ')})`
+      );
+    }
+
+    return new GitHubService(settings.token, {
+      ...this.options,
+      baseUrl: settings.baseUrl,
+      app: settings.app,
+      webHost: name,
+      hostClients: this.hostClients,
     });
   }
 
   /**
-   * Parse GitHub PR URL to extract owner, repo, and pull number
+   * Get the current API quota
+   * Querying it does not count against the rate limit. With App auth,
+   * `owner`/`repo` pick the installation whose quota is returned.
+   * @returns {Promise<Object>} Quota per resource plus retry statistics
+   */
+  async getRateLimit(owner, repo) {
+    const { data } = await this.octokit.rateLimit.get(
+      this.app ? { request: { owner, repo } } : {}
+    );
+
+    const resources = {};
+    for (const name of ['core', 'graphql', 'search']) {
+      const resource = data.resources[name];
+      if (!resource) continue;
+      resources[name] = {
+        limit: resource.limit,
+        remaining: resource.remaining,
+        used: resource.used,
+        reset_at: new Date(resource.reset * 1000).toISOString(),
+      };
+    }
+
+    return {
+      host: this.webHost,
+      resources,
+      retries: this.requestStats.retries,
+      rate_limited: this.requestStats.rate_limited,
+    };
+  }
+
+  /**
+   * Get the service for the host of a PR URL
+   */
+  forUrl(url) {
+    return this.forHost(this.parsePRUrl(url).host);
+  }
+
+  /**
+   * Web hosts whose PR URLs this service accepts
+   */
+  knownHosts() {
+    return [...new Set([this.webHost, ...Object.keys(this.hosts)])];
+  }
+
+  /**
+   * Parse a PR reference to extract owner, repo, and pull number
+   *
+   * Accepts PR URLs (including /files and /commits sub-pages), REST API URLs,
+   * `owner/repo#123`, and `#123` or `123` in DEFAULT_REPO. Short references
+   * are on this service's web host. `scope` is the commit or file the
+   * reference points at, if any.
    */
   parsePRUrl(url) {
-    const match = url.match(/github\.com\/([^/]+)\/([^/]+)\/pull\/(\d+)/);
-    if (!match) {
-      throw new Error('Invalid GitHub PR URL format');
+    const { host, ...reference } = parsePRReference(url, {
+      defaultRepo: this.defaultRepo,
+    });
+
+    const name = host ? normalizeHost(host) : this.webHost;
+    if (!this.knownHosts().includes(name)) {
+      throw new Error(
+        `Unsupported GitHub host: ${name} (configured: ${this.knownHosts().join(', ')})`
+      );
     }
 
+    return { ...reference, host: name };
+  }
+
+  /**
+   * Resolve a PR reference to its canonical web URL
+   * @returns {Object} `{ owner, repo, pull_number, host, scope, url }`
+   */
+  resolvePRReference(reference) {
+    const parsed = this.parsePRUrl(reference);
     return {
-      owner: match[1],
-      repo: match[2],
-      pull_number: parseInt(match[3]),
+      ...parsed,
+      url: `https://${parsed.host}/${parsed.owner}/${parsed.repo}/pull/${parsed.pull_number}`,
     };
   }
 
   /**
    * Get PR details including files changed
+   *
+   * Files, commits and reviews are paginated to completion. Files beyond
+   * MAX_FILES_TO_REVIEW are dropped and reported through `truncated`/`totals`.
+   * Results are served from the PR snapshot cache when possible.
+   * @param {Object} options - `{ incremental, since }` to only return the
+   *   changes since the last review (see getIncrementalPRDetails)
    */
-  async getPRDetails(url) {
+  async getPRDetails(url, { incremental = false, since } = {}) {
+    const parsed = this.parsePRUrl(url);
+    if (parsed.host !== this.webHost) {
+      return this.forHost(parsed.host).getPRDetails(url, {
+        incremental,
+        since,
+      });
+    }
+    if (incremental) return this.getIncrementalPRDetails(url, since);
+
+    return withScope(await this.getPRSnapshot(parsed), parsed.scope);
+  }
+
+  /**
+   * Get PR details limited to the commits pushed since the last review
+   *
+   * The last reviewed head comes from `since`, the sticky summary comment or
+   * the `commit_id` of the latest review by the authenticated user. Files
+   * and commits are narrowed to the compare diff between that commit and the
+   * current head. When there is no earlier review, or the old head is no
+   * longer an ancestor (force-push), the full PR is returned instead.
+   * `incremental` describes which of the two happened.
+   */
+  async getIncrementalPRDetails(url, since) {
     const { owner, repo, pull_number } = this.parsePRUrl(url);
+    const snapshot = await this.getPRDetails(url);
+    const head = snapshot.pr.head_sha;
+    const last = since
+      ? { sha: since, source: 'argument' }
+      : await this.getLastReviewedSha(owner, repo, pull_number, snapshot);
 
-    // Get PR basic information
-    const { data: pr } = await this.octokit.pulls.get({
-      owner,
-      repo,
-      pull_number,
+    const full = reason => ({
+      ...snapshot,
+      incremental: {
+        mode: 'full',
+        reason,
+        base_sha: last?.sha ?? null,
+        head_sha: head,
+      },
     });
+    if (!last) return full('no_previous_review');
 
-    // Get files changed in PR
-    const { data: files } = await this.octokit.pulls.listFiles({
-      owner,
-      repo,
-      pull_number,
-    });
+    const comparison =
+      last.sha === head
+        ? { status: 'identical', files: [], commits: [] }
+        : await this.compareCommits(owner, repo, last.sha, head);
+    if (
+      !comparison ||
+      (comparison.status !== 'ahead' && comparison.status !== 'identical')
+    ) {
+      return full('force_push');
+    }
 
-    // Get commits
-    const { data: commits } = await this.octokit.pulls.listCommits({
-      owner,
-      repo,
-      pull_number,
-    });
+    // Merging the base branch brings in changes that are not part of the PR
+    const prFiles = new Map(snapshot.files.map(file => [file.filename, file]));
+    const files = comparison.files
+      .filter(file => snapshot.truncated || prFiles.has(file.filename))
+      .slice(0, this.maxFiles)
+      .map(file => ({
+        ...file,
+        changes: file.additions + file.deletions,
+        blob_url: prFiles.get(file.filename)?.blob_url,
+      }));
+    const shas = new Set(comparison.commits.map(commit => commit.sha));
 
-    // Get existing reviews
-    const { data: reviews } = await this.octokit.pulls.listReviews({
-      owner,
-      repo,
-      pull_number,
+    return {
+      ...snapshot,
+      files,
+      commits: snapshot.commits.filter(commit => shas.has(commit.sha)),
+      incremental: {
+        mode: 'incremental',
+        source: last.source,
+        base_sha: last.sha,
+        head_sha: head,
+        commits: shas.size,
+        files: files.length,
+      },
+    };
+  }
+
+  /**
+   * Find the head commit of the last review by the authenticated user
+   * @returns {Promise<{sha: string, source: string}|null>}
+   */
+  async getLastReviewedSha(owner, repo, pull_number, snapshot) {
+    const summary = await this.findSummaryComment(owner, repo, pull_number);
+    const sha = parseSummaryState(summary?.body)?.history[0]?.sha;
+    if (sha) return { sha, source: 'summary_comment' };
+
+    let viewer;
+    try {
+      viewer = await this.getViewerLogin();
+    } catch {
+      return null;
+    }
+    const review = snapshot.existing_reviews
+      .filter(review => review.user === viewer && review.commit_id)
+      .at(-1);
+    return review ? { sha: review.commit_id, source: 'review' } : null;
+  }
+
+  /**
+   * Get a PR snapshot, using the cache, ETag revalidation and in-flight dedupe
+   */
+  async getPRSnapshot({ owner, repo, pull_number }) {
+    const key = `${owner}/${repo}#${pull_number}`;
+    const cached = this.prCache.get(key);
+
+    if (cached && Date.now() - cached.fetchedAt < this.cacheTtl) {
+      this.cacheStats.hits++;
+      return cached.snapshot;
+    }
+
+    // Concurrent callers share the fetch that is already running
+    if (this.inflight.has(key)) {
+      this.cacheStats.deduped++;
+      return this.inflight.get(key);
+    }
+
+    // Shared with the callers above, so one cancelled review must not abort
+    // it for the others
+    const request = withoutRequestSignal(() =>
+      this.fetchPRSnapshot(key, { owner, repo, pull_number }, cached)
+    ).finally(() => this.inflight.delete(key));
+    this.inflight.set(key, request);
+    return request;
+  }
+
+  /**
+   * Fetch a PR snapshot from the API, revalidating a stale entry by ETag
+   */
+  async fetchPRSnapshot(key, { owner, repo, pull_number }, cached) {
+    let response;
+    try {
+      response = await this.octokit.pulls.get({
+        owner,
+        repo,
+        pull_number,
+        headers: cached?.etag ? { 'if-none-match': cached.etag } : {},
+      });
+    } catch (error) {
+      if (error.status === 304 && cached) {
+        this.cacheStats.revalidated++;
+        cached.fetchedAt = Date.now();
+        return cached.snapshot;
+      }
+      throw error;
+    }
+
+    const { data: pr, headers } = response;
+    this.cacheStats.misses++;
+
+    // Files and commits only change with the head SHA, so keep them when the
+    // PR was updated for other reasons (title, labels, new reviews)
+    const sameHead = cached && cached.headSha === pr.head.sha;
+    const params = { owner, repo, pull_number, per_page: PER_PAGE };
+    const [allFiles, commits, reviews] = await Promise.all([
+      sameHead
+        ? cached.allFiles
+        : this.octokit.paginate(this.octokit.pulls.listFiles, params),
+      sameHead
+        ? cached.commits
+        : this.octokit.paginate(this.octokit.pulls.listCommits, params),
+      this.octokit.paginate(this.octokit.pulls.listReviews, params),
+    ]);
+
+    const snapshot = this.buildPRSnapshot(
+      { owner, repo },
+      pr,
+      allFiles,
+      commits,
+      reviews
+    );
+
+    this.prCache.delete(key);
+    this.prCache.set(key, {
+      etag: headers.etag,
+      headSha: pr.head.sha,
+      fetchedAt: Date.now(),
+      allFiles,
+      commits,
+      snapshot,
     });
 
+    // Evict the least recently stored entries beyond the size limit
+    while (this.prCache.size > this.cacheMaxEntries) {
+      this.prCache.delete(this.prCache.keys().next().value);
+    }
+
+    return snapshot;
+  }
+
+  /**
+   * Shape raw API responses into the PR snapshot returned to tools
+   */
+  buildPRSnapshot({ owner, repo }, pr, allFiles, commits, reviews) {
+    // Enforce MAX_FILES_TO_REVIEW after the full list is known
+    const truncated = allFiles.length > this.maxFiles;
+    const files = truncated ? allFiles.slice(0, this.maxFiles) : allFiles;
+
     return {
       pr: {
         id: pr.id,
@@ -73,6 +551,8 @@ export class GitHubService {
         updated_at: pr.updated_at,
         base_branch: pr.base.ref,
         head_branch: pr.head.ref,
+        base_sha: pr.base.sha,
+        head_sha: pr.head.sha,
         mergeable: pr.mergeable,
         additions: pr.additions,
         deletions: pr.deletions,
@@ -85,6 +565,7 @@ export class GitHubService {
         deletions: file.deletions,
         changes: file.changes,
         patch: file.patch,
+        previous_filename: file.previous_filename,
         blob_url: file.blob_url,
       })),
       commits: commits.map(commit => ({
@@ -98,8 +579,15 @@ export class GitHubService {
         user: review.user.login,
         state: review.state,
         body: review.body,
+        commit_id: review.commit_id,
         submitted_at: review.submitted_at,
       })),
+      truncated,
+      totals: {
+        files: allFiles.length,
+        commits: commits.length,
+        reviews: reviews.length,
+      },
       repository: {
         owner,
         repo,
@@ -108,6 +596,31 @@ export class GitHubService {
     };
   }
 
+  /**
+   * Get PR snapshot cache statistics
+   */
+  getCacheStats() {
+    const { hits, misses, revalidated, deduped } = this.cacheStats;
+    const lookups = hits + misses + revalidated + deduped;
+
+    return {
+      ...this.cacheStats,
+      entries: this.prCache.size,
+      hit_rate: lookups > 0 ? (lookups - misses) / lookups : 0,
+    };
+  }
+
+  /**
+   * Drop cached snapshots, for one PR or all of them
+   */
+  invalidatePRCache({ owner, repo, pull_number } = {}) {
+    if (owner && repo && pull_number) {
+      this.prCache.delete(`${owner}/${repo}#${pull_number}`);
+    } else {
+      this.prCache.clear();
+    }
+  }
+
   /**
    * Get file content from repository
    */
@@ -121,6 +634,16 @@ export class GitHubService {
       });
 
       if (data.type === 'file') {
+        // Files over 1 MB come back without inline content
+        if (data.encoding === 'none') {
+          const { data: blob } = await this.octokit.git.getBlob({
+            owner,
+            repo,
+            file_sha: data.sha,
+          });
+          return Buffer.from(blob.content, 'base64').toString('utf8');
+        }
+
         return Buffer.from(data.content, 'base64').toString('utf8');
       }
 
@@ -133,8 +656,64 @@ export class GitHubService {
     }
   }
 
+  /**
+   * Get the merge base of two commits, the ref a PR diff is computed against
+   */
+  async getMergeBase(owner, repo, base, head) {
+    const { data } = await this.octokit.repos.compareCommitsWithBasehead({
+      owner,
+      repo,
+      basehead: `${base}...${head}`,
+      per_page: 1,
+    });
+
+    return data.merge_base_commit.sha;
+  }
+
+  /**
+   * Compare two commits of a repository
+   * `status` is `diverged` when `head` does not contain `base`, e.g. after a
+   * force-push. Returns null when either commit no longer exists.
+   */
+  async compareCommits(owner, repo, base, head) {
+    let data;
+    try {
+      ({ data } = await this.octokit.repos.compareCommitsWithBasehead({
+        owner,
+        repo,
+        basehead: `${base}...${head}`,
+      }));
+    } catch (error) {
+      if (error.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+
+    return {
+      status: data.status,
+      ahead_by: data.ahead_by,
+      behind_by: data.behind_by,
+      merge_base_sha: data.merge_base_commit?.sha ?? null,
+      commits: data.commits.map(commit => ({
+        sha: commit.sha,
+        message: commit.commit.message,
+      })),
+      files: (data.files || []).map(file => ({
+        filename: file.filename,
+        status: file.status,
+        additions: file.additions,
+        deletions: file.deletions,
+        patch: file.patch,
+        previous_filename: file.previous_filename,
+      })),
+    };
+  }
+
   /**
    * Post review comment on PR
+   * Comments may span lines (`start_line`), target either `side` of the
+   * diff and carry a `suggestion` rendered as a suggested change block.
    */
   async createReview(owner, repo, pull_number, review) {
     const { body, event = 'COMMENT', comments = [] } = review;
@@ -151,7 +730,14 @@ export class GitHubService {
       reviewData.comments = comments.map(comment => ({
         path: comment.path,
         line: comment.line,
-        body: comment.body,
+        side: comment.side || 'RIGHT',
+        ...(comment.start_line
+          ? {
+              start_line: comment.start_line,
+              start_side: comment.start_side || comment.side || 'RIGHT',
+            }
+          : {}),
+        body: renderCommentBody(comment),
       }));
     }
 
@@ -159,6 +745,300 @@ export class GitHubService {
     return data;
   }
 
+  /**
+   * List inline review comments on a PR
+   * `line` is null for comments outdated by later pushes.
+   */
+  async listReviewComments(owner, repo, pull_number) {
+    const comments = await this.octokit.paginate(
+      this.octokit.pulls.listReviewComments,
+      { owner, repo, pull_number, per_page: 100 }
+    );
+
+    return comments.map(comment => ({
+      id: comment.id,
+      path: comment.path,
+      line: comment.line ?? null,
+      start_line: comment.start_line ?? null,
+      side: comment.side,
+      body: comment.body,
+      user: comment.user?.login,
+      in_reply_to_id: comment.in_reply_to_id ?? null,
+      html_url: comment.html_url,
+    }));
+  }
+
+  /**
+   * Get every review thread on a PR with its replies and resolution state
+   *
+   * Review threads are only exposed through GraphQL. Threads and the
+   * comments of each thread are paginated to completion.
+   */
+  async getReviewThreads(owner, repo, pull_number) {
+    const threads = [];
+    let after = null;
+
+    do {
+      const data = await this.octokit.graphql(REVIEW_THREADS_QUERY, {
+        owner,
+        repo,
+        number: pull_number,
+        after,
+      });
+      const page = data.repository.pullRequest.reviewThreads;
+
+      for (const thread of page.nodes) {
+        const comments = [...thread.comments.nodes];
+        let pageInfo = thread.comments.pageInfo;
+
+        while (pageInfo.hasNextPage) {
+          const more = await this.graphql(
+            THREAD_COMMENTS_QUERY,
+            { id: thread.id, after: pageInfo.endCursor },
+            { owner, repo }
+          );
+          comments.push(...more.node.comments.nodes);
+          pageInfo = more.node.comments.pageInfo;
+        }
+
+        threads.push(this.buildReviewThread(thread, comments));
+      }
+
+      after = page.pageInfo.hasNextPage ? page.pageInfo.endCursor : null;
+    } while (after);
+
+    return threads;
+  }
+
+  /**
+   * Shape a GraphQL review thread into the structure returned to tools
+   */
+  buildReviewThread(thread, comments) {
+    return {
+      id: thread.id,
+      path: thread.path,
+      line: thread.line,
+      start_line: thread.startLine,
+      original_line: thread.originalLine,
+      side: thread.diffSide,
+      is_resolved: thread.isResolved,
+      is_outdated: thread.isOutdated,
+      resolved_by: thread.resolvedBy?.login ?? null,
+      author: comments[0]?.author?.login ?? null,
+      diff_hunk: comments[0]?.diffHunk ?? null,
+      comments: comments.map(comment => ({
+        id: comment.databaseId,
+        node_id: comment.id,
+        author: comment.author?.login ?? null,
+        body: comment.body,
+        created_at: comment.createdAt,
+        url: comment.url,
+      })),
+    };
+  }
+
+  /**
+   * List the conversation comments of a PR (not inline review comments)
+   */
+  async listIssueComments(owner, repo, issue_number) {
+    const comments = await this.octokit.paginate(
+      this.octokit.issues.listComments,
+      { owner, repo, issue_number, per_page: PER_PAGE }
+    );
+
+    return comments.map(comment => ({
+      id: comment.id,
+      body: comment.body,
+      user: comment.user?.login,
+      html_url: comment.html_url,
+      updated_at: comment.updated_at,
+    }));
+  }
+
+  /**
+   * Add a conversation comment to a PR
+   */
+  async createIssueComment(owner, repo, issue_number, body) {
+    const { data } = await this.octokit.issues.createComment({
+      owner,
+      repo,
+      issue_number,
+      body,
+    });
+
+    return { id: data.id, html_url: data.html_url };
+  }
+
+  /**
+   * Replace the body of a conversation comment
+   */
+  async updateIssueComment(owner, repo, comment_id, body) {
+    const { data } = await this.octokit.issues.updateComment({
+      owner,
+      repo,
+      comment_id,
+      body,
+    });
+
+    return { id: data.id, html_url: data.html_url };
+  }
+
+  /**
+   * Find the sticky summary comment written by the authenticated user
+   * @returns {Promise<Object|null>} The comment, or null
+   */
+  async findSummaryComment(owner, repo, issue_number) {
+    const comments = await this.listIssueComments(owner, repo, issue_number);
+
+    // Only trust our own comment; anyone could paste the marker. Without a
+    // known login (e.g. tokens that cannot query the viewer) the marker alone
+    // is used.
+    let viewer = null;
+    try {
+      viewer = await this.getViewerLogin();
+    } catch (error) {
+      console.warn(
+        '⚠️  Could not determine the authenticated user:',
+        error.message
+      );
+    }
+
+    return (
+      comments.find(
+        comment =>
+          comment.body?.includes(SUMMARY_MARKER) &&
+          (!viewer || comment.user === viewer)
+      ) || null
+    );
+  }
+
+  /**
+   * Login of the account the token authenticates as
+   */
+  async getViewerLogin() {
+    if (!this.viewerLogin) {
+      if (this.app) {
+        this.viewerLogin = await this.app.getBotLogin();
+      } else {
+        const { viewer } = await this.octokit.graphql(VIEWER_QUERY);
+        this.viewerLogin = viewer.login;
+      }
+    }
+    return this.viewerLogin;
+  }
+
+  /**
+   * Run a GraphQL request
+   * With App auth, `owner`/`repo` pick the installation for queries whose
+   * variables do not name the repository.
+   */
+  graphql(query, variables, { owner, repo } = {}) {
+    return this.octokit.graphql(
+      query,
+      this.app ? { ...variables, request: { owner, repo } } : variables
+    );
+  }
+
+  /**
+   * Reply to an inline review comment, adding to its thread
+   */
+  async replyToReviewComment(owner, repo, pull_number, comment_id, body) {
+    const { data } = await this.octokit.pulls.createReplyForReviewComment({
+      owner,
+      repo,
+      pull_number,
+      comment_id,
+      body,
+    });
+
+    return {
+      id: data.id,
+      in_reply_to_id: data.in_reply_to_id,
+      html_url: data.html_url,
+    };
+  }
+
+  /**
+   * Resolve or unresolve a review thread
+   * The thread must belong to the given PR.
+   */
+  async setReviewThreadResolved(owner, repo, pull_number, threadId, resolved) {
+    const { node } = await this.graphql(
+      THREAD_OWNER_QUERY,
+      { id: threadId },
+      { owner, repo }
+    );
+    this.assertSamePullRequest(node?.pullRequest, owner, repo, pull_number, {
+      kind: 'Review thread',
+      id: threadId,
+    });
+
+    const mutation = resolved
+      ? RESOLVE_THREAD_MUTATION
+      : UNRESOLVE_THREAD_MUTATION;
+    const data = await this.graphql(mutation, { threadId }, { owner, repo });
+    const { thread } = resolved
+      ? data.resolveReviewThread
+      : data.unresolveReviewThread;
+
+    return { id: thread.id, is_resolved: thread.isResolved };
+  }
+
+  /**
+   * Minimize one of the authenticated user's own comments on a PR
+   * @param {string} reason - OUTDATED, RESOLVED, DUPLICATE or OFF_TOPIC
+   */
+  async minimizeOwnComment(owner, repo, pull_number, commentNodeId, reason) {
+    const { node } = await this.graphql(
+      COMMENT_OWNER_QUERY,
+      { id: commentNodeId },
+      { owner, repo }
+    );
+    this.assertSamePullRequest(node?.pullRequest, owner, repo, pull_number, {
+      kind: 'Comment',
+      id: commentNodeId,
+    });
+
+    // GraphQL reports App logins without the "[bot]" suffix used by REST
+    const viewer = await this.getViewerLogin();
+    const login = name => name?.replace(/\[bot\]$/, '');
+    if (login(node.author?.login) !== login(viewer)) {
+      throw new Error(
+        `Comment ${commentNodeId} was written by ${node.author?.login ?? 'a deleted user'}, only comments by ${viewer} can be minimized`
+      );
+    }
+
+    const data = await this.graphql(
+      MINIMIZE_COMMENT_MUTATION,
+      { subjectId: commentNodeId, classifier: reason },
+      { owner, repo }
+    );
+    const comment = data.minimizeComment.minimizedComment;
+
+    return {
+      id: commentNodeId,
+      is_minimized: comment.isMinimized,
+      minimized_reason: comment.minimizedReason,
+    };
+  }
+
+  /**
+   * Make sure a GraphQL node belongs to the PR named in the request
+   */
+  assertSamePullRequest(pullRequest, owner, repo, pull_number, { kind, id }) {
+    const expected = `${owner}/${repo}`.toLowerCase();
+
+    if (
+      !pullRequest ||
+      pullRequest.number !== pull_number ||
+      pullRequest.repository.nameWithOwner.toLowerCase() !== expected
+    ) {
+      throw new Error(
+        `${kind} ${id} does not belong to ${owner}/${repo}#${pull_number}`
+      );
+    }
+  }
+
   /**
    * Get repository languages
    */
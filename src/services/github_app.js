@@ -0,0 +1,189 @@
+import { createSign } from 'node:crypto';
+import { readFileSync } from 'node:fs';
+import { Octokit } from '@octokit/rest';
+
+// Refresh installation tokens this long before GitHub expires them
+const TOKEN_REFRESH_MARGIN = 5 * 60 * 1000;
+
+function base64url(value) {
+  return Buffer.from(value).toString('base64url');
+}
+
+/**
+ * GitHub App authentication
+ *
+ * Signs short-lived JWTs with the App private key and exchanges them for
+ * installation access tokens. Tokens are cached per installation until
+ * shortly before they expire. Installations are either fixed by
+ * `installationId` or looked up per repository owner.
+ */
+export class GitHubAppAuth {
+  /**
+   * @param {Object} options - `appId`, PEM `privateKey`, optional
+   *   `installationId` and the REST API `baseUrl`
+   */
+  constructor({ appId, privateKey, installationId, baseUrl } = {}) {
+    if (!appId || !privateKey) {
+      throw new Error('GitHub App ID and private key are required');
+    }
+
+    this.appId = String(appId);
+    this.privateKey = privateKey;
+    this.installationId = installationId ? parseInt(installationId) : null;
+    // App-level requests authenticate with the JWT, never an installation token
+    this.octokit = new Octokit({
+      ...(baseUrl ? { baseUrl } : {}),
+    });
+    this.installations = new Map();
+    this.tokens = new Map();
+  }
+
+  /**
+   * Create an auth instance from a ConfigService, or null without App settings
+   */
+  static fromConfig(config) {
+    const appId = config.get('GITHUB_APP_ID');
+    if (!appId) return null;
+
+    const keyPath = config.get('GITHUB_APP_PRIVATE_KEY_PATH');
+    let privateKey;
+    try {
+      privateKey = readFileSync(keyPath, 'utf8');
+    } catch (error) {
+      throw new Error(
+        `Cannot read GitHub App private key at ${keyPath}: ${error.message}`
+      );
+    }
+
+    return new GitHubAppAuth({
+      appId,
+      privateKey,
+      installationId: config.get('GITHUB_APP_INSTALLATION_ID'),
+      baseUrl: config.get('GITHUB_API_URL'),
+    });
+  }
+
+  /**
+   * Create a JWT identifying the App, valid for 10 minutes
+   * `iat` is backdated a minute to allow for clock drift.
+   */
+  createJwt() {
+    const now = Math.floor(Date.now() / 1000);
+    const header = base64url(JSON.stringify({ alg: 'RS256', typ: 'JWT' }));
+    const payload = base64url(
+      JSON.stringify({ iat: now - 60, exp: now + 540, iss: this.appId })
+    );
+    const signature = createSign('RSA-SHA256')
+      .update(`${header}.${payload}`)
+      .sign(this.privateKey, 'base64url');
+
+    return `${header}.${payload}.${signature}`;
+  }
+
+  /**
+   * Make a request authenticated as the App itself
+   */
+  appRequest(route, params = {}) {
+    return this.octokit.request(route, {
+      ...params,
+      headers: { authorization: `bearer ${this.createJwt()}` },
+    });
+  }
+
+  /**
+   * Get the installation that covers a repository
+   * Lookups are cached per owner, since an App is installed per account.
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name, used for the lookup when known
+   * @returns {Promise<number>} Installation ID
+   */
+  async getInstallationId(owner, repo) {
+    if (this.installationId) return this.installationId;
+    if (!owner) {
+      throw new Error(
+        'Cannot pick a GitHub App installation for a request without a repository owner; set GITHUB_APP_INSTALLATION_ID'
+      );
+    }
+
+    const key = owner.toLowerCase();
+    if (!this.installations.has(key)) {
+      const lookup = (
+        repo
+          ? this.appRequest('GET /repos/{owner}/{repo}/installation', {
+              owner,
+              repo,
+            })
+          : this.appRequest('GET /users/{username}/installation', {
+              username: owner,
+            })
+      ).then(
+        ({ data }) => data.id,
+        error => {
+          this.installations.delete(key);
+          if (error.status === 404) {
+            throw new Error(
+              `GitHub App ${this.appId} is not installed on ${repo ? `${owner}/${repo}` : owner}`
+            );
+          }
+          throw error;
+        }
+      );
+      this.installations.set(key, lookup);
+    }
+
+    return this.installations.get(key);
+  }
+
+  /**
+   * Get an installation access token, minting a new one when the cached
+   * token is about to expire
+   * @param {number} installationId - Installation ID
+   * @returns {Promise<string>} Access token
+   */
+  async getInstallationToken(installationId) {
+    const cached = this.tokens.get(installationId);
+    if (cached?.token && cached.expiresAt - Date.now() > TOKEN_REFRESH_MARGIN) {
+      return cached.token;
+    }
+    // Concurrent requests share one token request
+    if (cached?.pending) return cached.pending;
+
+    const pending = this.appRequest(
+      'POST /app/installations/{installation_id}/access_tokens',
+      { installation_id: installationId }
+    )
+      .then(({ data }) => {
+        this.tokens.set(installationId, {
+          token: data.token,
+          expiresAt: new Date(data.expires_at).getTime(),
+        });
+        return data.token;
+      })
+      .catch(error => {
+        this.tokens.delete(installationId);
+        throw error;
+      });
+    this.tokens.set(installationId, { ...cached, pending });
+
+    return pending;
+  }
+
+  /**
+   * Get the access token for requests on a repository
+   */
+  async getToken(owner, repo) {
+    const installationId = await this.getInstallationId(owner, repo);
+    return this.getInstallationToken(installationId);
+  }
+
+  /**
+   * Login the App posts as, e.g. "review-app[bot]"
+   */
+  async getBotLogin() {
+    if (!this.botLogin) {
+      const { data } = await this.appRequest('GET /app');
+      this.botLogin = `${data.slug}[bot]`;
+    }
+    return this.botLogin;
+  }
+}
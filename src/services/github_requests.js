@@ -0,0 +1,244 @@
+/**
+ * GitHub request policy
+ * Wraps every Octokit request with a per-attempt timeout, tracks the rate
+ * limit headers of each response and retries rate limited, failed and timed
+ * out requests with backoff.
+ */
+
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+const SAFE_METHODS = ['GET', 'HEAD'];
+const RETRYABLE_STATUSES = [500, 502, 503, 504];
+
+function defaultSleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Signal of the review or tool call the current requests are made for
+const requestSignals = new AsyncLocalStorage();
+
+/**
+ * Run `fn` with every GitHub request it makes aborted when `signal` aborts,
+ * e.g. to stop the tool calls of a review that timed out or was cancelled
+ * @param {AbortSignal} signal - Optional signal; without one `fn` just runs
+ * @param {Function} fn - Work that makes the requests
+ * @returns {Promise} Result of `fn`
+ */
+export function withRequestSignal(signal, fn) {
+  return signal ? requestSignals.run(signal, fn) : fn();
+}
+
+/**
+ * Run `fn` without the signal of the caller, for work other callers may
+ * share
+ */
+export function withoutRequestSignal(fn) {
+  return requestSignals.exit(fn);
+}
+
+/**
+ * Whether sending the request twice cannot change anything on GitHub
+ * GraphQL queries are POSTs too, but only mutations write.
+ */
+function isIdempotent(options) {
+  if (SAFE_METHODS.includes(options.method)) return true;
+  return (
+    options.url === '/graphql' && !/^\s*mutation\b/.test(options.query || '')
+  );
+}
+
+/**
+ * Read the rate limit headers of a response
+ * @returns {Object|null} `{ resource, limit, remaining, used, reset_at }`
+ */
+function readRateLimit(headers = {}) {
+  if (headers['x-ratelimit-remaining'] === undefined) return null;
+
+  return {
+    resource: headers['x-ratelimit-resource'] || 'core',
+    limit: parseInt(headers['x-ratelimit-limit']),
+    remaining: parseInt(headers['x-ratelimit-remaining']),
+    used: parseInt(headers['x-ratelimit-used']),
+    reset_at: new Date(
+      parseInt(headers['x-ratelimit-reset']) * 1000
+    ).toISOString(),
+  };
+}
+
+/**
+ * Rate limit bucket a request counts against
+ */
+function resourceOf(options) {
+  if (options.url === '/graphql') return 'graphql';
+  if (options.url.startsWith('/search/')) return 'search';
+  return 'core';
+}
+
+function exhaustedError(limit, status = 403) {
+  const error = new Error(
+    `GitHub API rate limit exhausted for ${limit?.resource || 'core'} requests (${limit?.limit ?? '?'} per hour), resets at ${limit?.reset_at}`
+  );
+  error.status = status;
+  error.reset_at = limit?.reset_at;
+  return error;
+}
+
+/**
+ * Work out whether and how long to wait before retrying a failed request
+ * @returns {{kind: string, delay: number|null}|null} null when the error is
+ *   final; a null delay means exponential backoff
+ */
+function classifyError(error, options, timedOut) {
+  const status = error.status;
+  const headers = error.response?.headers || {};
+
+  if (status === 403 || status === 429) {
+    if (headers['retry-after'] !== undefined) {
+      return {
+        kind: 'secondary_rate_limit',
+        delay: parseInt(headers['retry-after']) * 1000,
+      };
+    }
+    if (headers['x-ratelimit-remaining'] === '0') {
+      return {
+        kind: 'rate_limit',
+        delay: Math.max(
+          0,
+          parseInt(headers['x-ratelimit-reset']) * 1000 - Date.now() + 1000
+        ),
+      };
+    }
+    if (/secondary rate limit/i.test(error.message)) {
+      return { kind: 'secondary_rate_limit', delay: null };
+    }
+    return null;
+  }
+
+  // A server error or lost connection may still have applied a write
+  if (!isIdempotent(options)) return null;
+  if (timedOut) return { kind: 'timeout', delay: null };
+  if (RETRYABLE_STATUSES.includes(status)) {
+    return { kind: 'server_error', delay: null };
+  }
+  return null;
+}
+
+/**
+ * Install the request policy on an Octokit instance
+ *
+ * Register it after any auth hooks so that every retry is authenticated
+ * afresh.
+ * @param {Object} octokit - Octokit instance
+ * @param {Object} options - `retries` per request, per-attempt `timeout`
+ *   (ms), `maxWait` longest single wait (ms), `baseDelay` of the backoff
+ *   (ms), and `preemptive` to hold requests while the last response showed
+ *   an exhausted quota; `sleep` and `random` can be replaced in tests
+ * @returns {Object} Live stats: last seen rate limit per resource, retries
+ *   and requests that stayed rate limited
+ */
+export function installRequestPolicy(
+  octokit,
+  {
+    retries = 3,
+    timeout = 30000,
+    maxWait = 60000,
+    baseDelay = 1000,
+    preemptive = true,
+    sleep = defaultSleep,
+    random = Math.random,
+  } = {}
+) {
+  const stats = { resources: {}, retries: 0, rate_limited: 0 };
+
+  const track = headers => {
+    const limit = readRateLimit(headers);
+    if (limit) stats.resources[limit.resource] = limit;
+  };
+
+  octokit.hook.wrap('request', async (request, options) => {
+    // Don't spend a request that is known to be rejected; querying the
+    // quota itself is free
+    const known = stats.resources[resourceOf(options)];
+    if (preemptive && known?.remaining === 0 && options.url !== '/rate_limit') {
+      const wait = Date.parse(known.reset_at) - Date.now() + 1000;
+      if (wait > maxWait) {
+        stats.rate_limited++;
+        throw exhaustedError(known);
+      }
+      if (wait > 0) {
+        console.warn(
+          `⏳ GitHub ${known.resource} quota exhausted, waiting ${wait}ms for the reset`
+        );
+        await sleep(wait);
+      }
+    }
+
+    // The caller's signal (or the one of withRequestSignal) aborts every
+    // attempt, and each attempt also has its own timeout
+    const callerSignal = options.request?.signal ?? requestSignals.getStore();
+
+    for (let attempt = 0; ; attempt++) {
+      callerSignal?.throwIfAborted();
+      const signal = AbortSignal.timeout(timeout);
+      // Inner hooks are bound to this options object, so set the signal on it
+      // rather than passing a copy
+      options.request = {
+        ...options.request,
+        signal: callerSignal ? AbortSignal.any([callerSignal, signal]) : signal,
+      };
+
+      try {
+        const response = await request(options);
+        track(response.headers);
+        return response;
+      } catch (error) {
+        track(error.response?.headers);
+        // Aborted by the caller: not retried, and reported as such
+        callerSignal?.throwIfAborted();
+
+        const timedOut = signal.aborted;
+        const retry = classifyError(error, options, timedOut);
+        // Exponential backoff with full jitter
+        const delay =
+          retry?.delay ?? Math.round(random() * baseDelay * 2 ** attempt);
+
+        if (!retry || attempt >= retries || delay > maxWait) {
+          if (
+            retry?.kind === 'rate_limit' ||
+            retry?.kind === 'secondary_rate_limit'
+          ) {
+            stats.rate_limited++;
+            if (retry.kind === 'rate_limit') {
+              throw exhaustedError(
+                readRateLimit(error.response?.headers),
+                error.status
+              );
+            }
+            const final = new Error(
+              `GitHub secondary rate limit hit for ${options.method} ${options.url}, retry after ${Math.ceil(delay / 1000)}s`
+            );
+            final.status = error.status;
+            final.retry_after_ms = delay;
+            throw final;
+          }
+          if (timedOut) {
+            const final = new Error(
+              `GitHub request timed out after ${timeout}ms: ${options.method} ${options.url}`
+            );
+            final.status = 504;
+            throw final;
+          }
+          throw error;
+        }
+
+        stats.retries++;
+        console.warn(
+          `⏳ GitHub ${retry.kind.replace(/_/g, ' ')} on ${options.method} ${options.url}, retrying in ${delay}ms (${attempt + 1}/${retries})`
+        );
+        await sleep(delay);
+      }
+    }
+  });
+
+  return stats;
+}
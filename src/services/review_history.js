@@ -0,0 +1,348 @@
+import { randomUUID } from 'node:crypto';
+import {
+  appendFile,
+  mkdir,
+  readFile,
+  rename,
+  writeFile,
+} from 'node:fs/promises';
+import { dirname } from 'node:path';
+
+/**
+ * Review History
+ *
+ * Every review run is kept as a record holding the PR (`pr_url`, `owner`,
+ * `repo`, `pull_number`, `head_sha`), how it ran (`trigger`, `job_id`,
+ * `provider`, `model`, `status`, `error`), what it said (`verdict`,
+ * `summary`, `findings`, `message`, `posting`) and what it cost
+ * (`transcript`, `usage`, `stop_reason`, `duration_ms`). Both stores expose
+ * the same interface:
+ *
+ *   await store.open() -> reads the file or opens the database
+ *   await store.add(run) -> record with `id` and `created_at`
+ *   await store.list(filters) -> { total, runs } (newest first, summaries)
+ *   await store.get(id) -> record or null
+ *
+ * Filters: `owner`, `repo`, `pull_number`, `verdict`, `status`, `since`
+ * (inclusive) and `until` (exclusive) as ISO timestamps, `limit`, `offset`.
+ */
+
+/**
+ * Whether a record matches the list filters
+ */
+function matchesFilters(record, filters) {
+  const same = (a, b) => a?.toLowerCase() === b.toLowerCase();
+  return (
+    (!filters.owner || same(record.owner, filters.owner)) &&
+    (!filters.repo || same(record.repo, filters.repo)) &&
+    (!filters.pull_number || record.pull_number === filters.pull_number) &&
+    (!filters.verdict || record.verdict === filters.verdict) &&
+    (!filters.status || record.status === filters.status) &&
+    (!filters.since || record.created_at >= filters.since) &&
+    (!filters.until || record.created_at < filters.until)
+  );
+}
+
+/**
+ * List view of a record: the transcript, message and findings are left out
+ */
+export function summarizeRun(record) {
+  const summary = { ...record, finding_count: record.findings?.length ?? 0 };
+  delete summary.transcript;
+  delete summary.message;
+  delete summary.findings;
+  return summary;
+}
+
+function newRecord(run) {
+  return { id: randomUUID(), created_at: new Date().toISOString(), ...run };
+}
+
+/**
+ * History kept in a JSON Lines file, one record per line. The file is read
+ * once and then served from memory; new records are appended.
+ *
+ * Only the newest `maxRecords` runs are kept (0 keeps them all). Older lines
+ * are dropped from memory right away and from the file once it holds twice
+ * as many lines, or when it is opened.
+ */
+export class JsonHistoryStore {
+  constructor({ path, maxRecords = 0 }) {
+    this.path = path;
+    this.maxRecords = maxRecords;
+    this.records = null;
+    // Lines in the file, dropped ones included
+    this.lines = 0;
+    this.opening = null;
+    // Appends are chained so lines never interleave
+    this.writing = Promise.resolve();
+  }
+
+  async open() {
+    if (this.records) return;
+    if (!this.opening) {
+      this.opening = this.readFile().then(async records => {
+        this.records = records;
+        this.lines = records.length;
+        if (this.trim()) await this.compact();
+      });
+    }
+    await this.opening;
+  }
+
+  async readFile() {
+    let text;
+    try {
+      text = await readFile(this.path, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const records = [];
+    for (const line of text.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        records.push(JSON.parse(line));
+      } catch {
+        // A line cut short by a crash loses that record only
+        console.warn(
+          `⚠️  Skipping malformed review history line in ${this.path}`
+        );
+      }
+    }
+    return records;
+  }
+
+  /**
+   * Drop the records past `maxRecords` from memory
+   * @returns {boolean} Whether any were dropped
+   */
+  trim() {
+    const excess = this.maxRecords ? this.records.length - this.maxRecords : 0;
+    if (excess <= 0) return false;
+    this.records.splice(0, excess);
+    return true;
+  }
+
+  /**
+   * Rewrite the file with the records kept in memory
+   */
+  async compact() {
+    const write = this.writing.then(async () => {
+      const lines = this.records.map(record => `${JSON.stringify(record)}\n`);
+      const temp = `${this.path}.tmp`;
+      await writeFile(temp, lines.join(''));
+      await rename(temp, this.path);
+      this.lines = lines.length;
+    });
+    this.writing = write.catch(() => {});
+    await write;
+  }
+
+  async add(run) {
+    await this.open();
+    const record = newRecord(run);
+    const write = this.writing.then(async () => {
+      await mkdir(dirname(this.path), { recursive: true });
+      await appendFile(this.path, `${JSON.stringify(record)}\n`);
+      this.lines++;
+    });
+    // A failed append must not block the ones after it
+    this.writing = write.catch(() => {});
+    await write;
+    this.records.push(record);
+    if (this.trim() && this.lines >= 2 * this.maxRecords) {
+      try {
+        await this.compact();
+      } catch (error) {
+        // The record is saved; the file is compacted on a later add
+        console.warn(
+          `⚠️  Failed to compact review history ${this.path}: ${error.message}`
+        );
+      }
+    }
+    return record;
+  }
+
+  async list(filters = {}) {
+    await this.open();
+    const matching = this.records
+      .filter(record => matchesFilters(record, filters))
+      .reverse();
+    const offset = filters.offset || 0;
+    return {
+      total: matching.length,
+      runs: matching
+        .slice(offset, offset + (filters.limit || 50))
+        .map(summarizeRun),
+    };
+  }
+
+  async get(id) {
+    await this.open();
+    return this.records.find(record => record.id === id) || null;
+  }
+}
+
+/**
+ * Load a SQLite driver: the built-in node:sqlite (Node.js 22.5+) or the
+ * better-sqlite3 package. Both take `?` parameters and share the
+ * exec/prepare/run/get/all methods used here.
+ */
+async function loadSqliteDriver() {
+  try {
+    const { DatabaseSync } = await import('node:sqlite');
+    return DatabaseSync;
+  } catch {
+    // Older Node.js without node:sqlite
+  }
+  try {
+    return (await import('better-sqlite3')).default;
+  } catch {
+    // Not installed
+  }
+  throw new Error(
+    'REVIEW_HISTORY_STORE=sqlite needs Node.js 22.5+ (node:sqlite) or the better-sqlite3 package'
+  );
+}
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS review_runs (
+    id TEXT PRIMARY KEY,
+    created_at TEXT NOT NULL,
+    owner TEXT,
+    repo TEXT,
+    pull_number INTEGER,
+    head_sha TEXT,
+    status TEXT,
+    verdict TEXT,
+    record TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS review_runs_pr
+    ON review_runs (owner COLLATE NOCASE, repo COLLATE NOCASE, pull_number);
+  CREATE INDEX IF NOT EXISTS review_runs_created_at
+    ON review_runs (created_at);
+`;
+
+/**
+ * History kept in a SQLite database. The filtered columns are stored next
+ * to the full record as JSON.
+ */
+export class SqliteHistoryStore {
+  constructor({ path }) {
+    this.path = path;
+    this.db = null;
+    this.opening = null;
+  }
+
+  /**
+   * Open the database; throws when no SQLite driver is available
+   */
+  async open() {
+    if (this.db) return this.db;
+    if (!this.opening) {
+      this.opening = (async () => {
+        const Database = await loadSqliteDriver();
+        await mkdir(dirname(this.path), { recursive: true });
+        const db = new Database(this.path);
+        db.exec(SCHEMA);
+        this.db = db;
+        return db;
+      })();
+    }
+    return this.opening;
+  }
+
+  async add(run) {
+    const db = await this.open();
+    const record = newRecord(run);
+    db.prepare(
+      `INSERT INTO review_runs
+        (id, created_at, owner, repo, pull_number, head_sha, status, verdict, record)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`
+    ).run(
+      record.id,
+      record.created_at,
+      record.owner ?? null,
+      record.repo ?? null,
+      record.pull_number ?? null,
+      record.head_sha ?? null,
+      record.status ?? null,
+      record.verdict ?? null,
+      JSON.stringify(record)
+    );
+    return record;
+  }
+
+  async list(filters = {}) {
+    const db = await this.open();
+    const clauses = [];
+    const params = [];
+    const where = (clause, value) => {
+      if (value === undefined || value === null || value === '') return;
+      clauses.push(clause);
+      params.push(value);
+    };
+    where('owner = ? COLLATE NOCASE', filters.owner);
+    where('repo = ? COLLATE NOCASE', filters.repo);
+    where('pull_number = ?', filters.pull_number);
+    where('verdict = ?', filters.verdict);
+    where('status = ?', filters.status);
+    where('created_at >= ?', filters.since);
+    where('created_at < ?', filters.until);
+    const condition = clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
+
+    const { total } = db
+      .prepare(`SELECT COUNT(*) AS total FROM review_runs ${condition}`)
+      .get(...params);
+    const rows = db
+      .prepare(
+        `SELECT record FROM review_runs ${condition}
+          ORDER BY created_at DESC, rowid DESC LIMIT ? OFFSET ?`
+      )
+      .all(...params, filters.limit || 50, filters.offset || 0);
+    return {
+      total,
+      runs: rows.map(row => summarizeRun(JSON.parse(row.record))),
+    };
+  }
+
+  async get(id) {
+    const db = await this.open();
+    const row = db
+      .prepare('SELECT record FROM review_runs WHERE id = ?')
+      .get(id);
+    return row ? JSON.parse(row.record) : null;
+  }
+}
+
+export const historyStores = {
+  json: JsonHistoryStore,
+  sqlite: SqliteHistoryStore,
+};
+
+/**
+ * Create the history store configured by REVIEW_HISTORY_STORE,
+ * REVIEW_HISTORY_PATH and REVIEW_HISTORY_MAX_RUNS (json only)
+ * @param {Object} config - ConfigService instance
+ * @returns {Object|null} Store instance, or null when history is disabled
+ */
+export function createHistoryStore(config) {
+  const type = config.get('REVIEW_HISTORY_STORE', 'json').toLowerCase();
+  if (type === 'none') return null;
+
+  const Store = historyStores[type];
+  if (!Store) {
+    throw new Error(
+      `Unknown review history store: ${type}. Available stores: ${Object.keys(historyStores).join(', ')}, none`
+    );
+  }
+
+  const defaultPath =
+    type === 'sqlite' ? 'data/review-history.db' : 'data/review-history.jsonl';
+  return new Store({
+    path: config.get('REVIEW_HISTORY_PATH', defaultPath),
+    maxRecords: config.getInt('REVIEW_HISTORY_MAX_RUNS', 1000),
+  });
+}
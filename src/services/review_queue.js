@@ -0,0 +1,316 @@
+import { createHmac, randomUUID } from 'node:crypto';
+import { checkCallbackUrl } from '../utils/callback_url.js';
+
+const FINISHED_STATES = ['succeeded', 'failed', 'cancelled'];
+
+/**
+ * Review Job Queue
+ *
+ * Runs reviews in the background on a bounded number of workers. Jobs move
+ * from `queued` to `running` to `succeeded`, `failed` or `cancelled`. Runs for
+ * the same PR, options and caller coalesce: a newer request takes over the slot of a
+ * queued one, unless both are for the same head SHA, and a PR is never
+ * reviewed by two workers at once. At most `maxQueued` jobs wait for a
+ * worker. Finished jobs are kept for status queries up to `retention` and
+ * reported to their callback URL, signed with `callbackSecret`.
+ */
+export class ReviewQueue {
+  /**
+   * @param {Object} options - `runReview(prUrl, options)` doing the work
+   *   (options include an AbortSignal, the `job_id` and its `trigger`),
+   *   `resolvePR(reference)` returning the canonical PR URL jobs are
+   *   coalesced by, worker `concurrency`, jobs waiting at most
+   *   (`maxQueued`), finished jobs kept (`retention`), the `callbackSecret`
+   *   callbacks are signed with (callbacks are refused without one),
+   *   `checkCallback(url)` rejecting callback URLs that may not be requested,
+   *   `callbackTimeout` (ms) and `fetch` for callbacks
+   */
+  constructor({
+    runReview,
+    resolvePR = reference => reference,
+    concurrency = 2,
+    maxQueued = 100,
+    retention = 500,
+    callbackSecret = null,
+    checkCallback = url => checkCallbackUrl(url),
+    callbackTimeout = 10000,
+    fetch: fetchImpl = fetch,
+  }) {
+    this.runReview = runReview;
+    this.resolvePR = resolvePR;
+    this.concurrency = concurrency;
+    this.maxQueued = maxQueued;
+    this.retention = retention;
+    this.callbackSecret = callbackSecret;
+    this.checkCallback = checkCallback;
+    this.callbackTimeout = callbackTimeout;
+    this.fetch = fetchImpl;
+
+    this.jobs = new Map();
+    this.queue = [];
+    this.running = new Map();
+  }
+
+  /**
+   * Queue a review
+   * @param {string} prReference - PR reference to review
+   * @param {Object} request - Review `options` (provider, model, post,
+   *   sticky), the PR `head_sha` when known, `callback_url`, the `owner` API
+   *   key and what `trigger`ed it
+   * @returns {Object} `{ job, coalesced }`; `coalesced` is true when an
+   *   equivalent queued job was returned instead of a new one
+   * @throws {Error} With status 400 for a callback without a callback
+   *   secret, and 429 when the queue is full
+   */
+  enqueue(
+    prReference,
+    {
+      options = {},
+      head_sha = null,
+      callback_url = null,
+      owner = null,
+      trigger = 'api',
+    } = {}
+  ) {
+    if (callback_url && !this.callbackSecret) {
+      const error = new Error(
+        'callback_url is not available: the server has no REVIEW_CALLBACK_SECRET to sign callbacks with'
+      );
+      error.status = 400;
+      throw error;
+    }
+
+    const pr = this.resolvePR(prReference);
+    // Callers never coalesce with (or cancel) each other's jobs
+    const key = `${pr} ${JSON.stringify(options)} ${owner ?? ''}`;
+    const index = this.queue.findIndex(job => job.key === key);
+    const existing = this.queue[index];
+
+    if (existing && head_sha && existing.head_sha === head_sha) {
+      return { job: existing, coalesced: true };
+    }
+    if (this.isFull()) {
+      const error = new Error(
+        `Review queue is full: ${this.queue.length} jobs are waiting`
+      );
+      error.status = 429;
+      throw error;
+    }
+
+    let finish;
+    const job = {
+      id: randomUUID(),
+      pr,
+      key,
+      pr_url: prReference,
+      state: 'queued',
+      trigger,
+      head_sha,
+      options,
+      owner,
+      created_at: new Date().toISOString(),
+      started_at: null,
+      finished_at: null,
+      superseded_by: null,
+      result: null,
+      error: null,
+      callback: callback_url ? { url: callback_url, state: 'pending' } : null,
+      cancel_requested: false,
+      controller: null,
+      finished: new Promise(resolve => (finish = resolve)),
+    };
+    job.resolve = finish;
+    this.jobs.set(job.id, job);
+
+    if (existing) {
+      // The newer request takes the place of the older one in the queue
+      this.queue[index] = job;
+      existing.superseded_by = job.id;
+      this.settle(existing, 'cancelled');
+      console.log(`🔁 Review job ${existing.id} superseded by ${job.id}`);
+    } else {
+      this.queue.push(job);
+    }
+
+    this.drain();
+    return { job, coalesced: false };
+  }
+
+  /**
+   * Whether new jobs are refused because `maxQueued` jobs are waiting
+   */
+  isFull() {
+    return this.queue.length >= this.maxQueued;
+  }
+
+  /**
+   * Get a job by ID
+   */
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  /**
+   * Wait until a job has finished
+   * @returns {Promise<Object>} The finished job
+   */
+  wait(id) {
+    return this.jobs.get(id).finished;
+  }
+
+  /**
+   * Cancel a job: queued jobs are dropped, running ones are aborted
+   * @returns {Object|null} The job, or null when it is unknown
+   */
+  cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job || FINISHED_STATES.includes(job.state)) return job || null;
+
+    if (job.state === 'queued') {
+      this.queue.splice(this.queue.indexOf(job), 1);
+      this.settle(job, 'cancelled');
+    } else {
+      job.cancel_requested = true;
+      job.controller.abort();
+    }
+    return job;
+  }
+
+  /**
+   * Start queued jobs while workers are free, skipping PRs under review
+   */
+  drain() {
+    while (this.running.size < this.concurrency) {
+      const busy = new Set([...this.running.values()].map(job => job.pr));
+      const job = this.queue.find(candidate => !busy.has(candidate.pr));
+      if (!job) return;
+
+      this.queue.splice(this.queue.indexOf(job), 1);
+      this.run(job);
+    }
+  }
+
+  async run(job) {
+    job.state = 'running';
+    job.started_at = new Date().toISOString();
+    job.controller = new AbortController();
+    this.running.set(job.id, job);
+    console.log(`🏃 Review job ${job.id} started for ${job.pr_url}`);
+
+    try {
+      job.result = await this.runReview(job.pr_url, {
+        ...job.options,
+        signal: job.controller.signal,
+        job_id: job.id,
+        trigger: job.trigger,
+      });
+      this.settle(job, 'succeeded');
+    } catch (error) {
+      if (job.controller.signal.aborted) {
+        this.settle(job, 'cancelled');
+      } else {
+        job.error = error.message;
+        this.settle(job, 'failed');
+      }
+    } finally {
+      this.running.delete(job.id);
+      this.drain();
+    }
+  }
+
+  /**
+   * Move a job to a final state, notify its callback and forget old jobs
+   */
+  settle(job, state) {
+    job.state = state;
+    job.finished_at = new Date().toISOString();
+    console.log(`🏁 Review job ${job.id} ${state}`);
+
+    const notified = job.callback ? this.notify(job) : Promise.resolve();
+    notified.then(() => job.resolve(job));
+    this.prune();
+  }
+
+  /**
+   * POST the finished job to its callback URL
+   *
+   * The URL is checked again, its host may resolve differently by now. The
+   * body is signed like GitHub webhooks: `X-Review-Signature-256` is
+   * `sha256=` and the HMAC-SHA256 of the body in hex.
+   */
+  async notify(job) {
+    job.callback.attempted_at = new Date().toISOString();
+    try {
+      await this.checkCallback(job.callback.url);
+      const body = JSON.stringify(serializeJob(job));
+      const signature = createHmac('sha256', this.callbackSecret)
+        .update(body)
+        .digest('hex');
+      const response = await this.fetch(job.callback.url, {
+        method: 'POST',
+        headers: {
+          'content-type': 'application/json',
+          'x-review-job-id': job.id,
+          'x-review-signature-256': `sha256=${signature}`,
+        },
+        body,
+        signal: AbortSignal.timeout(this.callbackTimeout),
+        redirect: 'manual',
+      });
+      job.callback.status = response.status;
+      job.callback.state = response.ok ? 'delivered' : 'failed';
+    } catch (error) {
+      job.callback.state = 'failed';
+      job.callback.error = error.message;
+    }
+    if (job.callback.state === 'failed') {
+      console.warn(
+        `⚠️  Callback for review job ${job.id} failed: ${job.callback.error ?? `HTTP ${job.callback.status}`}`
+      );
+    }
+  }
+
+  prune() {
+    const finished = [...this.jobs.values()].filter(job =>
+      FINISHED_STATES.includes(job.state)
+    );
+    for (const job of finished.slice(0, -this.retention || undefined)) {
+      this.jobs.delete(job.id);
+    }
+  }
+
+  /**
+   * Job counts per state, for health checks
+   */
+  getStats() {
+    const stats = { queued: this.queue.length, running: this.running.size };
+    for (const job of this.jobs.values()) {
+      if (FINISHED_STATES.includes(job.state)) {
+        stats[job.state] = (stats[job.state] || 0) + 1;
+      }
+    }
+    return stats;
+  }
+}
+
+/**
+ * Public view of a job: everything but internals and the owning API key
+ */
+export function serializeJob(job) {
+  return {
+    id: job.id,
+    pr_url: job.pr_url,
+    state: job.state,
+    trigger: job.trigger,
+    head_sha: job.head_sha,
+    options: job.options,
+    created_at: job.created_at,
+    started_at: job.started_at,
+    finished_at: job.finished_at,
+    cancel_requested: job.cancel_requested,
+    superseded_by: job.superseded_by,
+    result: job.result,
+    error: job.error,
+    callback: job.callback,
+  };
+}
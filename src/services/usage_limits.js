@@ -0,0 +1,237 @@
+const DAY = 24 * 60 * 60 * 1000;
+
+// Stale counters are swept once there are this many
+const SWEEP_THRESHOLD = 10000;
+
+/**
+ * The state with the fewest remaining, or null
+ */
+function tightestOf(states) {
+  let tightest = null;
+  for (const state of states) {
+    if (!tightest || state.remaining < tightest.remaining) tightest = state;
+  }
+  return tightest;
+}
+
+/**
+ * Usage Limits
+ *
+ * Rate limits and daily quotas per API key and per repository, counted in
+ * fixed windows in memory (daily quotas reset at midnight UTC, and every
+ * counter resets on restart). A limit has a `name`, the `scope` it is
+ * counted per (`key` or `repo`), a `unit`, its `limit` and its `period`
+ * (ms):
+ *
+ *   requests - authenticated requests of a key, other than reads
+ *   reads    - requests of a key polling its review jobs or the history,
+ *              rate limited apart so polling does not use up the requests
+ *   reviews  - reviews queued for a repository, from the API or webhooks;
+ *              a request that joins a queued review does not count
+ *   tokens   - LLM tokens used by reviews, charged once a review ends. A
+ *              review is refused once a token quota is used up, so the
+ *              review that crosses it still finishes.
+ *
+ * Limits of 0 are off.
+ */
+export class UsageLimiter {
+  constructor({ limits, now = Date.now }) {
+    this.limits = limits.filter(limit => limit.limit > 0);
+    this.now = now;
+    this.counters = new Map();
+  }
+
+  /**
+   * Create a limiter from a ConfigService
+   */
+  static fromConfig(config) {
+    const window = config.getInt('RATE_LIMIT_WINDOW', 900000);
+    return new UsageLimiter({
+      limits: [
+        {
+          name: 'key_rate_limit',
+          scope: 'key',
+          unit: 'requests',
+          limit: config.getInt('KEY_RATE_LIMIT', 100),
+          period: window,
+        },
+        {
+          name: 'key_read_rate_limit',
+          scope: 'key',
+          unit: 'reads',
+          limit: config.getInt('KEY_READ_RATE_LIMIT', 300),
+          period: window,
+        },
+        {
+          name: 'key_daily_requests',
+          scope: 'key',
+          unit: 'requests',
+          limit: config.getInt('KEY_DAILY_REQUEST_QUOTA', 1000),
+          period: DAY,
+        },
+        {
+          name: 'key_daily_tokens',
+          scope: 'key',
+          unit: 'tokens',
+          limit: config.getInt('KEY_DAILY_TOKEN_QUOTA', 0),
+          period: DAY,
+        },
+        {
+          name: 'repo_rate_limit',
+          scope: 'repo',
+          unit: 'reviews',
+          limit: config.getInt('REPO_RATE_LIMIT', 20),
+          period: window,
+        },
+        {
+          name: 'repo_daily_reviews',
+          scope: 'repo',
+          unit: 'reviews',
+          limit: config.getInt('REPO_DAILY_REVIEW_QUOTA', 200),
+          period: DAY,
+        },
+        {
+          name: 'repo_daily_tokens',
+          scope: 'repo',
+          unit: 'tokens',
+          limit: config.getInt('REPO_DAILY_TOKEN_QUOTA', 0),
+          period: DAY,
+        },
+      ],
+    });
+  }
+
+  /**
+   * Current state of one limit for one subject
+   */
+  state(limit, subject) {
+    const start = Math.floor(this.now() / limit.period) * limit.period;
+    const counter = this.counters.get(`${limit.name}\0${subject}`);
+    const used = counter?.start === start ? counter.used : 0;
+    return {
+      name: limit.name,
+      scope: limit.scope,
+      subject,
+      unit: limit.unit,
+      limit: limit.limit,
+      period: limit.period,
+      used,
+      remaining: Math.max(0, limit.limit - used),
+      reset: start + limit.period,
+    };
+  }
+
+  add(limit, subject, amount) {
+    const start = Math.floor(this.now() / limit.period) * limit.period;
+    const id = `${limit.name}\0${subject}`;
+    const counter = this.counters.get(id);
+    if (counter?.start === start) {
+      counter.used += amount;
+    } else {
+      this.counters.set(id, { start, used: amount, end: start + limit.period });
+    }
+
+    if (this.counters.size > SWEEP_THRESHOLD) {
+      const now = this.now();
+      for (const [key, entry] of this.counters) {
+        if (entry.end <= now) this.counters.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Limits of a unit that apply to the given subjects
+   */
+  applicable(units, subjects) {
+    return this.limits
+      .filter(limit => units.includes(limit.unit) && subjects[limit.scope])
+      .map(limit => ({ limit, subject: subjects[limit.scope] }));
+  }
+
+  /**
+   * States of the limits a request or review is checked against: the ones
+   * it counts against, then for reviews the token quotas
+   */
+  evaluate(unit, subjects) {
+    const counted = this.applicable([unit], subjects);
+    const checked =
+      unit === 'reviews'
+        ? [...counted, ...this.applicable(['tokens'], subjects)]
+        : counted;
+
+    const states = checked.map(({ limit, subject }) =>
+      this.state(limit, subject)
+    );
+    return {
+      counted,
+      states: states.slice(0, counted.length),
+      exceeded: states.find(state => state.remaining === 0),
+    };
+  }
+
+  /**
+   * Whether a request or review would be admitted, without counting it
+   * @returns {Object} `{ ok, exceeded, tightest }` as for consume()
+   */
+  check(unit, subjects) {
+    const { states, exceeded } = this.evaluate(unit, subjects);
+    if (exceeded) return { ok: false, exceeded, tightest: exceeded };
+    return { ok: true, exceeded: null, tightest: tightestOf(states) };
+  }
+
+  /**
+   * Count a request or a review, unless a limit is already reached
+   * @param {string} unit - `requests` or `reads` (per key), or `reviews`
+   *   (per repository; also refused when a token quota is used up)
+   * @param {Object} subjects - `{ key, repo }`: the key ID and `owner/repo`
+   * @returns {Object} `{ ok, exceeded, tightest }`: the first limit that was
+   *   reached, or the counted limit with the fewest remaining
+   */
+  consume(unit, subjects) {
+    const { counted, states, exceeded } = this.evaluate(unit, subjects);
+    if (exceeded) return { ok: false, exceeded, tightest: exceeded };
+
+    for (const { limit, subject } of counted) this.add(limit, subject, 1);
+    for (const state of states) {
+      state.used += 1;
+      state.remaining -= 1;
+    }
+    return { ok: true, exceeded: null, tightest: tightestOf(states) };
+  }
+
+  /**
+   * Charge the LLM tokens of a review
+   * @param {Object} subjects - `{ key, repo }`
+   * @param {number} tokens - Input plus output tokens
+   */
+  addTokens(subjects, tokens) {
+    if (!tokens) return;
+    for (const { limit, subject } of this.applicable(['tokens'], subjects)) {
+      this.add(limit, subject, tokens);
+    }
+  }
+
+  /**
+   * Run a review and charge its tokens, including those a review that
+   * failed or timed out spent before the error (`error.usage`)
+   * @param {Object} subjects - `{ key, repo }`
+   * @param {Function} review - Returns a promise of a result with `usage`
+   * @returns {Promise<Object>} The review result
+   */
+  async chargeReview(subjects, review) {
+    const charge = usage =>
+      this.addTokens(
+        subjects,
+        (usage?.input_tokens ?? 0) + (usage?.output_tokens ?? 0)
+      );
+
+    try {
+      const result = await review();
+      charge(result.usage);
+      return result;
+    } catch (error) {
+      charge(error.usage);
+      throw error;
+    }
+  }
+}
@@ -2,6 +2,8 @@
  * Analyze code quality metrics for changed files including complexity, maintainability, and potential issues
  */
 
+import { incrementalProperties, incrementalOptions } from './incremental.js';
+
 export const analyzeCodeQualityToolDefinition = {
   name: 'analyze_code_quality',
   description: 'Analyze code quality metrics for changed files including complexity, maintainability, and potential issues.',
@@ -10,13 +12,14 @@ export const analyzeCodeQualityToolDefinition = {
     properties: {
       pr_url: {
         type: 'string',
-        description: 'GitHub PR URL (e.g., https://github.com/owner/repo/pull/123)',
+        description: 'GitHub PR URL or reference (e.g., https://github.com/owner/repo/pull/123 or owner/repo#123)',
       },
       file_paths: {
         type: 'array',
         items: { type: 'string' },
         description: 'Optional: Specific file paths to analyze. If not provided, analyzes all changed files.',
       },
+      ...incrementalProperties,
     },
     required: ['pr_url'],
   },
@@ -29,7 +32,7 @@ export async function handleAnalyzeCodeQuality(github, analysis, args) {
     throw new Error('PR URL is required');
   }
 
-  const prDetails = await github.getPRDetails(pr_url);
+  const prDetails = await github.getPRDetails(pr_url, incrementalOptions(args));
   const analysisResult = await analysis.analyzeCodeQuality(prDetails, file_paths);
 
   return {
@@ -40,6 +43,7 @@ export async function handleAnalyzeCodeQuality(github, analysis, args) {
           {
             analysis_type: 'code_quality',
             pr_url,
+            incremental: prDetails.incremental,
             ...analysisResult,
           },
           null,
@@ -2,16 +2,19 @@
  * Analyze dependency changes and their impact, including new packages, version updates, and security implications
  */
 
+import { incrementalProperties, incrementalOptions } from './incremental.js';
+
 export const analyzeDependenciesToolDefinition = {
   name: 'analyze_dependencies',
-  description: 'Analyze dependency changes and their impact, including new packages, version updates, and security implications.',
+  description: 'Analyze dependency changes and their impact, including new packages, version updates, and known vulnerabilities from the offline advisory database.',
   inputSchema: {
     type: 'object',
     properties: {
       pr_url: {
         type: 'string',
-        description: 'GitHub PR URL (e.g., https://github.com/owner/repo/pull/123)',
+        description: 'GitHub PR URL or reference (e.g., https://github.com/owner/repo/pull/123 or owner/repo#123)',
       },
+      ...incrementalProperties,
     },
     required: ['pr_url'],
   },
@@ -24,8 +27,8 @@ export async function handleAnalyzeDependencies(github, analysis, args) {
     throw new Error('PR URL is required');
   }
 
-  const prDetails = await github.getPRDetails(pr_url);
-  const analysisResult = await analysis.analyzeDependencies(prDetails);
+  const prDetails = await github.getPRDetails(pr_url, incrementalOptions(args));
+  const analysisResult = await analysis.analyzeDependencies(prDetails, github);
 
   return {
     content: [
@@ -35,6 +38,7 @@ export async function handleAnalyzeDependencies(github, analysis, args) {
           {
             analysis_type: 'dependency_analysis',
             pr_url,
+            incremental: prDetails.incremental,
             ...analysisResult,
           },
           null,
@@ -2,6 +2,8 @@
  * Analyze the impact and risk level of code changes in a diff, categorizing changes by type and potential consequences
  */
 
+import { incrementalProperties, incrementalOptions } from './incremental.js';
+
 export const analyzeDiffImpactToolDefinition = {
   name: 'analyze_diff_impact',
   description: 'Analyze the impact and risk level of code changes in a diff, categorizing changes by type and potential consequences.',
@@ -10,8 +12,9 @@ export const analyzeDiffImpactToolDefinition = {
     properties: {
       pr_url: {
         type: 'string',
-        description: 'GitHub PR URL (e.g., https://github.com/owner/repo/pull/123)',
+        description: 'GitHub PR URL or reference (e.g., https://github.com/owner/repo/pull/123 or owner/repo#123)',
       },
+      ...incrementalProperties,
     },
     required: ['pr_url'],
   },
@@ -24,7 +27,7 @@ export async function handleAnalyzeDiffImpact(github, analysis, args) {
     throw new Error('PR URL is required');
   }
 
-  const prDetails = await github.getPRDetails(pr_url);
+  const prDetails = await github.getPRDetails(pr_url, incrementalOptions(args));
   const analysisResult = await analysis.analyzeDiffImpact(prDetails);
 
   return {
@@ -35,6 +38,7 @@ export async function handleAnalyzeDiffImpact(github, analysis, args) {
           {
             analysis_type: 'diff_impact',
             pr_url,
+            incremental: prDetails.incremental,
             ...analysisResult,
           },
           null,
@@ -2,6 +2,8 @@
  * Analyze test coverage for changed code and suggest testing improvements
  */
 
+import { incrementalProperties, incrementalOptions } from './incremental.js';
+
 export const analyzeTestCoverageToolDefinition = {
   name: 'analyze_test_coverage',
   description: 'Analyze test coverage for changed code and suggest testing improvements.',
@@ -10,8 +12,9 @@ export const analyzeTestCoverageToolDefinition = {
     properties: {
       pr_url: {
         type: 'string',
-        description: 'GitHub PR URL (e.g., https://github.com/owner/repo/pull/123)',
+        description: 'GitHub PR URL or reference (e.g., https://github.com/owner/repo/pull/123 or owner/repo#123)',
       },
+      ...incrementalProperties,
     },
     required: ['pr_url'],
   },
@@ -24,7 +27,7 @@ export async function handleAnalyzeTestCoverage(github, analysis, args) {
     throw new Error('PR URL is required');
   }
 
-  const prDetails = await github.getPRDetails(pr_url);
+  const prDetails = await github.getPRDetails(pr_url, incrementalOptions(args));
   const analysisResult = await analysis.analyzeTestCoverage(prDetails);
 
   return {
@@ -35,6 +38,7 @@ export async function handleAnalyzeTestCoverage(github, analysis, args) {
           {
             analysis_type: 'test_coverage',
             pr_url,
+            incremental: prDetails.incremental,
             ...analysisResult,
           },
           null,
@@ -2,6 +2,8 @@
  * Detect anti-patterns, best practices violations, and architectural issues in code changes
  */
 
+import { incrementalProperties, incrementalOptions } from './incremental.js';
+
 export const detectCodePatternsToolDefinition = {
   name: 'detect_code_patterns',
   description: 'Detect anti-patterns, best practices violations, and architectural issues in code changes.',
@@ -10,12 +12,13 @@ export const detectCodePatternsToolDefinition = {
     properties: {
       pr_url: {
         type: 'string',
-        description: 'GitHub PR URL (e.g., https://github.com/owner/repo/pull/123)',
+        description: 'GitHub PR URL or reference (e.g., https://github.com/owner/repo/pull/123 or owner/repo#123)',
       },
       language: {
         type: 'string',
         description: 'Programming language to focus pattern detection on (auto-detected if not provided)',
       },
+      ...incrementalProperties,
     },
     required: ['pr_url'],
   },
@@ -28,7 +31,7 @@ export async function handleDetectCodePatterns(github, analysis, args) {
     throw new Error('PR URL is required');
   }
 
-  const prDetails = await github.getPRDetails(pr_url);
+  const prDetails = await github.getPRDetails(pr_url, incrementalOptions(args));
   const analysisResult = await analysis.detectCodePatterns(prDetails, language);
 
   return {
@@ -39,6 +42,7 @@ export async function handleDetectCodePatterns(github, analysis, args) {
           {
             analysis_type: 'pattern_detection',
             pr_url,
+            incremental: prDetails.incremental,
             ...analysisResult,
           },
           null,
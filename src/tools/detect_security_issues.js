@@ -2,6 +2,8 @@
  * Scan code changes for potential security vulnerabilities and patterns
  */
 
+import { incrementalProperties, incrementalOptions } from './incremental.js';
+
 export const detectSecurityIssuesToolDefinition = {
   name: 'detect_security_issues',
   description: 'Scan code changes for potential security vulnerabilities and patterns.',
@@ -10,8 +12,9 @@ export const detectSecurityIssuesToolDefinition = {
     properties: {
       pr_url: {
         type: 'string',
-        description: 'GitHub PR URL (e.g., https://github.com/owner/repo/pull/123)',
+        description: 'GitHub PR URL or reference (e.g., https://github.com/owner/repo/pull/123 or owner/repo#123)',
       },
+      ...incrementalProperties,
     },
     required: ['pr_url'],
   },
@@ -24,7 +27,7 @@ export async function handleDetectSecurityIssues(github, analysis, args) {
     throw new Error('PR URL is required');
   }
 
-  const prDetails = await github.getPRDetails(pr_url);
+  const prDetails = await github.getPRDetails(pr_url, incrementalOptions(args));
   const analysisResult = await analysis.detectSecurityIssues(prDetails);
 
   return {
@@ -35,6 +38,7 @@ export async function handleDetectSecurityIssues(github, analysis, args) {
           {
             analysis_type: 'security_analysis',
             pr_url,
+            incremental: prDetails.incremental,
             ...analysisResult,
           },
           null,
@@ -10,7 +10,7 @@ export const getPRCommitsToolDefinition = {
     properties: {
       pr_url: {
         type: 'string',
-        description: 'GitHub PR URL (e.g., https://github.com/owner/repo/pull/123)',
+        description: 'GitHub PR URL or reference (e.g., https://github.com/owner/repo/pull/123 or owner/repo#123)',
       },
     },
     required: ['pr_url'],
@@ -33,7 +33,7 @@ export async function handleGetPRCommits(github, args) {
         text: JSON.stringify(
           {
             commits: prDetails.commits,
-            total_commits: prDetails.commits.length,
+            total_commits: prDetails.totals.commits,
           },
           null,
           2
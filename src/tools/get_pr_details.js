@@ -3,6 +3,8 @@
  * TIP: Call get_review_prompts first for comprehensive review guidelines.
  */
 
+import { incrementalProperties, incrementalOptions } from './incremental.js';
+
 export const getPRDetailsToolDefinition = {
   name: 'get_pr_details',
   description: 'Get detailed information about a GitHub Pull Request. TIP: Call get_review_prompts first for comprehensive review guidelines.',
@@ -11,8 +13,9 @@ export const getPRDetailsToolDefinition = {
     properties: {
       pr_url: {
         type: 'string',
-        description: 'GitHub PR URL (e.g., https://github.com/owner/repo/pull/123)',
+        description: 'GitHub PR URL or reference (e.g., https://github.com/owner/repo/pull/123 or owner/repo#123)',
       },
+      ...incrementalProperties,
     },
     required: ['pr_url'],
   },
@@ -25,7 +28,7 @@ export async function handleGetPRDetails(github, args) {
     throw new Error('PR URL is required');
   }
 
-  const prDetails = await github.getPRDetails(pr_url);
+  const prDetails = await github.getPRDetails(pr_url, incrementalOptions(args));
 
   const result = {
     reminder: "💡 For comprehensive PR analysis, consider calling 'get_review_prompts' to get detailed review guidelines and best practices.",
@@ -3,6 +3,8 @@
  * TIP: Use get_review_prompts first for analysis guidelines.
  */
 
+import { incrementalProperties, incrementalOptions } from './incremental.js';
+
 export const getPRFilesToolDefinition = {
   name: 'get_pr_files',
   description: 'Get list of files changed in a GitHub Pull Request. TIP: Use get_review_prompts first for analysis guidelines.',
@@ -11,13 +13,14 @@ export const getPRFilesToolDefinition = {
     properties: {
       pr_url: {
         type: 'string',
-        description: 'GitHub PR URL (e.g., https://github.com/owner/repo/pull/123)',
+        description: 'GitHub PR URL or reference (e.g., https://github.com/owner/repo/pull/123 or owner/repo#123)',
       },
       include_patch: {
         type: 'boolean',
         description: 'Include diff patches for each file',
         default: true,
       },
+      ...incrementalProperties,
     },
     required: ['pr_url'],
   },
@@ -30,7 +33,7 @@ export async function handleGetPRFiles(github, args) {
     throw new Error('PR URL is required');
   }
 
-  const prDetails = await github.getPRDetails(pr_url);
+  const prDetails = await github.getPRDetails(pr_url, incrementalOptions(args));
   const files = prDetails.files.map(file => ({
     filename: file.filename,
     status: file.status,
@@ -44,7 +47,9 @@ export async function handleGetPRFiles(github, args) {
   const result = {
     reminder: "💡 For thorough code review analysis, make sure to call 'get_review_prompts' for comprehensive guidelines on evaluating these file changes.",
     files,
-    total_files: files.length,
+    total_files: prDetails.totals.files,
+    truncated: prDetails.truncated,
+    incremental: prDetails.incremental,
   };
 
   return {
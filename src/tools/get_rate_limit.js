@@ -0,0 +1,36 @@
+/**
+ * Get the remaining GitHub API quota
+ * Use it to check whether a large review fits in the rate limit.
+ */
+
+export const getRateLimitToolDefinition = {
+  name: 'get_rate_limit',
+  description:
+    'Get the remaining GitHub API quota (core, GraphQL and search) with reset times, plus how often requests were retried or stayed rate limited.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      pr_url: {
+        type: 'string',
+        description:
+          'Optional: GitHub PR URL or reference whose host (and GitHub App installation) to check',
+      },
+    },
+  },
+};
+
+export async function handleGetRateLimit(github, args = {}) {
+  const { pr_url } = args;
+
+  const { owner, repo } = pr_url ? github.parsePRUrl(pr_url) : {};
+  const result = await github.getRateLimit(owner, repo);
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: JSON.stringify(result, null, 2),
+      },
+    ],
+  };
+}
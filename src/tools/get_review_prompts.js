@@ -25,7 +25,7 @@ export async function handleGetReviewPrompts(_github, _args) {
 - You are given a pull request and you need to review the code and provide a detailed analysis of the code based on the following guidelines.
 - Attempt to comment on the pull request for Critical & Important issues.
 - Maximum of 3 comments per review request.
-- Focus on unresolved comments and issues if asked to review again or detected existing thread/discussion not resolved in the pull request
+- Focus on unresolved comments and issues if asked to review again or detected existing thread/discussion not resolved in the pull request (use get_review_threads with unresolved_only to list them)
 
 
 
@@ -0,0 +1,63 @@
+/**
+ * Get the inline review threads of a GitHub Pull Request
+ * Use it to follow up on unresolved discussions before commenting again.
+ */
+
+export const getReviewThreadsToolDefinition = {
+  name: 'get_review_threads',
+  description:
+    'Get inline review threads of a GitHub Pull Request with path, line, diff hunk, all replies and resolution state. Use it to focus on unresolved discussions and avoid repeating existing comments.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      pr_url: {
+        type: 'string',
+        description:
+          'GitHub PR URL or reference (e.g., https://github.com/owner/repo/pull/123 or owner/repo#123)',
+      },
+      unresolved_only: {
+        type: 'boolean',
+        description: 'Only return threads that are not resolved',
+        default: false,
+      },
+      author: {
+        type: 'string',
+        description: 'Only return threads started by this GitHub login',
+      },
+    },
+    required: ['pr_url'],
+  },
+};
+
+export async function handleGetReviewThreads(github, args) {
+  const { pr_url, unresolved_only = false, author } = args;
+
+  if (!pr_url) {
+    throw new Error('PR URL is required');
+  }
+
+  const { owner, repo, pull_number } = github.parsePRUrl(pr_url);
+  const threads = await github.getReviewThreads(owner, repo, pull_number);
+
+  const filtered = threads.filter(
+    thread =>
+      (!unresolved_only || !thread.is_resolved) &&
+      (!author || thread.author?.toLowerCase() === author.toLowerCase())
+  );
+
+  const result = {
+    threads: filtered,
+    total_threads: threads.length,
+    unresolved_threads: threads.filter(thread => !thread.is_resolved).length,
+    returned_threads: filtered.length,
+  };
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: JSON.stringify(result, null, 2),
+      },
+    ],
+  };
+}
@@ -0,0 +1,31 @@
+/**
+ * Incremental review arguments shared by the PR analysis tools
+ * With `incremental` the tools only look at the commits pushed since the
+ * last review instead of the whole PR diff.
+ */
+
+export const incrementalProperties = {
+  incremental: {
+    type: 'boolean',
+    description:
+      'Only analyze the changes pushed since the last review by this server. Falls back to the full PR when there is no earlier review or the branch was force-pushed.',
+    default: false,
+  },
+  since_sha: {
+    type: 'string',
+    description:
+      'Optional: commit SHA to diff from instead of the last reviewed head (implies incremental)',
+  },
+};
+
+/**
+ * Build GitHubService.getPRDetails options from tool arguments
+ * @param {Object} args - Tool arguments
+ * @returns {{incremental: boolean, since: string|undefined}}
+ */
+export function incrementalOptions(args) {
+  return {
+    incremental: Boolean(args.incremental || args.since_sha),
+    since: args.since_sha,
+  };
+}
@@ -13,6 +13,11 @@ import { getFileContentToolDefinition, handleGetFileContent } from './get_file_c
 import { postPRReviewToolDefinition, handlePostPRReview } from './post_pr_review.js';
 import { getRepoInfoToolDefinition, handleGetRepoInfo } from './get_repo_info.js';
 import { getReviewPromptsToolDefinition, handleGetReviewPrompts } from './get_review_prompts.js';
+import { getReviewThreadsToolDefinition, handleGetReviewThreads } from './get_review_threads.js';
+import { replyToReviewCommentToolDefinition, handleReplyToReviewComment } from './reply_to_review_comment.js';
+import { resolveReviewThreadToolDefinition, handleResolveReviewThread } from './resolve_review_thread.js';
+import { minimizeCommentToolDefinition, handleMinimizeComment } from './minimize_comment.js';
+import { getRateLimitToolDefinition, handleGetRateLimit } from './get_rate_limit.js';
 import { analyzeCodeQualityToolDefinition, handleAnalyzeCodeQuality } from './analyze_code_quality.js';
 import { analyzeDiffImpactToolDefinition, handleAnalyzeDiffImpact } from './analyze_diff_impact.js';
 import { detectSecurityIssuesToolDefinition, handleDetectSecurityIssues } from './detect_security_issues.js';
@@ -20,6 +25,7 @@ import { detectCodePatternsToolDefinition, handleDetectCodePatterns } from './de
 import { analyzeDependenciesToolDefinition, handleAnalyzeDependencies } from './analyze_dependencies.js';
 import { analyzeTestCoverageToolDefinition, handleAnalyzeTestCoverage } from './analyze_test_coverage.js';
 import { generateSuggestionsToolDefinition, handleGenerateSuggestions } from './generate_suggestions.js';
+import { withRequestSignal } from '../services/github_requests.js';
 
 // Export all tool definitions
 export const toolDefinitions = [
@@ -30,6 +36,11 @@ export const toolDefinitions = [
   postPRReviewToolDefinition,
   getRepoInfoToolDefinition,
   getReviewPromptsToolDefinition,
+  getReviewThreadsToolDefinition,
+  replyToReviewCommentToolDefinition,
+  resolveReviewThreadToolDefinition,
+  minimizeCommentToolDefinition,
+  getRateLimitToolDefinition,
   analyzeCodeQualityToolDefinition,
   analyzeDiffImpactToolDefinition,
   detectSecurityIssuesToolDefinition,
@@ -48,6 +59,11 @@ export const toolHandlers = {
   post_pr_review: handlePostPRReview,
   get_repo_info: handleGetRepoInfo,
   get_review_prompts: handleGetReviewPrompts,
+  get_review_threads: handleGetReviewThreads,
+  reply_to_review_comment: handleReplyToReviewComment,
+  resolve_review_thread: handleResolveReviewThread,
+  minimize_comment: handleMinimizeComment,
+  get_rate_limit: handleGetRateLimit,
   analyze_code_quality: handleAnalyzeCodeQuality,
   analyze_diff_impact: handleAnalyzeDiffImpact,
   detect_security_issues: handleDetectSecurityIssues,
@@ -57,6 +73,14 @@ export const toolHandlers = {
   generate_suggestions: handleGenerateSuggestions,
 };
 
+// Tools that write to GitHub
+export const postingTools = [
+  'post_pr_review',
+  'reply_to_review_comment',
+  'resolve_review_thread',
+  'minimize_comment',
+];
+
 // Helper function to get tool definition by name
 export function getToolDefinition(toolName) {
   return toolDefinitions.find(tool => tool.name === toolName);
@@ -67,6 +91,36 @@ export function getToolHandler(toolName) {
   return toolHandlers[toolName];
 }
 
+/**
+ * Run a tool against the services, as the MCP server and the review agent do
+ * PR tools talk to the GitHub host of their PR URL. Analysis tools (handlers
+ * taking three arguments) also get the analysis service.
+ * @param {Object} services - `{ github, analysis }`
+ * @param {string} name - Tool name
+ * @param {Object} args - Tool arguments
+ * @param {Object} options - Optional `signal` that aborts the tool's GitHub
+ *   requests
+ * @returns {Promise<Object>} Tool result
+ */
+export async function callTool(
+  { github, analysis },
+  name,
+  args = {},
+  { signal } = {}
+) {
+  const handler = toolHandlers[name];
+  if (!handler) {
+    throw new Error(`Unknown tool: ${name}`);
+  }
+
+  const client = args.pr_url ? github.forUrl(args.pr_url) : github;
+  return withRequestSignal(signal, () =>
+    handler.length === 3
+      ? handler(client, analysis, args)
+      : handler(client, args)
+  );
+}
+
 // Export individual tools for convenience
 export {
   getPRDetailsToolDefinition,
@@ -83,6 +137,16 @@ export {
   handleGetRepoInfo,
   getReviewPromptsToolDefinition,
   handleGetReviewPrompts,
+  getReviewThreadsToolDefinition,
+  handleGetReviewThreads,
+  replyToReviewCommentToolDefinition,
+  handleReplyToReviewComment,
+  resolveReviewThreadToolDefinition,
+  handleResolveReviewThread,
+  minimizeCommentToolDefinition,
+  handleMinimizeComment,
+  getRateLimitToolDefinition,
+  handleGetRateLimit,
   analyzeCodeQualityToolDefinition,
   handleAnalyzeCodeQuality,
   analyzeDiffImpactToolDefinition,
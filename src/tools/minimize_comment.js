@@ -0,0 +1,80 @@
+/**
+ * Minimize one of our own earlier comments on a GitHub Pull Request
+ * Keeps re-reviews from leaving stale bot comments expanded.
+ */
+
+export const MINIMIZE_REASONS = [
+  'OUTDATED',
+  'RESOLVED',
+  'DUPLICATE',
+  'OFF_TOPIC',
+];
+
+export const minimizeCommentToolDefinition = {
+  name: 'minimize_comment',
+  description:
+    'Hide one of your own previous comments on a Pull Request as outdated, resolved or duplicate. Only comments written by the authenticated account can be minimized.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      pr_url: {
+        type: 'string',
+        description:
+          'GitHub PR URL or reference (e.g., https://github.com/owner/repo/pull/123 or owner/repo#123)',
+      },
+      comment_node_id: {
+        type: 'string',
+        description:
+          'GraphQL node id of the comment (`node_id` in get_review_threads)',
+      },
+      reason: {
+        type: 'string',
+        description: 'Why the comment is minimized',
+        enum: MINIMIZE_REASONS,
+        default: 'OUTDATED',
+      },
+    },
+    required: ['pr_url', 'comment_node_id'],
+  },
+};
+
+export async function handleMinimizeComment(github, args) {
+  const { pr_url, comment_node_id, reason = 'OUTDATED' } = args;
+
+  if (!pr_url || !comment_node_id) {
+    throw new Error('PR URL and comment_node_id are required');
+  }
+
+  if (!MINIMIZE_REASONS.includes(reason)) {
+    throw new Error(
+      `Invalid reason: ${reason}. Expected one of ${MINIMIZE_REASONS.join(', ')}`
+    );
+  }
+
+  const { owner, repo, pull_number } = github.parsePRUrl(pr_url);
+  const comment = await github.minimizeOwnComment(
+    owner,
+    repo,
+    pull_number,
+    comment_node_id,
+    reason
+  );
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: JSON.stringify(
+          {
+            success: true,
+            comment_node_id: comment.id,
+            is_minimized: comment.is_minimized,
+            minimized_reason: comment.minimized_reason,
+          },
+          null,
+          2
+        ),
+      },
+    ],
+  };
+}
@@ -3,15 +3,22 @@
  * BEST PRACTICE: Use get_review_prompts first to ensure comprehensive analysis.
  */
 
+import {
+  validateReviewComments,
+  appendRejectedComments,
+} from '../utils/review_comments.js';
+
 export const postPRReviewToolDefinition = {
   name: 'post_pr_review',
-  description: 'Post a review comment on a GitHub Pull Request. BEST PRACTICE: Use get_review_prompts first to ensure comprehensive analysis.',
+  description:
+    'Post a review comment on a GitHub Pull Request. BEST PRACTICE: Use get_review_prompts first to ensure comprehensive analysis.',
   inputSchema: {
     type: 'object',
     properties: {
       pr_url: {
         type: 'string',
-        description: 'GitHub PR URL (e.g., https://github.com/owner/repo/pull/123)',
+        description:
+          'GitHub PR URL or reference (e.g., https://github.com/owner/repo/pull/123 or owner/repo#123)',
       },
       body: {
         type: 'string',
@@ -30,8 +37,34 @@ export const postPRReviewToolDefinition = {
           type: 'object',
           properties: {
             path: { type: 'string' },
-            line: { type: 'number' },
+            line: {
+              type: 'number',
+              description:
+                'Last line of the comment (the only line for single-line comments)',
+            },
             body: { type: 'string' },
+            start_line: {
+              type: 'number',
+              description:
+                'First line of a multi-line comment, in the same diff hunk as line',
+            },
+            side: {
+              type: 'string',
+              description:
+                'RIGHT for added/unchanged lines of the new file, LEFT for deleted lines',
+              enum: ['LEFT', 'RIGHT'],
+              default: 'RIGHT',
+            },
+            start_side: {
+              type: 'string',
+              description: 'Side of start_line (defaults to side)',
+              enum: ['LEFT', 'RIGHT'],
+            },
+            suggestion: {
+              type: 'string',
+              description:
+                'Replacement code for the commented lines, posted as a GitHub suggested change. The lines must be in the diff exactly, suggestions are never moved',
+            },
           },
           required: ['path', 'line', 'body'],
         },
@@ -51,10 +84,19 @@ export async function handlePostPRReview(github, args) {
 
   const { owner, repo, pull_number } = github.parsePRUrl(pr_url);
 
+  // Place comments on the diff first so one bad line doesn't fail the review
+  let checked = { comments, relocated: [], rejected: [] };
+  if (comments.length > 0) {
+    const prDetails = await github.getPRDetails(pr_url);
+    checked = validateReviewComments(comments, prDetails.files, {
+      truncated: prDetails.truncated,
+    });
+  }
+
   const result = await github.createReview(owner, repo, pull_number, {
-    body,
+    body: appendRejectedComments(body, checked.rejected),
     event,
-    comments,
+    comments: checked.comments,
   });
 
   return {
@@ -66,6 +108,9 @@ export async function handlePostPRReview(github, args) {
             success: true,
             review_id: result.id,
             review_url: result.html_url,
+            posted_comments: checked.comments.length,
+            relocated_comments: checked.relocated,
+            rejected_comments: checked.rejected,
           },
           null,
           2
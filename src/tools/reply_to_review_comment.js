@@ -0,0 +1,65 @@
+/**
+ * Reply to an inline review comment on a GitHub Pull Request
+ * TIP: Use get_review_threads to find the comment to reply to.
+ */
+
+export const replyToReviewCommentToolDefinition = {
+  name: 'reply_to_review_comment',
+  description:
+    'Reply to an existing inline review comment, adding the reply to its thread. TIP: Use get_review_threads to find comment ids, e.g. to confirm an issue has been fixed.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      pr_url: {
+        type: 'string',
+        description:
+          'GitHub PR URL or reference (e.g., https://github.com/owner/repo/pull/123 or owner/repo#123)',
+      },
+      comment_id: {
+        type: 'number',
+        description:
+          'Numeric id of the review comment to reply to (`id` in get_review_threads)',
+      },
+      body: {
+        type: 'string',
+        description: 'Reply text (markdown)',
+      },
+    },
+    required: ['pr_url', 'comment_id', 'body'],
+  },
+};
+
+export async function handleReplyToReviewComment(github, args) {
+  const { pr_url, comment_id, body } = args;
+
+  if (!pr_url || !comment_id || !body) {
+    throw new Error('PR URL, comment_id and body are required');
+  }
+
+  const { owner, repo, pull_number } = github.parsePRUrl(pr_url);
+  const reply = await github.replyToReviewComment(
+    owner,
+    repo,
+    pull_number,
+    comment_id,
+    body
+  );
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: JSON.stringify(
+          {
+            success: true,
+            comment_id: reply.id,
+            in_reply_to_id: reply.in_reply_to_id,
+            comment_url: reply.html_url,
+          },
+          null,
+          2
+        ),
+      },
+    ],
+  };
+}
@@ -0,0 +1,64 @@
+/**
+ * Resolve or unresolve a review thread on a GitHub Pull Request
+ * TIP: Use get_review_threads to find thread ids.
+ */
+
+export const resolveReviewThreadToolDefinition = {
+  name: 'resolve_review_thread',
+  description:
+    'Resolve a review thread once its issue has been fixed, or unresolve it if the issue came back. TIP: Use get_review_threads to find thread ids.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      pr_url: {
+        type: 'string',
+        description:
+          'GitHub PR URL or reference (e.g., https://github.com/owner/repo/pull/123 or owner/repo#123)',
+      },
+      thread_id: {
+        type: 'string',
+        description: 'Review thread id (`id` in get_review_threads)',
+      },
+      resolved: {
+        type: 'boolean',
+        description: 'true to resolve the thread, false to unresolve it',
+        default: true,
+      },
+    },
+    required: ['pr_url', 'thread_id'],
+  },
+};
+
+export async function handleResolveReviewThread(github, args) {
+  const { pr_url, thread_id, resolved = true } = args;
+
+  if (!pr_url || !thread_id) {
+    throw new Error('PR URL and thread_id are required');
+  }
+
+  const { owner, repo, pull_number } = github.parsePRUrl(pr_url);
+  const thread = await github.setReviewThreadResolved(
+    owner,
+    repo,
+    pull_number,
+    thread_id,
+    resolved
+  );
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: JSON.stringify(
+          {
+            success: true,
+            thread_id: thread.id,
+            is_resolved: thread.is_resolved,
+          },
+          null,
+          2
+        ),
+      },
+    ],
+  };
+}
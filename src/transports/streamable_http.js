@@ -0,0 +1,229 @@
+/**
+ * Streamable HTTP transport for MCP servers
+ *
+ * One transport serves one session on a single endpoint:
+ * - POST carries client messages. Requests are answered in the POST response,
+ *   as JSON when the client accepts it and as an SSE stream otherwise.
+ *   Notifications and responses alone are acknowledged with 202.
+ * - GET opens a standalone SSE stream for messages the server initiates.
+ * - DELETE ends the session.
+ *
+ * The caller routes requests to the transport by the Mcp-Session-Id header
+ * and passes the parsed JSON body.
+ */
+
+import { randomUUID } from 'node:crypto';
+import {
+  JSONRPCMessageSchema,
+  ErrorCode,
+} from '@modelcontextprotocol/sdk/types.js';
+
+export const SESSION_HEADER = 'mcp-session-id';
+
+function accepts(req, type) {
+  return (req.headers.accept || '').includes(type);
+}
+
+function isResponse(message) {
+  return 'id' in message && ('result' in message || 'error' in message);
+}
+
+function isRequest(message) {
+  return 'id' in message && 'method' in message;
+}
+
+function writeEvent(res, message) {
+  res.write(`event: message\ndata: ${JSON.stringify(message)}\n\n`);
+}
+
+function openEventStream(res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  res.flushHeaders?.();
+}
+
+/**
+ * JSON-RPC error body for a request that could not be handled
+ */
+export function jsonRpcError(code, message) {
+  return { jsonrpc: '2.0', id: null, error: { code, message } };
+}
+
+export class StreamableHTTPServerTransport {
+  /**
+   * @param {Object} options - `sessionId` to use instead of a random UUID
+   */
+  constructor({ sessionId = randomUUID() } = {}) {
+    this.sessionId = sessionId;
+    this.started = false;
+    this.closed = false;
+    // Standalone GET stream for server-initiated messages
+    this.stream = null;
+    // POST responses waiting for answers, by JSON-RPC request id
+    this.pending = new Map();
+  }
+
+  async start() {
+    if (this.started) {
+      throw new Error('StreamableHTTPServerTransport already started');
+    }
+    this.started = true;
+  }
+
+  /**
+   * Handle an HTTP request for this session
+   * @param {Object} req - Node/Express request
+   * @param {Object} res - Node/Express response
+   * @param {*} body - Parsed JSON body of a POST
+   */
+  async handleRequest(req, res, body) {
+    res.setHeader(SESSION_HEADER, this.sessionId);
+
+    if (req.method === 'POST') return this.handlePost(req, res, body);
+    if (req.method === 'GET') return this.handleGet(req, res);
+    if (req.method === 'DELETE') {
+      await this.close();
+      return res.status(200).end();
+    }
+
+    res.setHeader('Allow', 'GET, POST, DELETE');
+    res
+      .status(405)
+      .json(jsonRpcError(ErrorCode.InvalidRequest, 'Method not allowed'));
+  }
+
+  async handlePost(req, res, body) {
+    const batch = Array.isArray(body);
+    let messages;
+    try {
+      messages = (batch ? body : [body]).map(message =>
+        JSONRPCMessageSchema.parse(message)
+      );
+    } catch (error) {
+      this.onerror?.(error);
+      return res
+        .status(400)
+        .json(
+          jsonRpcError(ErrorCode.InvalidRequest, 'Invalid JSON-RPC message')
+        );
+    }
+
+    const requests = messages.filter(isRequest);
+    if (requests.length === 0) {
+      for (const message of messages) this.onmessage?.(message);
+      return res.status(202).end();
+    }
+
+    const useJson = accepts(req, 'application/json');
+    if (!useJson && !accepts(req, 'text/event-stream')) {
+      return res
+        .status(406)
+        .json(
+          jsonRpcError(
+            ErrorCode.InvalidRequest,
+            'Client must accept application/json or text/event-stream'
+          )
+        );
+    }
+
+    const exchange = {
+      res,
+      batch,
+      useJson,
+      waiting: new Set(requests.map(request => request.id)),
+      responses: [],
+    };
+    for (const request of requests) this.pending.set(request.id, exchange);
+    if (!useJson) openEventStream(res);
+
+    // Answers to a client that went away are dropped
+    res.on('close', () => {
+      for (const id of exchange.waiting) this.pending.delete(id);
+    });
+
+    for (const message of messages) this.onmessage?.(message);
+  }
+
+  handleGet(req, res) {
+    if (!accepts(req, 'text/event-stream')) {
+      return res
+        .status(405)
+        .json(
+          jsonRpcError(
+            ErrorCode.InvalidRequest,
+            'GET requires Accept: text/event-stream'
+          )
+        );
+    }
+    if (this.stream) {
+      return res
+        .status(409)
+        .json(
+          jsonRpcError(
+            ErrorCode.InvalidRequest,
+            'An SSE stream is already open for this session'
+          )
+        );
+    }
+
+    openEventStream(res);
+    this.stream = res;
+    res.on('close', () => {
+      if (this.stream === res) this.stream = null;
+    });
+  }
+
+  async send(message) {
+    if (this.closed) throw new Error('Not connected');
+
+    if (isResponse(message)) {
+      const exchange = this.pending.get(message.id);
+      if (!exchange) return;
+      this.pending.delete(message.id);
+      exchange.waiting.delete(message.id);
+
+      if (exchange.useJson) {
+        exchange.responses.push(message);
+        if (exchange.waiting.size === 0) {
+          exchange.res
+            .status(200)
+            .json(exchange.batch ? exchange.responses : exchange.responses[0]);
+        }
+      } else {
+        writeEvent(exchange.res, message);
+        if (exchange.waiting.size === 0) exchange.res.end();
+      }
+      return;
+    }
+
+    // Server-initiated messages go to the standalone stream, or to an open
+    // POST stream when there is none
+    const target =
+      this.stream ||
+      [...this.pending.values()].find(exchange => !exchange.useJson)?.res;
+    if (target) writeEvent(target, message);
+  }
+
+  async close() {
+    if (this.closed) return;
+    this.closed = true;
+
+    this.stream?.end();
+    this.stream = null;
+    for (const exchange of new Set(this.pending.values())) {
+      if (!exchange.res.headersSent) {
+        exchange.res
+          .status(404)
+          .json(jsonRpcError(ErrorCode.ConnectionClosed, 'Session closed'));
+      } else {
+        exchange.res.end();
+      }
+    }
+    this.pending.clear();
+
+    this.onclose?.();
+  }
+}
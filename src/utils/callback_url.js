@@ -0,0 +1,107 @@
+/**
+ * Review job callback URLs
+ * Callbacks are requested by the server on behalf of API callers, so they
+ * must not reach loopback, link-local (cloud metadata) or private network
+ * addresses unless the operator allowlisted the host.
+ */
+
+import { lookup as dnsLookup } from 'node:dns/promises';
+import { BlockList, isIP } from 'node:net';
+
+const PRIVATE_ADDRESSES = new BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16], // link-local, including 169.254.169.254
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 3], // multicast, reserved and broadcast
+]) {
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+  ['::', 127], // unspecified and loopback
+  ['64:ff9b::', 96], // NAT64
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8],
+]) {
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+// IPv4-mapped IPv6 addresses (::ffff:a.b.c.d) are matched by the IPv4 rules
+
+/**
+ * Whether an IP address is loopback, link-local, private or otherwise not
+ * publicly routable
+ */
+export function isPrivateAddress(address) {
+  const family = isIP(address);
+  if (family === 0) return false;
+  return PRIVATE_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+function refuse(reason) {
+  const error = new Error(`callback_url ${reason}`);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Check that a callback URL may be requested
+ *
+ * With `allowedHosts`, only those hosts are accepted, private or not.
+ * Otherwise the host must resolve to public addresses only. Run it again
+ * right before the request, DNS answers can change in between.
+ * @param {string} value - Callback URL
+ * @param {Object} options - `allowedHosts` (lower-case host names or IPs)
+ *   and the DNS `lookup` to use
+ * @returns {Promise<URL>} The parsed URL
+ * @throws {Error} With status 400 when the URL is refused
+ */
+export async function checkCallbackUrl(
+  value,
+  { allowedHosts = [], lookup = dnsLookup } = {}
+) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    throw refuse('must be an http(s) URL');
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw refuse('must be an http(s) URL');
+  }
+
+  // IPv6 literals keep their brackets in URL.hostname
+  const host = url.hostname.replace(/^\[(.*)\]$/, '$1');
+  if (allowedHosts.length > 0) {
+    if (!allowedHosts.includes(host)) {
+      throw refuse(`host ${host} is not in REVIEW_CALLBACK_ALLOWED_HOSTS`);
+    }
+    return url;
+  }
+
+  if (host === 'localhost' || host.endsWith('.localhost')) {
+    throw refuse(`host ${host} is not a public address`);
+  }
+
+  let addresses = [host];
+  if (!isIP(host)) {
+    try {
+      const records = await lookup(host, { all: true, verbatim: true });
+      addresses = records.map(record => record.address);
+    } catch (error) {
+      throw refuse(
+        `host ${host} could not be resolved: ${error.code ?? error.message}`
+      );
+    }
+  }
+  if (addresses.some(isPrivateAddress)) {
+    throw refuse(`host ${host} is not a public address`);
+  }
+  return url;
+}
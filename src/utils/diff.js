@@ -0,0 +1,140 @@
+/**
+ * Unified diff parsing for GitHub patches
+ *
+ * GitHub returns one `patch` string per file, made of `@@` hunks without the
+ * `---`/`+++` file headers. A hunk ends once its line counts are used up, so
+ * the `diff --git`, `index` and `---`/`+++` headers of raw `git diff` output
+ * are skipped as well; the hunks of every file are returned in order.
+ */
+
+const HUNK_HEADER = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@ ?(.*)$/;
+const NO_NEWLINE_MARKER = '\\ No newline at end of file';
+
+/**
+ * Parse a unified diff patch into hunks with old/new line numbers
+ * @param {string} patch - Patch text as returned by the GitHub API
+ * @returns {Array<Object>} Hunks, each with its lines
+ */
+export function parsePatch(patch) {
+  const hunks = [];
+  if (!patch) return hunks;
+
+  let hunk = null;
+  let oldLine = 0;
+  let newLine = 0;
+  // Lines of the current hunk still to come, per side
+  let oldRemaining = 0;
+  let newRemaining = 0;
+
+  for (const raw of patch.split('\n')) {
+    const header = raw.match(HUNK_HEADER);
+    if (header) {
+      hunk = {
+        header: raw,
+        old_start: parseInt(header[1]),
+        old_lines: header[2] === undefined ? 1 : parseInt(header[2]),
+        new_start: parseInt(header[3]),
+        new_lines: header[4] === undefined ? 1 : parseInt(header[4]),
+        section: header[5] || '',
+        lines: [],
+      };
+      oldLine = hunk.old_start;
+      newLine = hunk.new_start;
+      oldRemaining = hunk.old_lines;
+      newRemaining = hunk.new_lines;
+      hunks.push(hunk);
+      continue;
+    }
+
+    // Anything before the first hunk
+    if (!hunk) continue;
+
+    if (raw.startsWith('\\')) {
+      // Applies to the line right before it, on whichever side it belongs to
+      const previous = hunk.lines[hunk.lines.length - 1];
+      if (previous && raw === NO_NEWLINE_MARKER) {
+        previous.no_newline_at_eof = true;
+      }
+      continue;
+    }
+
+    // File headers between hunks, and the final newline of the patch text
+    if (oldRemaining <= 0 && newRemaining <= 0) continue;
+
+    const marker = raw[0];
+    const content = raw.slice(1);
+
+    if (marker === '+') {
+      hunk.lines.push({
+        type: 'add',
+        content,
+        old_line: null,
+        new_line: newLine,
+      });
+      newLine++;
+      newRemaining--;
+    } else if (marker === '-') {
+      hunk.lines.push({
+        type: 'del',
+        content,
+        old_line: oldLine,
+        new_line: null,
+      });
+      oldLine++;
+      oldRemaining--;
+    } else if (marker === ' ' || raw === '') {
+      // Some tools strip the space of empty context lines
+      hunk.lines.push({
+        type: 'context',
+        content,
+        old_line: oldLine,
+        new_line: newLine,
+      });
+      oldLine++;
+      newLine++;
+      oldRemaining--;
+      newRemaining--;
+    }
+  }
+
+  return hunks;
+}
+
+/**
+ * Get the added lines of a patch with their line numbers in the new file
+ * @param {string|Array<Object>} patch - Patch text or already parsed hunks
+ * @returns {Array<{line: number, content: string}>} Added lines
+ */
+export function getAddedLines(patch) {
+  const hunks = Array.isArray(patch) ? patch : parsePatch(patch);
+
+  return hunks.flatMap(hunk =>
+    hunk.lines
+      .filter(line => line.type === 'add')
+      .map(line => ({ line: line.new_line, content: line.content }))
+  );
+}
+
+/**
+ * Get the lines of a patch that review comments can be attached to
+ *
+ * RIGHT lines are added or context lines of the new file, LEFT lines are
+ * deleted or context lines of the old file. A multi-line comment has to stay
+ * within one hunk, so every line is mapped to the index of its hunk.
+ * @param {string|Array<Object>} patch - Patch text or already parsed hunks
+ * @returns {{RIGHT: Map<number, number>, LEFT: Map<number, number>}} Line
+ *   number to hunk index, per side
+ */
+export function getCommentableLines(patch) {
+  const hunks = Array.isArray(patch) ? patch : parsePatch(patch);
+  const lines = { RIGHT: new Map(), LEFT: new Map() };
+
+  hunks.forEach((hunk, index) => {
+    for (const line of hunk.lines) {
+      if (line.new_line !== null) lines.RIGHT.set(line.new_line, index);
+      if (line.old_line !== null) lines.LEFT.set(line.old_line, index);
+    }
+  });
+
+  return lines;
+}
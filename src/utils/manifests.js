@@ -0,0 +1,497 @@
+/**
+ * Dependency manifest and lockfile parsers
+ *
+ * Every parser turns file content into a flat list of
+ * `{ name, version, scope }` entries. Scope is one of `runtime`, `dev`,
+ * `peer`, `optional`, `build`, `provided`, `indirect` or `locked` (lockfile
+ * entries with no scope information). Ecosystem names follow OSV so results
+ * can be matched against advisory data.
+ */
+
+import { compareVersions } from './versions.js';
+
+/**
+ * Parse package.json dependency sections
+ */
+function parsePackageJson(content) {
+  const pkg = JSON.parse(content);
+  const sections = {
+    dependencies: 'runtime',
+    devDependencies: 'dev',
+    peerDependencies: 'peer',
+    optionalDependencies: 'optional',
+  };
+
+  return Object.entries(sections).flatMap(([section, scope]) =>
+    Object.entries(pkg[section] || {}).map(([name, version]) => ({
+      name,
+      version,
+      scope,
+    }))
+  );
+}
+
+/**
+ * Parse package-lock.json (lockfile v1, v2 and v3)
+ */
+function parsePackageLock(content) {
+  const lock = JSON.parse(content);
+
+  if (lock.packages) {
+    // Only hoisted packages, nested copies are resolved per dependent
+    return Object.entries(lock.packages)
+      .filter(([path]) => /^node_modules\/(@[^/]+\/)?[^/]+$/.test(path))
+      .map(([path, info]) => ({
+        name: path.slice('node_modules/'.length),
+        version: info.version,
+        scope: info.dev ? 'dev' : info.optional ? 'optional' : 'runtime',
+      }));
+  }
+
+  return Object.entries(lock.dependencies || {}).map(([name, info]) => ({
+    name,
+    version: info.version,
+    scope: info.dev ? 'dev' : info.optional ? 'optional' : 'runtime',
+  }));
+}
+
+/**
+ * Parse yarn.lock (classic and berry formats)
+ */
+function parseYarnLock(content) {
+  const entries = [];
+  let current = null;
+
+  for (const line of content.split('\n')) {
+    if (/^\S.*:$/.test(line) && !line.startsWith('#')) {
+      const spec = line.slice(0, -1).split(',')[0].trim().replace(/"/g, '');
+      if (spec === '__metadata') {
+        current = null;
+        continue;
+      }
+      const at = spec.indexOf('@', 1);
+      current = { name: at > 0 ? spec.slice(0, at) : spec, scope: 'locked' };
+      continue;
+    }
+
+    const version = line.match(/^\s+version:?\s+"?([^"\s]+)"?/);
+    if (current && version) {
+      entries.push({ ...current, version: version[1] });
+      current = null;
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Parse requirements*.txt specifiers
+ */
+function parseRequirements(content, filename) {
+  const scope = /dev|test/i.test(filename) ? 'dev' : 'runtime';
+
+  return content
+    .replace(/\\\r?\n/g, ' ')
+    .split('\n')
+    .map(line => line.replace(/(^|\s)#.*$/, '').trim())
+    .filter(line => line && !line.startsWith('-') && !/^\w+:\/\//.test(line))
+    .map(line => {
+      // Environment markers and per-requirement options like --hash
+      const [requirement] = line.split(/;|\s--/);
+      const match = requirement.match(
+        /^([A-Za-z0-9][A-Za-z0-9._-]*)\s*(?:\[[^\]]*\])?\s*(.*)$/
+      );
+      if (!match) return null;
+
+      const specifier = match[2].trim().replace(/^@\s*/, '');
+      return {
+        name: normalizePythonName(match[1]),
+        version: specifier || '*',
+        scope,
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Parse Pipfile.lock
+ */
+function parsePipfileLock(content) {
+  const lock = JSON.parse(content);
+  const sections = { default: 'runtime', develop: 'dev' };
+
+  return Object.entries(sections).flatMap(([section, scope]) =>
+    Object.entries(lock[section] || {}).map(([name, info]) => ({
+      name: normalizePythonName(name),
+      version: info.version || '*',
+      scope,
+    }))
+  );
+}
+
+/**
+ * PEP 503 name normalization, so "Flask_Cors" and "flask-cors" match
+ */
+function normalizePythonName(name) {
+  return name.toLowerCase().replace(/[-_.]+/g, '-');
+}
+
+/**
+ * Parse go.mod require directives
+ */
+function parseGoMod(content) {
+  const entries = [];
+  let inBlock = false;
+
+  for (const raw of content.split('\n')) {
+    const line = raw.trim();
+
+    if (/^require\s*\($/.test(line)) {
+      inBlock = true;
+      continue;
+    }
+    if (inBlock && line === ')') {
+      inBlock = false;
+      continue;
+    }
+
+    const spec = inBlock ? line : line.match(/^require\s+(.*)$/)?.[1];
+    const match = spec?.match(/^(\S+)\s+(v\S+)(.*)$/);
+    if (match) {
+      entries.push({
+        name: match[1],
+        version: match[2],
+        scope: /\/\/\s*indirect/.test(match[3]) ? 'indirect' : 'runtime',
+      });
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Parse go.sum module checksums
+ */
+function parseGoSum(content) {
+  return content
+    .split('\n')
+    .map(line => line.trim().split(/\s+/))
+    .filter(
+      ([name, version]) => name && version && !version.endsWith('/go.mod')
+    )
+    .map(([name, version]) => ({ name, version, scope: 'locked' }));
+}
+
+/**
+ * Parse Cargo.toml dependency tables
+ */
+function parseCargoToml(content) {
+  const entries = [];
+  let table = null;
+  let pending = null;
+
+  const scopeOf = section =>
+    section.startsWith('dev-')
+      ? 'dev'
+      : section.startsWith('build-')
+        ? 'build'
+        : 'runtime';
+
+  for (const raw of content.split('\n')) {
+    const line = raw.replace(/\s+#.*$/, '').trim();
+    if (!line || line.startsWith('#')) continue;
+
+    const header = line.match(/^\[([^\]]+)\]$/);
+    if (header) {
+      if (pending) entries.push(pending);
+      pending = null;
+      table = null;
+
+      // [dependencies], [dev-dependencies], [target.'cfg(..)'.dependencies]
+      const parts = header[1].split('.');
+      const depIndex = parts.findIndex(part =>
+        /^(dev-|build-)?dependencies$/.test(part)
+      );
+      if (depIndex === -1 || parts[0] === 'workspace') continue;
+
+      if (depIndex === parts.length - 1) {
+        table = scopeOf(parts[depIndex]);
+      } else {
+        // [dependencies.serde] holds a single dependency spread over lines
+        pending = {
+          name: parts.slice(depIndex + 1).join('.'),
+          version: '*',
+          scope: scopeOf(parts[depIndex]),
+        };
+      }
+      continue;
+    }
+
+    const pair = line.match(/^([A-Za-z0-9_-]+)\s*=\s*(.+)$/);
+    if (!pair) continue;
+
+    if (pending) {
+      if (pair[1] === 'version') pending.version = unquote(pair[2]);
+      continue;
+    }
+
+    if (table) {
+      entries.push({
+        name: pair[1],
+        version: cargoRequirement(pair[2]),
+        scope: table,
+      });
+    }
+  }
+
+  if (pending) entries.push(pending);
+  return entries;
+}
+
+/**
+ * Resolve the requirement of a Cargo dependency value
+ */
+function cargoRequirement(value) {
+  if (!value.startsWith('{')) return unquote(value);
+
+  const version = value.match(/version\s*=\s*"([^"]*)"/);
+  if (version) return version[1];
+  if (/workspace\s*=\s*true/.test(value)) return 'workspace';
+
+  const source = value.match(/(git|path)\s*=\s*"([^"]*)"/);
+  return source ? `${source[1]}:${source[2]}` : '*';
+}
+
+/**
+ * Parse Cargo.lock packages
+ */
+function parseCargoLock(content) {
+  return content
+    .split('[[package]]')
+    .slice(1)
+    .map(block => ({
+      name: block.match(/^name\s*=\s*"([^"]+)"/m)?.[1],
+      version: block.match(/^version\s*=\s*"([^"]+)"/m)?.[1],
+      scope: 'locked',
+    }))
+    .filter(entry => entry.name && entry.version);
+}
+
+/**
+ * Parse Gemfile gem declarations, tracking group blocks
+ */
+function parseGemfile(content) {
+  const entries = [];
+  const blocks = [];
+  const devGroups = ['development', 'test'];
+
+  const isDev = groups =>
+    groups.length > 0 && groups.every(group => devGroups.includes(group));
+
+  for (const raw of content.split('\n')) {
+    const line = raw.replace(/(^|\s)#.*$/, '').trim();
+    if (!line) continue;
+
+    if (/\bdo\s*(\|[^|]*\|)?$/.test(line)) {
+      const groups = line.startsWith('group')
+        ? [...line.matchAll(/:(\w+)/g)].map(match => match[1])
+        : null;
+      blocks.push(groups);
+      continue;
+    }
+    if (/^end\b/.test(line)) {
+      blocks.pop();
+      continue;
+    }
+
+    const gem = line.match(/^gem\s+["']([^"']+)["'](.*)$/);
+    if (!gem) continue;
+
+    const requirements = [...gem[2].matchAll(/,\s*["']([^"']+)["']/g)].map(
+      match => match[1]
+    );
+    const inline = gem[2].match(/groups?:\s*(\[[^\]]*\]|:\w+)/);
+    const groups = inline
+      ? [...inline[1].matchAll(/:(\w+)/g)].map(match => match[1])
+      : blocks.filter(Boolean).flat();
+
+    entries.push({
+      name: gem[1],
+      version: requirements.join(', ') || '*',
+      scope: isDev(groups) ? 'dev' : 'runtime',
+    });
+  }
+
+  return entries;
+}
+
+/**
+ * Parse Gemfile.lock resolved specs
+ */
+function parseGemfileLock(content) {
+  return [...content.matchAll(/^ {4}([^\s(]+) \(([^)]+)\)$/gm)].map(match => ({
+    name: match[1],
+    version: match[2],
+    scope: 'locked',
+  }));
+}
+
+/**
+ * Parse composer.json requirements, skipping platform packages like php
+ */
+function parseComposerJson(content) {
+  const manifest = JSON.parse(content);
+  const sections = { require: 'runtime', 'require-dev': 'dev' };
+
+  return Object.entries(sections).flatMap(([section, scope]) =>
+    Object.entries(manifest[section] || {})
+      .filter(([name]) => name.includes('/'))
+      .map(([name, version]) => ({ name, version, scope }))
+  );
+}
+
+/**
+ * Parse composer.lock
+ */
+function parseComposerLock(content) {
+  const lock = JSON.parse(content);
+  const sections = { packages: 'runtime', 'packages-dev': 'dev' };
+
+  return Object.entries(sections).flatMap(([section, scope]) =>
+    (lock[section] || []).map(pkg => ({
+      name: pkg.name,
+      version: pkg.version.replace(/^v/, ''),
+      scope,
+    }))
+  );
+}
+
+/**
+ * Parse pom.xml dependencies, resolving ${property} versions
+ */
+function parsePom(content) {
+  const xml = content.replace(/<!--[\s\S]*?-->/g, '');
+  const tag = (block, name) =>
+    block.match(new RegExp(`<${name}>\\s*([^<]*?)\\s*</${name}>`))?.[1];
+
+  const properties = {};
+  const propertiesBlock = xml.match(/<properties>([\s\S]*?)<\/properties>/);
+  if (propertiesBlock) {
+    for (const match of propertiesBlock[1].matchAll(
+      /<([\w.-]+)>\s*([^<]*?)\s*<\/\1>/g
+    )) {
+      properties[match[1]] = match[2];
+    }
+  }
+
+  // The project's own version, outside of <parent> and <dependencies>
+  const projectVersion = tag(
+    xml
+      .replace(/<parent>[\s\S]*?<\/parent>/, '')
+      .replace(/<dependencies>[\s\S]*<\/dependencies>/, ''),
+    'version'
+  );
+  if (projectVersion) properties['project.version'] = projectVersion;
+
+  const resolve = value =>
+    value?.replace(/\$\{([^}]+)\}/g, (all, key) => properties[key] ?? all);
+
+  const scopes = { test: 'dev', provided: 'provided', runtime: 'runtime' };
+
+  return [...xml.matchAll(/<dependency>([\s\S]*?)<\/dependency>/g)].map(
+    ([, block]) => ({
+      name: `${resolve(tag(block, 'groupId'))}:${resolve(tag(block, 'artifactId'))}`,
+      version: resolve(tag(block, 'version')) || '*',
+      scope: scopes[tag(block, 'scope')] || 'runtime',
+    })
+  );
+}
+
+function unquote(value) {
+  return value.trim().replace(/^["']|["']$/g, '');
+}
+
+// `lockfiles` pin the versions a manifest's ranges resolve to, next to it
+const MANIFESTS = [
+  {
+    file: 'package.json',
+    ecosystem: 'npm',
+    parse: parsePackageJson,
+    lockfiles: ['package-lock.json', 'yarn.lock'],
+  },
+  { file: 'package-lock.json', ecosystem: 'npm', parse: parsePackageLock },
+  { file: 'yarn.lock', ecosystem: 'npm', parse: parseYarnLock },
+  {
+    file: /^requirements.*\.txt$/,
+    ecosystem: 'PyPI',
+    parse: parseRequirements,
+  },
+  { file: 'Pipfile.lock', ecosystem: 'PyPI', parse: parsePipfileLock },
+  { file: 'go.mod', ecosystem: 'Go', parse: parseGoMod },
+  { file: 'go.sum', ecosystem: 'Go', parse: parseGoSum },
+  {
+    file: 'Cargo.toml',
+    ecosystem: 'crates.io',
+    parse: parseCargoToml,
+    lockfiles: ['Cargo.lock'],
+  },
+  { file: 'Cargo.lock', ecosystem: 'crates.io', parse: parseCargoLock },
+  {
+    file: 'Gemfile',
+    ecosystem: 'RubyGems',
+    parse: parseGemfile,
+    lockfiles: ['Gemfile.lock'],
+  },
+  { file: 'Gemfile.lock', ecosystem: 'RubyGems', parse: parseGemfileLock },
+  {
+    file: 'composer.json',
+    ecosystem: 'Packagist',
+    parse: parseComposerJson,
+    lockfiles: ['composer.lock'],
+  },
+  { file: 'composer.lock', ecosystem: 'Packagist', parse: parseComposerLock },
+  { file: 'pom.xml', ecosystem: 'Maven', parse: parsePom },
+];
+
+/**
+ * Find the manifest definition for a path, matching on its basename
+ * @param {string} filename - File path, possibly inside a subdirectory
+ * @returns {Object|null} Manifest definition with ecosystem, parser and the
+ *   `lockfiles` that pin its ranges, if any
+ */
+export function getManifest(filename) {
+  const basename = filename.split('/').pop();
+
+  return (
+    MANIFESTS.find(manifest =>
+      typeof manifest.file === 'string'
+        ? manifest.file === basename
+        : manifest.file.test(basename)
+    ) || null
+  );
+}
+
+/**
+ * Parse a manifest or lockfile into dependency entries
+ *
+ * Lockfiles may pin several versions of one package; only the highest is kept
+ * so that the result has one entry per name and scope.
+ * @param {string} filename - File path, used to pick the parser
+ * @param {string} content - Raw file content
+ * @returns {Array<{name: string, version: string, scope: string}>} Entries
+ */
+export function parseManifest(filename, content) {
+  const manifest = getManifest(filename);
+  if (!manifest || !content) return [];
+
+  const entries = new Map();
+  for (const entry of manifest.parse(content, filename.split('/').pop())) {
+    const key = `${entry.scope}:${entry.name}`;
+    const existing = entries.get(key);
+    if (!existing || compareVersions(entry.version, existing.version) > 0) {
+      entries.set(key, entry);
+    }
+  }
+
+  return [...entries.values()];
+}
@@ -0,0 +1,174 @@
+/**
+ * PR references
+ * Turns the ways people point at a pull request into owner, repo and number:
+ * web URLs including their /files and /commits sub-pages, REST API URLs,
+ * `owner/repo#123` short references and bare numbers in a default repository.
+ * A commit or file the URL points at is kept as a scoping hint.
+ */
+
+import { createHash } from 'node:crypto';
+
+const NAME = '[A-Za-z0-9_.-]+';
+const SHA = '[0-9a-f]{7,40}';
+
+const SHORT_REF = new RegExp(`^(?:(${NAME})/(${NAME})#|#)?(\\d+)$`);
+const WEB_URL = new RegExp(
+  `^(?:https?://)?([^/\\s]+)/(${NAME})/(${NAME})/pulls?/(\\d+)(/[^?#]*)?(?:\\?[^#]*)?(?:#(.*))?$`,
+  'i'
+);
+// https://api.github.com/repos/... and https://ghe.example.com/api/v3/repos/...
+const API_URL = new RegExp(
+  `^(?:https?://)?([^/\\s]+)(?:/api/v3)?/repos/(${NAME})/(${NAME})/pulls/(\\d+)(?:/[^?#]*)?(?:\\?.*)?$`,
+  'i'
+);
+const COMMIT_PATH = new RegExp(`^/(?:commits|files)/(${SHA})/?$`, 'i');
+const RANGE_PATH = new RegExp(`^/files/(${SHA})\\.\\.(${SHA})/?$`, 'i');
+const FILE_ANCHOR = /^(diff-[0-9a-f]{64})(?:([LR])(\d+)(?:-[LR](\d+))?)?$/;
+
+// Malformed references are the caller's fault
+function referenceError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Read the commit and file a PR sub-URL points at
+ * @returns {Object|null} `{ commit_sha, base_sha, file_anchor, line,
+ *   start_line, side }` with only the parts present, or null
+ */
+function parseScope(path = '', anchor = '') {
+  const scope = {};
+
+  const range = path.match(RANGE_PATH);
+  const commit = path.match(COMMIT_PATH);
+  if (range) {
+    scope.base_sha = range[1].toLowerCase();
+    scope.commit_sha = range[2].toLowerCase();
+  } else if (commit) {
+    scope.commit_sha = commit[1].toLowerCase();
+  }
+
+  const file = anchor.match(FILE_ANCHOR);
+  if (file) {
+    scope.file_anchor = file[1];
+    if (file[3]) {
+      scope.side = file[2] === 'L' ? 'LEFT' : 'RIGHT';
+      if (file[4]) {
+        scope.start_line = parseInt(file[3]);
+        scope.line = parseInt(file[4]);
+      } else {
+        scope.line = parseInt(file[3]);
+      }
+    }
+  }
+
+  return Object.keys(scope).length > 0 ? scope : null;
+}
+
+/**
+ * Web host of an API host, e.g. "api.github.com" -> "github.com"
+ * GitHub Enterprise Server serves its API under /api/v3 on the web host.
+ */
+function webHostOf(apiHost) {
+  return apiHost.toLowerCase().replace(/^api\./, '');
+}
+
+/**
+ * Parse a PR reference
+ * @param {string} reference - PR URL, API URL, `owner/repo#123`, `#123` or
+ *   `123`
+ * @param {Object} options - `defaultRepo` ("owner/repo") for references
+ *   without a repository
+ * @returns {Object} `{ host, owner, repo, pull_number, scope }`; `host` is
+ *   null for short references, `scope` is null when the reference does not
+ *   point at a commit or file
+ */
+export function parsePRReference(reference, { defaultRepo } = {}) {
+  const value = String(reference ?? '').trim();
+
+  const short = value.match(SHORT_REF);
+  if (short) {
+    let [, owner, repo] = short;
+    if (!owner) {
+      if (!defaultRepo) {
+        throw referenceError(
+          `PR reference ${value} has no repository; use owner/repo#${short[3]} or set DEFAULT_REPO`
+        );
+      }
+      [owner, repo] = defaultRepo.split('/');
+    }
+    return {
+      host: null,
+      owner,
+      repo,
+      pull_number: parseInt(short[3]),
+      scope: null,
+    };
+  }
+
+  const api = value.match(API_URL);
+  if (api) {
+    return {
+      host: webHostOf(api[1]),
+      owner: api[2],
+      repo: api[3],
+      pull_number: parseInt(api[4]),
+      scope: null,
+    };
+  }
+
+  const web = value.match(WEB_URL);
+  if (web) {
+    return {
+      host: web[1],
+      owner: web[2],
+      repo: web[3],
+      pull_number: parseInt(web[4]),
+      scope: parseScope(web[5], web[6]),
+    };
+  }
+
+  throw referenceError(
+    `Invalid GitHub PR reference: ${value} (expected a PR URL, an API URL or owner/repo#123)`
+  );
+}
+
+/**
+ * Find the file a "diff-<sha256 of path>" anchor of the Files tab points at
+ * @param {string} anchor - Anchor without the line suffix
+ * @param {Array<string>} filenames - Files of the PR
+ * @returns {string|null} Matching filename
+ */
+export function resolveFileAnchor(anchor, filenames) {
+  return (
+    filenames.find(
+      filename =>
+        `diff-${createHash('sha256').update(filename).digest('hex')}` === anchor
+    ) ?? null
+  );
+}
+
+/**
+ * Attach the scoping hint of a reference to PR details
+ * File anchors are resolved against the PR files.
+ * @param {Object} prDetails - PR snapshot
+ * @param {Object|null} scope - Scope from parsePRReference
+ * @returns {Object} PR details, with `scope` when there is one
+ */
+export function withScope(prDetails, scope) {
+  if (!scope) return prDetails;
+
+  const { file_anchor, ...rest } = scope;
+  const resolved = { ...rest };
+  if (file_anchor) {
+    resolved.file = resolveFileAnchor(
+      file_anchor,
+      prDetails.files.map(file => file.filename)
+    );
+    // The anchor may be for a file dropped by MAX_FILES_TO_REVIEW
+    if (!resolved.file) resolved.file_anchor = file_anchor;
+  }
+
+  return { ...prDetails, scope: resolved };
+}
@@ -0,0 +1,276 @@
+/**
+ * Inline review comment helpers
+ * Renders suggestion blocks and checks comment positions against the PR diff
+ * so a single misplaced comment cannot fail a whole review with a 422.
+ * Plain comments may be moved onto nearby diff lines; suggestions are only
+ * kept at their exact position.
+ */
+
+import { getCommentableLines } from './diff.js';
+
+const SIDES = ['LEFT', 'RIGHT'];
+
+// How far a single-line comment may be moved to land on the diff
+const MAX_RELOCATE_DISTANCE = 3;
+
+/**
+ * Render a comment body with its optional suggested change
+ * @param {Object} comment - `{ body, suggestion }`
+ * @returns {string} Markdown body
+ */
+export function renderCommentBody({ body = '', suggestion }) {
+  if (suggestion === undefined || suggestion === null) return body;
+
+  // The fence must be longer than any backtick run inside the suggestion
+  const longestRun = Math.max(
+    0,
+    ...(suggestion.match(/`+/g) || []).map(run => run.length)
+  );
+  const fence = '`'.repeat(Math.max(3, longestRun + 1));
+  const block = `${fence}suggestion\n${suggestion.replace(/\n$/, '')}\n${fence}`;
+
+  return body ? `${body}\n\n${block}` : block;
+}
+
+/**
+ * Format line numbers as compact ranges, e.g. "3-7, 12"
+ */
+function formatLineRanges(lines) {
+  const sorted = [...lines].sort((a, b) => a - b);
+  const ranges = [];
+
+  for (const line of sorted) {
+    const last = ranges[ranges.length - 1];
+    if (last && line === last[1] + 1) {
+      last[1] = line;
+    } else {
+      ranges.push([line, line]);
+    }
+  }
+
+  return ranges
+    .map(([start, end]) => (start === end ? `${start}` : `${start}-${end}`))
+    .join(', ');
+}
+
+/**
+ * Find the commentable line closest to a target line
+ */
+function nearestLine(lines, target) {
+  let best = null;
+  for (const line of lines.keys()) {
+    const distance = Math.abs(line - target);
+    if (
+      distance <= MAX_RELOCATE_DISTANCE &&
+      (best === null ||
+        distance < Math.abs(best - target) ||
+        (distance === Math.abs(best - target) && line < best))
+    ) {
+      best = line;
+    }
+  }
+  return best;
+}
+
+/**
+ * Check one comment against the diff of its file
+ * @returns {{comment?: Object, error?: string}} Placed comment or error
+ */
+function placeComment(comment, file, truncated) {
+  const { path, line, start_line: startLine } = comment;
+  const side = comment.side || 'RIGHT';
+  const startSide = comment.start_side || side;
+
+  if (!SIDES.includes(side) || !SIDES.includes(startSide)) {
+    return { error: 'side and start_side must be LEFT or RIGHT' };
+  }
+  if (!Number.isInteger(line) || line < 1) {
+    return { error: 'line must be a positive integer' };
+  }
+  if (comment.suggestion !== undefined && side === 'LEFT') {
+    return {
+      error: 'Suggestions can only be made on the RIGHT side of the diff',
+    };
+  }
+  if (!file) {
+    return {
+      error: `${path} is not among the files changed in this pull request${truncated ? ' (the file list was truncated by MAX_FILES_TO_REVIEW)' : ''}`,
+    };
+  }
+  if (!file.patch) {
+    return {
+      error: `${path} has no textual diff (binary or too large to display)`,
+    };
+  }
+
+  const lines = getCommentableLines(file.patch);
+  const outside = (number, onSide) =>
+    `Line ${number} (${onSide}) is outside the diff of ${path}; commentable ${onSide} lines: ${formatLineRanges(lines[onSide].keys()) || 'none'}`;
+  const placed = { ...comment, side };
+  delete placed.start_line;
+  delete placed.start_side;
+
+  // A suggestion replaces exactly the lines it was written for, so it is
+  // never moved or clamped
+  if (comment.suggestion !== undefined) {
+    const exactStart = startLine ?? line;
+    if (startSide !== side) {
+      return {
+        error: 'Suggestions must start and end on the RIGHT side of the diff',
+      };
+    }
+    if (!Number.isInteger(exactStart) || exactStart > line) {
+      return { error: 'start_line must be an integer lower than line' };
+    }
+    const hunk = lines[side].get(line);
+    if (hunk === undefined || lines[side].get(exactStart) !== hunk) {
+      return {
+        error: `Suggestion for ${exactStart === line ? `line ${line}` : `lines ${exactStart}-${line}`} (${side}) does not match a single hunk of the diff of ${path}; commentable ${side} lines: ${formatLineRanges(lines[side].keys()) || 'none'}`,
+      };
+    }
+    return {
+      comment:
+        exactStart === line
+          ? placed
+          : { ...placed, start_line: exactStart, start_side: side },
+    };
+  }
+
+  // Single-line comment: move it onto a nearby diff line if needed
+  if (startLine === undefined || startLine === null || startLine === line) {
+    if (lines[side].has(line)) return { comment: placed };
+
+    const nearest = nearestLine(lines[side], line);
+    if (nearest === null) return { error: outside(line, side) };
+    return { comment: { ...placed, line: nearest } };
+  }
+
+  if (!Number.isInteger(startLine) || startLine > line) {
+    return { error: 'start_line must be an integer lower than line' };
+  }
+
+  // Ranges across sides cannot be adjusted reliably
+  if (startSide !== side) {
+    const endHunk = lines[side].get(line);
+    if (endHunk === undefined) return { error: outside(line, side) };
+    if (lines[startSide].get(startLine) !== endHunk) {
+      return {
+        error: `start_line ${startLine} (${startSide}) is not in the same diff hunk as line ${line} (${side}) of ${path}`,
+      };
+    }
+    return {
+      comment: {
+        ...placed,
+        start_line: startLine,
+        start_side: startSide,
+      },
+    };
+  }
+
+  // Same-side range: clamp it to the hunk it overlaps, preferring the hunk of
+  // its last line
+  const hunk =
+    lines[side].get(line) ??
+    lines[side].get(startLine) ??
+    [...lines[side]].find(
+      ([number]) => number >= startLine && number <= line
+    )?.[1];
+  if (hunk === undefined) {
+    return {
+      error: `Lines ${startLine}-${line} (${side}) are outside the diff of ${path}; commentable ${side} lines: ${formatLineRanges(lines[side].keys()) || 'none'}`,
+    };
+  }
+
+  const inHunk = [...lines[side]]
+    .filter(
+      ([number, index]) =>
+        index === hunk && number >= startLine && number <= line
+    )
+    .map(([number]) => number);
+  const start = Math.min(...inHunk);
+  const end = Math.max(...inHunk);
+
+  return {
+    comment:
+      start === end
+        ? { ...placed, line: end }
+        : { ...placed, line: end, start_line: start, start_side: side },
+  };
+}
+
+/**
+ * Check inline comments against the PR diff before submitting a review
+ * @param {Array<Object>} comments - `{ path, line, body, start_line, side,
+ *   start_side, suggestion }`
+ * @param {Array<Object>} files - PR files with their `patch`
+ * @param {Object} options - `{ truncated }` whether the file list is partial
+ * @returns {{comments: Array<Object>, relocated: Array<Object>,
+ *   rejected: Array<Object>}} Comments to submit, moved comments and
+ *   comments that cannot be placed with an error; `index` refers to the
+ *   input array
+ */
+export function validateReviewComments(
+  comments,
+  files,
+  { truncated = false } = {}
+) {
+  const byPath = new Map(files.map(file => [file.filename, file]));
+  const result = { comments: [], relocated: [], rejected: [] };
+
+  comments.forEach((comment, index) => {
+    const { comment: placed, error } = placeComment(
+      comment,
+      byPath.get(comment.path),
+      truncated
+    );
+
+    if (error) {
+      result.rejected.push({
+        index,
+        path: comment.path,
+        line: comment.line,
+        ...(comment.start_line ? { start_line: comment.start_line } : {}),
+        error,
+        body: comment.body,
+      });
+      return;
+    }
+
+    // A start_line equal to line is just a single-line comment
+    const requestedStart =
+      comment.start_line && comment.start_line !== comment.line
+        ? comment.start_line
+        : null;
+    if (
+      placed.line !== comment.line ||
+      (placed.start_line ?? null) !== requestedStart
+    ) {
+      result.relocated.push({
+        index,
+        path: comment.path,
+        from: { start_line: requestedStart, line: comment.line },
+        to: { start_line: placed.start_line ?? null, line: placed.line },
+      });
+    }
+    result.comments.push(placed);
+  });
+
+  return result;
+}
+
+/**
+ * Keep the text of comments that could not be placed by listing them in the
+ * review body
+ * @param {string} body - Review body
+ * @param {Array<Object>} rejected - Rejected comments
+ * @returns {string} Review body
+ */
+export function appendRejectedComments(body, rejected) {
+  if (rejected.length === 0) return body;
+
+  const items = rejected.map(
+    comment =>
+      `- \`${comment.path}:${comment.start_line ? `${comment.start_line}-` : ''}${comment.line}\`: ${comment.body}`
+  );
+  return `${body}\n\n**Comments outside the diff**\n\n${items.join('\n')}`;
+}
@@ -0,0 +1,97 @@
+/**
+ * Minimal JSON Schema validator for model output
+ * Supports the subset of keywords used by the tool and output schemas:
+ * type (string or list), enum, properties, required, additionalProperties,
+ * items, minItems, maxItems, minLength, minimum and maximum.
+ */
+
+/**
+ * JSON Schema type name of a value
+ * @param {*} value - Value to inspect
+ * @returns {string} One of null, array, integer, number, string, boolean, object
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Check whether a value matches a single schema type
+ */
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Value to validate
+ * @param {Object} schema - JSON schema
+ * @param {string} path - Location used in error messages
+ * @returns {string[]} Validation errors, empty when the value is valid
+ */
+export function validateSchema(value, schema, path = '$') {
+  const errors = [];
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      return [`${path}: expected ${types.join(' or ')}, got ${typeOf(value)}`];
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(
+      `${path}: must be one of ${schema.enum.map(item => JSON.stringify(item)).join(', ')}`
+    );
+  }
+
+  if (typeof value === 'string' && value.length < (schema.minLength ?? 0)) {
+    errors.push(`${path}: must be at least ${schema.minLength} characters`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path}: must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path}: must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path}: must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path}: must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateSchema(item, schema.items, `${path}[${index}]`));
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${path}.${key}: is required`);
+      }
+    }
+
+    for (const [key, item] of Object.entries(value)) {
+      if (properties[key]) {
+        errors.push(...validateSchema(item, properties[key], `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key}: is not allowed`);
+      }
+    }
+  }
+
+  return errors;
+}
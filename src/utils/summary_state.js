@@ -0,0 +1,36 @@
+/**
+ * Hidden state of the sticky review summary comment
+ * The state is stored base64-encoded in an HTML comment so it can never
+ * close the comment early or show up in the rendered markdown.
+ */
+
+export const SUMMARY_MARKER = '<!-- github-review-mcp:summary -->';
+const STATE_PATTERN = /<!-- github-review-mcp:state ([A-Za-z0-9+/=]*) -->/;
+
+/**
+ * Read the state stored in a summary comment
+ * @param {string} body - Comment body
+ * @returns {Object|null} `{ history }` with the latest review first, or null
+ *   when the body has no valid state
+ */
+export function parseSummaryState(body) {
+  const match = body?.match(STATE_PATTERN);
+  if (!match) return null;
+
+  try {
+    const state = JSON.parse(Buffer.from(match[1], 'base64').toString('utf8'));
+    return Array.isArray(state.history) ? state : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Render the state as a hidden HTML comment
+ * @param {Object} state - `{ history }`
+ * @returns {string} HTML comment
+ */
+export function renderSummaryState(state) {
+  const encoded = Buffer.from(JSON.stringify(state)).toString('base64');
+  return `<!-- github-review-mcp:state ${encoded} -->`;
+}
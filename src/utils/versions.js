@@ -0,0 +1,438 @@
+/**
+ * Version parsing and comparison helpers shared by the dependency analyzers
+ */
+
+const VERSION_PATTERN =
+  /^[v=]*(\d+(?:\.\d+)*)(?:[-.]?([0-9A-Za-z][0-9A-Za-z.-]*))?/;
+
+/**
+ * Parse a version string into numeric release parts and a prerelease tag
+ * @param {string} version - Version such as "1.2.3", "v1.2.3-beta.1" or "2.0rc1"
+ * @returns {{release: number[], prerelease: string[]}|null} Parsed version
+ */
+export function parseVersion(version) {
+  if (version === null || version === undefined) return null;
+
+  // Build metadata ("+sha") doesn't affect ordering
+  const match = String(version).trim().split('+')[0].match(VERSION_PATTERN);
+  if (!match) return null;
+
+  const release = match[1].split('.').map(part => parseInt(part));
+  const prerelease = (match[2] || '')
+    .split('.')
+    .filter(Boolean)
+    .filter(part => !/^(final|release|ga)$/i.test(part));
+
+  return { release, prerelease };
+}
+
+/**
+ * Compare two versions
+ * @returns {number} Negative if a < b, positive if a > b, 0 if equal
+ */
+export function compareVersions(a, b) {
+  const left = typeof a === 'string' ? parseVersion(a) : a;
+  const right = typeof b === 'string' ? parseVersion(b) : b;
+  if (!left || !right) return 0;
+
+  const length = Math.max(left.release.length, right.release.length);
+  for (let i = 0; i < length; i++) {
+    const diff = (left.release[i] || 0) - (right.release[i] || 0);
+    if (diff !== 0) return diff;
+  }
+
+  // A prerelease sorts before the release it precedes
+  if (left.prerelease.length === 0 || right.prerelease.length === 0) {
+    return right.prerelease.length - left.prerelease.length;
+  }
+
+  const tags = Math.max(left.prerelease.length, right.prerelease.length);
+  for (let i = 0; i < tags; i++) {
+    const x = left.prerelease[i];
+    const y = right.prerelease[i];
+    if (x === undefined) return -1;
+    if (y === undefined) return 1;
+    if (x === y) continue;
+
+    const xNumeric = /^\d+$/.test(x);
+    const yNumeric = /^\d+$/.test(y);
+    if (xNumeric && yNumeric) return parseInt(x) - parseInt(y);
+    if (xNumeric) return -1;
+    if (yNumeric) return 1;
+    return x < y ? -1 : 1;
+  }
+
+  return 0;
+}
+
+/**
+ * Pull the first concrete version out of a requirement such as "^1.2.0"
+ * @param {string} requirement - Version or range as written in a manifest
+ * @returns {string|null} Version string without operators
+ */
+export function extractVersion(requirement) {
+  if (!requirement) return null;
+
+  const match = String(requirement).match(/\d+(?:\.\d+)*(?:-[0-9A-Za-z.-]+)?/);
+  return match ? match[0] : null;
+}
+
+/**
+ * Check whether moving between two requirements crosses a breaking boundary
+ *
+ * A major bump is a change of the first version component. For 0.x versions
+ * the minor component is treated as the breaking one, as semver does.
+ */
+export function isMajorBump(from, to) {
+  const before = parseVersion(extractVersion(from));
+  const after = parseVersion(extractVersion(to));
+  if (!before || !after) return false;
+
+  const [fromMajor, fromMinor = 0] = before.release;
+  const [toMajor, toMinor = 0] = after.release;
+
+  if (toMajor !== fromMajor) return toMajor > fromMajor;
+  return fromMajor === 0 && toMinor > fromMinor;
+}
+
+/**
+ * Version ranges
+ *
+ * A range is a union of intervals `{ min, minInclusive, max, maxInclusive }`
+ * where `min`/`max` are version strings or null for an open bound. Manifest
+ * requirements and advisory ranges are both turned into this shape so they
+ * can be intersected.
+ */
+
+const ALL_VERSIONS = [
+  { min: null, minInclusive: true, max: null, maxInclusive: true },
+];
+
+function interval(min, minInclusive, max, maxInclusive) {
+  return { min, minInclusive, max, maxInclusive };
+}
+
+function exact(version) {
+  return [interval(version, true, version, true)];
+}
+
+/**
+ * Split a partial version like "1.2" or "1.x" into its defined numbers
+ */
+function partialParts(version) {
+  const parts = [];
+  for (const part of version.replace(/^[v=]+/, '').split(/[.-]/)) {
+    if (/^[x*]$/i.test(part) || part === '') break;
+    if (!/^\d+$/.test(part)) {
+      // Prerelease or other tag: the version is fully specified
+      return { parts, full: true };
+    }
+    parts.push(parseInt(part));
+  }
+  return { parts, full: parts.length >= 3 };
+}
+
+/**
+ * Bump the last defined part of a partial version ("1.2" -> "1.3.0")
+ */
+function bump(parts, index) {
+  const next = parts.slice(0, index + 1);
+  next[index] = (next[index] || 0) + 1;
+  while (next.length < 3) next.push(0);
+  return next.join('.');
+}
+
+function pad(parts) {
+  const padded = [...parts];
+  while (padded.length < 3) padded.push(0);
+  return padded.join('.');
+}
+
+/**
+ * Caret semantics: changes that don't modify the left-most non-zero part
+ */
+function caret(version) {
+  const { parts } = partialParts(version);
+  if (parts.length === 0) return ALL_VERSIONS;
+
+  const index = parts.findIndex(
+    (part, i) => part !== 0 || i === parts.length - 1
+  );
+  return [
+    interval(
+      version.replace(/^[v=]+/, ''),
+      true,
+      bump(parts, Math.min(index, 2)),
+      false
+    ),
+  ];
+}
+
+/**
+ * Tilde semantics (npm, Cargo): patch changes, or minor ones for "~1"
+ */
+function tilde(version) {
+  const { parts } = partialParts(version);
+  if (parts.length === 0) return ALL_VERSIONS;
+
+  const index = parts.length === 1 ? 0 : 1;
+  return [
+    interval(version.replace(/^[v=]+/, ''), true, bump(parts, index), false),
+  ];
+}
+
+/**
+ * Pessimistic semantics (RubyGems "~>", PEP 440 "~=", Composer "~"): the
+ * last given part may increase
+ */
+function pessimistic(version) {
+  const { parts } = partialParts(version);
+  if (parts.length === 0) return ALL_VERSIONS;
+  if (parts.length === 1) return [interval(pad(parts), true, null, true)];
+
+  return [
+    interval(
+      version.replace(/^[v=]+/, ''),
+      true,
+      bump(parts, parts.length - 2),
+      false
+    ),
+  ];
+}
+
+/**
+ * A bare version: exact when fully specified, a prefix range when partial
+ */
+function bare(version, ecosystem) {
+  const { parts, full } = partialParts(version);
+  if (parts.length === 0) return ALL_VERSIONS;
+
+  // Cargo treats "1.2.3" as "^1.2.3"
+  if (ecosystem === 'crates.io') return caret(version);
+  if (full) return exact(version.replace(/^[v=]+/, ''));
+
+  return [interval(pad(parts), true, bump(parts, parts.length - 1), false)];
+}
+
+function comparator(operator, version, ecosystem) {
+  const { parts, full } = partialParts(version);
+  const cleaned = version.replace(/^[v=]+/, '');
+
+  switch (operator) {
+    case '^':
+      return caret(version);
+    case '~':
+      return ecosystem === 'Packagist' && parts.length < 3
+        ? pessimistic(version)
+        : tilde(version);
+    case '~>':
+    case '~=':
+      return pessimistic(version);
+    case '>=':
+      return [interval(full ? cleaned : pad(parts), true, null, true)];
+    case '>':
+      return full
+        ? [interval(cleaned, false, null, true)]
+        : [interval(bump(parts, parts.length - 1), true, null, true)];
+    case '<':
+      return [interval(null, true, full ? cleaned : pad(parts), false)];
+    case '<=':
+      return full
+        ? [interval(null, true, cleaned, true)]
+        : [interval(null, true, bump(parts, parts.length - 1), false)];
+    case '!=':
+      return [
+        interval(null, true, cleaned, false),
+        interval(cleaned, false, null, true),
+      ];
+    case '===':
+      return exact(cleaned);
+    case '==':
+      // PEP 440 prefix match: "==1.2.*"
+      return /\*$/.test(version) ? bare(version, ecosystem) : exact(cleaned);
+    default:
+      return operator ? exact(cleaned) : bare(version, ecosystem);
+  }
+}
+
+/**
+ * Parse a Maven range such as "[1.0,2.0)", "(,1.5]" or "[1.2]"
+ */
+function parseMavenRange(requirement) {
+  const sets = requirement.match(/[[(][^\])]*[\])]/g);
+  if (!sets) return exact(requirement.trim());
+
+  return sets.map(set => {
+    const inner = set.slice(1, -1);
+    if (!inner.includes(',')) return interval(inner, true, inner, true);
+
+    const [min, max] = inner.split(',').map(value => value.trim() || null);
+    return interval(min, set[0] === '[', max, set.endsWith(']'));
+  });
+}
+
+function compareBound(a, b, side) {
+  // null is -infinity for lower bounds and +infinity for upper bounds
+  if (a === null && b === null) return 0;
+  if (a === null) return side === 'min' ? -1 : 1;
+  if (b === null) return side === 'min' ? 1 : -1;
+  return compareVersions(a, b);
+}
+
+function intersectIntervals(a, b) {
+  const minOrder = compareBound(a.min, b.min, 'min');
+  const lower = minOrder > 0 || (minOrder === 0 && !a.minInclusive) ? a : b;
+  const maxOrder = compareBound(a.max, b.max, 'max');
+  const upper = maxOrder < 0 || (maxOrder === 0 && !a.maxInclusive) ? a : b;
+
+  const result = interval(
+    lower.min,
+    lower.minInclusive,
+    upper.max,
+    upper.maxInclusive
+  );
+  if (result.min === null || result.max === null) return result;
+
+  const order = compareVersions(result.min, result.max);
+  if (order > 0) return null;
+  if (order === 0 && !(result.minInclusive && result.maxInclusive)) return null;
+  return result;
+}
+
+/**
+ * Intersect two ranges (unions of intervals)
+ * @returns {Array<Object>} Intervals present in both ranges
+ */
+export function intersectRanges(a, b) {
+  return a.flatMap(left =>
+    b.map(right => intersectIntervals(left, right)).filter(Boolean)
+  );
+}
+
+/**
+ * Parse a requirement from a manifest using the ecosystem's rules
+ * @param {string} requirement - e.g. "^1.2.0", ">=2.0,<3", "~> 4.1", "[1.0,2.0)"
+ * @param {string} ecosystem - OSV ecosystem name (npm, PyPI, Go, ...)
+ * @returns {Array<Object>|null} Range, or null for non-version requirements
+ *   such as git URLs, paths or workspace references
+ */
+export function parseRange(requirement, ecosystem) {
+  if (requirement === null || requirement === undefined) return null;
+
+  const text = String(requirement)
+    .trim()
+    .replace(/@[a-z]+$/i, '');
+  if (text === '' || text === '*' || /^(latest|x)$/i.test(text)) {
+    return ALL_VERSIONS;
+  }
+  if (/^(git|path|file|link|workspace|https?|dev-)/i.test(text)) return null;
+
+  if (ecosystem === 'Maven') return parseMavenRange(text);
+
+  const alternatives = text.split(ecosystem === 'Packagist' ? /\|\|?/ : /\|\|/);
+  const union = [];
+
+  for (const alternative of alternatives) {
+    // npm hyphen range: "1.2.3 - 2.3.4"
+    const hyphen = alternative.match(/^\s*(\S+)\s+-\s+(\S+)\s*$/);
+    if (hyphen) {
+      union.push(
+        ...intersectRanges(
+          comparator('>=', hyphen[1], ecosystem),
+          comparator('<=', hyphen[2], ecosystem)
+        )
+      );
+      continue;
+    }
+
+    const comparators = [
+      ...alternative.matchAll(
+        /(\^|~>|~=|~|===|==|>=|<=|!=|>|<|=)?\s*(v?[0-9A-Za-z*][0-9A-Za-z.*+-]*)/g
+      ),
+    ];
+    if (comparators.length === 0) return null;
+
+    let range = ALL_VERSIONS;
+    for (const [, operator, version] of comparators) {
+      if (!/^v?[\d*x]/i.test(version)) return null;
+      range = intersectRanges(range, comparator(operator, version, ecosystem));
+    }
+    union.push(...range);
+  }
+
+  return union;
+}
+
+/**
+ * The release a prerelease version leads up to ("2.0.0-rc.1" -> "2.0.0"),
+ * or null for a release
+ */
+function prereleaseOf(version) {
+  const parsed = version === null ? null : parseVersion(version);
+  if (!parsed || parsed.prerelease.length === 0) return null;
+  return pad(parsed.release.slice(0, 3));
+}
+
+/**
+ * Whether a range opts into the prereleases of a release, by naming one of
+ * them in a bound: "^2.0.0-rc.1" does for 2.0.0, "<2.0.0" does not
+ */
+function allowsPrereleasesOf(range, release) {
+  return range.some(
+    ({ min, max }) =>
+      prereleaseOf(min) === release || prereleaseOf(max) === release
+  );
+}
+
+/**
+ * The release whose prereleases are the only versions in an interval, or
+ * null when it holds other versions too
+ */
+function prereleaseOnly({ min, max, maxInclusive }) {
+  const release = prereleaseOf(min);
+  if (!release || max === null) return null;
+  if (prereleaseOf(max) === release) return release;
+  return !maxInclusive && compareVersions(max, release) === 0 ? release : null;
+}
+
+/**
+ * Check whether a version falls inside a range
+ *
+ * As npm, Cargo, pip and Composer do, a prerelease only satisfies a range that
+ * names a prerelease of the same release, so "2.0.0-rc.1" is not in "<2.0.0".
+ */
+export function satisfies(version, range) {
+  const release = prereleaseOf(version);
+  if (release && !allowsPrereleasesOf(range, release)) return false;
+  return intersectRanges(exact(version), range).length > 0;
+}
+
+/**
+ * Check whether a requirement can resolve to a version in another range,
+ * such as an advisory's affected versions. Overlaps made only of prereleases
+ * count when the requirement opts into them, as in satisfies().
+ * @param {Array<Object>} requested - Range of the requirement
+ * @param {Array<Object>} range - Range to test against
+ * @returns {boolean}
+ */
+export function rangesOverlap(requested, range) {
+  return intersectRanges(requested, range).some(overlap => {
+    const release = prereleaseOnly(overlap);
+    return !release || allowsPrereleasesOf(requested, release);
+  });
+}
+
+/**
+ * Describe a range as comparator text, e.g. ">=1.0.0 <1.2.3"
+ */
+export function formatRange(range) {
+  return range
+    .map(({ min, minInclusive, max, maxInclusive }) => {
+      if (min !== null && min === max) return `=${min}`;
+      const parts = [];
+      if (min !== null) parts.push(`${minInclusive ? '>=' : '>'}${min}`);
+      if (max !== null) parts.push(`${maxInclusive ? '<=' : '<'}${max}`);
+      return parts.join(' ') || '*';
+    })
+    .join(' || ');
+}
@@ -0,0 +1,225 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, mkdir, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+  AdvisoryService,
+  cvssV3BaseScore,
+} from '../src/services/advisories.js';
+import { AnalysisService } from '../src/services/analysis.js';
+
+function advisory(id, affected, extra = {}) {
+  return { id, modified: '2026-01-01T00:00:00Z', affected, ...extra };
+}
+
+function semver(...events) {
+  return [{ type: 'SEMVER', events }];
+}
+
+const ADVISORIES = [
+  advisory(
+    'GHSA-fixed',
+    [
+      {
+        package: { ecosystem: 'npm', name: 'left-pad' },
+        ranges: semver({ introduced: '0' }, { fixed: '1.3.0' }),
+      },
+    ],
+    { summary: 'Prototype pollution' }
+  ),
+  advisory('GHSA-last-affected', [
+    {
+      package: { ecosystem: 'npm', name: 'qs' },
+      ranges: semver(
+        { introduced: '6.0.0' },
+        { last_affected: '6.2.3' },
+        { introduced: '6.5.0' },
+        { fixed: '6.5.3' }
+      ),
+    },
+  ]),
+  advisory('GHSA-rc', [
+    {
+      package: { ecosystem: 'npm', name: 'next' },
+      ranges: semver({ introduced: '2.0.0-rc.0' }, { fixed: '2.0.0-rc.3' }),
+    },
+  ]),
+  advisory('GHSA-listed', [
+    {
+      package: { ecosystem: 'PyPI', name: 'Flask_Cors' },
+      versions: ['3.0.9', '3.0.10'],
+      ranges: [{ type: 'GIT', repo: 'x', events: [{ introduced: 'abc' }] }],
+    },
+  ]),
+  advisory(
+    'GHSA-withdrawn',
+    [
+      {
+        package: { ecosystem: 'npm', name: 'left-pad' },
+        ranges: semver({ introduced: '0' }),
+      },
+    ],
+    { withdrawn: '2026-02-01T00:00:00Z' }
+  ),
+];
+
+describe('AdvisoryService', () => {
+  let dir;
+  let service;
+
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'advisories-'));
+    await mkdir(join(dir, 'npm'));
+    await writeFile(
+      join(dir, 'npm', 'all.json'),
+      JSON.stringify(ADVISORIES.slice(0, 3))
+    );
+    await writeFile(join(dir, 'listed.json'), JSON.stringify(ADVISORIES[3]));
+    await writeFile(join(dir, 'withdrawn.json'), JSON.stringify(ADVISORIES[4]));
+    service = new AdvisoryService({ databasePath: dir });
+  });
+
+  after(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  async function ids(ecosystem, name, version) {
+    const matches = await service.findVulnerabilities({
+      ecosystem,
+      name,
+      version,
+    });
+    return matches.map(match => match.advisory_id);
+  }
+
+  it('matches introduced and fixed events', async () => {
+    assert.deepEqual(await ids('npm', 'left-pad', '1.2.9'), ['GHSA-fixed']);
+    assert.deepEqual(await ids('npm', 'left-pad', '^1.2.0'), ['GHSA-fixed']);
+    assert.deepEqual(await ids('npm', 'left-pad', '1.3.0'), []);
+    assert.deepEqual(await ids('npm', 'left-pad', '^1.3.0'), []);
+
+    const [match] = await service.findVulnerabilities({
+      ecosystem: 'npm',
+      name: 'left-pad',
+      version: '1.0.0',
+    });
+    assert.deepEqual(match.affected_ranges, ['<1.3.0']);
+    assert.deepEqual(match.fixed_versions, ['1.3.0']);
+    assert.equal(match.summary, 'Prototype pollution');
+  });
+
+  it('closes ranges inclusively on last_affected', async () => {
+    assert.deepEqual(await ids('npm', 'qs', '6.2.3'), ['GHSA-last-affected']);
+    assert.deepEqual(await ids('npm', 'qs', '6.3.0'), []);
+    assert.deepEqual(await ids('npm', 'qs', '6.5.2'), ['GHSA-last-affected']);
+    assert.deepEqual(await ids('npm', 'qs', '~6.5.3'), []);
+  });
+
+  it('matches prereleases only when they are requested', async () => {
+    assert.deepEqual(await ids('npm', 'next', '^1.9.0'), []);
+    assert.deepEqual(await ids('npm', 'next', '2.0.0-rc.1'), ['GHSA-rc']);
+    assert.deepEqual(await ids('npm', 'next', '2.0.0'), []);
+  });
+
+  it('matches listed versions and skips GIT ranges', async () => {
+    assert.deepEqual(await ids('PyPI', 'flask-cors', '==3.0.10'), [
+      'GHSA-listed',
+    ]);
+    assert.deepEqual(await ids('PyPI', 'flask-cors', '>=3.0.10'), [
+      'GHSA-listed',
+    ]);
+    assert.deepEqual(await ids('PyPI', 'flask-cors', '>=4.0'), []);
+    assert.equal(service.getStatus().advisories, 5);
+  });
+
+  it('checks the version a lockfile pins instead of the manifest range', async () => {
+    const manifest = JSON.stringify({ dependencies: { 'left-pad': '^1.2.0' } });
+    const lock = version =>
+      JSON.stringify({
+        lockfileVersion: 3,
+        packages: { 'node_modules/left-pad': { version } },
+      });
+    const analysis = new AnalysisService({ advisories: service });
+    // Security issues of a PR adding left-pad to web/package.json
+    const issues = async headFiles => {
+      const github = {
+        getMergeBase: async () => 'base',
+        getFileContent: async (owner, repo, path, ref) =>
+          ref === 'head' ? (headFiles[path] ?? null) : null,
+      };
+      const result = await analysis.analyzeDependencies(
+        {
+          repository: { owner: 'acme', repo: 'widgets' },
+          pr: { base_sha: 'main', head_sha: 'head' },
+          files: [{ filename: 'web/package.json', status: 'added' }],
+        },
+        github
+      );
+      return result.dependency_changes.security_issues.map(issue => [
+        issue.advisory_id,
+        issue.version,
+        issue.requirement,
+      ]);
+    };
+
+    assert.deepEqual(
+      await issues({
+        'web/package.json': manifest,
+        'web/package-lock.json': lock('1.3.0'),
+      }),
+      []
+    );
+    assert.deepEqual(
+      await issues({
+        'web/package.json': manifest,
+        'web/package-lock.json': lock('1.2.5'),
+      }),
+      [['GHSA-fixed', '1.2.5', '^1.2.0']]
+    );
+    // Without a lockfile next to it, the range is all there is
+    assert.deepEqual(
+      await issues({
+        'web/package.json': manifest,
+        'package-lock.json': lock('1.3.0'),
+      }),
+      [['GHSA-fixed', '^1.2.0', undefined]]
+    );
+  });
+
+  it('scores severity from labels and CVSS v3 vectors', () => {
+    const cvss = vector => ({ severity: [{ type: 'CVSS_V3', score: vector }] });
+    const cases = [
+      [{ database_specific: { severity: 'moderate' } }, 'MEDIUM'],
+      [cvss('CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:H/I:H/A:H'), 'CRITICAL'],
+      [cvss('CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:H/I:N/A:N'), 'HIGH'],
+      [cvss('CVSS:3.1/AV:N/AC:L/PR:N/UI:R/S:C/C:L/I:L/A:N'), 'MEDIUM'],
+      [cvss('CVSS:3.1/AV:L/AC:H/PR:H/UI:R/S:U/C:L/I:N/A:N'), 'LOW'],
+      [cvss('CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:N/I:N/A:N'), 'NONE'],
+      [cvss('CVSS:3.1/AV:N/AC:L'), 'UNKNOWN'],
+      [{}, 'UNKNOWN'],
+    ];
+    for (const [data, expected] of cases) {
+      assert.equal(service.severityOf(data, {}), expected);
+    }
+    assert.equal(
+      service.severityOf({}, { ecosystem_specific: { severity: 'high' } }),
+      'HIGH'
+    );
+  });
+
+  it('computes CVSS v3 base scores', () => {
+    const cases = [
+      ['CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:H/I:H/A:H', 9.8],
+      ['CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:H/I:N/A:N', 7.5],
+      ['CVSS:3.1/AV:N/AC:L/PR:N/UI:R/S:C/C:L/I:L/A:N', 6.1],
+      ['CVSS:3.1/AV:N/AC:L/PR:L/UI:N/S:C/C:H/I:H/A:H', 9.9],
+      ['CVSS:3.0/AV:L/AC:H/PR:H/UI:R/S:U/C:L/I:N/A:N', 1.8],
+      ['CVSS:3.1/AV:N/AC:L/PR:N/UI:N/S:U/C:N/I:N/A:N', 0],
+      ['CVSS:3.1/AV:X/AC:L/PR:N/UI:N/S:U/C:H/I:H/A:H', null],
+    ];
+    for (const [vector, score] of cases) {
+      assert.equal(cvssV3BaseScore(vector), score, vector);
+    }
+  });
+});
@@ -0,0 +1,196 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { runAgentLoop } from '../src/handlers/agent.js';
+import {
+  ScriptedProvider,
+  toolCalls,
+  textTurn,
+} from './helpers/scripted-provider.js';
+
+describe('runAgentLoop', () => {
+  it('runs the tool calls of one turn in parallel', async () => {
+    const provider = new ScriptedProvider([
+      toolCalls(['slow', { ms: 30 }], ['fast', { ms: 5 }]),
+      textTurn('done'),
+    ]);
+    const events = [];
+
+    const result = await runAgentLoop({
+      provider,
+      messages: [{ role: 'user', content: 'go' }],
+      executeTool: async (name, args) => {
+        events.push(`start:${name}`);
+        await sleep(args.ms);
+        events.push(`end:${name}`);
+        return { name };
+      },
+    });
+
+    assert.deepEqual(events, [
+      'start:slow',
+      'start:fast',
+      'end:fast',
+      'end:slow',
+    ]);
+    assert.equal(result.message, 'done');
+    assert.equal(result.stop_reason, 'completed');
+    // Results keep the order of the calls, not of completion
+    assert.deepEqual(
+      provider.calls[1].messages.slice(2).map(message => message.name),
+      ['slow', 'fast']
+    );
+    assert.ok(
+      result.transcript.find(entry => entry.name === 'slow').duration_ms >= 25
+    );
+  });
+
+  it('skips calls beyond the tool-call budget and forces an answer', async () => {
+    const provider = new ScriptedProvider([
+      toolCalls(['a'], ['b']),
+      toolCalls(['c'], ['d']),
+      textTurn('answer within budget'),
+    ]);
+    const executed = [];
+
+    const result = await runAgentLoop({
+      provider,
+      messages: [{ role: 'user', content: 'go' }],
+      maxToolCalls: 3,
+      executeTool: async name => {
+        executed.push(name);
+        return {};
+      },
+    });
+
+    assert.deepEqual(executed, ['a', 'b', 'c']);
+    assert.equal(result.stop_reason, 'max_tool_calls');
+    assert.equal(result.tool_calls, 3);
+    assert.deepEqual(
+      result.transcript.map(entry => [entry.name, entry.status]),
+      [
+        ['a', 'ok'],
+        ['b', 'ok'],
+        ['c', 'ok'],
+        ['d', 'skipped'],
+      ]
+    );
+
+    const last = provider.calls.at(-1);
+    assert.equal(last.options.tools, false);
+    assert.deepEqual(last.messages.at(-2).content, {
+      error: 'Tool call budget of 3 exhausted',
+    });
+    assert.equal(result.message, 'answer within budget');
+  });
+
+  it('ignores tool calls in the forced final answer', async () => {
+    const provider = new ScriptedProvider([toolCalls(['a']), toolCalls(['b'])]);
+
+    const result = await runAgentLoop({
+      provider,
+      messages: [{ role: 'user', content: 'go' }],
+      maxIterations: 1,
+      executeTool: async () => ({}),
+    });
+
+    assert.equal(result.stop_reason, 'max_iterations');
+    assert.equal(result.iterations, 1);
+    assert.equal(result.message, '');
+    assert.equal(provider.remaining, 0);
+  });
+
+  it('times out with the partial transcript attached', async () => {
+    const provider = new ScriptedProvider([
+      toolCalls(['quick']),
+      toolCalls(['stuck']),
+      textTurn('never reached'),
+    ]);
+
+    await assert.rejects(
+      runAgentLoop({
+        provider,
+        messages: [{ role: 'user', content: 'go' }],
+        timeout: 50,
+        executeTool: async name => {
+          if (name === 'stuck') await sleep(200);
+          return {};
+        },
+      }),
+      error => {
+        assert.match(error.message, /timed out after 50ms/);
+        assert.deepEqual(
+          error.transcript.map(entry => [entry.name, entry.status]),
+          [
+            ['quick', 'ok'],
+            ['stuck', 'pending'],
+          ]
+        );
+        return true;
+      }
+    );
+  });
+
+  it('stops when its signal aborts', async () => {
+    const provider = new ScriptedProvider([
+      toolCalls(['stuck']),
+      textTurn('never reached'),
+    ]);
+    const controller = new AbortController();
+
+    await assert.rejects(
+      runAgentLoop({
+        provider,
+        messages: [{ role: 'user', content: 'go' }],
+        signal: controller.signal,
+        executeTool: async () => {
+          controller.abort();
+          await sleep(200);
+          return {};
+        },
+      }),
+      error => {
+        assert.match(error.message, /Agent cancelled/);
+        assert.deepEqual(
+          error.transcript.map(entry => entry.status),
+          ['pending']
+        );
+        return true;
+      }
+    );
+    assert.equal(provider.remaining, 1);
+  });
+
+  it('aborts the running model request and tool calls at the deadline', async () => {
+    const provider = new ScriptedProvider([
+      toolCalls(['stuck']),
+      textTurn('never reached'),
+    ]);
+    let toolSignal;
+    let toolError;
+
+    await assert.rejects(
+      runAgentLoop({
+        provider,
+        messages: [{ role: 'user', content: 'go' }],
+        timeout: 1000,
+        // A deadline shared with earlier work leaves less than the timeout
+        deadline: Date.now() + 50,
+        executeTool: async (name, args, { signal }) => {
+          toolSignal = signal;
+          try {
+            await sleep(1000, null, { signal });
+          } catch (error) {
+            toolError = error;
+            throw error;
+          }
+        },
+      }),
+      /timed out after 1000ms/
+    );
+
+    assert.equal(toolSignal.aborted, true);
+    assert.equal(toolError.name, 'AbortError');
+    assert.equal(provider.calls[0].options.signal, toolSignal);
+  });
+});
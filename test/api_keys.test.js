@@ -0,0 +1,213 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm, stat, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { ApiKeyService } from '../src/services/api_keys.js';
+import { ConfigService } from '../src/services/config.js';
+import { main, parseExpiry } from '../src/cli/keys.js';
+
+describe('ApiKeyService', () => {
+  let dir;
+  let path;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'api-keys-'));
+    path = join(dir, 'keys', 'api-keys.json');
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('stores only a salted hash of the secret', async () => {
+    const service = new ApiKeyService({ path });
+    const { key, record } = await service.create({
+      name: 'ci',
+      repos: ['acme/*'],
+      operations: ['post', 'review'],
+    });
+
+    assert.match(key, /^grm_[0-9a-f]{12}_[\w-]{43}$/);
+    assert.deepEqual(record.operations, ['review', 'post']);
+    assert.equal(record.state, 'active');
+
+    const file = await readFile(path, 'utf8');
+    assert.equal(file.includes(key.slice('grm_'.length + 13)), false);
+    const [stored] = JSON.parse(file).keys;
+    assert.ok(stored.salt);
+    assert.match(stored.hash, /^[0-9a-f]{64}$/);
+    assert.equal((await stat(path)).mode & 0o777, 0o600);
+
+    const authenticated = await service.authenticate(key);
+    assert.equal(authenticated.id, record.id);
+    assert.equal(authenticated.hash, undefined);
+    assert.equal(await service.authenticate(`${key.slice(0, -1)}A`), null);
+    assert.equal(await service.authenticate('grm_000000000000_nope'), null);
+  });
+
+  it('rejects revoked and expired keys', async () => {
+    const service = new ApiKeyService({ path });
+    const { key } = await service.create({ name: 'ci' });
+    const { key: expiring } = await service.create({
+      name: 'temp',
+      expires_at: new Date(Date.now() + 60000).toISOString(),
+    });
+
+    await service.revoke('ci');
+    assert.equal(await service.authenticate(key), null);
+
+    // Expire the key behind the service's back, as an edit of the file would
+    const file = JSON.parse(await readFile(path, 'utf8'));
+    file.keys[1].expires_at = '2020-01-01T00:00:00.000Z';
+    await writeFile(path, JSON.stringify(file));
+    assert.equal(await service.authenticate(expiring), null);
+
+    assert.deepEqual(
+      (await service.list()).map(record => record.state),
+      ['revoked', 'expired']
+    );
+  });
+
+  it('picks up keys revoked by another process', async () => {
+    const server = new ApiKeyService({ path });
+    const { key } = await new ApiKeyService({ path }).create({ name: 'ci' });
+    assert.ok(await server.authenticate(key));
+
+    await new ApiKeyService({ path }).revoke('ci');
+    assert.equal(await server.authenticate(key), null);
+  });
+
+  it('validates new keys', async () => {
+    const service = new ApiKeyService({ path });
+    await service.create({ name: 'ci' });
+
+    const cases = [
+      [{ name: 'ci' }, /A key named ci already exists/],
+      [{ name: 'has space' }, /Key name must be/],
+      [{ name: 'x', repos: ['acme'] }, /Invalid repository acme/],
+      [{ name: 'x', operations: ['delete'] }, /Invalid operation delete/],
+      [{ name: 'x', operations: [] }, /Invalid operation \(none\)/],
+      [{ name: 'x', expires_at: '2020-01-01' }, /Expiry must be a date/],
+    ];
+    for (const [options, message] of cases) {
+      await assert.rejects(service.create(options), message);
+    }
+  });
+
+  it('checks operations and repositories', () => {
+    const service = new ApiKeyService({ path });
+    const key = {
+      operations: ['review'],
+      repos: ['acme/*', 'other/tools'],
+    };
+
+    assert.equal(service.allows(key, 'review', 'acme/widgets'), true);
+    assert.equal(service.allows(key, 'review', 'ACME/Widgets'), true);
+    assert.equal(service.allows(key, 'review', 'other/tools'), true);
+    assert.equal(service.allows(key, 'review', 'other/secrets'), false);
+    assert.equal(service.allows(key, 'review', null), true);
+    // Only an unrestricted key covers every repository
+    assert.equal(service.allows(key, 'review', '*'), false);
+    assert.equal(service.allows({ ...key, repos: ['*'] }, 'review', '*'), true);
+    assert.equal(service.allows(key, 'post', 'acme/widgets'), false);
+    assert.equal(service.allows(null, 'review', null), false);
+  });
+
+  it('accepts VALID_API_KEYS for reviews only', async () => {
+    const service = new ApiKeyService({ path, legacyKeys: ['old-key', ''] });
+
+    const key = await service.authenticate('old-key');
+    assert.match(key.id, /^legacy-[0-9a-f]{12}$/);
+    assert.equal(key.id.includes('old-key'), false);
+    assert.equal(service.allows(key, 'review', 'acme/widgets'), true);
+    assert.equal(service.allows(key, 'post', 'acme/widgets'), false);
+    assert.equal(service.allows(key, 'admin', '*'), false);
+    assert.equal(await service.authenticate(''), null);
+    assert.equal(await service.authenticate('old-key2'), null);
+    assert.deepEqual(await service.getStats(), { active: 0, legacy: 1 });
+  });
+
+  it('ignores VALID_API_KEYS unless ALLOW_LEGACY_API_KEYS is set', async () => {
+    const config = new ConfigService();
+    config.set('API_KEYS_FILE', path);
+    config.set('VALID_API_KEYS', 'old-key');
+
+    config.set('ALLOW_LEGACY_API_KEYS', false);
+    const ignored = ApiKeyService.fromConfig(config);
+    assert.equal(await ignored.authenticate('old-key'), null);
+    assert.deepEqual(await ignored.getStats(), { active: 0, legacy: 0 });
+
+    config.set('ALLOW_LEGACY_API_KEYS', true);
+    const allowed = ApiKeyService.fromConfig(config);
+    assert.equal((await allowed.authenticate('old-key')).legacy, true);
+  });
+});
+
+describe('keys CLI', () => {
+  let dir;
+  let file;
+  let output;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'api-keys-cli-'));
+    file = join(dir, 'api-keys.json');
+    output = { lines: [], errors: [] };
+    output.log = line => output.lines.push(line);
+    output.error = line => output.errors.push(line);
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('creates, lists and revokes keys', async () => {
+    const created = await main(
+      [
+        'create',
+        '--name',
+        'ci',
+        '--repo',
+        'acme/*',
+        '--op',
+        'review,post',
+        '--expires',
+        '30d',
+        '--file',
+        file,
+        '--json',
+      ],
+      output
+    );
+    assert.equal(created, 0);
+    const { key, id, repos, operations, expires_at } = JSON.parse(
+      output.lines[0]
+    );
+    assert.deepEqual(repos, ['acme/*']);
+    assert.deepEqual(operations, ['review', 'post']);
+    assert.ok(Date.parse(expires_at) > Date.now() + 29 * 24 * 3600 * 1000);
+    assert.ok(await new ApiKeyService({ path: file }).authenticate(key));
+
+    assert.equal(await main(['list', '--file', file], output), 0);
+    assert.match(output.lines[1], new RegExp(`^${id}  ci  \\[active\\]`));
+    assert.equal(output.lines[1].includes(key), false);
+
+    assert.equal(await main(['revoke', id, '--file', file], output), 0);
+    assert.equal(await main(['revoke', id, '--file', file], output), 1);
+    assert.deepEqual(output.errors, [`❌ No active key ${id}`]);
+  });
+
+  it('reports usage errors', async () => {
+    assert.equal(await main(['rotate', '--file', file], output), 2);
+    assert.match(output.errors[0], /Unknown command: rotate/);
+    assert.equal(await main(['create', '--bogus'], output), 2);
+    assert.equal(await main([], output), 2);
+  });
+
+  it('parses expiry as days or a date', () => {
+    assert.equal(parseExpiry('2030-01-01'), '2030-01-01');
+    assert.equal(parseExpiry(undefined), null);
+    const inOneDay = Date.parse(parseExpiry('1d')) - Date.now();
+    assert.ok(inOneDay > 23 * 3600 * 1000 && inOneDay <= 24 * 3600 * 1000);
+  });
+});
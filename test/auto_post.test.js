@@ -0,0 +1,167 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  planReviewComments,
+  postStructuredReview,
+} from '../src/handlers/auto_post.js';
+import { FakeGitHubService } from './helpers/fake-github.js';
+
+const PR_URL = 'https://github.com/acme/widgets/pull/42';
+
+function finding(path, line, severity, title = `${severity} at ${line}`) {
+  return {
+    path,
+    line,
+    severity,
+    category: 'bug',
+    title,
+    description: `${title} description`,
+    suggested_fix: null,
+  };
+}
+
+describe('planReviewComments', () => {
+  it('keeps the most severe findings within the comment budget', () => {
+    const findings = [
+      finding('a.js', 1, 'low'),
+      finding('a.js', 10, 'critical'),
+      finding('b.js', 5, 'medium'),
+      finding('c.js', 7, 'high'),
+    ];
+
+    const plan = planReviewComments(findings, [], { maxComments: 2 });
+
+    assert.deepEqual(
+      plan.comments.map(item => item.severity),
+      ['critical', 'high']
+    );
+    assert.deepEqual(
+      plan.skipped.map(item => [item.finding.severity, item.reason]),
+      [
+        ['medium', 'comment_limit'],
+        ['low', 'comment_limit'],
+      ]
+    );
+  });
+
+  it('skips findings overlapping existing comments on the same path', () => {
+    const existing = [
+      { id: 1, path: 'a.js', line: 12, start_line: 8 },
+      { id: 2, path: 'a.js', line: null, start_line: null },
+      { id: 3, path: 'b.js', line: 20, start_line: null },
+    ];
+    const findings = [
+      finding('a.js', 9, 'high'),
+      finding('a.js', 13, 'high'),
+      finding('b.js', 9, 'high'),
+    ];
+
+    const plan = planReviewComments(findings, existing, { maxComments: 5 });
+
+    assert.deepEqual(
+      plan.comments.map(item => `${item.path}:${item.line}`),
+      ['a.js:13', 'b.js:9']
+    );
+    assert.deepEqual(plan.skipped, [
+      { finding: findings[0], reason: 'existing_comment', comment_id: 1 },
+    ]);
+  });
+
+  it('drops duplicate findings on the same line and keeps the more severe', () => {
+    const plan = planReviewComments(
+      [finding('a.js', 4, 'low', 'nit'), finding('a.js', 4, 'high', 'bug')],
+      []
+    );
+
+    assert.deepEqual(
+      plan.comments.map(item => item.title),
+      ['bug']
+    );
+    assert.equal(plan.skipped[0].reason, 'duplicate_finding');
+  });
+
+  it('routes findings without a location to the review body', () => {
+    const general = finding(null, null, 'info', 'Add a changelog entry');
+    const plan = planReviewComments([general], [], { maxComments: 0 });
+
+    assert.deepEqual(plan.general, [general]);
+    assert.deepEqual(plan.comments, []);
+    assert.deepEqual(plan.skipped, []);
+  });
+});
+
+describe('postStructuredReview', () => {
+  it('posts through createReview and reports posted and skipped findings', async () => {
+    const github = new FakeGitHubService();
+    const review = {
+      summary: 'Two problems found.',
+      verdict: 'REQUEST_CHANGES',
+      findings: [
+        finding('src/auth/session.js', 3, 'high', 'Hardcoded password'),
+        finding('src/auth/session.js', 9, 'medium', 'Noisy logging'),
+        finding('src/auth/session.js', 14, 'low', 'Naming'),
+      ],
+    };
+
+    const result = await postStructuredReview(github, PR_URL, review, {
+      maxComments: 1,
+    });
+
+    assert.deepEqual(github.methods, [
+      'listReviewComments',
+      'getPRDetails',
+      'createReview',
+    ]);
+    const [, , pull_number, posted] = github.calls[2].args;
+    assert.equal(pull_number, 42);
+    assert.equal(posted.event, 'REQUEST_CHANGES');
+    assert.deepEqual(
+      posted.comments.map(comment => comment.line),
+      [9]
+    );
+
+    assert.equal(result.review_id, 1);
+    assert.deepEqual(result.posted, [
+      {
+        path: 'src/auth/session.js',
+        line: 9,
+        severity: 'medium',
+        title: 'Noisy logging',
+      },
+    ]);
+    assert.deepEqual(
+      result.skipped.map(item => [item.title, item.reason]),
+      [
+        ['Hardcoded password', 'existing_comment'],
+        ['Naming', 'comment_limit'],
+      ]
+    );
+  });
+
+  it('moves findings outside the diff into the review body', async () => {
+    const github = new FakeGitHubService();
+    const review = {
+      summary: 'One problem found.',
+      verdict: 'COMMENT',
+      findings: [
+        finding('src/auth/session.js', 40, 'high', 'Token never expires'),
+        finding('src/auth/session.js', 9, 'medium', 'Noisy logging'),
+      ],
+    };
+
+    const result = await postStructuredReview(github, PR_URL, review);
+
+    const posted = github.calls[2].args[3];
+    assert.deepEqual(
+      posted.comments.map(comment => comment.line),
+      [9]
+    );
+    assert.match(posted.body, /Comments outside the diff/);
+    assert.match(posted.body, /Token never expires/);
+    assert.deepEqual(
+      result.skipped.map(item => [item.title, item.reason]),
+      [['Token never expires', 'outside_diff']]
+    );
+    assert.ok(result.skipped[0].error);
+  });
+});
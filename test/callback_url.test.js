@@ -0,0 +1,76 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  checkCallbackUrl,
+  isPrivateAddress,
+} from '../src/utils/callback_url.js';
+
+function resolvesTo(...addresses) {
+  return async () =>
+    addresses.map(address => ({
+      address,
+      family: address.includes(':') ? 6 : 4,
+    }));
+}
+
+describe('checkCallbackUrl', () => {
+  it('classifies private and public addresses', () => {
+    const cases = [
+      ['127.0.0.1', true],
+      ['169.254.169.254', true],
+      ['172.31.255.255', true],
+      ['100.64.0.1', true],
+      ['255.255.255.255', true],
+      ['fd00::1', true],
+      ['fe80::1', true],
+      ['::ffff:a00:1', true],
+      ['172.32.0.1', false],
+      ['8.8.8.8', false],
+      ['2606:4700::1111', false],
+      ['example.com', false],
+    ];
+    for (const [address, expected] of cases) {
+      assert.equal(isPrivateAddress(address), expected, address);
+    }
+  });
+
+  it('refuses hosts resolving to any private address', async () => {
+    const url = await checkCallbackUrl('https://ci.example.com/hook', {
+      lookup: resolvesTo('93.184.215.14', '2606:2800:21f:cb07::1'),
+    });
+    assert.equal(url.hostname, 'ci.example.com');
+
+    await assert.rejects(
+      checkCallbackUrl('https://ci.example.com/hook', {
+        lookup: resolvesTo('93.184.215.14', '10.0.0.7'),
+      }),
+      { status: 400, message: /ci\.example\.com is not a public address/ }
+    );
+    await assert.rejects(
+      checkCallbackUrl('https://nowhere.invalid/hook', {
+        lookup: async () => {
+          throw Object.assign(new Error('not found'), { code: 'ENOTFOUND' });
+        },
+      }),
+      { status: 400, message: /could not be resolved: ENOTFOUND/ }
+    );
+  });
+
+  it('only accepts allowlisted hosts, private ones included', async () => {
+    const options = {
+      allowedHosts: ['ci.internal', '10.0.0.7'],
+      lookup: async () => assert.fail('allowlisted hosts are not resolved'),
+    };
+
+    await checkCallbackUrl('http://ci.internal:8080/hook', options);
+    await checkCallbackUrl('http://10.0.0.7/hook', options);
+    await assert.rejects(
+      checkCallbackUrl('https://example.com/hook', options),
+      {
+        status: 400,
+        message:
+          'callback_url host example.com is not in REVIEW_CALLBACK_ALLOWED_HOSTS',
+      }
+    );
+  });
+});
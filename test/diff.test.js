@@ -0,0 +1,107 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getAddedLines, parsePatch } from '../src/utils/diff.js';
+
+function summarize(hunks) {
+  return hunks.map(hunk =>
+    hunk.lines.map(
+      line => `${line.type} ${line.old_line ?? '-'} ${line.new_line ?? '-'}`
+    )
+  );
+}
+
+describe('parsePatch', () => {
+  it('numbers the lines of several hunks', () => {
+    const hunks = parsePatch(
+      [
+        '@@ -1,3 +1,4 @@ import x',
+        ' a',
+        '-b',
+        '+B',
+        '+c',
+        ' d',
+        '@@ -10,2 +11,1 @@',
+        ' e',
+        '-f',
+        '',
+      ].join('\n')
+    );
+
+    assert.deepEqual(
+      hunks.map(hunk => [hunk.old_start, hunk.new_start, hunk.section]),
+      [
+        [1, 1, 'import x'],
+        [10, 11, ''],
+      ]
+    );
+    assert.deepEqual(summarize(hunks), [
+      ['context 1 1', 'del 2 -', 'add - 2', 'add - 3', 'context 3 4'],
+      ['context 10 11', 'del 11 -'],
+    ]);
+  });
+
+  it('skips the file headers of raw git diff output', () => {
+    const hunks = parsePatch(
+      [
+        'diff --git a/src/a.js b/src/a.js',
+        'index 1111111..2222222 100644',
+        '--- a/src/a.js',
+        '+++ b/src/a.js',
+        '@@ -1,2 +1,2 @@',
+        '-old',
+        '+new',
+        ' same',
+        'diff --git a/src/b.js b/src/b.js',
+        'new file mode 100644',
+        'index 0000000..3333333',
+        '--- /dev/null',
+        '+++ b/src/b.js',
+        '@@ -0,0 +1,2 @@',
+        '+one',
+        '+two',
+        '',
+      ].join('\n')
+    );
+
+    assert.deepEqual(summarize(hunks), [
+      ['del 1 -', 'add - 1', 'context 2 2'],
+      ['add - 1', 'add - 2'],
+    ]);
+    assert.deepEqual(getAddedLines(hunks), [
+      { line: 1, content: 'new' },
+      { line: 1, content: 'one' },
+      { line: 2, content: 'two' },
+    ]);
+  });
+
+  it('marks lines without a newline at the end of the file', () => {
+    const [hunk] = parsePatch(
+      [
+        '@@ -1,2 +1,2 @@',
+        ' a',
+        '-b',
+        '\\ No newline at end of file',
+        '+b',
+        '\\ No newline at end of file',
+      ].join('\n')
+    );
+
+    assert.deepEqual(
+      hunk.lines.map(line => [line.type, line.no_newline_at_eof ?? false]),
+      [
+        ['context', false],
+        ['del', true],
+        ['add', true],
+      ]
+    );
+  });
+
+  it('keeps empty context lines whose space was stripped', () => {
+    const [hunk] = parsePatch(
+      ['@@ -1,3 +1,3 @@', ' a', '', '-c', '+C'].join('\n')
+    );
+    assert.deepEqual(summarize([hunk]), [
+      ['context 1 1', 'context 2 2', 'del 3 -', 'add - 3'],
+    ]);
+  });
+});
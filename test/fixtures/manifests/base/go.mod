@@ -0,0 +1,10 @@
+module example.com/app
+
+go 1.22
+
+require github.com/gorilla/mux v1.8.0
+
+require (
+	golang.org/x/net v0.17.0 // indirect
+	github.com/stretchr/testify v1.8.4
+)
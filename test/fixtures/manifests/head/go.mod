@@ -0,0 +1,9 @@
+module example.com/app
+
+go 1.22
+
+require (
+	github.com/gorilla/mux v1.8.1
+	golang.org/x/net v0.23.0 // indirect
+	github.com/google/uuid v1.6.0
+)
@@ -0,0 +1,146 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createVerify, generateKeyPairSync } from 'node:crypto';
+import { Octokit } from '@octokit/rest';
+import { GitHubAppAuth } from '../src/services/github_app.js';
+import { GitHubService } from '../src/services/github.js';
+
+const { privateKey, publicKey } = generateKeyPairSync('rsa', {
+  modulusLength: 2048,
+  privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+  publicKeyEncoding: { type: 'spki', format: 'pem' },
+});
+
+/**
+ * fetch double answering GitHub App endpoints and recording requests
+ */
+function fakeFetch(routes) {
+  const requests = [];
+  const fetch = async (url, options) => {
+    const { pathname } = new URL(url);
+    const key = `${options.method} ${pathname}`;
+    requests.push({ key, authorization: options.headers.authorization });
+    const handler = routes[key];
+    const [status, data] = handler
+      ? handler()
+      : [404, { message: 'Not Found' }];
+    return new Response(JSON.stringify(data), {
+      status,
+      headers: { 'content-type': 'application/json' },
+    });
+  };
+  return { fetch, requests };
+}
+
+function tokenResponse(token, expiresInMs) {
+  return () => [
+    201,
+    { token, expires_at: new Date(Date.now() + expiresInMs).toISOString() },
+  ];
+}
+
+function appWith(routes, options = {}) {
+  const app = new GitHubAppAuth({ appId: 1234, privateKey, ...options });
+  const server = fakeFetch(routes);
+  app.octokit = new Octokit({ request: { fetch: server.fetch } });
+  return { app, requests: server.requests };
+}
+
+describe('GitHubAppAuth', () => {
+  it('signs an RS256 JWT for the App', () => {
+    const { app } = appWith({});
+
+    const [header, payload, signature] = app.createJwt().split('.');
+
+    assert.deepEqual(JSON.parse(Buffer.from(header, 'base64url')), {
+      alg: 'RS256',
+      typ: 'JWT',
+    });
+    const claims = JSON.parse(Buffer.from(payload, 'base64url'));
+    assert.equal(claims.iss, '1234');
+    assert.equal(claims.exp - claims.iat, 600);
+    assert.ok(
+      createVerify('RSA-SHA256')
+        .update(`${header}.${payload}`)
+        .verify(publicKey, signature, 'base64url')
+    );
+  });
+
+  it('looks up the installation per owner and caches its token', async () => {
+    const { app, requests } = appWith({
+      'GET /repos/acme/widgets/installation': () => [200, { id: 77 }],
+      'POST /app/installations/77/access_tokens': tokenResponse(
+        'ghs_first',
+        60 * 60 * 1000
+      ),
+    });
+
+    const tokens = await Promise.all([
+      app.getToken('acme', 'widgets'),
+      app.getToken('ACME', 'gadgets'),
+    ]);
+
+    assert.deepEqual(tokens, ['ghs_first', 'ghs_first']);
+    assert.deepEqual(
+      requests.map(request => request.key),
+      [
+        'GET /repos/acme/widgets/installation',
+        'POST /app/installations/77/access_tokens',
+      ]
+    );
+    assert.match(requests[0].authorization, /^bearer /);
+  });
+
+  it('refreshes a token that is about to expire', async () => {
+    let minted = 0;
+    const { app } = appWith(
+      {
+        'POST /app/installations/9/access_tokens': () =>
+          tokenResponse(`ghs_${++minted}`, 60 * 1000)(),
+      },
+      { installationId: 9 }
+    );
+
+    assert.equal(await app.getToken('acme', 'widgets'), 'ghs_1');
+    assert.equal(await app.getToken('acme', 'widgets'), 'ghs_2');
+  });
+
+  it('reports repositories the App is not installed on', async () => {
+    const { app } = appWith({});
+
+    await assert.rejects(
+      app.getToken('acme', 'widgets'),
+      /GitHub App 1234 is not installed on acme\/widgets/
+    );
+    await assert.rejects(
+      app.getToken(undefined, undefined),
+      /set GITHUB_APP_INSTALLATION_ID/
+    );
+  });
+});
+
+describe('GitHubService with a GitHub App', () => {
+  it('authenticates requests with the installation token of the owner', async () => {
+    const { app } = appWith({
+      'GET /repos/acme/widgets/installation': () => [200, { id: 77 }],
+      'POST /app/installations/77/access_tokens': tokenResponse(
+        'ghs_installation',
+        60 * 60 * 1000
+      ),
+      'GET /app': () => [200, { slug: 'review-app' }],
+    });
+    const github = new GitHubService(null, { app });
+    const api = fakeFetch({
+      'GET /repos/acme/widgets': () => [200, { full_name: 'acme/widgets' }],
+    });
+
+    await github.octokit.request('GET /repos/{owner}/{repo}', {
+      owner: 'acme',
+      repo: 'widgets',
+      request: { fetch: api.fetch },
+    });
+
+    assert.equal(api.requests[0].authorization, 'token ghs_installation');
+    assert.equal(await github.getViewerLogin(), 'review-app[bot]');
+  });
+});
@@ -0,0 +1,139 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { GitHubService } from '../src/services/github.js';
+import { ConfigService } from '../src/services/config.js';
+
+const ENV_KEYS = [
+  'GITHUB_TOKEN',
+  'GITHUB_API_URL',
+  'GITHUB_WEB_HOST',
+  'GITHUB_ENTERPRISE_HOST',
+  'GITHUB_ENTERPRISE_API_URL',
+  'GITHUB_ENTERPRISE_TOKEN',
+];
+const savedEnv = Object.fromEntries(
+  ENV_KEYS.map(key => [key, process.env[key]])
+);
+
+function configWith(env) {
+  for (const key of ENV_KEYS) delete process.env[key];
+  Object.assign(process.env, env);
+  return new ConfigService();
+}
+
+function baseUrlOf(github) {
+  return github.octokit.request.endpoint.DEFAULTS.baseUrl;
+}
+
+afterEach(() => {
+  for (const [key, value] of Object.entries(savedEnv)) {
+    if (value === undefined) delete process.env[key];
+    else process.env[key] = value;
+  }
+});
+
+describe('GitHub hosts', () => {
+  it('defaults to github.com', () => {
+    const github = GitHubService.fromConfig(
+      configWith({ GITHUB_TOKEN: 'ghp_public' })
+    );
+
+    assert.equal(baseUrlOf(github), 'https://api.github.com');
+    assert.deepEqual(
+      github.parsePRUrl('https://www.github.com/acme/widgets/pull/42'),
+      {
+        owner: 'acme',
+        repo: 'widgets',
+        pull_number: 42,
+        host: 'github.com',
+        scope: null,
+      }
+    );
+    assert.throws(
+      () => github.parsePRUrl('https://ghe.example.com/acme/widgets/pull/42'),
+      /Unsupported GitHub host: ghe\.example\.com \(configured: github\.com\)/
+    );
+  });
+
+  it('serves a single enterprise host through the API URL and web host', () => {
+    const github = GitHubService.fromConfig(
+      configWith({
+        GITHUB_TOKEN: 'ghp_enterprise',
+        GITHUB_API_URL: 'https://ghe.example.com/api/v3',
+        GITHUB_WEB_HOST: 'ghe.example.com',
+      })
+    );
+
+    assert.equal(baseUrlOf(github), 'https://ghe.example.com/api/v3');
+    assert.equal(
+      github.parsePRUrl('https://ghe.example.com/acme/widgets/pull/7').host,
+      'ghe.example.com'
+    );
+    assert.throws(
+      () => github.parsePRUrl('https://github.com/acme/widgets/pull/7'),
+      /Unsupported GitHub host/
+    );
+  });
+
+  it('hands out one client per host with that host token', () => {
+    const github = GitHubService.fromConfig(
+      configWith({
+        GITHUB_TOKEN: 'ghp_public',
+        GITHUB_ENTERPRISE_HOST: 'ghe.example.com',
+        GITHUB_ENTERPRISE_TOKEN: 'ghp_enterprise',
+      })
+    );
+
+    const enterprise = github.forUrl(
+      'https://GHE.Example.com/acme/widgets/pull/7'
+    );
+
+    assert.notEqual(enterprise, github);
+    assert.equal(enterprise.webHost, 'ghe.example.com');
+    assert.equal(baseUrlOf(enterprise), 'https://ghe.example.com/api/v3');
+    assert.equal(github.forHost('ghe.example.com'), enterprise);
+    assert.equal(
+      enterprise.forUrl('https://github.com/acme/widgets/pull/1'),
+      github
+    );
+    assert.equal(
+      github.forUrl('https://github.com/acme/widgets/pull/1'),
+      github
+    );
+  });
+
+  it('routes getPRDetails to the client of the PR host', async () => {
+    const github = GitHubService.fromConfig(
+      configWith({
+        GITHUB_TOKEN: 'ghp_public',
+        GITHUB_ENTERPRISE_HOST: 'ghe.example.com',
+        GITHUB_ENTERPRISE_TOKEN: 'ghp_enterprise',
+      })
+    );
+    const enterprise = github.forHost('ghe.example.com');
+    const requested = [];
+    enterprise.getPRSnapshot = async params => {
+      requested.push(params);
+      return { pr: { number: params.pull_number } };
+    };
+
+    const details = await github.getPRDetails(
+      'https://ghe.example.com/acme/widgets/pull/7'
+    );
+
+    assert.equal(details.pr.number, 7);
+    assert.equal(requested[0].host, 'ghe.example.com');
+  });
+
+  it('requires a token for the enterprise host', () => {
+    const config = configWith({
+      GITHUB_TOKEN: 'ghp_public',
+      GITHUB_ENTERPRISE_HOST: 'ghe.example.com',
+    });
+
+    assert.throws(
+      () => config.validate(),
+      /GITHUB_ENTERPRISE_TOKEN is required/
+    );
+  });
+});
@@ -0,0 +1,127 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Octokit } from '@octokit/rest';
+import { GitHubService } from '../src/services/github.js';
+
+const PR_URL = 'https://github.com/acme/widgets/pull/42';
+
+const PR = {
+  id: 1,
+  number: 42,
+  title: 'Split the session store',
+  body: '',
+  state: 'open',
+  user: { login: 'octocat' },
+  base: { ref: 'main', sha: 'b'.repeat(40) },
+  head: { ref: 'session-store', sha: 'h'.repeat(40) },
+};
+
+function reply(data, headers = {}) {
+  return new Response(JSON.stringify(data), {
+    status: 200,
+    headers: { 'content-type': 'application/json', ...headers },
+  });
+}
+
+/**
+ * GitHubService whose Octokit answers the PR endpoints from lists of files,
+ * commits and reviews, split into pages of `per_page` items linked by
+ * `Link: rel="next"` headers as the API does
+ */
+function pagedGitHub({ files = [], commits = [], reviews = [] }, options) {
+  const lists = { files, commits, reviews };
+  const requests = [];
+  const fetch = async url => {
+    const { pathname, searchParams } = new URL(url);
+    if (pathname === '/repos/acme/widgets/pulls/42') return reply(PR);
+
+    const name = pathname.split('/').pop();
+    requests.push(`${name}?${searchParams}`);
+    const list = lists[name];
+    const perPage = Number(searchParams.get('per_page'));
+    const page = Number(searchParams.get('page') || 1);
+    const headers = {};
+    if (page * perPage < list.length) {
+      const next = new URL(url);
+      next.searchParams.set('page', page + 1);
+      headers.link = `<${next}>; rel="next"`;
+    }
+    return reply(list.slice((page - 1) * perPage, page * perPage), headers);
+  };
+
+  const github = new GitHubService('ghp_test', options);
+  github.octokit = new Octokit({ request: { fetch } });
+  return { github, requests };
+}
+
+function prFile(index) {
+  return {
+    filename: `src/file-${index}.js`,
+    status: 'modified',
+    additions: 1,
+    deletions: 0,
+    changes: 1,
+    patch: '@@ -0,0 +1 @@\n+x',
+  };
+}
+
+function prCommit(index) {
+  return {
+    sha: String(index).padStart(40, '0'),
+    commit: {
+      message: `Commit ${index}`,
+      author: { name: 'Octo Cat', date: '2025-01-10T12:00:00Z' },
+    },
+  };
+}
+
+const range = (count, item) =>
+  Array.from({ length: count }, (_, index) => item(index));
+
+describe('GitHubService PR pagination', () => {
+  it('follows every page of files and commits', async () => {
+    const { github, requests } = pagedGitHub(
+      {
+        files: range(230, prFile),
+        commits: range(150, prCommit),
+        reviews: [{ id: 7, user: { login: 'alice' }, state: 'APPROVED' }],
+      },
+      { maxFiles: 300 }
+    );
+
+    const details = await github.getPRDetails(PR_URL);
+
+    assert.deepEqual(
+      requests.filter(request => request.startsWith('files')),
+      [
+        'files?per_page=100',
+        'files?per_page=100&page=2',
+        'files?per_page=100&page=3',
+      ]
+    );
+    assert.equal(details.files.length, 230);
+    assert.equal(details.files.at(-1).filename, 'src/file-229.js');
+    assert.equal(details.commits.length, 150);
+    assert.equal(details.commits.at(-1).message, 'Commit 149');
+    assert.equal(details.truncated, false);
+    assert.deepEqual(details.totals, { files: 230, commits: 150, reviews: 1 });
+  });
+
+  it('drops files past MAX_FILES_TO_REVIEW and reports the full count', async () => {
+    const { github } = pagedGitHub(
+      { files: range(230, prFile), commits: range(3, prCommit) },
+      { maxFiles: 120 }
+    );
+
+    const details = await github.getPRDetails(PR_URL);
+
+    // The cap applies across pages, after the whole list was fetched
+    assert.equal(details.truncated, true);
+    assert.equal(details.files.length, 120);
+    assert.deepEqual(
+      [details.files[0].filename, details.files.at(-1).filename],
+      ['src/file-0.js', 'src/file-119.js']
+    );
+    assert.deepEqual(details.totals, { files: 230, commits: 3, reviews: 0 });
+  });
+});
@@ -0,0 +1,219 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Octokit } from '@octokit/rest';
+import {
+  installRequestPolicy,
+  withRequestSignal,
+} from '../src/services/github_requests.js';
+import { GitHubService } from '../src/services/github.js';
+import { handleGetRateLimit } from '../src/tools/get_rate_limit.js';
+
+function reply(status, data = {}, headers = {}) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { 'content-type': 'application/json', ...headers },
+  });
+}
+
+function rateHeaders(remaining, resetInSeconds) {
+  return {
+    'x-ratelimit-limit': '5000',
+    'x-ratelimit-remaining': String(remaining),
+    'x-ratelimit-used': String(5000 - remaining),
+    'x-ratelimit-reset': String(Math.floor(Date.now() / 1000) + resetInSeconds),
+    'x-ratelimit-resource': 'core',
+  };
+}
+
+/**
+ * Octokit whose fetch answers from a queue of responses (or functions
+ * returning one), with the request policy installed
+ */
+function policyClient(responses, options = {}) {
+  const calls = [];
+  const sleeps = [];
+  const fetch = async (url, request) => {
+    calls.push({ url, method: request.method });
+    const next = responses.shift();
+    return typeof next === 'function' ? next(request) : next;
+  };
+  const octokit = new Octokit({ request: { fetch } });
+  const stats = installRequestPolicy(octokit, {
+    random: () => 0.5,
+    sleep: async ms => {
+      sleeps.push(ms);
+    },
+    ...options,
+  });
+  return { octokit, calls, sleeps, stats };
+}
+
+describe('GitHub request policy', () => {
+  it('retries server errors on reads with jittered exponential backoff', async () => {
+    const { octokit, calls, sleeps, stats } = policyClient([
+      reply(502),
+      reply(503),
+      reply(200, { full_name: 'acme/widgets' }, rateHeaders(4999, 3600)),
+    ]);
+
+    const { data } = await octokit.repos.get({
+      owner: 'acme',
+      repo: 'widgets',
+    });
+
+    assert.equal(data.full_name, 'acme/widgets');
+    assert.equal(calls.length, 3);
+    assert.deepEqual(sleeps, [500, 1000]);
+    assert.equal(stats.retries, 2);
+    assert.equal(stats.resources.core.remaining, 4999);
+  });
+
+  it('does not repeat writes after a server error', async () => {
+    const { octokit, calls } = policyClient([reply(502)]);
+
+    await assert.rejects(
+      octokit.pulls.createReview({
+        owner: 'acme',
+        repo: 'widgets',
+        pull_number: 42,
+        event: 'COMMENT',
+      }),
+      error => error.status === 502
+    );
+    assert.equal(calls.length, 1);
+  });
+
+  it('waits for the reset of an exhausted primary rate limit', async () => {
+    const { octokit, sleeps } = policyClient([
+      reply(403, { message: 'API rate limit exceeded' }, rateHeaders(0, 10)),
+      reply(200, {}, rateHeaders(4999, 3600)),
+    ]);
+
+    await octokit.repos.get({ owner: 'acme', repo: 'widgets' });
+
+    assert.equal(sleeps.length, 1);
+    assert.ok(sleeps[0] > 9000 && sleeps[0] <= 11000);
+  });
+
+  it('fails fast when the reset is further away than the longest wait', async () => {
+    const { octokit, calls, stats } = policyClient([
+      reply(403, { message: 'API rate limit exceeded' }, rateHeaders(0, 3600)),
+    ]);
+
+    await assert.rejects(
+      octokit.repos.get({ owner: 'acme', repo: 'widgets' }),
+      /GitHub API rate limit exhausted for core requests \(5000 per hour\), resets at/
+    );
+    // The next request is held back without reaching GitHub
+    await assert.rejects(
+      octokit.repos.get({ owner: 'acme', repo: 'widgets' }),
+      /rate limit exhausted/
+    );
+    assert.equal(calls.length, 1);
+    assert.equal(stats.rate_limited, 2);
+  });
+
+  it('honors retry-after on secondary rate limits, also for writes', async () => {
+    const { octokit, sleeps } = policyClient([
+      reply(
+        403,
+        { message: 'You have exceeded a secondary rate limit' },
+        { 'retry-after': '3' }
+      ),
+      reply(429, { message: 'You have exceeded a secondary rate limit' }),
+      reply(200, { id: 1 }),
+    ]);
+
+    await octokit.pulls.createReview({
+      owner: 'acme',
+      repo: 'widgets',
+      pull_number: 42,
+      event: 'COMMENT',
+    });
+
+    assert.deepEqual(sleeps, [3000, 1000]);
+  });
+
+  it('times out each attempt after the request timeout', async () => {
+    // The timeout timer is unref'd, so keep the event loop alive meanwhile
+    const hang = request =>
+      new Promise((resolve, reject) => {
+        const keepAlive = setTimeout(() => {}, 1000);
+        request.signal.addEventListener('abort', () => {
+          clearTimeout(keepAlive);
+          reject(request.signal.reason);
+        });
+      });
+    const { octokit, calls } = policyClient([hang, hang], {
+      timeout: 20,
+      retries: 1,
+    });
+
+    await assert.rejects(
+      octokit.repos.get({ owner: 'acme', repo: 'widgets' }),
+      /GitHub request timed out after 20ms: GET \/repos\/\{owner\}\/\{repo\}/
+    );
+    assert.equal(calls.length, 2);
+  });
+
+  it('aborts with the signal of the review and does not retry', async () => {
+    const hang = request =>
+      new Promise((resolve, reject) => {
+        request.signal.addEventListener('abort', () =>
+          reject(request.signal.reason)
+        );
+      });
+    const { octokit, calls } = policyClient([hang, reply(200)], {
+      retries: 3,
+    });
+    const controller = new AbortController();
+
+    // Reads are retried after a timeout, but not after an abort
+    const pending = withRequestSignal(controller.signal, () =>
+      octokit.repos.get({ owner: 'acme', repo: 'widgets' })
+    );
+    setTimeout(() => controller.abort(new Error('Agent cancelled')), 10);
+
+    await assert.rejects(pending, /Agent cancelled/);
+    assert.equal(calls.length, 1);
+    // Requests made outside withRequestSignal are not affected
+    await octokit.repos.get({ owner: 'acme', repo: 'widgets' });
+    assert.equal(calls.length, 2);
+  });
+});
+
+describe('get_rate_limit', () => {
+  it('reports the quota per resource with retry statistics', async () => {
+    const github = new GitHubService('ghp_test');
+    github.octokit.rateLimit.get = async () => ({
+      data: {
+        resources: {
+          core: { limit: 5000, remaining: 4200, used: 800, reset: 1736600000 },
+          graphql: { limit: 5000, remaining: 5000, used: 0, reset: 1736600000 },
+        },
+      },
+    });
+
+    const response = await handleGetRateLimit(github, {});
+
+    assert.deepEqual(JSON.parse(response.content[0].text), {
+      host: 'github.com',
+      resources: {
+        core: {
+          limit: 5000,
+          remaining: 4200,
+          used: 800,
+          reset_at: '2025-01-11T12:53:20.000Z',
+        },
+        graphql: {
+          limit: 5000,
+          remaining: 5000,
+          used: 0,
+          reset_at: '2025-01-11T12:53:20.000Z',
+        },
+      },
+      retries: 0,
+      rate_limited: 0,
+    });
+  });
+});
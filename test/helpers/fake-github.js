@@ -0,0 +1,210 @@
+/**
+ * Fake GitHubService backed by fixture JSON
+ * Implements the methods the tools use and records every call.
+ */
+
+import { readFileSync } from 'node:fs';
+import { GitHubService } from '../../src/services/github.js';
+import { withScope } from '../../src/utils/pr_reference.js';
+
+/**
+ * Load a JSON fixture from test/fixtures
+ * @param {string} name - Fixture file name
+ * @returns {Object} Parsed fixture
+ */
+export function loadFixture(name) {
+  return JSON.parse(
+    readFileSync(new URL(`../fixtures/${name}`, import.meta.url), 'utf8')
+  );
+}
+
+export class FakeGitHubService {
+  /**
+   * @param {Object} fixture - `{ snapshot, files, languages, readme }`
+   * @param {Object} options - `failures` maps a method name to the Error it
+   *   should throw, to simulate GitHub API failures, and `defaultRepo` is
+   *   the repository of bare PR numbers
+   */
+  constructor(
+    fixture = loadFixture('pull-request.json'),
+    { failures = {}, defaultRepo = null } = {}
+  ) {
+    this.fixture = fixture;
+    this.failures = failures;
+    this.webHost = 'github.com';
+    this.hosts = {};
+    this.defaultRepo = defaultRepo;
+    this.calls = [];
+    this.reviews = [];
+    this.issueComments = structuredClone(fixture.issue_comments || []);
+  }
+
+  record(method, ...args) {
+    this.calls.push({ method, args });
+    if (this.failures[method]) throw this.failures[method];
+  }
+
+  /**
+   * Names of the methods called, in order
+   */
+  get methods() {
+    return this.calls.map(call => call.method);
+  }
+
+  parsePRUrl(url) {
+    return GitHubService.prototype.parsePRUrl.call(this, url);
+  }
+
+  knownHosts() {
+    return GitHubService.prototype.knownHosts.call(this);
+  }
+
+  resolvePRReference(reference) {
+    return GitHubService.prototype.resolvePRReference.call(this, reference);
+  }
+
+  forHost() {
+    return this;
+  }
+
+  forUrl(url) {
+    this.parsePRUrl(url);
+    return this;
+  }
+
+  async getPRDetails(url, options = {}) {
+    if (options.incremental) {
+      return this.getIncrementalPRDetails(url, options.since);
+    }
+
+    this.record('getPRDetails', url);
+    const { owner, repo, pull_number, scope } = this.parsePRUrl(url);
+    const { snapshot } = this.fixture;
+
+    if (
+      snapshot.repository.owner !== owner ||
+      snapshot.repository.repo !== repo ||
+      snapshot.pr.number !== pull_number
+    ) {
+      throw new Error(`Not Found: ${owner}/${repo}#${pull_number}`);
+    }
+
+    return withScope(structuredClone(snapshot), scope);
+  }
+
+  // The incremental logic itself is the real one, on top of the fake API calls
+  async getIncrementalPRDetails(url, since) {
+    return GitHubService.prototype.getIncrementalPRDetails.call(
+      this,
+      url,
+      since
+    );
+  }
+
+  async getLastReviewedSha(owner, repo, pull_number, snapshot) {
+    return GitHubService.prototype.getLastReviewedSha.call(
+      this,
+      owner,
+      repo,
+      pull_number,
+      snapshot
+    );
+  }
+
+  async findSummaryComment(owner, repo, issue_number) {
+    return GitHubService.prototype.findSummaryComment.call(
+      this,
+      owner,
+      repo,
+      issue_number
+    );
+  }
+
+  async getFileContent(owner, repo, path, ref) {
+    this.record('getFileContent', owner, repo, path, ref);
+    return this.fixture.files?.[path] ?? null;
+  }
+
+  async getMergeBase(owner, repo, base, head) {
+    this.record('getMergeBase', owner, repo, base, head);
+    return this.fixture.snapshot.pr.base_sha;
+  }
+
+  async getRepoLanguages(owner, repo) {
+    this.record('getRepoLanguages', owner, repo);
+    return this.fixture.languages || {};
+  }
+
+  async getRepoREADME(owner, repo) {
+    this.record('getRepoREADME', owner, repo);
+    return this.fixture.readme || null;
+  }
+
+  async createReview(owner, repo, pull_number, review) {
+    this.record('createReview', owner, repo, pull_number, review);
+    const created = {
+      id: this.reviews.length + 1,
+      html_url: `https://github.com/${owner}/${repo}/pull/${pull_number}#pullrequestreview-${this.reviews.length + 1}`,
+      state: review.event || 'COMMENT',
+      ...review,
+    };
+    this.reviews.push(created);
+    return created;
+  }
+
+  async compareCommits(owner, repo, base, head) {
+    this.record('compareCommits', owner, repo, base, head);
+    return structuredClone(
+      this.fixture.comparisons?.[`${base}...${head}`] ?? null
+    );
+  }
+
+  async listIssueComments(owner, repo, issue_number) {
+    this.record('listIssueComments', owner, repo, issue_number);
+    return structuredClone(this.issueComments);
+  }
+
+  async createIssueComment(owner, repo, issue_number, body) {
+    this.record('createIssueComment', owner, repo, issue_number, body);
+    const comment = {
+      id: 900 + this.issueComments.length,
+      body,
+      user: await this.getViewerLogin(),
+      html_url: `https://github.com/${owner}/${repo}/pull/${issue_number}#issuecomment-${900 + this.issueComments.length}`,
+    };
+    this.issueComments.push(comment);
+    return { id: comment.id, html_url: comment.html_url };
+  }
+
+  async updateIssueComment(owner, repo, comment_id, body) {
+    this.record('updateIssueComment', owner, repo, comment_id, body);
+    const comment = this.issueComments.find(item => item.id === comment_id);
+    comment.body = body;
+    return { id: comment.id, html_url: comment.html_url };
+  }
+
+  async getViewerLogin() {
+    return this.fixture.viewer || 'review-bot';
+  }
+
+  async listReviewComments(owner, repo, pull_number) {
+    this.record('listReviewComments', owner, repo, pull_number);
+    return structuredClone(this.fixture.review_comments || []);
+  }
+
+  async getReviewThreads(owner, repo, pull_number) {
+    this.record('getReviewThreads', owner, repo, pull_number);
+    return structuredClone(this.fixture.review_threads || []);
+  }
+
+  getCacheStats() {
+    return {
+      hits: 0,
+      misses: 0,
+      revalidated: 0,
+      deduped: 0,
+      entries: 0,
+      hit_rate: 0,
+    };
+  }
+}
@@ -0,0 +1,77 @@
+/**
+ * Scripted LLM provider
+ * Replays a predefined sequence of model turns so the review loop can run
+ * deterministically without any network access.
+ */
+
+/**
+ * Build a model turn that calls one or more tools
+ * @param {...Array} calls - `[name, args]` pairs
+ * @returns {Object} Model turn
+ */
+export function toolCalls(...calls) {
+  return {
+    text: '',
+    tool_calls: calls.map(([name, args = {}], index) => ({
+      id: `call_${index}`,
+      name,
+      args,
+    })),
+  };
+}
+
+/**
+ * Build a model turn that only answers with text
+ * @param {string} text - Model answer
+ * @returns {Object} Model turn
+ */
+export function textTurn(text) {
+  return { text, tool_calls: [] };
+}
+
+export class ScriptedProvider {
+  /**
+   * @param {Array} script - Model turns returned in order. A step may also be
+   *   an Error (thrown from chat) or a function receiving the messages and
+   *   returning a turn, or a promise of one.
+   */
+  constructor(script, { name = 'scripted', model = 'scripted-1' } = {}) {
+    this.name = name;
+    this.model = model;
+    this.script = [...script];
+    this.calls = [];
+  }
+
+  /**
+   * Return the next scripted turn and record the conversation it was given
+   * @param {Array<Object>} messages - Provider-neutral conversation
+   * @param {Object} options - Chat options
+   * @returns {Promise<Object>} `{ text, tool_calls, usage }`
+   */
+  async chat(messages, options = {}) {
+    this.calls.push({ messages: structuredClone(messages), options });
+
+    if (this.script.length === 0) {
+      throw new Error(
+        `Scripted provider ran out of responses after ${this.calls.length - 1} turns`
+      );
+    }
+
+    let step = this.script.shift();
+    if (typeof step === 'function') step = await step(messages);
+    if (step instanceof Error) throw step;
+
+    return {
+      text: step.text || '',
+      tool_calls: step.tool_calls || [],
+      usage: step.usage || { input_tokens: 0, output_tokens: 0 },
+    };
+  }
+
+  /**
+   * Number of scripted turns that were not consumed
+   */
+  get remaining() {
+    return this.script.length;
+  }
+}
@@ -0,0 +1,150 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { handleGetPRFiles } from '../src/tools/get_pr_files.js';
+import {
+  renderSummaryState,
+  SUMMARY_MARKER,
+} from '../src/utils/summary_state.js';
+import { FakeGitHubService, loadFixture } from './helpers/fake-github.js';
+
+const PR_URL = 'https://github.com/acme/widgets/pull/42';
+const REVIEWED_SHA = '1aaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa';
+const HEAD_SHA = '2222222222222222222222222222222222222222';
+
+function compareFile(filename) {
+  return {
+    filename,
+    status: 'modified',
+    additions: 2,
+    deletions: 1,
+    patch: '@@ -1 +1,2 @@\n-a\n+b\n+c',
+  };
+}
+
+/**
+ * Fixture whose head was pushed after a review of REVIEWED_SHA
+ * @param {Object} options - `comparison` for REVIEWED_SHA...HEAD_SHA, and
+ *   where the last review is recorded (`summary` comment or `review`)
+ */
+function reviewedFixture({ comparison, summary = true, review = false }) {
+  const fixture = loadFixture('pull-request.json');
+  fixture.comparisons = { [`${REVIEWED_SHA}...${HEAD_SHA}`]: comparison };
+  if (summary) {
+    fixture.issue_comments = [
+      {
+        id: 900,
+        user: 'review-bot',
+        body: `${SUMMARY_MARKER}\nSummary\n${renderSummaryState({
+          history: [{ sha: REVIEWED_SHA, verdict: 'COMMENT', findings: 1 }],
+        })}`,
+      },
+    ];
+  }
+  if (review) {
+    fixture.snapshot.existing_reviews = [
+      { id: 1, user: 'octocat', state: 'COMMENTED', commit_id: 'f'.repeat(40) },
+      {
+        id: 2,
+        user: 'review-bot',
+        state: 'COMMENTED',
+        commit_id: REVIEWED_SHA,
+      },
+    ];
+  }
+  return fixture;
+}
+
+const AHEAD = {
+  status: 'ahead',
+  ahead_by: 1,
+  behind_by: 0,
+  commits: [{ sha: HEAD_SHA, message: 'Add session timeout' }],
+  files: [
+    compareFile('src/auth/session.js'),
+    compareFile('docs/merged-from-main.md'),
+  ],
+};
+
+describe('incremental PR details', () => {
+  it('returns the full PR when there is no earlier review', async () => {
+    const github = new FakeGitHubService();
+
+    const details = await github.getPRDetails(PR_URL, { incremental: true });
+
+    assert.equal(details.files.length, 2);
+    assert.deepEqual(details.incremental, {
+      mode: 'full',
+      reason: 'no_previous_review',
+      base_sha: null,
+      head_sha: HEAD_SHA,
+    });
+  });
+
+  it('narrows files and commits to the delta since the summary comment', async () => {
+    const github = new FakeGitHubService(
+      reviewedFixture({ comparison: AHEAD })
+    );
+
+    const details = await github.getPRDetails(PR_URL, { incremental: true });
+
+    // Files that only came in with a merge of the base branch are dropped
+    assert.deepEqual(
+      details.files.map(file => [file.filename, file.changes]),
+      [['src/auth/session.js', 3]]
+    );
+    assert.deepEqual(
+      details.commits.map(commit => commit.sha),
+      [HEAD_SHA]
+    );
+    assert.deepEqual(details.incremental, {
+      mode: 'incremental',
+      source: 'summary_comment',
+      base_sha: REVIEWED_SHA,
+      head_sha: HEAD_SHA,
+      commits: 1,
+      files: 1,
+    });
+  });
+
+  it('uses the commit of the last own review without a summary comment', async () => {
+    const github = new FakeGitHubService(
+      reviewedFixture({ comparison: AHEAD, summary: false, review: true })
+    );
+
+    const details = await github.getPRDetails(PR_URL, { incremental: true });
+
+    assert.equal(details.incremental.source, 'review');
+    assert.equal(details.incremental.base_sha, REVIEWED_SHA);
+  });
+
+  it('falls back to a full review after a force-push', async () => {
+    for (const comparison of [{ ...AHEAD, status: 'diverged' }, null]) {
+      const github = new FakeGitHubService(reviewedFixture({ comparison }));
+
+      const details = await github.getPRDetails(PR_URL, { incremental: true });
+
+      assert.equal(details.files.length, 2);
+      assert.equal(details.incremental.mode, 'full');
+      assert.equal(details.incremental.reason, 'force_push');
+    }
+  });
+
+  it('lets tools diff from an explicit commit', async () => {
+    const github = new FakeGitHubService(
+      reviewedFixture({ comparison: AHEAD, summary: false })
+    );
+
+    const response = await handleGetPRFiles(github, {
+      pr_url: PR_URL,
+      since_sha: REVIEWED_SHA,
+    });
+    const result = JSON.parse(response.content[0].text);
+
+    assert.deepEqual(
+      result.files.map(file => file.filename),
+      ['src/auth/session.js']
+    );
+    assert.equal(result.incremental.source, 'argument');
+    assert.ok(!github.methods.includes('listIssueComments'));
+  });
+});
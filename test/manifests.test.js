@@ -0,0 +1,231 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { AnalysisService } from '../src/services/analysis.js';
+import { getManifest } from '../src/utils/manifests.js';
+
+// test/fixtures/manifests/base and head hold the files at both ends of the PR
+const FIXTURES = new URL('./fixtures/manifests/', import.meta.url);
+
+const github = {
+  async getMergeBase() {
+    return 'base';
+  },
+  async getFileContent(owner, repo, path, ref) {
+    try {
+      return await readFile(new URL(`${ref}/${path}`, FIXTURES), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  },
+};
+
+/**
+ * Dependency changes of one manifest, as `scope name@version` and
+ * `scope name from -> to` lines
+ * @param {Object} file - PR file entry
+ * @param {Object} incremental - Optional `incremental` of the PR details
+ */
+async function changesOf(file, incremental) {
+  const analysis = await new AnalysisService().analyzeDependencies(
+    {
+      repository: { owner: 'acme', repo: 'widgets' },
+      pr: { base_sha: 'main', head_sha: 'head' },
+      files: [{ status: 'modified', ...file }],
+      incremental,
+    },
+    github
+  );
+  const { added, removed, updated } = analysis.dependency_changes;
+  const { ecosystem } = getManifest(file.filename);
+
+  for (const dep of [...added, ...removed, ...updated]) {
+    assert.equal(dep.file, file.filename);
+    assert.equal(dep.ecosystem, ecosystem);
+  }
+  assert.deepEqual(
+    analysis.impact_assessment.compatibility_issues.filter(issue =>
+      issue.startsWith('Could not parse')
+    ),
+    []
+  );
+
+  return {
+    added: added.map(dep => `${dep.scope} ${dep.name}@${dep.version}`),
+    removed: removed.map(dep => `${dep.scope} ${dep.name}@${dep.version}`),
+    updated: updated.map(
+      dep =>
+        `${dep.scope} ${dep.name} ${dep.from} -> ${dep.to}${dep.major_bump ? ' (major)' : ''}`
+    ),
+  };
+}
+
+describe('dependency manifests', () => {
+  it('package.json in a subdirectory', async () => {
+    assert.deepEqual(await changesOf({ filename: 'web/package.json' }), {
+      added: ['runtime zod@^3.23.8', 'peer react@>=18'],
+      removed: ['runtime lodash@^4.17.21'],
+      updated: ['runtime express ^4.18.2 -> ^5.1.0 (major)'],
+    });
+  });
+
+  it('package-lock.json, hoisted packages only', async () => {
+    assert.deepEqual(await changesOf({ filename: 'web/package-lock.json' }), {
+      added: ['dev @types/node@20.11.0', 'runtime zod@3.23.8'],
+      removed: ['runtime lodash@4.17.21'],
+      updated: ['runtime express 4.18.2 -> 5.1.0 (major)'],
+    });
+  });
+
+  it('yarn.lock keeps the highest of several versions', async () => {
+    assert.deepEqual(await changesOf({ filename: 'yarn.lock' }), {
+      added: ['locked @babel/core@7.24.5'],
+      removed: [],
+      updated: ['locked chalk 4.1.2 -> 5.3.0 (major)'],
+    });
+  });
+
+  it('renamed requirements file', async () => {
+    assert.deepEqual(
+      await changesOf({
+        filename: 'requirements-prod.txt',
+        previous_filename: 'requirements.txt',
+        status: 'renamed',
+      }),
+      {
+        added: ['runtime gunicorn@*'],
+        removed: [],
+        updated: [
+          'runtime django >=4.2,<5.0 -> >=5.0,<6.0 (major)',
+          'runtime requests ==2.31.0 -> ==2.32.3',
+        ],
+      }
+    );
+  });
+
+  it('removed Pipfile.lock', async () => {
+    assert.deepEqual(
+      await changesOf({
+        filename: 'services/legacy/Pipfile.lock',
+        status: 'removed',
+      }),
+      {
+        added: [],
+        removed: ['runtime urllib3@==1.26.18', 'dev pytest@==7.4.0'],
+        updated: [],
+      }
+    );
+  });
+
+  it('go.mod with indirect requirements', async () => {
+    assert.deepEqual(await changesOf({ filename: 'go.mod' }), {
+      added: ['runtime github.com/google/uuid@v1.6.0'],
+      removed: ['runtime github.com/stretchr/testify@v1.8.4'],
+      updated: [
+        'runtime github.com/gorilla/mux v1.8.0 -> v1.8.1',
+        'indirect golang.org/x/net v0.17.0 -> v0.23.0 (major)',
+      ],
+    });
+  });
+
+  it('added go.sum', async () => {
+    assert.deepEqual(await changesOf({ filename: 'go.sum', status: 'added' }), {
+      added: [
+        'locked github.com/google/uuid@v1.6.0',
+        'locked github.com/gorilla/mux@v1.8.1',
+      ],
+      removed: [],
+      updated: [],
+    });
+  });
+
+  it('Cargo.toml tables and inline tables', async () => {
+    assert.deepEqual(await changesOf({ filename: 'tools/cli/Cargo.toml' }), {
+      added: ['runtime anyhow@workspace', 'build cc@1.0'],
+      removed: ['dev tempfile@3'],
+      updated: [
+        'runtime clap 3.2 -> 4.5 (major)',
+        'runtime tokio 1.35 -> 1.37',
+      ],
+    });
+  });
+
+  it('Cargo.lock', async () => {
+    assert.deepEqual(await changesOf({ filename: 'tools/cli/Cargo.lock' }), {
+      added: ['locked anyhow@1.0.82'],
+      removed: [],
+      updated: ['locked clap 3.2.25 -> 4.5.4 (major)'],
+    });
+  });
+
+  it('Gemfile groups', async () => {
+    assert.deepEqual(await changesOf({ filename: 'Gemfile' }), {
+      added: ['runtime puma@~> 6.4', 'dev rubocop@*'],
+      removed: [],
+      updated: [
+        'runtime rails ~> 7.0.8 -> ~> 7.1.3',
+        'dev rspec-rails * -> ~> 6.1',
+      ],
+    });
+  });
+
+  it('Gemfile.lock specs', async () => {
+    assert.deepEqual(await changesOf({ filename: 'Gemfile.lock' }), {
+      added: ['locked puma@6.4.2'],
+      removed: [],
+      updated: [
+        'locked actionpack 7.0.8 -> 7.1.3',
+        'locked rack 2.2.8 -> 3.0.9 (major)',
+      ],
+    });
+  });
+
+  it('composer.json without platform packages', async () => {
+    assert.deepEqual(await changesOf({ filename: 'backend/composer.json' }), {
+      added: ['runtime monolog/monolog@^3.5'],
+      removed: [],
+      updated: ['runtime laravel/framework ^10.0 -> ^11.0 (major)'],
+    });
+  });
+
+  it('composer.lock', async () => {
+    assert.deepEqual(await changesOf({ filename: 'backend/composer.lock' }), {
+      added: ['runtime monolog/monolog@3.6.0'],
+      removed: ['dev phpunit/phpunit@10.5.0'],
+      updated: ['runtime laravel/framework 10.48.4 -> 11.5.0 (major)'],
+    });
+  });
+
+  it('pom.xml with properties and scopes', async () => {
+    assert.deepEqual(await changesOf({ filename: 'pom.xml' }), {
+      added: [
+        'runtime com.example:shared@1.1.0',
+        'provided javax.servlet:servlet-api@2.5',
+        'dev org.junit.jupiter:junit-jupiter@5.10.2',
+      ],
+      removed: ['dev junit:junit@4.13.2'],
+      updated: [
+        'runtime com.fasterxml.jackson.core:jackson-databind 2.15.2 -> 2.17.0',
+      ],
+    });
+  });
+
+  it('diffs from the last reviewed commit in incremental mode', async () => {
+    // The fixtures at "head" stand in for the last reviewed commit
+    assert.deepEqual(
+      await changesOf(
+        { filename: 'web/package.json' },
+        { mode: 'incremental', base_sha: 'head', head_sha: 'head' }
+      ),
+      { added: [], removed: [], updated: [] }
+    );
+
+    // After a force-push the full PR is diffed from the merge base again
+    const full = await changesOf(
+      { filename: 'web/package.json' },
+      { mode: 'full', reason: 'force_push', base_sha: 'head', head_sha: 'head' }
+    );
+    assert.deepEqual(full.removed, ['runtime lodash@^4.17.21']);
+  });
+});
@@ -0,0 +1,294 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { createMcpRouter } from '../src/handlers/mcp_http.js';
+import { AnalysisService } from '../src/services/analysis.js';
+import { FakeGitHubService } from './helpers/fake-github.js';
+
+const PR_URL = 'https://github.com/acme/widgets/pull/42';
+const KEYS = ['key-a', 'key-b'];
+
+const INITIALIZE = {
+  jsonrpc: '2.0',
+  id: 1,
+  method: 'initialize',
+  params: {
+    protocolVersion: '2024-11-05',
+    capabilities: {},
+    clientInfo: { name: 'test-client', version: '1.0.0' },
+  },
+};
+
+function authenticate(req, res, next) {
+  const apiKey = req.headers.authorization?.replace(/^Bearer /, '');
+  if (!KEYS.includes(apiKey)) {
+    return res.status(401).json({ error: 'Invalid or missing API key' });
+  }
+  req.apiKey = apiKey;
+  next();
+}
+
+/**
+ * Read the server-sent events of a fetch response one at a time
+ * @returns {Function} Resolves with the next `{ event, data }`
+ */
+function eventReader(response) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  return async function next() {
+    let end;
+    while ((end = buffer.indexOf('\n\n')) === -1) {
+      const { value, done } = await reader.read();
+      if (done) return null;
+      buffer += decoder.decode(value, { stream: true });
+    }
+    const block = buffer.slice(0, end);
+    buffer = buffer.slice(end + 2);
+    return {
+      event: block.match(/^event: (.*)$/m)?.[1],
+      data: block.match(/^data: (.*)$/m)?.[1],
+    };
+  };
+}
+
+describe('MCP over HTTP', () => {
+  let server;
+  let mcp;
+  let base;
+  let github;
+
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    github = new FakeGitHubService();
+    mcp = createMcpRouter({
+      getServices: () => ({ github, analysis: new AnalysisService() }),
+      authenticate,
+      // key-b may only read
+      allows: (req, operation) =>
+        operation !== 'post' || req.apiKey === 'key-a',
+      maxSessions: 3,
+    });
+    const app = express();
+    app.use(express.json());
+    app.use(mcp.router);
+
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await mcp.close();
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    mock.restoreAll();
+  });
+
+  function post(body, { key = 'key-a', session, accept } = {}) {
+    return fetch(`${base}/mcp`, {
+      method: 'POST',
+      headers: {
+        authorization: `Bearer ${key}`,
+        'content-type': 'application/json',
+        accept: accept || 'application/json, text/event-stream',
+        ...(session ? { 'mcp-session-id': session } : {}),
+      },
+      body: JSON.stringify(body),
+    });
+  }
+
+  async function initialize(key) {
+    const response = await post(INITIALIZE, { key });
+    const session = response.headers.get('mcp-session-id');
+    await response.json();
+    await post(
+      { jsonrpc: '2.0', method: 'notifications/initialized' },
+      { key, session }
+    );
+    return session;
+  }
+
+  it('requires an API key', async () => {
+    const response = await post(INITIALIZE, { key: 'nope' });
+    assert.equal(response.status, 401);
+  });
+
+  it('runs tools in a Streamable HTTP session', async () => {
+    const response = await post(INITIALIZE);
+    assert.equal(response.status, 200);
+    const session = response.headers.get('mcp-session-id');
+    assert.ok(session);
+    const initialized = await response.json();
+    assert.equal(initialized.id, 1);
+    assert.equal(initialized.result.serverInfo.name, 'github-mcp-server');
+
+    const ack = await post(
+      { jsonrpc: '2.0', method: 'notifications/initialized' },
+      { session }
+    );
+    assert.equal(ack.status, 202);
+
+    const list = await (
+      await post({ jsonrpc: '2.0', id: 2, method: 'tools/list' }, { session })
+    ).json();
+    assert.ok(list.result.tools.some(tool => tool.name === 'get_pr_details'));
+
+    const call = await (
+      await post(
+        {
+          jsonrpc: '2.0',
+          id: 3,
+          method: 'tools/call',
+          params: { name: 'get_pr_commits', arguments: { pr_url: PR_URL } },
+        },
+        { session }
+      )
+    ).json();
+    assert.equal(call.id, 3);
+    assert.match(call.result.content[0].text, /"commits"/);
+    assert.ok(github.methods.includes('getPRDetails'));
+
+    const closed = await fetch(`${base}/mcp`, {
+      method: 'DELETE',
+      headers: { authorization: 'Bearer key-a', 'mcp-session-id': session },
+    });
+    assert.equal(closed.status, 200);
+    assert.equal(mcp.sessions.has(session), false);
+
+    const gone = await post(
+      { jsonrpc: '2.0', id: 4, method: 'tools/list' },
+      { session }
+    );
+    assert.equal(gone.status, 404);
+  });
+
+  it('answers batches and SSE-only clients', async () => {
+    const session = await initialize('key-a');
+
+    const batch = await (
+      await post(
+        [
+          { jsonrpc: '2.0', id: 10, method: 'tools/list' },
+          { jsonrpc: '2.0', id: 11, method: 'ping' },
+        ],
+        { session }
+      )
+    ).json();
+    assert.deepEqual(
+      batch.map(message => message.id),
+      [10, 11]
+    );
+
+    const streamed = await post(
+      { jsonrpc: '2.0', id: 12, method: 'ping' },
+      { session, accept: 'text/event-stream' }
+    );
+    assert.equal(streamed.headers.get('content-type'), 'text/event-stream');
+    const next = eventReader(streamed);
+    assert.deepEqual(JSON.parse((await next()).data), {
+      jsonrpc: '2.0',
+      id: 12,
+      result: {},
+    });
+    // The stream ends once every request is answered
+    assert.equal(await next(), null);
+  });
+
+  it('rejects requests outside a session', async () => {
+    const missing = await post({ jsonrpc: '2.0', id: 1, method: 'tools/list' });
+    assert.equal(missing.status, 400);
+    assert.match(
+      (await missing.json()).error.message,
+      /Missing mcp-session-id/
+    );
+
+    // Sessions are bound to the API key that opened them
+    const session = await initialize('key-a');
+    const foreign = await post(
+      { jsonrpc: '2.0', id: 2, method: 'tools/list' },
+      { key: 'key-b', session }
+    );
+    assert.equal(foreign.status, 404);
+
+    const invalid = await post({ hello: 'world' }, { session });
+    assert.equal(invalid.status, 400);
+  });
+
+  it('refuses tools the API key may not use', async () => {
+    const session = await initialize('key-b');
+    const call = await (
+      await post(
+        {
+          jsonrpc: '2.0',
+          id: 5,
+          method: 'tools/call',
+          params: {
+            name: 'post_pr_review',
+            arguments: { pr_url: PR_URL, body: 'LGTM' },
+          },
+        },
+        { key: 'key-b', session }
+      )
+    ).json();
+
+    assert.match(
+      call.error.message,
+      /API key may not call post_pr_review on this repository/
+    );
+    assert.equal(github.methods.includes('createReview'), false);
+  });
+
+  it('caps the number of open sessions', async () => {
+    while (mcp.sessions.size < 3) await initialize('key-b');
+
+    const response = await post(INITIALIZE, { key: 'key-b' });
+    assert.equal(response.status, 503);
+    await response.json();
+
+    await mcp.close();
+    assert.equal(mcp.sessions.size, 0);
+  });
+
+  it('serves the HTTP+SSE transport', async () => {
+    const stream = await fetch(`${base}/sse`, {
+      headers: { authorization: 'Bearer key-a' },
+    });
+    assert.equal(stream.status, 200);
+    const next = eventReader(stream);
+
+    // The first event names the endpoint to POST messages to
+    const endpoint = await next();
+    assert.equal(endpoint.event, 'endpoint');
+    const session = new URLSearchParams(endpoint.data.split('?')[1]).get(
+      'sessionId'
+    );
+    assert.equal(endpoint.data, `/messages?sessionId=${session}`);
+    assert.equal(mcp.sessions.get(session).kind, 'sse');
+
+    const foreign = await fetch(`${base}/messages?sessionId=${session}`, {
+      method: 'POST',
+      headers: {
+        authorization: 'Bearer key-b',
+        'content-type': 'application/json',
+      },
+      body: JSON.stringify(INITIALIZE),
+    });
+    assert.equal(foreign.status, 404);
+
+    const accepted = await fetch(`${base}/messages?sessionId=${session}`, {
+      method: 'POST',
+      headers: {
+        authorization: 'Bearer key-a',
+        'content-type': 'application/json',
+      },
+      body: JSON.stringify(INITIALIZE),
+    });
+    assert.equal(accepted.status, 202);
+
+    const message = await next();
+    assert.equal(message.event, 'message');
+    assert.equal(JSON.parse(message.data).id, 1);
+  });
+});
@@ -0,0 +1,223 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import {
+  parsePRReference,
+  resolveFileAnchor,
+} from '../src/utils/pr_reference.js';
+import { GitHubService } from '../src/services/github.js';
+import { reviewPullRequest } from '../src/handlers/review.js';
+import { AnalysisService } from '../src/services/analysis.js';
+import { ScriptedProvider, textTurn } from './helpers/scripted-provider.js';
+import { FakeGitHubService } from './helpers/fake-github.js';
+
+const SHA = '3f2a9c1d4e5b6a7980c1d2e3f4a5b6c7d8e9f0a1';
+
+function anchorOf(filename) {
+  return `diff-${createHash('sha256').update(filename).digest('hex')}`;
+}
+
+describe('parsePRReference', () => {
+  it('parses web URLs and their sub-pages', () => {
+    for (const url of [
+      'https://github.com/acme/widgets/pull/42',
+      'github.com/acme/widgets/pull/42/',
+      'https://github.com/acme/widgets/pull/42/files',
+      'https://github.com/acme/widgets/pull/42/checks?tab=all',
+      'https://github.com/acme/widgets/pull/42#issuecomment-1',
+    ]) {
+      assert.deepEqual(parsePRReference(url), {
+        host: 'github.com',
+        owner: 'acme',
+        repo: 'widgets',
+        pull_number: 42,
+        scope: null,
+      });
+    }
+  });
+
+  it('keeps the commit and file a URL points at', () => {
+    assert.deepEqual(
+      parsePRReference(`https://github.com/acme/widgets/pull/42/commits/${SHA}`)
+        .scope,
+      { commit_sha: SHA }
+    );
+    assert.deepEqual(
+      parsePRReference(
+        `https://github.com/acme/widgets/pull/42/files/abc1234..${SHA}`
+      ).scope,
+      { base_sha: 'abc1234', commit_sha: SHA }
+    );
+
+    const anchor = anchorOf('src/auth/session.js');
+    assert.deepEqual(
+      parsePRReference(
+        `https://github.com/acme/widgets/pull/42/files#${anchor}R3-R5`
+      ).scope,
+      { file_anchor: anchor, side: 'RIGHT', start_line: 3, line: 5 }
+    );
+    assert.deepEqual(
+      parsePRReference(
+        `https://github.com/acme/widgets/pull/42/files/${SHA}#${anchor}L7`
+      ).scope,
+      { commit_sha: SHA, file_anchor: anchor, side: 'LEFT', line: 7 }
+    );
+  });
+
+  it('maps API URLs to their web host', () => {
+    const reference = {
+      owner: 'acme',
+      repo: 'widgets',
+      pull_number: 42,
+      scope: null,
+    };
+    assert.deepEqual(
+      parsePRReference('https://api.github.com/repos/acme/widgets/pulls/42'),
+      { host: 'github.com', ...reference }
+    );
+    assert.deepEqual(
+      parsePRReference(
+        'https://ghe.example.com/api/v3/repos/acme/widgets/pulls/42/files?per_page=100'
+      ),
+      { host: 'ghe.example.com', ...reference }
+    );
+  });
+
+  it('parses short references and bare numbers', () => {
+    assert.deepEqual(parsePRReference('acme/widgets#42'), {
+      host: null,
+      owner: 'acme',
+      repo: 'widgets',
+      pull_number: 42,
+      scope: null,
+    });
+    for (const reference of ['42', '#42']) {
+      assert.deepEqual(
+        parsePRReference(reference, { defaultRepo: 'acme/widgets' }),
+        parsePRReference('acme/widgets#42')
+      );
+    }
+    assert.throws(
+      () => parsePRReference('42'),
+      /PR reference 42 has no repository; use owner\/repo#42 or set DEFAULT_REPO/
+    );
+  });
+
+  it('rejects anything else with a 400', () => {
+    for (const reference of [
+      'acme/widgets42',
+      'https://github.com/acme/widgets/issues/42',
+      'https://github.com/acme/widgets',
+      '',
+    ]) {
+      assert.throws(
+        () => parsePRReference(reference),
+        error =>
+          error.status === 400 &&
+          /Invalid GitHub PR reference/.test(error.message)
+      );
+    }
+  });
+});
+
+describe('resolveFileAnchor', () => {
+  it('finds the file whose path hashes to the anchor', () => {
+    const files = ['src/auth/session.js', 'test/session.test.js'];
+    assert.equal(
+      resolveFileAnchor(anchorOf('test/session.test.js'), files),
+      'test/session.test.js'
+    );
+    assert.equal(resolveFileAnchor(anchorOf('README.md'), files), null);
+  });
+});
+
+describe('GitHubService PR references', () => {
+  it('resolves short references to a canonical URL on the web host', () => {
+    const github = new GitHubService('ghp_test', {
+      defaultRepo: 'acme/widgets',
+    });
+
+    assert.equal(
+      github.resolvePRReference('#42').url,
+      'https://github.com/acme/widgets/pull/42'
+    );
+    assert.equal(
+      github.resolvePRReference(
+        'https://api.github.com/repos/Acme/widgets/pulls/42'
+      ).url,
+      'https://github.com/Acme/widgets/pull/42'
+    );
+    assert.throws(
+      () =>
+        github.resolvePRReference(
+          'https://ghe.example.com/api/v3/repos/acme/widgets/pulls/42'
+        ),
+      /Unsupported GitHub host: ghe\.example\.com/
+    );
+  });
+
+  it('attaches the resolved file scope to the PR details', async () => {
+    const github = new FakeGitHubService();
+    const details = await github.getPRDetails(
+      `https://github.com/acme/widgets/pull/42/files#${anchorOf('src/auth/session.js')}R3`
+    );
+
+    assert.deepEqual(details.scope, {
+      file: 'src/auth/session.js',
+      side: 'RIGHT',
+      line: 3,
+    });
+  });
+});
+
+describe('reviewPullRequest with PR references', () => {
+  it('reviews a bare number in the default repository', async () => {
+    const provider = new ScriptedProvider([
+      textTurn('Looks good overall, no blocking issues found in this PR.'),
+      textTurn(
+        JSON.stringify({ summary: 'Fine.', verdict: 'APPROVE', findings: [] })
+      ),
+    ]);
+    const github = new FakeGitHubService(undefined, {
+      defaultRepo: 'acme/widgets',
+    });
+
+    const result = await reviewPullRequest('42', {
+      provider,
+      services: { github, analysis: new AnalysisService() },
+    });
+
+    assert.equal(result.pr_url, 'https://github.com/acme/widgets/pull/42');
+    assert.equal(result.scope, null);
+    assert.match(
+      provider.calls[0].messages[0].content,
+      /analyzing PR: https:\/\/github\.com\/acme\/widgets\/pull\/42\n/
+    );
+  });
+
+  it('tells the model which commit the URL points at', async () => {
+    const provider = new ScriptedProvider([
+      textTurn('Looks good overall, no blocking issues found in this PR.'),
+      textTurn(
+        JSON.stringify({ summary: 'Fine.', verdict: 'APPROVE', findings: [] })
+      ),
+    ]);
+
+    const result = await reviewPullRequest(
+      `https://github.com/acme/widgets/pull/42/commits/${SHA}`,
+      {
+        provider,
+        services: {
+          github: new FakeGitHubService(),
+          analysis: new AnalysisService(),
+        },
+      }
+    );
+
+    assert.deepEqual(result.scope, { commit_sha: SHA });
+    assert.match(
+      provider.calls[0].messages[0].content,
+      new RegExp(`The user linked commit ${SHA}\\. Focus the review there`)
+    );
+  });
+});
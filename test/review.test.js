@@ -0,0 +1,509 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { reviewPullRequest } from '../src/handlers/review.js';
+import { AnalysisService } from '../src/services/analysis.js';
+import { ConfigService } from '../src/services/config.js';
+import {
+  ScriptedProvider,
+  toolCalls,
+  textTurn,
+} from './helpers/scripted-provider.js';
+import { FakeGitHubService } from './helpers/fake-github.js';
+
+const PR_URL = 'https://github.com/acme/widgets/pull/42';
+
+/**
+ * Run a review against the fake GitHub service with a scripted model
+ */
+async function runReview(script, { failures, config, post } = {}) {
+  const provider = new ScriptedProvider(script);
+  const github = new FakeGitHubService(undefined, { failures });
+  const result = await reviewPullRequest(PR_URL, {
+    provider,
+    config,
+    post,
+    services: { github, analysis: new AnalysisService() },
+  });
+  return { result, provider, github };
+}
+
+const APPROVED = {
+  summary: 'Session timeout is implemented and tested.',
+  verdict: 'APPROVE',
+  findings: [],
+};
+
+const CHANGES_REQUESTED = {
+  summary: 'A credential is committed to the repository.',
+  verdict: 'REQUEST_CHANGES',
+  findings: [
+    {
+      path: 'src/auth/session.js',
+      line: 3,
+      severity: 'high',
+      category: 'security',
+      title: 'Hardcoded password',
+      description: 'A plaintext password is committed with the code.',
+      suggested_fix: 'Read the password from the environment.',
+    },
+    {
+      path: null,
+      line: null,
+      severity: 'low',
+      category: 'testing',
+      title: 'Missing expiry test',
+      description: 'No test covers an expired session.',
+      suggested_fix: null,
+    },
+  ],
+};
+
+/**
+ * Model turn answering the structured output request
+ */
+function structuredTurn(review) {
+  return textTurn('```json\n' + JSON.stringify(review, null, 2) + '\n```');
+}
+
+function toolMessages(messages) {
+  return messages.filter(message => message.role === 'tool');
+}
+
+describe('reviewPullRequest', () => {
+  beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('returns a direct text answer without calling any tool', async () => {
+    const answer =
+      'This PR looks good: the timeout is applied consistently and tested.';
+    const { result, provider, github } = await runReview([
+      textTurn(answer),
+      structuredTurn(APPROVED),
+    ]);
+
+    assert.equal(result.message, answer);
+    assert.deepEqual(result.review, APPROVED);
+    assert.equal(result.provider, 'scripted');
+    assert.equal(result.model, 'scripted-1');
+    assert.equal(provider.calls.length, 2);
+    assert.deepEqual(github.calls, []);
+  });
+
+  it('executes every tool call of a multi-call turn in order', async () => {
+    const { result, provider, github } = await runReview([
+      toolCalls(['get_review_prompts'], ['get_pr_details', { pr_url: PR_URL }]),
+      toolCalls(['get_pr_files', { pr_url: PR_URL }]),
+      textTurn('## Review\nRemove the hardcoded password.'),
+    ]);
+
+    assert.equal(result.message, '## Review\nRemove the hardcoded password.');
+    assert.equal(result.stop_reason, 'completed');
+    assert.equal(result.iterations, 2);
+    assert.equal(result.tool_calls, 3);
+    assert.equal(provider.remaining, 0);
+    assert.deepEqual(github.methods, ['getPRDetails', 'getPRDetails']);
+    assert.ok(result.cache_stats);
+
+    const last = provider.calls.at(-1).messages;
+    const results = toolMessages(last);
+    assert.deepEqual(
+      results.map(message => [message.name, message.tool_call_id]),
+      [
+        ['get_review_prompts', 'call_0'],
+        ['get_pr_details', 'call_1'],
+        ['get_pr_files', 'call_0'],
+      ]
+    );
+
+    const details = JSON.parse(results[1].content.content[0].text);
+    assert.equal(details.pr_details.pr.number, 42);
+    const files = JSON.parse(results[2].content.content[0].text);
+    assert.equal(files.total_files, 2);
+
+    assert.deepEqual(
+      result.transcript.map(entry => [
+        entry.iteration,
+        entry.name,
+        entry.status,
+      ]),
+      [
+        [1, 'get_review_prompts', 'ok'],
+        [1, 'get_pr_details', 'ok'],
+        [2, 'get_pr_files', 'ok'],
+      ]
+    );
+    for (const entry of result.transcript) {
+      assert.equal(typeof entry.duration_ms, 'number');
+    }
+  });
+
+  it('sends tool results straight back without extra prompts', async () => {
+    const { provider } = await runReview([
+      toolCalls(['get_review_prompts']),
+      textTurn('Review without details.'),
+    ]);
+
+    assert.deepEqual(
+      provider.calls[1].messages.map(message => message.role),
+      ['user', 'assistant', 'tool']
+    );
+  });
+
+  it('reports tool errors back to the model and keeps going', async () => {
+    const { result, provider } = await runReview(
+      [
+        toolCalls(['get_review_prompts']),
+        toolCalls(
+          ['get_pr_details', { pr_url: PR_URL }],
+          ['get_file_content', { owner: 'acme', repo: 'widgets' }],
+          ['unknown_tool', {}]
+        ),
+        textTurn('Final review despite failures.'),
+      ],
+      { failures: { getPRDetails: new Error('API rate limit exceeded') } }
+    );
+
+    assert.equal(result.message, 'Final review despite failures.');
+
+    const results = toolMessages(provider.calls.at(-1).messages).slice(1);
+    assert.deepEqual(
+      results.map(message => message.content),
+      [
+        { error: 'API rate limit exceeded' },
+        { error: 'Owner, repo, and path are required' },
+        { error: 'Unknown tool: unknown_tool' },
+      ]
+    );
+    assert.deepEqual(
+      result.transcript.map(entry => entry.status),
+      ['ok', 'error', 'error', 'error']
+    );
+  });
+
+  it('forces a final answer without tools at the iteration limit', async () => {
+    const config = new ConfigService();
+    config.set('AGENT_MAX_ITERATIONS', 2);
+
+    const { result, provider } = await runReview(
+      [
+        toolCalls(['get_review_prompts']),
+        toolCalls(['get_pr_details', { pr_url: PR_URL }]),
+        textTurn('Review from what was gathered.'),
+      ],
+      { config }
+    );
+
+    assert.equal(result.message, 'Review from what was gathered.');
+    assert.equal(result.stop_reason, 'max_iterations');
+    assert.equal(provider.calls[2].options.tools, false);
+    assert.match(provider.calls[2].messages.at(-1).content, /final answer/);
+  });
+
+  it('aggregates token usage across turns', async () => {
+    const { result } = await runReview([
+      {
+        ...toolCalls(['get_review_prompts']),
+        usage: { input_tokens: 100, output_tokens: 10 },
+      },
+      {
+        ...textTurn('A sufficiently long final review of the pull request.'),
+        usage: { input_tokens: 250, output_tokens: 40 },
+      },
+    ]);
+
+    assert.deepEqual(result.usage, { input_tokens: 350, output_tokens: 50 });
+  });
+
+  it('tries the fallback strategies when the answer is too short', async () => {
+    const { result, provider } = await runReview([
+      textTurn(''),
+      textTurn('Still nothing.'),
+      new Error('model overloaded'),
+      toolCalls(['get_pr_details', { pr_url: PR_URL }]),
+      textTurn('Review via fallback.'),
+    ]);
+
+    assert.equal(result.message, 'Review via fallback.');
+    assert.deepEqual(
+      provider.calls.slice(1, 4).map(call => call.messages.length),
+      [1, 1, 1]
+    );
+    assert.equal(
+      provider.calls[1].messages[0].content,
+      'Please call the get_review_prompts function now.'
+    );
+    assert.equal(
+      provider.calls[3].messages[0].content,
+      `Use the available tools to analyze PR: ${PR_URL}. Call get_pr_details first.`
+    );
+  });
+
+  it('gives up after every fallback strategy fails', async () => {
+    const { result, provider } = await runReview([
+      textTurn('ok'),
+      textTurn(''),
+      textTurn(''),
+      new Error('model overloaded'),
+    ]);
+
+    assert.match(result.message, /Unable to analyze PR/);
+    assert.equal(provider.remaining, 0);
+  });
+
+  it('holds the fallback strategies to the same REVIEW_TIMEOUT', async () => {
+    const config = new ConfigService();
+    config.set('REVIEW_TIMEOUT', 100);
+    const slowTurn = ms => async () => {
+      await sleep(ms);
+      return textTurn('');
+    };
+
+    const provider = new ScriptedProvider([
+      slowTurn(60),
+      slowTurn(80),
+      textTurn(''),
+      textTurn(''),
+    ]);
+
+    await assert.rejects(
+      reviewPullRequest(PR_URL, {
+        provider,
+        config,
+        services: {
+          github: new FakeGitHubService(),
+          analysis: new AnalysisService(),
+        },
+      }),
+      /Agent timed out after 100ms/
+    );
+    // The first strategy ran out the review's time; the others never started
+    assert.equal(provider.calls.length, 2);
+  });
+
+  it('counts the tokens of fallback strategies that failed', async () => {
+    const { result } = await runReview([
+      { ...textTurn(''), usage: { input_tokens: 10, output_tokens: 1 } },
+      {
+        ...toolCalls(['get_pr_details', { pr_url: PR_URL }]),
+        usage: { input_tokens: 100, output_tokens: 10 },
+      },
+      new Error('model overloaded'),
+      textTurn(''),
+      textTurn(''),
+    ]);
+
+    assert.match(result.message, /Unable to analyze PR/);
+    assert.deepEqual(result.usage, { input_tokens: 110, output_tokens: 11 });
+  });
+
+  it('propagates provider errors from the initial request', async () => {
+    await assert.rejects(
+      runReview([new Error('invalid API key')]),
+      /invalid API key/
+    );
+  });
+
+  describe('structured output', () => {
+    it('returns the validated review after the markdown answer', async () => {
+      const { result, provider } = await runReview([
+        toolCalls(['get_pr_details', { pr_url: PR_URL }]),
+        textTurn('## Review\nThe password on line 3 must go.'),
+        structuredTurn(CHANGES_REQUESTED),
+      ]);
+
+      assert.equal(
+        result.message,
+        '## Review\nThe password on line 3 must go.'
+      );
+      assert.deepEqual(result.review, CHANGES_REQUESTED);
+      assert.deepEqual(result.review_errors, []);
+
+      const request = provider.calls.at(-1);
+      assert.equal(request.options.tools, false);
+      assert.equal(request.messages.at(-2).role, 'assistant');
+      assert.match(request.messages.at(-1).content, /JSON schema/);
+    });
+
+    it('feeds validation errors back and retries', async () => {
+      const { result, provider } = await runReview([
+        textTurn('A long enough markdown review of the pull request changes.'),
+        textTurn('Sorry, here is my review in prose.'),
+        structuredTurn({ ...APPROVED, verdict: 'LGTM' }),
+        structuredTurn(APPROVED),
+      ]);
+
+      assert.deepEqual(result.review, APPROVED);
+      const retries = provider.calls.slice(2).map(call => call.messages.at(-1));
+      assert.match(retries[0].content, /No JSON object found/);
+      assert.match(retries[1].content, /\$\.verdict: must be one of/);
+    });
+
+    it('keeps the markdown review when retries are exhausted', async () => {
+      const invalid = { ...APPROVED, findings: [{ path: 'a.js' }] };
+      const { result, provider } = await runReview([
+        textTurn('A long enough markdown review of the pull request changes.'),
+        structuredTurn(invalid),
+        structuredTurn(invalid),
+        structuredTurn(invalid),
+      ]);
+
+      assert.equal(result.review, null);
+      assert.ok(
+        result.review_errors.includes('$.findings[0].line: is required')
+      );
+      assert.match(result.message, /markdown review/);
+      assert.equal(provider.remaining, 0);
+    });
+  });
+
+  describe('auto-post', () => {
+    it('posts the structured review and keeps post_pr_review from the model', async () => {
+      const provider = new ScriptedProvider([
+        toolCalls(['post_pr_review', { pr_url: PR_URL, body: 'LGTM' }]),
+        textTurn('A long enough markdown review of the pull request changes.'),
+        structuredTurn(CHANGES_REQUESTED),
+      ]);
+      const github = new FakeGitHubService();
+
+      const result = await reviewPullRequest(PR_URL, {
+        provider,
+        post: true,
+        services: { github, analysis: new AnalysisService() },
+      });
+
+      assert.deepEqual(
+        result.transcript[0].error,
+        'Tool not available in this review: post_pr_review'
+      );
+      assert.deepEqual(github.methods, [
+        'listReviewComments',
+        'getPRDetails',
+        'createReview',
+      ]);
+      assert.equal(result.posting.event, 'REQUEST_CHANGES');
+      assert.deepEqual(result.posting.posted, []);
+      assert.equal(result.posting.skipped[0].reason, 'existing_comment');
+    });
+
+    it('reports when there is no structured review to post', async () => {
+      const { result, github } = await runReview(
+        [
+          textTurn(
+            'A long enough markdown review of the pull request changes.'
+          ),
+        ],
+        { post: true }
+      );
+
+      assert.deepEqual(result.posting, {
+        error: 'No valid structured review to post',
+      });
+      assert.deepEqual(github.calls, []);
+    });
+
+    it('does not post unless enabled', async () => {
+      const { result, github } = await runReview([
+        textTurn('A long enough markdown review of the pull request changes.'),
+        structuredTurn(APPROVED),
+      ]);
+
+      assert.equal(result.posting, null);
+      assert.deepEqual(github.calls, []);
+    });
+  });
+
+  describe('history', () => {
+    function historyStore() {
+      const runs = [];
+      return { runs, add: async run => runs.push(run) };
+    }
+
+    it('records the run with the head SHA, verdict and usage', async () => {
+      const history = historyStore();
+      const result = await reviewPullRequest(PR_URL, {
+        provider: new ScriptedProvider([
+          toolCalls(['get_pr_details', { pr_url: PR_URL }]),
+          textTurn('## Review\nThe password on line 3 must go.'),
+          structuredTurn(CHANGES_REQUESTED),
+        ]),
+        services: {
+          github: new FakeGitHubService(),
+          analysis: new AnalysisService(),
+        },
+        history,
+        trigger: 'pull_request.opened',
+        job_id: 'job-1',
+      });
+
+      assert.equal(history.runs.length, 1);
+      const [run] = history.runs;
+      assert.equal(run.status, 'succeeded');
+      assert.equal(run.pr_url, PR_URL);
+      assert.deepEqual(
+        [run.owner, run.repo, run.pull_number],
+        ['acme', 'widgets', 42]
+      );
+      assert.equal(run.head_sha, '2222222222222222222222222222222222222222');
+      assert.equal(run.trigger, 'pull_request.opened');
+      assert.equal(run.job_id, 'job-1');
+      assert.equal(run.provider, 'scripted');
+      assert.equal(run.verdict, 'REQUEST_CHANGES');
+      assert.deepEqual(run.findings, CHANGES_REQUESTED.findings);
+      assert.deepEqual(run.transcript, result.transcript);
+      assert.deepEqual(run.usage, result.usage);
+      assert.equal(typeof run.duration_ms, 'number');
+    });
+
+    it('records failed runs with the error', async () => {
+      const history = historyStore();
+      await assert.rejects(
+        reviewPullRequest(PR_URL, {
+          provider: new ScriptedProvider([new Error('invalid API key')]),
+          services: {
+            github: new FakeGitHubService(),
+            analysis: new AnalysisService(),
+          },
+          history,
+        }),
+        /invalid API key/
+      );
+
+      assert.equal(history.runs[0].status, 'failed');
+      assert.equal(history.runs[0].error, 'invalid API key');
+      assert.equal(history.runs[0].verdict, null);
+    });
+
+    it('records the tokens a failed run spent', async () => {
+      const history = historyStore();
+      const error = await reviewPullRequest(PR_URL, {
+        provider: new ScriptedProvider([
+          {
+            ...toolCalls(['get_pr_details', { pr_url: PR_URL }]),
+            usage: { input_tokens: 100, output_tokens: 10 },
+          },
+          new Error('model overloaded'),
+        ]),
+        services: {
+          github: new FakeGitHubService(),
+          analysis: new AnalysisService(),
+        },
+        history,
+      }).catch(error => error);
+
+      assert.equal(error.message, 'model overloaded');
+      assert.equal(history.runs[0].status, 'failed');
+      assert.deepEqual(history.runs[0].usage, {
+        input_tokens: 100,
+        output_tokens: 10,
+      });
+      assert.deepEqual(error.usage, history.runs[0].usage);
+    });
+  });
+});
@@ -0,0 +1,263 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getCommentableLines } from '../src/utils/diff.js';
+import {
+  renderCommentBody,
+  validateReviewComments,
+} from '../src/utils/review_comments.js';
+import { handlePostPRReview } from '../src/tools/post_pr_review.js';
+import { FakeGitHubService } from './helpers/fake-github.js';
+
+const PR_URL = 'https://github.com/acme/widgets/pull/42';
+
+// Two hunks: old 1-3 -> new 1-4, old 20-22 -> new 21-22
+const PATCH = [
+  '@@ -1,3 +1,4 @@',
+  ' const a = 1;',
+  '-const b = 2;',
+  '+const b = 3;',
+  '+const c = 4;',
+  ' export { a };',
+  '@@ -20,3 +21,2 @@',
+  ' function f() {',
+  '-  debug();',
+  ' }',
+].join('\n');
+
+const FILES = [{ filename: 'src/a.js', patch: PATCH }];
+
+describe('getCommentableLines', () => {
+  it('maps lines of each side to their hunk', () => {
+    const lines = getCommentableLines(PATCH);
+
+    assert.deepEqual(
+      [...lines.RIGHT],
+      [
+        [1, 0],
+        [2, 0],
+        [3, 0],
+        [4, 0],
+        [21, 1],
+        [22, 1],
+      ]
+    );
+    assert.deepEqual(
+      [...lines.LEFT],
+      [
+        [1, 0],
+        [2, 0],
+        [3, 0],
+        [20, 1],
+        [21, 1],
+        [22, 1],
+      ]
+    );
+  });
+});
+
+describe('renderCommentBody', () => {
+  it('appends a suggestion block', () => {
+    assert.equal(
+      renderCommentBody({ body: 'Use const', suggestion: 'const b = 3;\n' }),
+      'Use const\n\n```suggestion\nconst b = 3;\n```'
+    );
+  });
+
+  it('uses a longer fence when the suggestion contains backticks', () => {
+    const body = renderCommentBody({ body: '', suggestion: 'md = "```js";' });
+
+    assert.equal(body, '````suggestion\nmd = "```js";\n````');
+  });
+
+  it('renders an empty suggestion to delete lines', () => {
+    assert.equal(
+      renderCommentBody({ body: 'Remove', suggestion: '' }),
+      'Remove\n\n```suggestion\n\n```'
+    );
+  });
+});
+
+describe('validateReviewComments', () => {
+  it('keeps comments on diff lines and moves nearby ones', () => {
+    const result = validateReviewComments(
+      [
+        { path: 'src/a.js', line: 3, body: 'on the diff' },
+        { path: 'src/a.js', line: 6, body: 'two lines below' },
+      ],
+      FILES
+    );
+
+    assert.deepEqual(
+      result.comments.map(comment => [comment.line, comment.side]),
+      [
+        [3, 'RIGHT'],
+        [4, 'RIGHT'],
+      ]
+    );
+    assert.deepEqual(result.relocated, [
+      {
+        index: 1,
+        path: 'src/a.js',
+        from: { start_line: null, line: 6 },
+        to: { start_line: null, line: 4 },
+      },
+    ]);
+    assert.deepEqual(result.rejected, []);
+  });
+
+  it('rejects comments too far from the diff', () => {
+    const result = validateReviewComments(
+      [{ path: 'src/a.js', line: 12, body: 'far away' }],
+      FILES
+    );
+
+    assert.deepEqual(result.comments, []);
+    assert.equal(result.rejected[0].index, 0);
+    assert.match(
+      result.rejected[0].error,
+      /commentable RIGHT lines: 1-4, 21-22/
+    );
+  });
+
+  it('clamps a range to the hunk it overlaps', () => {
+    const result = validateReviewComments(
+      [{ path: 'src/a.js', start_line: 2, line: 8, body: 'range' }],
+      FILES
+    );
+
+    assert.deepEqual(result.comments, [
+      {
+        path: 'src/a.js',
+        start_line: 2,
+        start_side: 'RIGHT',
+        line: 4,
+        side: 'RIGHT',
+        body: 'range',
+      },
+    ]);
+  });
+
+  it('rejects ranges across sides that span hunks', () => {
+    const result = validateReviewComments(
+      [
+        {
+          path: 'src/a.js',
+          start_line: 2,
+          start_side: 'LEFT',
+          line: 21,
+          side: 'RIGHT',
+          body: 'across hunks',
+        },
+      ],
+      FILES
+    );
+
+    assert.match(result.rejected[0].error, /not in the same diff hunk/);
+  });
+
+  it('rejects suggestions on deleted lines and files outside the diff', () => {
+    const result = validateReviewComments(
+      [
+        {
+          path: 'src/a.js',
+          line: 2,
+          side: 'LEFT',
+          body: 'restore',
+          suggestion: 'const b = 2;',
+        },
+        { path: 'src/other.js', line: 1, body: 'elsewhere' },
+      ],
+      FILES,
+      { truncated: true }
+    );
+
+    assert.deepEqual(
+      result.rejected.map(item => item.index),
+      [0, 1]
+    );
+    assert.match(result.rejected[0].error, /RIGHT side/);
+    assert.match(result.rejected[1].error, /truncated/);
+  });
+
+  it('drops suggestions that are not exactly on the diff', () => {
+    const suggestion = 'const c = 5;';
+    const result = validateReviewComments(
+      [
+        { path: 'src/a.js', line: 3, body: 'exact', suggestion },
+        { path: 'src/a.js', line: 6, body: 'nearby line', suggestion },
+        {
+          path: 'src/a.js',
+          start_line: 2,
+          line: 8,
+          body: 'overlapping range',
+          suggestion,
+        },
+        {
+          path: 'src/a.js',
+          start_line: 4,
+          line: 21,
+          body: 'across hunks',
+          suggestion,
+        },
+        {
+          path: 'src/a.js',
+          start_line: 2,
+          line: 4,
+          body: 'exact range',
+          suggestion,
+        },
+      ],
+      FILES
+    );
+
+    assert.deepEqual(
+      result.comments.map(comment => [comment.start_line, comment.line]),
+      [
+        [undefined, 3],
+        [2, 4],
+      ]
+    );
+    assert.deepEqual(result.relocated, []);
+    assert.deepEqual(
+      result.rejected.map(item => item.index),
+      [1, 2, 3]
+    );
+    assert.match(
+      result.rejected[1].error,
+      /Suggestion for lines 2-8 \(RIGHT\) does not match/
+    );
+  });
+});
+
+describe('post_pr_review', () => {
+  it('posts placed comments and lists rejected ones in the body', async () => {
+    const github = new FakeGitHubService();
+
+    const response = await handlePostPRReview(github, {
+      pr_url: PR_URL,
+      body: 'Review',
+      event: 'COMMENT',
+      comments: [
+        {
+          path: 'src/auth/session.js',
+          line: 3,
+          body: 'Use an env variable',
+          suggestion: 'const password = process.env.PASSWORD;',
+        },
+        { path: 'README.md', line: 1, body: 'Not in this PR' },
+      ],
+    });
+    const result = JSON.parse(response.content[0].text);
+
+    const posted = github.calls.find(call => call.method === 'createReview')
+      .args[3];
+    assert.deepEqual(
+      posted.comments.map(comment => [comment.path, comment.line]),
+      [['src/auth/session.js', 3]]
+    );
+    assert.match(posted.body, /Comments outside the diff/);
+    assert.match(posted.body, /README\.md/);
+    assert.equal(result.posted_comments, 1);
+    assert.equal(result.rejected_comments.length, 1);
+  });
+});
@@ -0,0 +1,387 @@
+import {
+  describe,
+  it,
+  before,
+  after,
+  beforeEach,
+  afterEach,
+  mock,
+} from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm, appendFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import express from 'express';
+import {
+  JsonHistoryStore,
+  SqliteHistoryStore,
+  createHistoryStore,
+} from '../src/services/review_history.js';
+import {
+  createHistoryRouter,
+  parseHistoryQuery,
+} from '../src/handlers/history.js';
+import { ConfigService } from '../src/services/config.js';
+
+function run(overrides = {}) {
+  return {
+    pr_url: 'https://github.com/acme/widgets/pull/42',
+    owner: 'acme',
+    repo: 'widgets',
+    pull_number: 42,
+    head_sha: 'aaa',
+    status: 'succeeded',
+    provider: 'gemini',
+    model: 'gemini-2.0-flash',
+    verdict: 'APPROVE',
+    summary: 'Looks good.',
+    findings: [],
+    message: '## Review',
+    transcript: [{ name: 'get_pr_details', status: 'ok' }],
+    usage: { input_tokens: 100, output_tokens: 20 },
+    duration_ms: 1200,
+    ...overrides,
+  };
+}
+
+// The sqlite store runs on node:sqlite or better-sqlite3, whichever loads
+const sqliteSkip = await new SqliteHistoryStore({ path: ':memory:' })
+  .open()
+  .then(
+    db => {
+      db.close();
+      return false;
+    },
+    error => error.message
+  );
+
+for (const [name, Store, file, skip] of [
+  ['JsonHistoryStore', JsonHistoryStore, 'history.jsonl', false],
+  ['SqliteHistoryStore', SqliteHistoryStore, 'history.db', sqliteSkip],
+]) {
+  describe(name, { skip }, () => {
+    let dir;
+    let store;
+
+    beforeEach(async () => {
+      dir = await mkdtemp(join(tmpdir(), 'review-history-'));
+      store = new Store({ path: join(dir, 'nested', file) });
+      await store.open();
+    });
+
+    afterEach(async () => {
+      store.db?.close();
+      await rm(dir, { recursive: true, force: true });
+    });
+
+    it('adds runs and gets them by id', async () => {
+      const first = await store.add(run());
+      const second = await store.add(run({ head_sha: 'bbb' }));
+      assert.ok(first.id);
+      assert.ok(first.created_at);
+      assert.notEqual(first.id, second.id);
+
+      assert.deepEqual(await store.get(first.id), first);
+      assert.deepEqual(await store.get(second.id), second);
+      assert.equal(await store.get('missing'), null);
+    });
+
+    it('lists summaries newest first', async () => {
+      await store.add(run());
+      await store.add(
+        run({
+          pull_number: 43,
+          verdict: 'REQUEST_CHANGES',
+          findings: [{ title: 'Hardcoded password' }],
+        })
+      );
+      await store.add(run({ repo: 'gadgets', head_sha: 'ccc' }));
+
+      const all = await store.list();
+      assert.equal(all.total, 3);
+      assert.deepEqual(
+        all.runs.map(record => record.repo),
+        ['gadgets', 'widgets', 'widgets']
+      );
+      assert.equal(all.runs[0].transcript, undefined);
+      assert.equal(all.runs[0].message, undefined);
+      assert.equal(all.runs[0].findings, undefined);
+      assert.equal(all.runs[1].finding_count, 1);
+      assert.equal(all.runs[2].finding_count, 0);
+    });
+
+    it('filters by repository, PR, verdict, status and date', async () => {
+      await store.add(run());
+      await store.add(run({ pull_number: 43, verdict: 'REQUEST_CHANGES' }));
+      await store.add(run({ repo: 'gadgets', status: 'failed' }));
+
+      const changes = await store.list({
+        owner: 'ACME',
+        repo: 'Widgets',
+        verdict: 'REQUEST_CHANGES',
+      });
+      assert.deepEqual(
+        changes.runs.map(record => record.pull_number),
+        [43]
+      );
+
+      const pr = await store.list({ repo: 'widgets', pull_number: 42 });
+      assert.equal(pr.total, 1);
+      assert.equal(pr.runs[0].pull_number, 42);
+
+      const failed = await store.list({ status: 'failed' });
+      assert.deepEqual(
+        failed.runs.map(record => record.repo),
+        ['gadgets']
+      );
+      assert.equal((await store.list({ owner: 'other' })).total, 0);
+
+      const { runs } = await store.list();
+      const newest = runs[0].created_at;
+      // Runs added within the same millisecond share a timestamp
+      assert.ok((await store.list({ since: newest })).total >= 1);
+      assert.ok((await store.list({ until: newest })).total <= 2);
+      assert.equal(
+        (await store.list({ since: '2999-01-01T00:00:00.000Z' })).total,
+        0
+      );
+      assert.equal(
+        (await store.list({ until: '2000-01-01T00:00:00.000Z' })).total,
+        0
+      );
+    });
+
+    it('pages with limit and offset', async () => {
+      for (let pull = 1; pull <= 5; pull++) {
+        await store.add(run({ pull_number: pull }));
+      }
+
+      const page = await store.list({ limit: 2, offset: 1 });
+      assert.equal(page.total, 5);
+      assert.deepEqual(
+        page.runs.map(record => record.pull_number),
+        [4, 3]
+      );
+
+      const last = await store.list({ limit: 2, offset: 4 });
+      assert.deepEqual(
+        last.runs.map(record => record.pull_number),
+        [1]
+      );
+      assert.deepEqual((await store.list({ offset: 5 })).runs, []);
+      assert.equal((await store.list()).runs.length, 5);
+    });
+
+    it('keeps runs across a restart', async () => {
+      const record = await store.add(run());
+
+      const reopened = new Store({ path: store.path });
+      await reopened.open();
+      assert.deepEqual(await reopened.get(record.id), record);
+      assert.equal((await reopened.list()).total, 1);
+      reopened.db?.close();
+    });
+  });
+}
+
+describe('JsonHistoryStore file', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'review-history-'));
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('appends one line per run', async () => {
+    const path = join(dir, 'history.jsonl');
+    const store = new JsonHistoryStore({ path });
+    await store.add(run());
+    await store.add(run({ head_sha: 'bbb' }));
+    assert.equal((await readFile(path, 'utf8')).trim().split('\n').length, 2);
+  });
+
+  it('skips a truncated last line', async () => {
+    mock.method(console, 'warn', () => {});
+    const path = join(dir, 'history.jsonl');
+    await new JsonHistoryStore({ path }).add(run());
+    await appendFile(path, '{"id":"cut sho');
+
+    const { total } = await new JsonHistoryStore({ path }).list();
+    assert.equal(total, 1);
+    mock.restoreAll();
+  });
+
+  it('keeps only the newest maxRecords runs', async () => {
+    const path = join(dir, 'history.jsonl');
+    const lines = async () =>
+      (await readFile(path, 'utf8')).trim().split('\n').length;
+    const store = new JsonHistoryStore({ path, maxRecords: 2 });
+    const first = await store.add(run({ pull_number: 1 }));
+    await store.add(run({ pull_number: 2 }));
+    await store.add(run({ pull_number: 3 }));
+
+    // Dropped from memory at once, from the file at twice the cap
+    assert.equal(await store.get(first.id), null);
+    assert.deepEqual(
+      (await store.list()).runs.map(record => record.pull_number),
+      [3, 2]
+    );
+    assert.equal(await lines(), 3);
+    await store.add(run({ pull_number: 4 }));
+    assert.equal(await lines(), 2);
+    await store.add(run({ pull_number: 5 }));
+    assert.equal(await lines(), 3);
+
+    // A larger file is trimmed when it is opened
+    const reopened = new JsonHistoryStore({ path, maxRecords: 1 });
+    assert.deepEqual(
+      (await reopened.list()).runs.map(record => record.pull_number),
+      [5]
+    );
+    assert.equal(await lines(), 1);
+  });
+});
+
+describe('createHistoryStore', () => {
+  function config(env) {
+    const config = new ConfigService();
+    for (const [key, value] of Object.entries(env)) config.set(key, value);
+    return config;
+  }
+
+  it('picks the store from REVIEW_HISTORY_STORE', () => {
+    const json = createHistoryStore(
+      config({ REVIEW_HISTORY_STORE: 'json', REVIEW_HISTORY_PATH: null })
+    );
+    assert.ok(json instanceof JsonHistoryStore);
+    assert.equal(json.path, 'data/review-history.jsonl');
+
+    const sqlite = createHistoryStore(
+      config({ REVIEW_HISTORY_STORE: 'sqlite', REVIEW_HISTORY_PATH: '/x.db' })
+    );
+    assert.ok(sqlite instanceof SqliteHistoryStore);
+    assert.equal(sqlite.path, '/x.db');
+
+    assert.equal(
+      createHistoryStore(config({ REVIEW_HISTORY_STORE: 'none' })),
+      null
+    );
+    assert.throws(
+      () => createHistoryStore(config({ REVIEW_HISTORY_STORE: 'mongo' })),
+      /Unknown review history store: mongo/
+    );
+  });
+});
+
+describe('parseHistoryQuery', () => {
+  it('turns repo, PR and dates into filters', () => {
+    assert.deepEqual(
+      parseHistoryQuery({
+        repo: 'acme/widgets',
+        pr: '42',
+        verdict: 'request_changes',
+        since: '2026-10-01',
+      }),
+      {
+        owner: 'acme',
+        repo: 'widgets',
+        pull_number: 42,
+        verdict: 'REQUEST_CHANGES',
+        since: '2026-10-01T00:00:00.000Z',
+        until: undefined,
+        limit: 50,
+        offset: 0,
+      }
+    );
+
+    const filters = parseHistoryQuery({
+      pr: 'https://github.com/acme/gadgets/pull/7/files',
+      limit: '1000',
+    });
+    assert.deepEqual(
+      [filters.owner, filters.repo, filters.pull_number, filters.limit],
+      ['acme', 'gadgets', 7, 200]
+    );
+  });
+
+  it('rejects malformed filters', () => {
+    const cases = [
+      [{ repo: 'widgets' }, /repo must be in the form owner\/repo/],
+      [{ pr: '42' }, /has no repository/],
+      [{ verdict: 'LGTM' }, /verdict must be one of/],
+      [{ status: 'done' }, /status must be one of/],
+      [{ since: 'yesterday' }, /since must be an ISO 8601 date/],
+      [{ limit: '0' }, /limit must be an integer of at least 1/],
+    ];
+    for (const [query, message] of cases) {
+      assert.throws(
+        () => parseHistoryQuery(query),
+        error => error.status === 400 && message.test(error.message)
+      );
+    }
+  });
+});
+
+describe('history endpoints', () => {
+  let server;
+  let base;
+  let dir;
+  let stored;
+
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'review-history-'));
+    const store = new JsonHistoryStore({ path: join(dir, 'history.jsonl') });
+    stored = await store.add(run());
+    await store.add(run({ pull_number: 43, status: 'failed', verdict: null }));
+
+    const app = express();
+    app.use(
+      createHistoryRouter({
+        store,
+        authenticate: (req, res, next) =>
+          req.headers.authorization === 'Bearer key'
+            ? next()
+            : res.status(401).json({ error: 'Invalid or missing API key' }),
+      })
+    );
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  function get(path, key = 'key') {
+    return fetch(`${base}${path}`, {
+      headers: { authorization: `Bearer ${key}` },
+    });
+  }
+
+  it('lists and filters runs', async () => {
+    const response = await get('/history?repo=acme/widgets&status=failed');
+    assert.equal(response.status, 200);
+    const body = await response.json();
+    assert.equal(body.total, 1);
+    assert.equal(body.limit, 50);
+    assert.equal(body.runs[0].pull_number, 43);
+
+    const invalid = await get('/history?until=soon');
+    assert.equal(invalid.status, 400);
+    assert.match((await invalid.json()).error, /until must be/);
+
+    assert.equal((await get('/history', 'other')).status, 401);
+  });
+
+  it('returns one run with its transcript', async () => {
+    const response = await get(`/history/${stored.id}`);
+    assert.deepEqual(await response.json(), stored);
+
+    assert.equal((await get('/history/missing')).status, 404);
+  });
+});
@@ -0,0 +1,158 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseReviewOutput,
+  requestStructuredReview,
+  toPostPRReviewArgs,
+} from '../src/handlers/review_output.js';
+import { validateSchema } from '../src/utils/schema.js';
+
+const finding = {
+  path: 'src/app.js',
+  line: 10,
+  severity: 'medium',
+  category: 'bug',
+  title: 'Off-by-one',
+  description: 'The loop skips the last element.',
+  suggested_fix: 'Use `<=` instead of `<`.',
+};
+
+describe('validateSchema', () => {
+  it('accepts nullable types and integers as numbers', () => {
+    const schema = {
+      type: 'object',
+      properties: {
+        count: { type: 'number' },
+        note: { type: ['string', 'null'] },
+      },
+    };
+
+    assert.deepEqual(validateSchema({ count: 3, note: null }, schema), []);
+  });
+
+  it('reports every problem with its location', () => {
+    const schema = {
+      type: 'object',
+      properties: {
+        items: {
+          type: 'array',
+          items: { type: 'integer', minimum: 1 },
+        },
+      },
+      required: ['name'],
+      additionalProperties: false,
+    };
+
+    assert.deepEqual(
+      validateSchema({ items: [0, 'x', 2], extra: true }, schema),
+      [
+        '$.name: is required',
+        '$.items[0]: must be >= 1',
+        '$.items[1]: expected integer, got string',
+        '$.extra: is not allowed',
+      ]
+    );
+  });
+});
+
+describe('parseReviewOutput', () => {
+  it('extracts JSON surrounded by prose', () => {
+    const text = `Here you go:\n{"summary":"ok","verdict":"COMMENT","findings":[]}\nThanks`;
+
+    assert.deepEqual(parseReviewOutput(text), {
+      value: { summary: 'ok', verdict: 'COMMENT', findings: [] },
+      errors: [],
+    });
+  });
+
+  it('reports malformed JSON', () => {
+    const { value, errors } = parseReviewOutput('{"summary": }');
+
+    assert.equal(value, null);
+    assert.match(errors[0], /^Invalid JSON/);
+  });
+});
+
+describe('requestStructuredReview', () => {
+  /**
+   * Provider that answers with invalid JSON once, then never answers
+   */
+  function stallingProvider() {
+    const provider = {
+      calls: 0,
+      chat() {
+        provider.calls++;
+        if (provider.calls > 1) return new Promise(() => {});
+        return Promise.resolve({
+          text: 'not json',
+          tool_calls: [],
+          usage: { input_tokens: 100, output_tokens: 20 },
+        });
+      },
+    };
+    return provider;
+  }
+
+  it('stops retrying at the deadline and keeps the tokens spent', async t => {
+    t.mock.method(console, 'log', () => {});
+    const provider = stallingProvider();
+
+    await assert.rejects(
+      requestStructuredReview(provider, [], {
+        retries: 5,
+        timeout: 50,
+        deadline: Date.now() + 50,
+      }),
+      error => {
+        assert.match(error.message, /timed out after 50ms/);
+        assert.deepEqual(error.usage, {
+          input_tokens: 100,
+          output_tokens: 20,
+        });
+        return true;
+      }
+    );
+    assert.equal(provider.calls, 2);
+  });
+
+  it('stops retrying when the signal aborts', async t => {
+    t.mock.method(console, 'log', () => {});
+    const provider = stallingProvider();
+    const controller = new AbortController();
+
+    const pending = requestStructuredReview(provider, [], {
+      signal: controller.signal,
+    });
+    await new Promise(resolve => setImmediate(resolve));
+    controller.abort();
+
+    await assert.rejects(pending, /cancelled/);
+    assert.equal(provider.calls, 2);
+  });
+});
+
+describe('toPostPRReviewArgs', () => {
+  it('maps located findings to comments and the rest to the body', () => {
+    const args = toPostPRReviewArgs('https://github.com/o/r/pull/1', {
+      summary: 'Needs a fix.',
+      verdict: 'REQUEST_CHANGES',
+      findings: [
+        finding,
+        { ...finding, line: null, title: 'Naming', suggested_fix: null },
+      ],
+    });
+
+    assert.equal(args.event, 'REQUEST_CHANGES');
+    assert.deepEqual(args.comments, [
+      {
+        path: 'src/app.js',
+        line: 10,
+        body: '**[MEDIUM] Off-by-one** (bug)\n\nThe loop skips the last element.\n\n**Suggested fix:** Use `<=` instead of `<`.',
+      },
+    ]);
+    assert.equal(
+      args.body,
+      'Needs a fix.\n\n`src/app.js`: **[MEDIUM] Naming** (bug)\n\nThe loop skips the last element.'
+    );
+  });
+});
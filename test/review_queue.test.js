@@ -0,0 +1,567 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { ReviewQueue, serializeJob } from '../src/services/review_queue.js';
+import { createHmac } from 'node:crypto';
+import { createReviewJobRouter } from '../src/handlers/review_jobs.js';
+import { checkCallbackUrl } from '../src/utils/callback_url.js';
+
+const PR_URL = 'https://github.com/acme/widgets/pull/42';
+const OTHER_PR_URL = 'https://github.com/acme/widgets/pull/43';
+
+/**
+ * runReview stand-in whose runs are finished by the test
+ */
+function controlledReviews() {
+  const runs = [];
+  const runReview = (prUrl, options) =>
+    new Promise((resolve, reject) => {
+      const run = { prUrl, options, resolve, reject };
+      options.signal.addEventListener('abort', () =>
+        reject(new Error('Agent cancelled'))
+      );
+      runs.push(run);
+    });
+  return { runs, runReview };
+}
+
+// Callbacks may only go to ci.example.com, which needs no DNS lookup
+const CALLBACKS = {
+  callbackSecret: 'callback-secret',
+  checkCallback: url =>
+    checkCallbackUrl(url, { allowedHosts: ['ci.example.com'] }),
+};
+
+function tick() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+beforeEach(() => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('ReviewQueue', () => {
+  it('runs at most `concurrency` jobs and starts the next when one ends', async () => {
+    const { runs, runReview } = controlledReviews();
+    const queue = new ReviewQueue({ runReview, concurrency: 1 });
+
+    const { job: first } = queue.enqueue(PR_URL);
+    const { job: second } = queue.enqueue(OTHER_PR_URL);
+    assert.equal(first.state, 'running');
+    assert.equal(second.state, 'queued');
+    assert.equal(runs.length, 1);
+
+    runs[0].resolve({ message: 'LGTM' });
+    await queue.wait(first.id);
+    assert.equal(first.state, 'succeeded');
+    assert.deepEqual(first.result, { message: 'LGTM' });
+    assert.equal(second.state, 'running');
+
+    runs[1].reject(new Error('GitHub is down'));
+    await queue.wait(second.id);
+    assert.equal(second.state, 'failed');
+    assert.equal(second.error, 'GitHub is down');
+    assert.deepEqual(queue.getStats(), {
+      queued: 0,
+      running: 0,
+      succeeded: 1,
+      failed: 1,
+    });
+  });
+
+  it('supersedes a queued run of the same PR with a newer head', async () => {
+    const { runs, runReview } = controlledReviews();
+    const queue = new ReviewQueue({ runReview, concurrency: 1 });
+
+    const { job: running } = queue.enqueue(PR_URL, { head_sha: 'aaa' });
+    const { job: older } = queue.enqueue(PR_URL, { head_sha: 'bbb' });
+    const same = queue.enqueue(PR_URL, { head_sha: 'bbb' });
+    assert.equal(same.coalesced, true);
+    assert.equal(same.job, older);
+
+    const { job: newer, coalesced } = queue.enqueue(PR_URL, {
+      head_sha: 'ccc',
+    });
+    assert.equal(coalesced, false);
+    assert.equal(older.state, 'cancelled');
+    assert.equal(older.superseded_by, newer.id);
+    assert.equal(newer.state, 'queued');
+
+    // The running review of the PR is left alone, and the next one waits
+    // for it instead of reviewing the PR twice at once
+    assert.equal(running.state, 'running');
+    assert.equal(runs.length, 1);
+    runs[0].resolve({});
+    await queue.wait(running.id);
+    assert.equal(newer.state, 'running');
+    assert.equal(runs.length, 2);
+  });
+
+  it('keeps runs with different options apart', () => {
+    const { runReview } = controlledReviews();
+    const queue = new ReviewQueue({ runReview, concurrency: 0 });
+
+    const gemini = queue.enqueue(PR_URL, { options: { provider: 'gemini' } });
+    const ollama = queue.enqueue(PR_URL, { options: { provider: 'ollama' } });
+    assert.equal(gemini.job.state, 'queued');
+    assert.equal(ollama.job.state, 'queued');
+    assert.equal(queue.queue.length, 2);
+  });
+
+  it('keeps the jobs of different callers apart', async () => {
+    const { runs, runReview } = controlledReviews();
+    const queue = new ReviewQueue({ runReview, concurrency: 2 });
+
+    queue.enqueue(OTHER_PR_URL);
+    const { job: a } = queue.enqueue(PR_URL, { owner: 'key-a' });
+    const { job: b } = queue.enqueue(PR_URL, { owner: 'key-b' });
+    assert.equal(b.superseded_by, null);
+    assert.equal(a.state, 'running');
+    // Still never two reviews of the same PR at once
+    assert.equal(b.state, 'queued');
+
+    runs[1].resolve({});
+    await queue.wait(a.id);
+    assert.equal(b.state, 'running');
+  });
+
+  it('coalesces by the canonical PR URL', () => {
+    const { runReview } = controlledReviews();
+    const queue = new ReviewQueue({
+      runReview,
+      concurrency: 0,
+      resolvePR: reference =>
+        reference === 'acme/widgets#42' ? PR_URL : reference,
+    });
+
+    const { job: first } = queue.enqueue(PR_URL);
+    const { job: second } = queue.enqueue('acme/widgets#42');
+    assert.equal(first.superseded_by, second.id);
+    assert.equal(second.pr_url, 'acme/widgets#42');
+  });
+
+  it('cancels queued and running jobs', async () => {
+    const { runs, runReview } = controlledReviews();
+    const queue = new ReviewQueue({ runReview, concurrency: 1 });
+
+    const { job: running } = queue.enqueue(PR_URL);
+    const { job: queued } = queue.enqueue(OTHER_PR_URL);
+
+    queue.cancel(queued.id);
+    assert.equal(queued.state, 'cancelled');
+
+    queue.cancel(running.id);
+    assert.equal(running.cancel_requested, true);
+    assert.equal(runs[0].options.signal.aborted, true);
+    await queue.wait(running.id);
+    assert.equal(running.state, 'cancelled');
+    assert.equal(running.error, null);
+    assert.equal(runs.length, 1);
+  });
+
+  it('posts finished jobs to their callback URL', async () => {
+    const { runs, runReview } = controlledReviews();
+    const delivered = [];
+    const queue = new ReviewQueue({
+      runReview,
+      ...CALLBACKS,
+      fetch: async (url, init) => {
+        delivered.push({ url, init });
+        return { ok: true, status: 204 };
+      },
+    });
+
+    const { job } = queue.enqueue(PR_URL, {
+      callback_url: 'https://ci.example.com/hooks/review',
+    });
+    runs[0].resolve({ message: 'LGTM' });
+    await queue.wait(job.id);
+
+    assert.equal(delivered.length, 1);
+    assert.equal(delivered[0].url, 'https://ci.example.com/hooks/review');
+    const { headers, body: raw } = delivered[0].init;
+    assert.equal(headers['x-review-job-id'], job.id);
+    assert.equal(
+      headers['x-review-signature-256'],
+      `sha256=${createHmac('sha256', 'callback-secret').update(raw).digest('hex')}`
+    );
+    const body = JSON.parse(raw);
+    assert.equal(body.state, 'succeeded');
+    assert.deepEqual(body.result, { message: 'LGTM' });
+    assert.equal(job.callback.state, 'delivered');
+    assert.equal(job.callback.status, 204);
+  });
+
+  it('records failed callbacks', async () => {
+    const { runs, runReview } = controlledReviews();
+    const queue = new ReviewQueue({
+      runReview,
+      ...CALLBACKS,
+      fetch: async () => {
+        throw new Error('connect ECONNREFUSED');
+      },
+    });
+
+    const { job } = queue.enqueue(PR_URL, {
+      callback_url: 'https://ci.example.com/hooks/review',
+    });
+    runs[0].resolve({});
+    await queue.wait(job.id);
+
+    assert.equal(job.callback.state, 'failed');
+    assert.equal(job.callback.error, 'connect ECONNREFUSED');
+  });
+
+  it('checks the callback URL again before delivery', async () => {
+    const { runs, runReview } = controlledReviews();
+    const delivered = [];
+    let addresses = [{ address: '93.184.215.14', family: 4 }];
+    const queue = new ReviewQueue({
+      runReview,
+      callbackSecret: 'callback-secret',
+      checkCallback: url =>
+        checkCallbackUrl(url, { lookup: async () => addresses }),
+      fetch: async url => {
+        delivered.push(url);
+        return { ok: true, status: 204 };
+      },
+    });
+
+    const { job } = queue.enqueue(PR_URL, {
+      callback_url: 'https://hooks.example.net/review',
+    });
+    // The host now resolves to the cloud metadata service
+    addresses = [{ address: '169.254.169.254', family: 4 }];
+    runs[0].resolve({});
+    await queue.wait(job.id);
+
+    assert.deepEqual(delivered, []);
+    assert.equal(job.callback.state, 'failed');
+    assert.match(job.callback.error, /not a public address/);
+  });
+
+  it('refuses callbacks without a secret to sign them with', () => {
+    const queue = new ReviewQueue({ runReview: async () => ({}) });
+
+    assert.throws(
+      () =>
+        queue.enqueue(PR_URL, {
+          callback_url: 'https://ci.example.com/hooks/review',
+        }),
+      error =>
+        error.status === 400 && /REVIEW_CALLBACK_SECRET/.test(error.message)
+    );
+    assert.equal(queue.jobs.size, 0);
+  });
+
+  it('refuses new jobs while `maxQueued` jobs are waiting', () => {
+    const { runReview } = controlledReviews();
+    const queue = new ReviewQueue({ runReview, concurrency: 1, maxQueued: 1 });
+
+    queue.enqueue(PR_URL);
+    const { job } = queue.enqueue(OTHER_PR_URL, { head_sha: 'a' });
+    assert.equal(queue.isFull(), true);
+
+    assert.throws(
+      () => queue.enqueue('https://github.com/acme/widgets/pull/44'),
+      error => error.status === 429
+    );
+    // Coalescing into the waiting job does not grow the queue
+    assert.equal(queue.enqueue(OTHER_PR_URL, { head_sha: 'a' }).job, job);
+    assert.equal(queue.jobs.size, 2);
+  });
+
+  it('forgets the oldest finished jobs beyond the retention', async () => {
+    const queue = new ReviewQueue({
+      runReview: async () => ({}),
+      retention: 2,
+    });
+
+    const ids = [];
+    for (let i = 1; i <= 3; i++) {
+      const { job } = queue.enqueue(`${PR_URL}${i}`);
+      ids.push(job.id);
+      await queue.wait(job.id);
+    }
+
+    assert.equal(queue.get(ids[0]), null);
+    assert.ok(queue.get(ids[1]));
+    assert.ok(queue.get(ids[2]));
+  });
+});
+
+describe('review job endpoints', () => {
+  let server;
+  let base;
+  let queue;
+  let runs;
+  let admitted;
+
+  beforeEach(async () => {
+    admitted = [];
+    const controlled = controlledReviews();
+    runs = controlled.runs;
+    queue = new ReviewQueue({
+      runReview: controlled.runReview,
+      concurrency: 1,
+      resolvePR: reference => {
+        if (!reference.includes('/pull/')) {
+          const error = new Error(`Invalid GitHub PR reference: ${reference}`);
+          error.status = 400;
+          throw error;
+        }
+        return reference;
+      },
+    });
+
+    const app = express();
+    app.use(express.json());
+    app.use(
+      createReviewJobRouter({
+        queue,
+        authenticate: (req, res, next) => {
+          req.apiKey = req.headers.authorization?.replace(/^Bearer /, '');
+          next();
+        },
+        // `reader` may not post, `admin` may see every job, `outsider`
+        // nothing on acme
+        allows: (req, operation, pr) => {
+          if (req.apiKey === 'outsider') return !pr?.includes('/acme/');
+          if (operation === 'post') return req.apiKey !== 'reader';
+          return operation !== 'admin' || req.apiKey === 'admin';
+        },
+        // `limited` has used up the repository's daily reviews
+        checkReview: req =>
+          req.apiKey === 'limited'
+            ? {
+                ok: false,
+                exceeded: {
+                  name: 'repo_daily_reviews',
+                  scope: 'repo',
+                  subject: 'acme/widgets',
+                  unit: 'reviews',
+                  limit: 200,
+                  used: 200,
+                  remaining: 0,
+                  period: 24 * 60 * 60 * 1000,
+                  reset: Date.now() + 60000,
+                },
+                tightest: null,
+              }
+            : { ok: true, tightest: null },
+        admitReview: (req, pr) => {
+          admitted.push(pr);
+          return { ok: true, tightest: null };
+        },
+        providers: ['gemini', 'ollama'],
+      })
+    );
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(async () => {
+    for (const job of queue.running.values()) queue.cancel(job.id);
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  function request(method, path, { key = 'key-a', body } = {}) {
+    return fetch(`${base}${path}`, {
+      method,
+      headers: {
+        authorization: `Bearer ${key}`,
+        'content-type': 'application/json',
+      },
+      body: body && JSON.stringify(body),
+    });
+  }
+
+  it('queues a review and reports its state', async () => {
+    const response = await request('POST', '/review', {
+      body: { pr: PR_URL, provider: 'ollama', post: true },
+    });
+    assert.equal(response.status, 202);
+    const queued = await response.json();
+    assert.equal(queued.state, 'running');
+    assert.equal(queued.coalesced, false);
+    assert.equal(queued.status_url, `/review/${queued.id}`);
+    assert.equal(response.headers.get('location'), `/review/${queued.id}`);
+    assert.deepEqual(runs[0].options.provider, 'ollama');
+    assert.equal(runs[0].options.post, true);
+    assert.equal(runs[0].options.job_id, queued.id);
+    assert.equal(runs[0].options.trigger, 'api');
+
+    runs[0].resolve({ message: 'LGTM' });
+    await queue.wait(queued.id);
+
+    const status = await (await request('GET', `/review/${queued.id}`)).json();
+    assert.deepEqual(status, serializeJob(queue.get(queued.id)));
+    assert.equal(status.state, 'succeeded');
+    assert.deepEqual(status.result, { message: 'LGTM' });
+
+    // Jobs are only visible to the API key that queued them
+    const foreign = await request('GET', `/review/${queued.id}`, {
+      key: 'key-b',
+    });
+    assert.equal(foreign.status, 404);
+  });
+
+  it('cancels a job once', async () => {
+    const { id } = await (
+      await request('POST', '/review', { body: { pr: PR_URL } })
+    ).json();
+
+    const cancelled = await request('DELETE', `/review/${id}`);
+    assert.equal(cancelled.status, 200);
+    assert.equal((await cancelled.json()).cancel_requested, true);
+    await queue.wait(id);
+    await tick();
+
+    const again = await request('DELETE', `/review/${id}`);
+    assert.equal(again.status, 409);
+    assert.equal((await again.json()).error, 'Review job already cancelled');
+  });
+
+  it('waits for the result when asked to', async () => {
+    const pending = request('POST', '/review', {
+      body: { pr: PR_URL, wait: true },
+    });
+    while (runs.length === 0) await tick();
+    runs[0].resolve({ message: 'LGTM' });
+
+    const response = await pending;
+    assert.equal(response.status, 200);
+    assert.deepEqual(await response.json(), { message: 'LGTM' });
+  });
+
+  it('enforces the scopes of the API key', async () => {
+    const outsider = await request('POST', '/review', {
+      key: 'outsider',
+      body: { pr: PR_URL },
+    });
+    assert.equal(outsider.status, 403);
+    assert.equal(
+      (await outsider.json()).error,
+      'API key may not review this repository'
+    );
+
+    const posting = await request('POST', '/review', {
+      key: 'reader',
+      body: { pr: PR_URL, post: true },
+    });
+    assert.equal(posting.status, 403);
+    assert.equal(
+      (await posting.json()).error,
+      'API key may not post reviews to this repository'
+    );
+
+    const { id } = await (
+      await request('POST', '/review', { key: 'reader', body: { pr: PR_URL } })
+    ).json();
+    assert.equal((await request('GET', `/review/${id}`)).status, 404);
+    assert.equal(
+      (await request('GET', `/review/${id}`, { key: 'admin' })).status,
+      200
+    );
+    assert.equal(queue.jobs.size, 1);
+  });
+
+  it('lets reviewers read but not cancel webhook jobs', async () => {
+    const { job } = queue.enqueue(PR_URL, { trigger: 'pull_request.opened' });
+
+    assert.equal((await request('GET', `/review/${job.id}`)).status, 200);
+    assert.equal(
+      (await request('GET', `/review/${job.id}`, { key: 'outsider' })).status,
+      404
+    );
+    assert.equal((await request('DELETE', `/review/${job.id}`)).status, 403);
+    assert.equal(
+      (await request('DELETE', `/review/${job.id}`, { key: 'admin' })).status,
+      200
+    );
+  });
+
+  it('refuses reviews over a rate limit', async () => {
+    const response = await request('POST', '/review', {
+      key: 'limited',
+      body: { pr: PR_URL },
+    });
+    assert.equal(response.status, 429);
+    assert.equal(response.headers.get('retry-after'), '60');
+    assert.equal(response.headers.get('ratelimit-remaining'), '0');
+    const body = await response.json();
+    assert.equal(
+      body.error,
+      'Daily quota exceeded: 200 reviews per day for repository acme/widgets'
+    );
+    assert.equal(body.limit.name, 'repo_daily_reviews');
+    assert.equal(queue.jobs.size, 0);
+    assert.deepEqual(admitted, []);
+  });
+
+  it('refuses reviews while the queue is full', async () => {
+    queue.maxQueued = 1;
+    await request('POST', '/review', { body: { pr: PR_URL } });
+    await request('POST', '/review', { body: { pr: OTHER_PR_URL } });
+
+    const response = await request('POST', '/review', {
+      body: { pr: 'https://github.com/acme/widgets/pull/44' },
+    });
+    assert.equal(response.status, 429);
+    assert.match((await response.json()).error, /^Review queue is full/);
+    assert.equal(queue.jobs.size, 2);
+  });
+
+  it('counts a review against the limits only once it is queued', async () => {
+    queue.maxQueued = 1;
+    await request('POST', '/review', { body: { pr: PR_URL } });
+    await request('POST', '/review', { body: { pr: OTHER_PR_URL } });
+    assert.deepEqual(admitted, [PR_URL, OTHER_PR_URL]);
+
+    const full = await request('POST', '/review', {
+      body: { pr: 'https://github.com/acme/widgets/pull/44' },
+    });
+    assert.equal(full.status, 429);
+    const malformed = await request('POST', '/review', {
+      body: { pr: 'acme/widgets' },
+    });
+    assert.equal(malformed.status, 400);
+    assert.deepEqual(admitted, [PR_URL, OTHER_PR_URL]);
+  });
+
+  it('validates the request', async () => {
+    const cases = [
+      [{}, 'PR URL is required'],
+      [{ pr: PR_URL, provider: 'nope' }, 'Unknown provider: nope'],
+      [
+        { pr: PR_URL, callback_url: 'file:///etc/passwd' },
+        'callback_url must be an http(s) URL',
+      ],
+      ...[
+        ['http://localhost:8080/hook', 'localhost'],
+        ['http://169.254.169.254/latest/meta-data/', '169.254.169.254'],
+        ['http://10.1.2.3/hook', '10.1.2.3'],
+        ['http://2130706433/hook', '127.0.0.1'],
+        ['http://[::1]/hook', '::1'],
+        ['http://[::ffff:192.168.0.1]/hook', '::ffff:c0a8:1'],
+      ].map(([url, host]) => [
+        { pr: PR_URL, callback_url: url },
+        `callback_url host ${host} is not a public address`,
+      ]),
+      [{ pr: 'not a pr' }, 'Invalid GitHub PR reference: not a pr'],
+    ];
+
+    for (const [body, error] of cases) {
+      const response = await request('POST', '/review', { body });
+      assert.equal(response.status, 400);
+      assert.equal((await response.json()).error, error);
+    }
+    assert.equal(queue.jobs.size, 0);
+  });
+});
@@ -0,0 +1,132 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { GitHubService } from '../src/services/github.js';
+import { handleGetReviewThreads } from '../src/tools/get_review_threads.js';
+import { FakeGitHubService } from './helpers/fake-github.js';
+
+const PR_URL = 'https://github.com/acme/widgets/pull/42';
+
+function comment(id, login, body) {
+  return {
+    id: `PRRC_${id}`,
+    databaseId: id,
+    body,
+    createdAt: '2025-01-11T13:00:00Z',
+    url: `https://github.com/acme/widgets/pull/42#discussion_r${id}`,
+    diffHunk: '@@ -1 +1 @@\n-a\n+b',
+    author: { login },
+  };
+}
+
+function page(nodes, endCursor = null) {
+  return { pageInfo: { hasNextPage: endCursor !== null, endCursor }, nodes };
+}
+
+function thread(id, comments, overrides = {}) {
+  return {
+    id,
+    path: 'src/a.js',
+    line: 1,
+    startLine: null,
+    originalLine: 1,
+    diffSide: 'RIGHT',
+    isResolved: false,
+    isOutdated: false,
+    resolvedBy: null,
+    comments,
+    ...overrides,
+  };
+}
+
+describe('GitHubService.getReviewThreads', () => {
+  it('paginates threads and thread comments', async () => {
+    const github = new GitHubService('ghp_test');
+    const requests = [];
+    const responses = [
+      {
+        repository: {
+          pullRequest: {
+            reviewThreads: page(
+              [thread('T1', page([comment(1, 'alice', 'first')], 'c1'))],
+              't1'
+            ),
+          },
+        },
+      },
+      { node: { comments: page([comment(2, 'bob', 'reply')]) } },
+      {
+        repository: {
+          pullRequest: {
+            reviewThreads: page([
+              thread('T2', page([comment(3, 'carol', 'done')]), {
+                line: null,
+                isResolved: true,
+                isOutdated: true,
+                resolvedBy: { login: 'alice' },
+              }),
+            ]),
+          },
+        },
+      },
+    ];
+    github.octokit.graphql = async (query, variables) => {
+      requests.push(variables);
+      return responses.shift();
+    };
+
+    const threads = await github.getReviewThreads('acme', 'widgets', 42);
+
+    assert.deepEqual(requests, [
+      { owner: 'acme', repo: 'widgets', number: 42, after: null },
+      { id: 'T1', after: 'c1' },
+      { owner: 'acme', repo: 'widgets', number: 42, after: 't1' },
+    ]);
+    assert.equal(threads.length, 2);
+    assert.deepEqual(
+      threads[0].comments.map(item => [item.id, item.author, item.body]),
+      [
+        [1, 'alice', 'first'],
+        [2, 'bob', 'reply'],
+      ]
+    );
+    assert.equal(threads[0].author, 'alice');
+    assert.equal(threads[0].diff_hunk, '@@ -1 +1 @@\n-a\n+b');
+    assert.deepEqual(
+      [threads[1].is_resolved, threads[1].is_outdated, threads[1].resolved_by],
+      [true, true, 'alice']
+    );
+  });
+});
+
+describe('get_review_threads', () => {
+  async function run(args) {
+    const result = await handleGetReviewThreads(new FakeGitHubService(), {
+      pr_url: PR_URL,
+      ...args,
+    });
+    return JSON.parse(result.content[0].text);
+  }
+
+  it('returns every thread with counts', async () => {
+    const result = await run({});
+
+    assert.equal(result.total_threads, 2);
+    assert.equal(result.unresolved_threads, 1);
+    assert.equal(result.threads[0].comments.length, 2);
+  });
+
+  it('filters unresolved threads and by thread author', async () => {
+    const unresolved = await run({ unresolved_only: true });
+    assert.deepEqual(
+      unresolved.threads.map(item => item.id),
+      ['PRRT_1']
+    );
+
+    const byBot = await run({ author: 'Review-Bot' });
+    assert.deepEqual(
+      byBot.threads.map(item => item.id),
+      ['PRRT_2']
+    );
+    assert.equal(byBot.returned_threads, 1);
+  });
+});
@@ -0,0 +1,162 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { postStructuredReview } from '../src/handlers/auto_post.js';
+import {
+  SUMMARY_MARKER,
+  parseSummaryState,
+} from '../src/utils/summary_state.js';
+import { FakeGitHubService, loadFixture } from './helpers/fake-github.js';
+
+const PR_URL = 'https://github.com/acme/widgets/pull/42';
+const FIRST_SHA = '2222222222222222222222222222222222222222';
+const SECOND_SHA = '3333333333333333333333333333333333333333';
+
+const review = {
+  summary: 'Session handling needs work.',
+  verdict: 'REQUEST_CHANGES',
+  findings: [
+    {
+      path: 'src/auth/session.js',
+      line: 9,
+      severity: 'medium',
+      category: 'quality',
+      title: 'Noisy logging',
+      description: 'Every request is logged.',
+      suggested_fix: null,
+    },
+    {
+      path: null,
+      line: null,
+      severity: 'low',
+      category: 'docs',
+      title: 'Missing changelog',
+      description: 'Add a changelog entry.',
+      suggested_fix: null,
+    },
+  ],
+};
+
+/**
+ * Move the fixture PR to a new head commit
+ */
+function push(github, sha, comparison) {
+  github.fixture.snapshot.pr.head_sha = sha;
+  github.fixture.comparisons = {
+    [`${FIRST_SHA}...${sha}`]: comparison,
+  };
+}
+
+function summaryBody(github) {
+  return github.issueComments.find(comment =>
+    comment.body.includes(SUMMARY_MARKER)
+  ).body;
+}
+
+describe('sticky review summary', () => {
+  it('creates a summary comment and posts inline findings as a comment review', async () => {
+    const github = new FakeGitHubService();
+
+    const result = await postStructuredReview(github, PR_URL, review, {
+      sticky: true,
+    });
+
+    assert.equal(result.summary.action, 'created');
+    assert.equal(result.summary.previous_sha, null);
+    assert.equal(result.event, 'COMMENT');
+    const posted = github.calls.find(call => call.method === 'createReview')
+      .args[3];
+    assert.equal(posted.event, 'COMMENT');
+    assert.match(posted.body, new RegExp(result.summary.comment_url));
+
+    const body = summaryBody(github);
+    assert.ok(body.startsWith(SUMMARY_MARKER));
+    assert.match(body, /❌ Changes requested/);
+    assert.match(
+      body,
+      /Noisy logging\*\* — `src\/auth\/session.js:9` · inline comment/
+    );
+    assert.match(body, /Add a changelog entry\./);
+    assert.doesNotMatch(body, /Review history/);
+    assert.deepEqual(
+      parseSummaryState(body).history.map(entry => entry.sha),
+      [FIRST_SHA]
+    );
+  });
+
+  it('updates the same comment with the delta and earlier verdicts', async () => {
+    const github = new FakeGitHubService();
+    await postStructuredReview(github, PR_URL, review, { sticky: true });
+    push(github, SECOND_SHA, {
+      status: 'ahead',
+      ahead_by: 2,
+      behind_by: 0,
+      commits: [],
+      files: [{ filename: 'src/auth/session.js', additions: 3, deletions: 1 }],
+    });
+
+    const result = await postStructuredReview(
+      github,
+      PR_URL,
+      { ...review, verdict: 'APPROVE', findings: [] },
+      { sticky: true }
+    );
+
+    assert.equal(result.summary.action, 'updated');
+    assert.equal(result.review_id, null);
+    assert.equal(github.issueComments.length, 1);
+    assert.deepEqual(result.summary.delta, {
+      from: FIRST_SHA,
+      to: SECOND_SHA,
+      status: 'ahead',
+      commits: 2,
+      files: ['src/auth/session.js'],
+    });
+
+    const body = summaryBody(github);
+    assert.match(body, /✅ Approved at `3333333`/);
+    assert.match(body, /2 new commit\(s\), 1 file\(s\) changed/);
+    assert.match(body, /<summary>Review history \(1\)<\/summary>/);
+    assert.match(body, /\| `2222222` \| ❌ Changes requested \| 2 \|/);
+  });
+
+  it('falls back to a full review note after a force-push', async () => {
+    const github = new FakeGitHubService();
+    await postStructuredReview(github, PR_URL, review, { sticky: true });
+    push(github, SECOND_SHA, null);
+
+    const result = await postStructuredReview(github, PR_URL, review, {
+      sticky: true,
+    });
+
+    assert.equal(result.summary.delta.status, 'unavailable');
+    assert.match(summaryBody(github), /no longer exists \(force-push\)/);
+  });
+
+  it('does not take over a marker comment written by someone else', async () => {
+    const fixture = loadFixture('pull-request.json');
+    fixture.issue_comments = [
+      {
+        id: 7,
+        body: `${SUMMARY_MARKER}\nnot ours`,
+        user: 'octocat',
+        html_url: 'https://github.com/acme/widgets/pull/42#issuecomment-7',
+      },
+    ];
+    const github = new FakeGitHubService(fixture);
+
+    const result = await postStructuredReview(github, PR_URL, review, {
+      sticky: true,
+    });
+
+    assert.equal(result.summary.action, 'created');
+    assert.equal(github.issueComments[0].body, `${SUMMARY_MARKER}\nnot ours`);
+  });
+
+  it('ignores a missing or corrupted state', () => {
+    assert.equal(parseSummaryState('no marker here'), null);
+    assert.equal(
+      parseSummaryState('<!-- github-review-mcp:state bm90IGpzb24= -->'),
+      null
+    );
+  });
+});
@@ -0,0 +1,188 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { GitHubService } from '../src/services/github.js';
+import { handleReplyToReviewComment } from '../src/tools/reply_to_review_comment.js';
+import { handleResolveReviewThread } from '../src/tools/resolve_review_thread.js';
+import { handleMinimizeComment } from '../src/tools/minimize_comment.js';
+
+const PR_URL = 'https://github.com/acme/widgets/pull/42';
+const THIS_PR = { number: 42, repository: { nameWithOwner: 'Acme/Widgets' } };
+const OTHER_PR = { number: 7, repository: { nameWithOwner: 'acme/widgets' } };
+
+/**
+ * GitHubService whose GraphQL client answers from a queue and records queries
+ */
+function stubbedGitHub(responses) {
+  const github = new GitHubService('ghp_test');
+  github.requests = [];
+  github.octokit.graphql = async (query, variables) => {
+    github.requests.push({ query, variables });
+    return responses.shift();
+  };
+  return github;
+}
+
+function parse(result) {
+  return JSON.parse(result.content[0].text);
+}
+
+describe('reply_to_review_comment', () => {
+  it('replies through the PR review comment endpoint', async () => {
+    const github = new GitHubService('ghp_test');
+    let params;
+    github.octokit.pulls.createReplyForReviewComment = async request => {
+      params = request;
+      return {
+        data: { id: 900, in_reply_to_id: 501, html_url: 'https://x/900' },
+      };
+    };
+
+    const result = parse(
+      await handleReplyToReviewComment(github, {
+        pr_url: PR_URL,
+        comment_id: 501,
+        body: 'Fixed in the latest push, thanks!',
+      })
+    );
+
+    assert.deepEqual(params, {
+      owner: 'acme',
+      repo: 'widgets',
+      pull_number: 42,
+      comment_id: 501,
+      body: 'Fixed in the latest push, thanks!',
+    });
+    assert.deepEqual(result, {
+      success: true,
+      comment_id: 900,
+      in_reply_to_id: 501,
+      comment_url: 'https://x/900',
+    });
+  });
+
+  it('requires a body', async () => {
+    await assert.rejects(
+      handleReplyToReviewComment(new GitHubService('ghp_test'), {
+        pr_url: PR_URL,
+        comment_id: 501,
+      }),
+      /body are required/
+    );
+  });
+});
+
+describe('resolve_review_thread', () => {
+  it('resolves a thread of the PR', async () => {
+    const github = stubbedGitHub([
+      { node: { pullRequest: THIS_PR } },
+      { resolveReviewThread: { thread: { id: 'PRRT_1', isResolved: true } } },
+    ]);
+
+    const result = parse(
+      await handleResolveReviewThread(github, {
+        pr_url: PR_URL,
+        thread_id: 'PRRT_1',
+      })
+    );
+
+    assert.deepEqual(result, {
+      success: true,
+      thread_id: 'PRRT_1',
+      is_resolved: true,
+    });
+    assert.match(github.requests[1].query, /resolveReviewThread/);
+  });
+
+  it('unresolves when resolved is false', async () => {
+    const github = stubbedGitHub([
+      { node: { pullRequest: THIS_PR } },
+      {
+        unresolveReviewThread: { thread: { id: 'PRRT_1', isResolved: false } },
+      },
+    ]);
+
+    const result = parse(
+      await handleResolveReviewThread(github, {
+        pr_url: PR_URL,
+        thread_id: 'PRRT_1',
+        resolved: false,
+      })
+    );
+
+    assert.equal(result.is_resolved, false);
+    assert.match(github.requests[1].query, /unresolveReviewThread/);
+  });
+
+  it('refuses threads from another PR', async () => {
+    const github = stubbedGitHub([{ node: { pullRequest: OTHER_PR } }]);
+
+    await assert.rejects(
+      handleResolveReviewThread(github, { pr_url: PR_URL, thread_id: 'X' }),
+      /Review thread X does not belong to acme\/widgets#42/
+    );
+    assert.equal(github.requests.length, 1);
+  });
+});
+
+describe('minimize_comment', () => {
+  it('minimizes a comment written by the authenticated account', async () => {
+    const github = stubbedGitHub([
+      { node: { author: { login: 'review-bot' }, pullRequest: THIS_PR } },
+      { viewer: { login: 'review-bot' } },
+      {
+        minimizeComment: {
+          minimizedComment: { isMinimized: true, minimizedReason: 'outdated' },
+        },
+      },
+    ]);
+
+    const result = parse(
+      await handleMinimizeComment(github, {
+        pr_url: PR_URL,
+        comment_node_id: 'PRRC_502',
+      })
+    );
+
+    assert.deepEqual(github.requests[2].variables, {
+      subjectId: 'PRRC_502',
+      classifier: 'OUTDATED',
+    });
+    assert.deepEqual(result, {
+      success: true,
+      comment_node_id: 'PRRC_502',
+      is_minimized: true,
+      minimized_reason: 'outdated',
+    });
+  });
+
+  it("refuses to minimize someone else's comment", async () => {
+    const github = stubbedGitHub([
+      { node: { author: { login: 'reviewer' }, pullRequest: THIS_PR } },
+      { viewer: { login: 'review-bot' } },
+    ]);
+
+    await assert.rejects(
+      handleMinimizeComment(github, {
+        pr_url: PR_URL,
+        comment_node_id: 'PRRC_501',
+        reason: 'RESOLVED',
+      }),
+      /written by reviewer, only comments by review-bot can be minimized/
+    );
+    assert.equal(github.requests.length, 2);
+  });
+
+  it('rejects unknown reasons before calling GitHub', async () => {
+    const github = stubbedGitHub([]);
+
+    await assert.rejects(
+      handleMinimizeComment(github, {
+        pr_url: PR_URL,
+        comment_node_id: 'PRRC_1',
+        reason: 'SPAM',
+      }),
+      /Invalid reason: SPAM/
+    );
+    assert.equal(github.requests.length, 0);
+  });
+});
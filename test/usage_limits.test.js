@@ -0,0 +1,338 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { reviewPullRequest } from '../src/handlers/review.js';
+import { AnalysisService } from '../src/services/analysis.js';
+import { UsageLimiter } from '../src/services/usage_limits.js';
+import {
+  createIpLimiter,
+  limitKeyRequests,
+  parseTrustProxy,
+} from '../src/handlers/rate_limit.js';
+import { ConfigService } from '../src/services/config.js';
+import { ScriptedProvider, toolCalls } from './helpers/scripted-provider.js';
+import { FakeGitHubService } from './helpers/fake-github.js';
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+function limiter(limits, clock = { now: 0 }) {
+  return new UsageLimiter({ limits, now: () => clock.now });
+}
+
+describe('UsageLimiter', () => {
+  it('counts requests per key in fixed windows', () => {
+    const clock = { now: 0 };
+    const limits = limiter(
+      [
+        {
+          name: 'key_rate_limit',
+          scope: 'key',
+          unit: 'requests',
+          limit: 2,
+          period: MINUTE,
+        },
+      ],
+      clock
+    );
+
+    const first = limits.consume('requests', { key: 'a' });
+    assert.equal(first.ok, true);
+    assert.equal(first.tightest.remaining, 1);
+    assert.equal(limits.consume('requests', { key: 'a' }).ok, true);
+
+    const refused = limits.consume('requests', { key: 'a' });
+    assert.equal(refused.ok, false);
+    assert.equal(refused.exceeded.subject, 'a');
+    assert.equal(refused.exceeded.used, 2);
+    assert.equal(refused.exceeded.reset, MINUTE);
+    // Refused requests are not counted, and keys are counted apart
+    assert.equal(limits.consume('requests', { key: 'b' }).ok, true);
+
+    clock.now = MINUTE;
+    assert.equal(limits.consume('requests', { key: 'a' }).ok, true);
+  });
+
+  it('checks a limit without counting', () => {
+    const limits = limiter([
+      {
+        name: 'repo_rate_limit',
+        scope: 'repo',
+        unit: 'reviews',
+        limit: 1,
+        period: MINUTE,
+      },
+    ]);
+    const subjects = { repo: 'acme/widgets' };
+
+    const checked = limits.check('reviews', subjects);
+    assert.equal(checked.ok, true);
+    assert.equal(checked.tightest.remaining, 1);
+    assert.equal(limits.check('reviews', subjects).ok, true);
+
+    assert.equal(limits.consume('reviews', subjects).ok, true);
+    const refused = limits.check('reviews', subjects);
+    assert.equal(refused.ok, false);
+    assert.equal(refused.exceeded.name, 'repo_rate_limit');
+  });
+
+  it('counts reads apart from the other requests of a key', () => {
+    const config = new ConfigService();
+    config.set('KEY_READ_RATE_LIMIT', 2);
+    config.set('KEY_DAILY_REQUEST_QUOTA', 1);
+    const limits = UsageLimiter.fromConfig(config);
+
+    assert.equal(limits.consume('requests', { key: 'a' }).ok, true);
+    // Polling goes on after the daily requests are used up...
+    assert.equal(limits.consume('reads', { key: 'a' }).ok, true);
+    const read = limits.consume('reads', { key: 'a' });
+    assert.equal(read.tightest.name, 'key_read_rate_limit');
+    assert.equal(read.tightest.remaining, 0);
+    // ...until its own limit is reached
+    assert.equal(limits.consume('reads', { key: 'a' }).exceeded.unit, 'reads');
+    assert.equal(
+      limits.consume('requests', { key: 'a' }).exceeded.name,
+      'key_daily_requests'
+    );
+  });
+
+  it('reports the limit closest to being reached', () => {
+    const limits = limiter([
+      {
+        name: 'repo_rate_limit',
+        scope: 'repo',
+        unit: 'reviews',
+        limit: 10,
+        period: MINUTE,
+      },
+      {
+        name: 'repo_daily_reviews',
+        scope: 'repo',
+        unit: 'reviews',
+        limit: 3,
+        period: DAY,
+      },
+    ]);
+
+    const { tightest } = limits.consume('reviews', { repo: 'acme/widgets' });
+    assert.equal(tightest.name, 'repo_daily_reviews');
+    assert.equal(tightest.remaining, 2);
+    assert.equal(tightest.reset, DAY);
+  });
+
+  it('refuses reviews once a token quota is used up', () => {
+    const limits = limiter([
+      {
+        name: 'repo_daily_reviews',
+        scope: 'repo',
+        unit: 'reviews',
+        limit: 100,
+        period: DAY,
+      },
+      {
+        name: 'key_daily_tokens',
+        scope: 'key',
+        unit: 'tokens',
+        limit: 1000,
+        period: DAY,
+      },
+      {
+        name: 'repo_daily_tokens',
+        scope: 'repo',
+        unit: 'tokens',
+        limit: 5000,
+        period: DAY,
+      },
+    ]);
+    const subjects = { key: 'a', repo: 'acme/widgets' };
+
+    assert.equal(limits.consume('reviews', subjects).ok, true);
+    limits.addTokens(subjects, 1200);
+
+    const refused = limits.consume('reviews', subjects);
+    assert.equal(refused.ok, false);
+    assert.equal(refused.exceeded.name, 'key_daily_tokens');
+    assert.equal(refused.exceeded.used, 1200);
+
+    // Webhook reviews have no key, so only the repository quota applies
+    assert.equal(limits.consume('reviews', { repo: 'acme/widgets' }).ok, true);
+  });
+
+  it('charges the tokens of a review that timed out', async t => {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'error', () => {});
+    const limits = limiter([
+      {
+        name: 'repo_daily_tokens',
+        scope: 'repo',
+        unit: 'tokens',
+        limit: 5000,
+        period: DAY,
+      },
+    ]);
+    const config = new ConfigService();
+    config.set('REVIEW_TIMEOUT', 50);
+    const pr = 'https://github.com/acme/widgets/pull/42';
+    const provider = new ScriptedProvider([
+      {
+        ...toolCalls(['get_pr_details', { pr_url: pr }]),
+        usage: { input_tokens: 1200, output_tokens: 80 },
+      },
+      // The model never answers the second turn
+      () => new Promise(() => {}),
+    ]);
+
+    await assert.rejects(
+      limits.chargeReview({ repo: 'acme/widgets' }, () =>
+        reviewPullRequest(pr, {
+          provider,
+          config,
+          services: {
+            github: new FakeGitHubService(),
+            analysis: new AnalysisService(),
+          },
+        })
+      ),
+      /timed out after 50ms/
+    );
+
+    const [quota] = limits.limits;
+    assert.equal(limits.state(quota, 'acme/widgets').used, 1280);
+  });
+
+  it('turns off limits of 0', t => {
+    const env = {
+      KEY_RATE_LIMIT: '0',
+      REPO_DAILY_REVIEW_QUOTA: '0',
+      REPO_DAILY_TOKEN_QUOTA: '50000',
+      KEY_DAILY_REQUEST_QUOTA: 'lots',
+    };
+    const saved = Object.keys(env).map(name => [name, process.env[name]]);
+    t.after(() => {
+      for (const [name, value] of saved) {
+        if (value === undefined) delete process.env[name];
+        else process.env[name] = value;
+      }
+    });
+    Object.assign(process.env, env);
+
+    const config = new ConfigService();
+    const limits = Object.fromEntries(
+      UsageLimiter.fromConfig(config).limits.map(limit => [
+        limit.name,
+        limit.limit,
+      ])
+    );
+    assert.deepEqual(limits, {
+      key_read_rate_limit: 300,
+      key_daily_requests: 1000,
+      repo_rate_limit: 20,
+      repo_daily_tokens: 50000,
+    });
+  });
+
+  it('turns off the IP limit of 0', () => {
+    let passed = 0;
+    createIpLimiter({ windowMs: MINUTE, limit: 0 })({}, {}, () => passed++);
+    assert.equal(passed, 1);
+  });
+});
+
+describe('parseTrustProxy', () => {
+  it('accepts hop counts, booleans and proxy lists', () => {
+    assert.equal(parseTrustProxy(undefined), false);
+    assert.equal(parseTrustProxy('1'), 1);
+    assert.equal(parseTrustProxy('true'), true);
+    assert.deepEqual(parseTrustProxy('loopback, 10.0.0.0/8'), [
+      'loopback',
+      '10.0.0.0/8',
+    ]);
+  });
+});
+
+describe('rate limit middleware', () => {
+  let server;
+  let base;
+
+  before(async () => {
+    const limits = new UsageLimiter({
+      limits: [
+        {
+          name: 'key_rate_limit',
+          scope: 'key',
+          unit: 'requests',
+          limit: 2,
+          period: 15 * MINUTE,
+        },
+      ],
+    });
+    const app = express();
+    app.set('trust proxy', parseTrustProxy('loopback'));
+    app.get(
+      '/limited',
+      createIpLimiter({ windowMs: 15 * MINUTE, limit: 2 }),
+      (req, res, next) => {
+        req.apiKey = req.headers.authorization?.replace(/^Bearer /, '');
+        if (req.apiKey !== 'good') {
+          return res.status(401).json({ error: 'Invalid or missing API key' });
+        }
+        next();
+      },
+      limitKeyRequests(limits),
+      (req, res) => res.json({ ip: req.ip })
+    );
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  function get(key, ip) {
+    return fetch(`${base}/limited`, {
+      headers: { authorization: `Bearer ${key}`, 'x-forwarded-for': ip },
+    });
+  }
+
+  it('limits requests per key with RateLimit headers', async () => {
+    const first = await get('good', '203.0.113.1');
+    assert.deepEqual(await first.json(), { ip: '203.0.113.1' });
+    assert.equal(first.headers.get('ratelimit-limit'), '2');
+    assert.equal(first.headers.get('ratelimit-remaining'), '1');
+    assert.equal(first.headers.get('ratelimit-policy'), '2;w=900');
+    const reset = Number(first.headers.get('ratelimit-reset'));
+    assert.ok(reset > 0 && reset <= 900);
+
+    await get('good', '203.0.113.1');
+    const refused = await get('good', '203.0.113.1');
+    assert.equal(refused.status, 429);
+    assert.equal(refused.headers.get('ratelimit-remaining'), '0');
+    assert.ok(Number(refused.headers.get('retry-after')) > 0);
+    const body = await refused.json();
+    assert.equal(
+      body.error,
+      'Rate limit exceeded: 2 requests per 15 minutes for API key good'
+    );
+    assert.equal(body.limit.scope, 'key');
+    assert.equal(body.limit.period, '15 minutes');
+  });
+
+  it('limits failed requests per client IP behind a trusted proxy', async () => {
+    assert.equal((await get('bad', '198.51.100.7')).status, 401);
+    assert.equal((await get('bad', '198.51.100.7')).status, 401);
+
+    const refused = await get('bad', '198.51.100.7');
+    assert.equal(refused.status, 429);
+    const body = await refused.json();
+    assert.equal(
+      body.error,
+      'Rate limit exceeded: 2 failed requests per 15 minutes for this client IP'
+    );
+    assert.equal(body.limit.subject, '198.51.100.7');
+
+    // Another client behind the same proxy is not affected
+    assert.equal((await get('bad', '198.51.100.8')).status, 401);
+  });
+});
@@ -0,0 +1,156 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  compareVersions,
+  formatRange,
+  isMajorBump,
+  parseRange,
+  rangesOverlap,
+  satisfies,
+} from '../src/utils/versions.js';
+
+function range(requirement, ecosystem) {
+  const parsed = parseRange(requirement, ecosystem);
+  return parsed && formatRange(parsed);
+}
+
+describe('compareVersions', () => {
+  it('orders releases and prereleases', () => {
+    const sorted = [
+      '1.0.0-alpha',
+      '1.0.0-alpha.1',
+      '1.0.0-beta.2',
+      '1.0.0-beta.11',
+      '1.0.0-rc.1',
+      '1.0.0',
+      '1.9',
+      '1.10',
+      '2.0rc1',
+      '2.0',
+    ];
+    const shuffled = [...sorted].reverse();
+    assert.deepEqual(shuffled.sort(compareVersions), sorted);
+
+    assert.equal(compareVersions('v1.2.3', '1.2.3+build.5'), 0);
+    assert.equal(compareVersions('1.2', '1.2.0'), 0);
+  });
+
+  it('detects major bumps, minor ones below 1.0', () => {
+    assert.equal(isMajorBump('^4.18.2', '^5.0.0'), true);
+    assert.equal(isMajorBump('0.17.0', '0.23.0'), true);
+    assert.equal(isMajorBump('1.2.0', '1.9.0'), false);
+    assert.equal(isMajorBump('*', '1.0.0'), false);
+  });
+});
+
+describe('parseRange', () => {
+  it('npm caret, tilde, x-ranges, hyphens and unions', () => {
+    const cases = [
+      ['^1.2.3', '>=1.2.3 <2.0.0'],
+      ['^0.2.3', '>=0.2.3 <0.3.0'],
+      ['^0.0.3', '>=0.0.3 <0.0.4'],
+      ['~1.2.3', '>=1.2.3 <1.3.0'],
+      ['~1', '>=1 <2.0.0'],
+      ['1.x', '>=1.0.0 <2.0.0'],
+      ['1.2.*', '>=1.2.0 <1.3.0'],
+      ['*', '*'],
+      ['1.2.3 - 2.3.4', '>=1.2.3 <=2.3.4'],
+      ['>=1.0.0 <2.0.0 || ^3.0.0', '>=1.0.0 <2.0.0 || >=3.0.0 <4.0.0'],
+      ['^2.0.0-rc.1', '>=2.0.0-rc.1 <3.0.0'],
+    ];
+    for (const [requirement, expected] of cases) {
+      assert.equal(range(requirement, 'npm'), expected, requirement);
+    }
+  });
+
+  it('PEP 440 specifiers', () => {
+    const cases = [
+      ['>=2.0,<3', '>=2.0.0 <3.0.0'],
+      ['~=1.4.2', '>=1.4.2 <1.5.0'],
+      ['~=1.4', '>=1.4 <2.0.0'],
+      ['==1.2.*', '>=1.2.0 <1.3.0'],
+      ['!=1.5.0', '<1.5.0 || >1.5.0'],
+      ['===1.0', '=1.0'],
+    ];
+    for (const [requirement, expected] of cases) {
+      assert.equal(range(requirement, 'PyPI'), expected, requirement);
+    }
+  });
+
+  it('RubyGems pessimistic requirements', () => {
+    assert.equal(range('~> 4.1', 'RubyGems'), '>=4.1 <5.0.0');
+    assert.equal(range('~> 4.1.2', 'RubyGems'), '>=4.1.2 <4.2.0');
+    assert.equal(range('>= 1.1, < 2.0', 'RubyGems'), '>=1.1.0 <2.0.0');
+  });
+
+  it('Maven intervals', () => {
+    assert.equal(range('[1.0,2.0)', 'Maven'), '>=1.0 <2.0');
+    assert.equal(range('(,1.5]', 'Maven'), '<=1.5');
+    assert.equal(range('[1.2]', 'Maven'), '=1.2');
+    assert.equal(range('[1.0,1.2),[1.5,)', 'Maven'), '>=1.0 <1.2 || >=1.5');
+    assert.equal(range('1.0', 'Maven'), '=1.0');
+  });
+
+  it('Packagist constraints', () => {
+    assert.equal(
+      range('^1.2 | ^2.0', 'Packagist'),
+      '>=1.2 <2.0.0 || >=2.0 <3.0.0'
+    );
+    assert.equal(range('~1.2', 'Packagist'), '>=1.2 <2.0.0');
+    assert.equal(range('~1.2.3', 'Packagist'), '>=1.2.3 <1.3.0');
+    assert.equal(range('>=7.2 <8.0', 'Packagist'), '>=7.2.0 <8.0.0');
+  });
+
+  it('Cargo bare versions and non-version requirements', () => {
+    assert.equal(range('1.2.3', 'crates.io'), '>=1.2.3 <2.0.0');
+    assert.equal(range('workspace', 'crates.io'), null);
+    assert.equal(range('git:https://github.com/acme/lib', 'npm'), null);
+  });
+});
+
+describe('satisfies', () => {
+  it('checks versions against ranges', () => {
+    assert.equal(satisfies('1.9.9', parseRange('<2.0.0', 'npm')), true);
+    assert.equal(satisfies('2.0.0', parseRange('<2.0.0', 'npm')), false);
+    assert.equal(satisfies('1.5.0', parseRange('!=1.5.0', 'PyPI')), false);
+  });
+
+  it('only accepts prereleases a range opts into', () => {
+    assert.equal(satisfies('2.0.0-rc.1', parseRange('<2.0.0', 'npm')), false);
+    assert.equal(satisfies('1.3.0-beta', parseRange('^1.2.0', 'npm')), false);
+    assert.equal(
+      satisfies('2.0.0-rc.2', parseRange('^2.0.0-rc.1', 'npm')),
+      true
+    );
+    assert.equal(
+      satisfies('2.1.0-beta', parseRange('^2.0.0-rc.1', 'npm')),
+      false
+    );
+    assert.equal(
+      satisfies('2.0.0-rc.1', parseRange('2.0.0-rc.1', 'npm')),
+      true
+    );
+  });
+
+  it('ignores overlaps made only of unrequested prereleases', () => {
+    const rcOnly = [
+      {
+        min: '2.0.0-rc.0',
+        minInclusive: true,
+        max: '2.0.0-rc.3',
+        maxInclusive: false,
+      },
+    ];
+    assert.equal(rangesOverlap(parseRange('^1.9.0', 'npm'), rcOnly), false);
+    assert.equal(
+      rangesOverlap(parseRange('>=2.0.0-rc.1 <3', 'npm'), rcOnly),
+      true
+    );
+    assert.equal(
+      rangesOverlap(parseRange('^1.9.0', 'npm'), [
+        { min: '1.9.5', minInclusive: true, max: null, maxInclusive: true },
+      ]),
+      true
+    );
+  });
+});
@@ -0,0 +1,335 @@
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+import express from 'express';
+import {
+  createWebhookRouter,
+  routeEvent,
+  verifySignature,
+} from '../src/handlers/webhooks.js';
+
+const SECRET = 'webhook-secret';
+const PR_URL = 'https://github.com/acme/widgets/pull/42';
+const HEAD_SHA = '3f2a9c1d4e5b6a7980c1d2e3f4a5b6c7d8e9f0a1';
+const OPTIONS = { reviewLabel: 'ai-review', command: '/review' };
+
+function sign(body, secret = SECRET) {
+  return `sha256=${createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+function pullRequestEvent(action, overrides = {}) {
+  return {
+    action,
+    pull_request: {
+      html_url: PR_URL,
+      state: 'open',
+      draft: false,
+      head: { sha: HEAD_SHA },
+      user: { login: 'alice', type: 'User' },
+      ...overrides,
+    },
+    sender: { login: 'alice' },
+  };
+}
+
+function commentEvent(body, overrides = {}) {
+  return {
+    action: 'created',
+    issue: {
+      state: 'open',
+      user: { login: 'alice' },
+      pull_request: { html_url: PR_URL },
+    },
+    comment: {
+      body,
+      user: { login: 'bob', type: 'User' },
+      author_association: 'MEMBER',
+      ...overrides,
+    },
+    sender: { login: 'bob' },
+  };
+}
+
+describe('verifySignature', () => {
+  it('accepts only the HMAC of the raw payload', () => {
+    const payload = Buffer.from('{"zen":"Keep it simple."}');
+
+    assert.equal(verifySignature(SECRET, payload, sign(payload)), true);
+    assert.equal(
+      verifySignature(SECRET, payload, sign(payload, 'other')),
+      false
+    );
+    assert.equal(
+      verifySignature(SECRET, Buffer.from('{}'), sign(payload)),
+      false
+    );
+    assert.equal(verifySignature(SECRET, payload, undefined), false);
+    assert.equal(verifySignature(SECRET, payload, 'sha256=abc'), false);
+  });
+});
+
+describe('routeEvent', () => {
+  it('reviews opened, updated and ready pull requests', () => {
+    for (const action of ['opened', 'synchronize', 'ready_for_review']) {
+      assert.deepEqual(
+        routeEvent('pull_request', pullRequestEvent(action), OPTIONS),
+        {
+          pr_url: PR_URL,
+          head_sha: HEAD_SHA,
+          trigger: `pull_request.${action}`,
+        }
+      );
+    }
+    assert.deepEqual(
+      routeEvent('pull_request', pullRequestEvent('closed'), OPTIONS),
+      { ignored: 'pull_request action closed' }
+    );
+  });
+
+  it('only reviews on the review label', () => {
+    const labeled = name => ({
+      ...pullRequestEvent('labeled'),
+      label: { name },
+    });
+
+    assert.equal(
+      routeEvent('pull_request', labeled('AI-Review'), OPTIONS).pr_url,
+      PR_URL
+    );
+    assert.deepEqual(routeEvent('pull_request', labeled('bug'), OPTIONS), {
+      ignored: 'label bug',
+    });
+  });
+
+  it('skips drafts and bot authors', () => {
+    assert.deepEqual(
+      routeEvent(
+        'pull_request',
+        pullRequestEvent('opened', { draft: true }),
+        OPTIONS
+      ),
+      { ignored: 'draft pull request' }
+    );
+    assert.deepEqual(
+      routeEvent(
+        'pull_request',
+        pullRequestEvent('opened', {
+          user: { login: 'dependabot[bot]', type: 'Bot' },
+        }),
+        OPTIONS
+      ),
+      { ignored: 'bot author dependabot[bot]' }
+    );
+  });
+
+  it('reviews on the slash command from collaborators', () => {
+    assert.deepEqual(
+      routeEvent('issue_comment', commentEvent('/review\nplease'), OPTIONS),
+      { pr_url: PR_URL, head_sha: null, trigger: 'issue_comment' }
+    );
+    assert.deepEqual(
+      routeEvent('issue_comment', commentEvent('/reviewer?'), OPTIONS),
+      { ignored: 'no review command' }
+    );
+    assert.deepEqual(
+      routeEvent(
+        'issue_comment',
+        commentEvent('/review', { author_association: 'NONE' }),
+        OPTIONS
+      ),
+      { ignored: 'bob is not a collaborator (NONE)' }
+    );
+    // The PR author may always ask
+    assert.equal(
+      routeEvent(
+        'issue_comment',
+        commentEvent('/review', {
+          user: { login: 'alice', type: 'User' },
+          author_association: 'CONTRIBUTOR',
+        }),
+        OPTIONS
+      ).pr_url,
+      PR_URL
+    );
+    assert.deepEqual(
+      routeEvent(
+        'issue_comment',
+        commentEvent('/review', {
+          user: { login: 'review-app[bot]', type: 'Bot' },
+        }),
+        OPTIONS
+      ),
+      { ignored: 'bot author review-app[bot]' }
+    );
+
+    const onIssue = commentEvent('/review');
+    delete onIssue.issue.pull_request;
+    assert.deepEqual(routeEvent('issue_comment', onIssue, OPTIONS), {
+      ignored: 'comment on an issue',
+    });
+  });
+});
+
+describe('POST /webhooks/github', () => {
+  let server;
+  let base;
+  const queued = [];
+  let limit = null;
+  let queueFull = false;
+
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    const app = express();
+    app.use(
+      createWebhookRouter({
+        secret: SECRET,
+        enqueueReview: async (prUrl, meta) => {
+          if (limit) {
+            const error = new Error('Review limit reached');
+            error.status = 429;
+            error.limit = limit;
+            throw error;
+          }
+          if (queueFull) {
+            const error = new Error('Review queue is full');
+            error.status = 429;
+            throw error;
+          }
+          queued.push({ prUrl, ...meta });
+          return { job_id: `job-${queued.length}`, coalesced: false };
+        },
+      })
+    );
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    mock.restoreAll();
+  });
+
+  function deliver(event, payload, { delivery, signature } = {}) {
+    const body = JSON.stringify(payload);
+    return fetch(`${base}/webhooks/github`, {
+      method: 'POST',
+      headers: {
+        'content-type': 'application/json',
+        'x-github-event': event,
+        'x-github-delivery': delivery,
+        'x-hub-signature-256': signature ?? sign(body),
+      },
+      body,
+    });
+  }
+
+  it('rejects unsigned deliveries', async () => {
+    const response = await deliver('pull_request', pullRequestEvent('opened'), {
+      delivery: 'd-0',
+      signature: 'sha256=0000',
+    });
+
+    assert.equal(response.status, 401);
+    assert.equal(queued.length, 0);
+  });
+
+  it('queues a review once per delivery', async () => {
+    const first = await deliver('pull_request', pullRequestEvent('opened'), {
+      delivery: 'd-1',
+    });
+    assert.equal(first.status, 202);
+    assert.deepEqual(await first.json(), {
+      status: 'queued',
+      pr_url: PR_URL,
+      delivery: 'd-1',
+      job_id: 'job-1',
+      coalesced: false,
+    });
+
+    const redelivered = await deliver(
+      'pull_request',
+      pullRequestEvent('opened'),
+      { delivery: 'd-1' }
+    );
+    assert.deepEqual(await redelivered.json(), {
+      status: 'duplicate',
+      delivery: 'd-1',
+    });
+
+    assert.deepEqual(queued, [
+      {
+        prUrl: PR_URL,
+        trigger: 'pull_request.opened',
+        head_sha: HEAD_SHA,
+        delivery: 'd-1',
+        sender: 'alice',
+      },
+    ]);
+  });
+
+  it('answers pings and ignored events', async () => {
+    const ping = await deliver('ping', { zen: 'Keep it simple.' });
+    assert.deepEqual(await ping.json(), { status: 'pong' });
+
+    const draft = await deliver(
+      'pull_request',
+      pullRequestEvent('opened', { draft: true }),
+      { delivery: 'd-2' }
+    );
+    assert.equal(draft.status, 200);
+    assert.deepEqual(await draft.json(), {
+      status: 'ignored',
+      reason: 'draft pull request',
+      delivery: 'd-2',
+    });
+    assert.equal(queued.length, 1);
+  });
+
+  it('answers 429 when the repository is over its limits', async () => {
+    limit = {
+      name: 'repo_rate_limit',
+      scope: 'repo',
+      subject: 'acme/widgets',
+      unit: 'reviews',
+      limit: 20,
+      used: 20,
+      remaining: 0,
+      period: 15 * 60 * 1000,
+      reset: Date.now() + 5000,
+    };
+    const limited = await deliver('pull_request', pullRequestEvent('opened'), {
+      delivery: 'd-3',
+    });
+    assert.equal(limited.status, 429);
+    const body = await limited.json();
+    assert.equal(
+      body.error,
+      'Rate limit exceeded: 20 reviews per 15 minutes for repository acme/widgets'
+    );
+    assert.equal(body.delivery, 'd-3');
+
+    // The delivery is not remembered, so GitHub's redelivery is reviewed
+    limit = null;
+    const redelivered = await deliver(
+      'pull_request',
+      pullRequestEvent('opened'),
+      { delivery: 'd-3' }
+    );
+    assert.equal(redelivered.status, 202);
+  });
+
+  it('answers 429 while the review queue is full', async () => {
+    queueFull = true;
+    const refused = await deliver('pull_request', pullRequestEvent('opened'), {
+      delivery: 'd-4',
+    });
+    queueFull = false;
+
+    assert.equal(refused.status, 429);
+    assert.deepEqual(await refused.json(), {
+      error: 'Review queue is full',
+      delivery: 'd-4',
+    });
+  });
+});